@@ -0,0 +1,137 @@
+/**
+ * Writes the bundled demo tiles in public/tiles/: a 2x2 block of synthetic
+ * Terrain-RGB and imagery tiles that Vite serves as a stand-in tile server
+ * for the "tile_demo" map. Run with: npm run tiles:demo
+ */
+import { mkdirSync, writeFileSync } from 'node:fs';
+import { deflateSync } from 'node:zlib';
+
+const OUTPUT = new URL('../public/tiles/', import.meta.url);
+const ZOOM = 13;
+const TILES_X = [4277, 4278];
+const TILES_Y = [2894, 2895];
+const TILE_SIZE = 256;
+
+// Synthetic terrain in meters above sea level: a long ridge with a
+// winding valley at its foot and a lone peak to the north-east
+function heightAt(lon, lat) {
+  const x = (lon - 7.998) * 76000;   // ~meters east of the tiles' center
+  const y = (lat - 46.589) * 111320;  // ~meters north of it
+
+  const valleyCenter = -600 + 400 * Math.sin(x / 900);
+  const valley = 650 * Math.exp(-Math.pow((y - valleyCenter) / 700, 2));
+  const ridge = 1300 * Math.exp(-Math.pow((y - 1600 - 200 * Math.sin(x / 1500)) / 900, 2));
+  const peak = 900 * Math.exp(-(Math.pow(x - 2000, 2) + Math.pow(y - 2800, 2)) / (2 * 700 * 700));
+  const hills = 60 * Math.sin(x / 230) * Math.cos(y / 310);
+
+  return 1400 + ridge + peak + hills - valley;
+}
+
+function tileToLon(x) {
+  return x / Math.pow(2, ZOOM) * 360 - 180;
+}
+
+function tileToLat(y) {
+  const n = Math.PI - 2 * Math.PI * y / Math.pow(2, ZOOM);
+  return 180 / Math.PI * Math.atan(Math.sinh(n));
+}
+
+function renderTile(tileX, tileY) {
+  const terrain = Buffer.alloc(TILE_SIZE * TILE_SIZE * 3);
+  const imagery = Buffer.alloc(TILE_SIZE * TILE_SIZE * 3);
+  const step = 1 / TILE_SIZE;
+
+  for (let py = 0; py < TILE_SIZE; py++) {
+    for (let px = 0; px < TILE_SIZE; px++) {
+      const lon = tileToLon(tileX + (px + 0.5) * step);
+      const lat = tileToLat(tileY + (py + 0.5) * step);
+      const height = heightAt(lon, lat);
+      const i = (py * TILE_SIZE + px) * 3;
+
+      // Terrain-RGB, Mapbox constants, rounded to whole meters so the tiles compress
+      const value = Math.round(Math.round(height) / 0.1) + 100000;
+      terrain[i] = (value >> 16) & 0xFF;
+      terrain[i + 1] = (value >> 8) & 0xFF;
+      terrain[i + 2] = value & 0xFF;
+
+      // Imagery: color by altitude, shaded by slope toward the sun
+      const east = heightAt(lon + 0.0002, lat) - height;
+      const north = heightAt(lon, lat + 0.0002) - height;
+      const shade = Math.max(0.45, Math.min(1.15, 0.85 + (north - east) / 40));
+      const color = height > 2500 ? [235, 235, 240]
+        : height > 1900 ? [128, 120, 108]
+        : height > 1200 ? [72, 104, 56]
+        : [104, 132, 70];
+      for (let c = 0; c < 3; c++) {
+        // Quantized to keep the files small
+        imagery[i + c] = Math.min(255, Math.round(color[c] * shade / 8) * 8);
+      }
+    }
+  }
+
+  return { terrain, imagery };
+}
+
+function encodePNG(width, height, rgb) {
+  const rows = Buffer.alloc(height * (width * 3 + 1));
+  for (let y = 0; y < height; y++) {
+    const row = y * (width * 3 + 1);
+    rows[row] = 1; // Sub filter: neighbors are similar
+    for (let x = 0; x < width * 3; x++) {
+      const left = x >= 3 ? rgb[y * width * 3 + x - 3] : 0;
+      rows[row + 1 + x] = (rgb[y * width * 3 + x] - left) & 0xFF;
+    }
+  }
+
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(height, 4);
+  header[8] = 8; // Bit depth
+  header[9] = 2; // RGB
+
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]),
+    chunk('IHDR', header),
+    chunk('IDAT', deflateSync(rows, { level: 9 })),
+    chunk('IEND', Buffer.alloc(0))
+  ]);
+}
+
+function chunk(type, data) {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  const body = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(body));
+  return Buffer.concat([length, body, crc]);
+}
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+function crc32(bytes) {
+  let crc = 0xFFFFFFFF;
+  for (const byte of bytes) {
+    crc = CRC_TABLE[(crc ^ byte) & 0xFF] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+for (const tileX of TILES_X) {
+  for (const tileY of TILES_Y) {
+    const { terrain, imagery } = renderTile(tileX, tileY);
+    for (const [layer, pixels] of [['terrain-rgb', terrain], ['satellite', imagery]]) {
+      const dir = new URL(`${layer}/${ZOOM}/${tileX}/`, OUTPUT);
+      mkdirSync(dir, { recursive: true });
+      writeFileSync(new URL(`${tileY}.png`, dir), encodePNG(TILE_SIZE, TILE_SIZE, pixels));
+    }
+  }
+}
+
+console.log(`Tiles cover lon ${tileToLon(TILES_X[0])}..${tileToLon(TILES_X[1] + 1)}, ` +
+  `lat ${tileToLat(TILES_Y[1] + 1)}..${tileToLat(TILES_Y[0])}`);
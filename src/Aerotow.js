@@ -0,0 +1,99 @@
+import { TowPlane } from './TowPlane.js';
+
+/**
+ * Aerotow launch: a tow plane pulls the glider up on a rope until the
+ * player releases. The rope is a damped spring that only pulls when taut;
+ * its weak link breaks if the glider gets badly out of position.
+ * Like the other launches it has update(glider, dt), release(),
+ * isAttached() and getStatus(), and acts on the glider before each tick.
+ */
+export class Aerotow {
+  /**
+   * @param {TerrainProvider} [terrainProvider]
+   * @param {Object} site - {x, z, heading}: where the glider waits on the ground
+   * @param {Object} [options]
+   */
+  constructor(terrainProvider, site, options = {}) {
+    this.type = 'aerotow';
+    this.ropeLength = options.ropeLength ?? 60;   // m
+    this.stiffness = options.stiffness ?? 2;      // m/s^2 of pull per meter of stretch
+    this.damping = options.damping ?? 1.5;        // m/s^2 per m/s the rope stretches
+    this.weakLink = options.weakLink ?? 1.5;      // Breaks above this many times the glider's weight
+
+    // The tow plane lines up a rope length ahead of the glider
+    const heading = site.heading;
+    this.towPlane = new TowPlane(terrainProvider, {
+      x: site.x + Math.sin(heading) * this.ropeLength,
+      z: site.z - Math.cos(heading) * this.ropeLength,
+      heading
+    }, options.towPlane);
+
+    this.launchHeight = this.towPlane.position.y;
+    this.attached = true;
+    this.broken = false;  // The weak link went rather than the player releasing
+    this.tension = 0;     // N
+    this.timeSinceRelease = 0;
+  }
+
+  /**
+   * Fly the tow plane and pull the glider along for one tick
+   * @param {Glider} glider
+   * @param {number} deltaTime
+   */
+  update(glider, deltaTime) {
+    this.towPlane.update(deltaTime);
+    if (!this.attached) {
+      this.timeSinceRelease += deltaTime;
+      return;
+    }
+
+    const rope = this.towPlane.position.clone().sub(glider.position);
+    const length = rope.length();
+    const direction = rope.divideScalar(length);
+    const stretch = length - this.ropeLength;
+
+    this.tension = 0;
+    if (stretch > 0) {
+      const gliderVelocity = glider.velocity.clone().add(glider.airVelocity);
+      const stretchRate = this.towPlane.velocity.clone().sub(gliderVelocity).dot(direction);
+      const pull = Math.max(0, this.stiffness * stretch + this.damping * stretchRate);
+      this.tension = pull * glider.mass;
+
+      if (pull > this.weakLink * glider.gravity) {
+        this.broken = true;
+        this.release(glider);
+        return;
+      }
+      glider.velocity.addScaledVector(direction, pull * deltaTime);
+    }
+    glider.towed = true;
+  }
+
+  /**
+   * Let go of the rope
+   * @param {Glider} [glider]
+   */
+  release(glider) {
+    if (!this.attached) return;
+    this.attached = false;
+    this.tension = 0;
+    this.towPlane.release();
+    if (glider) glider.towed = false;
+  }
+
+  isAttached() {
+    return this.attached;
+  }
+
+  // Far end of the rope for drawing (the near end is the glider), or null once released
+  getCable() {
+    return this.attached ? { from: this.towPlane.position } : null;
+  }
+
+  getStatus(glider) {
+    if (this.broken && this.timeSinceRelease < 5) return 'Rope broke!';
+    if (!this.attached) return null;
+    const height = Math.round(glider.position.y - this.launchHeight);
+    return `On tow: ${height} m above the field`;
+  }
+}
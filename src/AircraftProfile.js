@@ -0,0 +1,118 @@
+/**
+ * Aircraft profiles: mass, wing geometry, aerodynamic coefficients (which
+ * together give the glide polar), handling rates and control surfaces.
+ * Each aircraft lives in /aircraft/<id>.json; /aircraft/index.json lists
+ * the available aircraft ids. Units are SI: kg, m, m/s and radians.
+ *
+ * {
+ *   name, description,
+ *   mass, wingArea, wingSpan,
+ *   aerodynamics: {liftSlope, zeroLiftAngle, maxLift, parasiteDrag, oswald},
+ *   maxSpeed, pitchRate, rollRate, rudderRate, adverseYaw,
+ *   airbrake: {liftLoss, drag} or null (no airbrakes),
+ *   flaps: [{name, lift, drag}, ...] (lift/drag coefficient increments), neutralFlap
+ * }
+ */
+
+const AIRCRAFT_ROOT = '/aircraft';
+
+export const DEFAULT_AIRCRAFT_ID = 'trainer';
+
+// Two-seat training glider; also fills in whatever a profile leaves out
+const DEFAULT_PROFILE = {
+  name: 'Trainer',
+  description: '',
+  mass: 550,                // kg, with pilots
+  wingArea: 17.95,          // m^2
+  wingSpan: 17,             // m
+  aerodynamics: {
+    liftSlope: 5.5,         // Lift coefficient per radian of angle of attack
+    zeroLiftAngle: -0.035,  // Radians; cambered wings still lift at zero AoA
+    maxLift: 1.4,           // Lift coefficient at the stall
+    parasiteDrag: 0.013,    // Drag coefficient at zero lift
+    oswald: 0.85            // Span efficiency, scales induced drag
+  },
+  maxSpeed: 78,             // m/s, never-exceed speed
+  pitchRate: 1.5,           // Radians per second at full input
+  rollRate: 1.6,
+  rudderRate: 0.6,          // Radians per second of yaw at full rudder (at 20 m/s)
+  adverseYaw: 0.15,
+  airbrake: { liftLoss: 0.3, drag: 0.035 },
+  flaps: [{ name: 'Neutral', lift: 0, drag: 0 }],
+  neutralFlap: 0
+};
+
+/**
+ * Load the list of available aircraft
+ * @returns {Promise<Array<Object>>} - Normalized profiles, in index order
+ */
+export async function loadAircraftIndex() {
+  const index = await fetchJSON(`${AIRCRAFT_ROOT}/index.json`);
+  if (!Array.isArray(index.aircraft)) {
+    throw new Error('Aircraft index must have an "aircraft" array of aircraft ids');
+  }
+  return Promise.all(index.aircraft.map(id => loadAircraftProfile(id)));
+}
+
+/**
+ * Load and normalize one aircraft profile
+ * @param {string} id - File name under /aircraft/, without .json
+ * @returns {Promise<Object>}
+ */
+export async function loadAircraftProfile(id) {
+  const json = await fetchJSON(`${AIRCRAFT_ROOT}/${id}.json`);
+  return normalizeAircraftProfile(json, id);
+}
+
+/**
+ * Fill in defaults and validate a raw profile
+ * @param {Object} json - Parsed profile
+ * @param {string} [id]
+ * @returns {Object}
+ */
+export function normalizeAircraftProfile(json = {}, id = DEFAULT_AIRCRAFT_ID) {
+  const profile = {
+    ...DEFAULT_PROFILE,
+    ...json,
+    id,
+    name: json.name || id,
+    aerodynamics: { ...DEFAULT_PROFILE.aerodynamics, ...json.aerodynamics },
+    airbrake: json.airbrake === null ? null : { ...DEFAULT_PROFILE.airbrake, ...json.airbrake },
+    flaps: json.flaps || DEFAULT_PROFILE.flaps,
+    neutralFlap: json.neutralFlap ?? (json.flaps ? 0 : DEFAULT_PROFILE.neutralFlap)
+  };
+
+  for (const field of ['mass', 'wingArea', 'wingSpan', 'maxSpeed']) {
+    if (!(profile[field] > 0)) {
+      throw new Error(`Aircraft "${id}" needs a positive "${field}"`);
+    }
+  }
+  for (const field of ['liftSlope', 'maxLift', 'parasiteDrag', 'oswald']) {
+    if (!(profile.aerodynamics[field] > 0)) {
+      throw new Error(`Aircraft "${id}" needs a positive "aerodynamics.${field}"`);
+    }
+  }
+  if (!Array.isArray(profile.flaps) || profile.flaps.length === 0) {
+    throw new Error(`Aircraft "${id}" needs at least one flap setting`);
+  }
+  if (!profile.flaps[profile.neutralFlap]) {
+    throw new Error(`Aircraft "${id}" neutralFlap is not a flap setting`);
+  }
+
+  profile.flaps = profile.flaps.map(flap => ({
+    name: flap.name,
+    lift: flap.lift ?? 0,
+    drag: flap.drag ?? 0
+  }));
+  profile.aspectRatio = profile.wingSpan * profile.wingSpan / profile.wingArea;
+
+  return profile;
+}
+
+async function fetchJSON(url) {
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`Failed to load ${url}: ${response.status}`);
+  }
+  return response.json();
+}
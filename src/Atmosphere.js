@@ -0,0 +1,162 @@
+import * as THREE from 'three';
+
+/**
+ * Air mass model: a steady wind, thermal columns scattered over the map
+ * and ridge lift where the wind meets sloping terrain.
+ * The glider queries it every frame for the local air-mass velocity.
+ */
+export class Atmosphere {
+  constructor(terrainProvider = null, options = {}) {
+    this.terrainProvider = terrainProvider;
+
+    // Steady wind (m/s). Direction is where the wind blows FROM, in radians
+    // clockwise from north (-Z), like a weather report.
+    this.windSpeed = options.windSpeed ?? 6;
+    this.windFrom = options.windFrom ?? -Math.PI / 2; // Westerly
+    this.wind = new THREE.Vector3();
+    this.setWind(this.windSpeed, this.windFrom);
+
+    // Thermals
+    this.thermalCount = options.thermalCount ?? 12;
+    this.thermalRadius = options.thermalRadius ?? [80, 160];      // m, min/max core radius
+    this.thermalStrength = options.thermalStrength ?? [2, 5];     // m/s, min/max core climb
+    this.thermalTopAboveGround = options.thermalTopAboveGround ?? 1800; // m, cloudbase
+    this.thermalCycle = options.thermalCycle ?? 600;              // s, lifecycle period
+    this.thermalSinkFactor = 0.3;  // Sink ring strength relative to core
+    this.thermals = [];
+
+    // Ridge lift
+    this.ridgeLiftFactor = options.ridgeLiftFactor ?? 1.0;   // Scales wind-into-slope
+    this.ridgeLiftHeight = options.ridgeLiftHeight ?? 300;   // m, decay height above ground
+    this.ridgeSampleDistance = 40;                           // m, slope sampling step
+    this.maxRidgeLift = 6;                                   // m/s, clamp
+
+    // Seeded so thermals land in the same places every run
+    this.seed = options.seed ?? 1;
+
+    if (terrainProvider) {
+      this.placeThermals(terrainProvider.getBounds());
+    }
+  }
+
+  setWind(speed, fromDirection) {
+    this.windSpeed = speed;
+    this.windFrom = fromDirection;
+
+    // Wind blows toward the opposite of where it comes from
+    const toDirection = fromDirection + Math.PI;
+    this.wind.set(Math.sin(toDirection) * speed, 0, -Math.cos(toDirection) * speed);
+  }
+
+  /**
+   * Scatter thermal columns over the given bounds
+   * @param {{minX: number, maxX: number, minZ: number, maxZ: number}} bounds
+   */
+  placeThermals(bounds) {
+    const random = createRandom(this.seed);
+    const margin = 200;
+    const lerp = (range, t) => range[0] + (range[1] - range[0]) * t;
+
+    this.thermals = [];
+    for (let i = 0; i < this.thermalCount; i++) {
+      const x = lerp([bounds.minX + margin, bounds.maxX - margin], random());
+      const z = lerp([bounds.minZ + margin, bounds.maxZ - margin], random());
+      const groundHeight = this.terrainProvider ? this.terrainProvider.getHeightAt(x, z) : 0;
+
+      this.thermals.push({
+        x,
+        z,
+        base: groundHeight,
+        radius: lerp(this.thermalRadius, random()),
+        strength: lerp(this.thermalStrength, random()),
+        phase: random() * Math.PI * 2
+      });
+    }
+  }
+
+  /**
+   * Get the velocity of the air mass at a point
+   * @param {THREE.Vector3} position - World position
+   * @param {number} time - Simulation time in seconds (drives thermal lifecycle)
+   * @param {THREE.Vector3} [target] - Optional vector to write into
+   * @returns {THREE.Vector3} - Air velocity in m/s
+   */
+  getAirVelocityAt(position, time = 0, target = new THREE.Vector3()) {
+    target.copy(this.wind);
+    target.y = this.getThermalLift(position, time) + this.getRidgeLift(position);
+    return target;
+  }
+
+  /**
+   * Vertical air velocity from all thermals at a point
+   */
+  getThermalLift(position, time = 0) {
+    let lift = 0;
+
+    for (const thermal of this.thermals) {
+      const heightInColumn = position.y - thermal.base;
+      if (heightInColumn < 0 || heightInColumn > this.thermalTopAboveGround) continue;
+
+      // Columns lean downwind: the air drifts while it rises
+      const drift = heightInColumn / thermal.strength;
+      const dx = position.x - (thermal.x + this.wind.x * drift);
+      const dz = position.z - (thermal.z + this.wind.z * drift);
+      const r = Math.sqrt(dx * dx + dz * dz) / thermal.radius;
+      if (r > 3) continue;
+
+      // Gaussian core with a ring of sink around it
+      const core = Math.exp(-r * r);
+      const sink = this.thermalSinkFactor * Math.exp(-(r - 1.8) * (r - 1.8) * 4);
+
+      // Weaken near the ground and near cloudbase
+      const t = heightInColumn / this.thermalTopAboveGround;
+      const verticalProfile = Math.min(1, t * 10) * Math.min(1, (1 - t) * 5);
+
+      // Thermals build and decay over their lifecycle
+      const cycle = 0.6 + 0.4 * Math.sin((time / this.thermalCycle) * Math.PI * 2 + thermal.phase);
+
+      lift += thermal.strength * (core - sink) * verticalProfile * cycle;
+    }
+
+    return lift;
+  }
+
+  /**
+   * Vertical air velocity from wind deflected up (or down) by terrain slope
+   */
+  getRidgeLift(position) {
+    if (!this.terrainProvider || this.windSpeed === 0) return 0;
+
+    const step = this.ridgeSampleDistance;
+    const x = position.x;
+    const z = position.z;
+
+    const groundHeight = this.terrainProvider.getHeightAt(x, z);
+    const heightAboveGround = position.y - groundHeight;
+    if (heightAboveGround < 0) return 0;
+
+    // Terrain slope via central differences
+    const dhdx = (this.terrainProvider.getHeightAt(x + step, z) -
+      this.terrainProvider.getHeightAt(x - step, z)) / (2 * step);
+    const dhdz = (this.terrainProvider.getHeightAt(x, z + step) -
+      this.terrainProvider.getHeightAt(x, z - step)) / (2 * step);
+
+    // Wind blowing up the slope rises with it; on the lee side it sinks
+    const slopeLift = (this.wind.x * dhdx + this.wind.z * dhdz) * this.ridgeLiftFactor;
+    const decay = Math.exp(-heightAboveGround / this.ridgeLiftHeight);
+
+    return THREE.MathUtils.clamp(slopeLift * decay, -this.maxRidgeLift, this.maxRidgeLift);
+  }
+}
+
+// Small deterministic PRNG (mulberry32)
+function createRandom(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
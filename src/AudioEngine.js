@@ -0,0 +1,384 @@
+const STORAGE_KEY = 'flying_game.audio';
+
+// Each sound goes through one channel, which the player can mix and mute
+export const AUDIO_CHANNELS = [
+  { id: 'wind', label: 'Wind' },
+  { id: 'airframe', label: 'Airframe' },
+  { id: 'vario', label: 'Variometer' },
+  { id: 'warnings', label: 'Terrain warnings' },
+  { id: 'impact', label: 'Crash' }
+];
+
+export const DEFAULT_AUDIO_SETTINGS = {
+  volume: 0.8,
+  muted: false,
+  channels: {
+    wind: { volume: 0.6, muted: false },
+    airframe: { volume: 0.8, muted: false },
+    vario: { volume: 1, muted: false },
+    warnings: { volume: 1, muted: false },
+    impact: { volume: 1, muted: false }
+  }
+};
+
+const BUFFET_ONSET = 0.85;     // Share of the stall angle of attack where buffeting starts
+const BUFFET_RATE = 9;         // Hz of the buffet's shudder
+const STRESS_SPEED = 0.85;     // Share of the never-exceed speed where the airframe starts to creak
+const STRESS_BANK = 0.9;       // Radians (~50°) of bank where it starts to creak
+const IMPACT_SPEED = 40;       // m/s for the loudest crash
+
+/**
+ * Fill in defaults for a (possibly older or hand-edited) settings object and
+ * clamp the volumes to 0..1
+ * @param {Object|null} settings - {volume, muted, channels: {id: {volume, muted}}}
+ * @returns {Object}
+ */
+export function normalizeAudioSettings(settings) {
+  const volume = (value, fallback) => (
+    Number.isFinite(value) ? Math.max(0, Math.min(1, value)) : fallback
+  );
+  const stored = settings || {};
+  const result = {
+    volume: volume(stored.volume, DEFAULT_AUDIO_SETTINGS.volume),
+    muted: Boolean(stored.muted),
+    channels: {}
+  };
+  for (const { id } of AUDIO_CHANNELS) {
+    const channel = (stored.channels && stored.channels[id]) || {};
+    result.channels[id] = {
+      volume: volume(channel.volume, DEFAULT_AUDIO_SETTINGS.channels[id].volume),
+      muted: Boolean(channel.muted)
+    };
+  }
+  return result;
+}
+
+/**
+ * Load the player's sound settings from localStorage
+ * @returns {Object} - Defaults if nothing (valid) is stored
+ */
+export function loadAudioSettings() {
+  try {
+    const json = localStorage.getItem(STORAGE_KEY);
+    return normalizeAudioSettings(json ? JSON.parse(json) : null);
+  } catch (e) {
+    console.warn('Could not load sound settings:', e);
+    return normalizeAudioSettings(null);
+  }
+}
+
+/**
+ * Save sound settings to localStorage
+ * @param {Object} settings
+ * @returns {boolean} - False if storage is unavailable
+ */
+export function saveAudioSettings(settings) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+    return true;
+  } catch (e) {
+    console.warn('Could not save sound settings:', e);
+    return false;
+  }
+}
+
+/**
+ * A channel's gain after the master volume and both mutes
+ * @param {Object} settings - Normalized settings
+ * @param {string} channel - Channel id
+ * @returns {number} - 0..1
+ */
+export function getChannelGain(settings, channel) {
+  const { volume, muted } = settings.channels[channel];
+  return settings.muted || muted ? 0 : settings.volume * volume;
+}
+
+/**
+ * Airflow noise: louder and brighter with speed, louder still at a high
+ * angle of attack as the flow gets turbulent
+ * @param {number} speed - Airspeed (m/s)
+ * @param {number} maxSpeed - Never-exceed speed (m/s)
+ * @param {number} angleOfAttack - Radians
+ * @returns {{volume: number, frequency: number}} - 0..1, and the noise's centre (Hz)
+ */
+export function getAirflowSound(speed, maxSpeed, angleOfAttack) {
+  const fraction = Math.min(speed / maxSpeed, 1.2);
+  return {
+    volume: Math.min(1, fraction * fraction * (1 + 3 * Math.abs(angleOfAttack))),
+    frequency: 250 + fraction * 1500
+  };
+}
+
+/**
+ * How hard the wing buffets: nothing in attached flow, building over the
+ * last part of the angle of attack before the stall, full once stalled
+ * @param {number} angleOfAttack - Radians
+ * @param {Object} aerodynamics - {liftSlope, zeroLiftAngle, maxLift}
+ * @param {boolean} stalled
+ * @returns {number} - 0..1
+ */
+export function getBuffet(angleOfAttack, aerodynamics, stalled) {
+  if (stalled) return 1;
+  const { liftSlope, zeroLiftAngle, maxLift } = aerodynamics;
+  const margin = Math.abs(angleOfAttack - zeroLiftAngle) / (maxLift / liftSlope);
+  return Math.max(0, Math.min(1, (margin - BUFFET_ONSET) / (1 - BUFFET_ONSET)));
+}
+
+/**
+ * How hard the airframe is working, for the creaks: near the never-exceed
+ * speed or in a steep bank
+ * @param {number} speed - Airspeed (m/s)
+ * @param {number} maxSpeed - Never-exceed speed (m/s)
+ * @param {number} bank - Radians
+ * @returns {number} - 0..1
+ */
+export function getAirframeStress(speed, maxSpeed, bank) {
+  const fromSpeed = (speed / maxSpeed - STRESS_SPEED) / (1 - STRESS_SPEED);
+  const fromBank = (Math.abs(bank) - STRESS_BANK) / 0.5;
+  return Math.max(0, Math.min(1, Math.max(fromSpeed, fromBank)));
+}
+
+/**
+ * The game's sound: one Web Audio context whose channels (see
+ * AUDIO_CHANNELS) mix into a master volume. Wind, buffeting, airframe
+ * creaks and the crash are generated here from the glider's state; other
+ * sources (the variometer, terrain warnings) plug into a channel with
+ * connect(). Every sound is synthesized, so nothing needs downloading.
+ *
+ * Browsers only allow sound after the player interacts with the page, so
+ * the context starts on the first key press or click.
+ */
+export class AudioEngine {
+  constructor() {
+    this.settings = loadAudioSettings();
+    this.context = null;
+    this.channels = {};   // id -> GainNode
+    this.sources = [];    // {channel, setup} waiting for, or built on, the context
+
+    // Continuous sounds (built in start())
+    this.wind = null;     // {filter, gain}
+    this.buffet = null;   // {gain}
+    this.buffetPhase = 0;
+    this.creakTimer = 0;  // s to the next creak
+
+    // Crash detection
+    this.crashed = false;
+    this.lastSpeed = 0;
+
+    const start = () => {
+      this.start();
+      window.removeEventListener('keydown', start);
+      window.removeEventListener('pointerdown', start);
+    };
+    window.addEventListener('keydown', start);
+    window.addEventListener('pointerdown', start);
+  }
+
+  start() {
+    const AudioContext = window.AudioContext || window.webkitAudioContext;
+    if (this.context || !AudioContext) return;
+
+    const context = new AudioContext();
+    this.context = context;
+    for (const { id } of AUDIO_CHANNELS) {
+      this.channels[id] = context.createGain();
+      this.channels[id].connect(context.destination);
+    }
+    this.applySettings();
+
+    // Wind: brown noise through a band-pass that opens up with speed
+    this.wind = { filter: context.createBiquadFilter(), gain: context.createGain() };
+    this.wind.filter.type = 'bandpass';
+    this.wind.filter.Q.value = 0.7;
+    this.wind.gain.gain.value = 0;
+    this.createNoiseLoop().connect(this.wind.filter).connect(this.wind.gain).connect(this.channels.wind);
+
+    // Buffet: a low rumble, shuddered in update()
+    const buffetFilter = context.createBiquadFilter();
+    buffetFilter.type = 'lowpass';
+    buffetFilter.frequency.value = 140;
+    this.buffet = { gain: context.createGain() };
+    this.buffet.gain.gain.value = 0;
+    this.createNoiseLoop().connect(buffetFilter).connect(this.buffet.gain).connect(this.channels.airframe);
+
+    for (const { channel, setup } of this.sources) {
+      setup(context, this.channels[channel]);
+    }
+  }
+
+  // Endless brown noise, the raw material of the wind and the buffet
+  createNoiseLoop() {
+    const source = this.context.createBufferSource();
+    source.buffer = this.createNoiseBuffer(2, true);
+    source.loop = true;
+    source.start();
+    return source;
+  }
+
+  // White noise, or brown noise (deeper, like rushing air)
+  createNoiseBuffer(seconds, brown = false) {
+    const buffer = this.context.createBuffer(1, Math.round(this.context.sampleRate * seconds), this.context.sampleRate);
+    const data = buffer.getChannelData(0);
+    let last = 0;
+    for (let i = 0; i < data.length; i++) {
+      const white = Math.random() * 2 - 1;
+      if (brown) {
+        last = (last + 0.02 * white) / 1.02;
+        data[i] = last * 3.5;
+      } else {
+        data[i] = white;
+      }
+    }
+    return buffer;
+  }
+
+  /**
+   * Plug a sound source into a channel. Its setup runs once the audio
+   * context exists (straight away if it already does).
+   * @param {string} channel - Channel id (see AUDIO_CHANNELS)
+   * @param {Function} setup - (context, output) => void; output is the
+   *   channel's GainNode to connect to
+   */
+  connect(channel, setup) {
+    this.sources.push({ channel, setup });
+    if (this.context) setup(this.context, this.channels[channel]);
+  }
+
+  /**
+   * @param {string} channel - Channel id
+   * @returns {number} - The channel's gain (0..1), for sounds outside Web
+   *   Audio such as speech
+   */
+  getVolume(channel) {
+    return getChannelGain(this.settings, channel);
+  }
+
+  /**
+   * Change and save the settings
+   * @param {Object} settings - See normalizeAudioSettings()
+   */
+  setSettings(settings) {
+    this.settings = normalizeAudioSettings(settings);
+    saveAudioSettings(this.settings);
+    this.applySettings();
+  }
+
+  toggleMute() {
+    this.setSettings({ ...this.settings, muted: !this.settings.muted });
+  }
+
+  applySettings() {
+    if (!this.context) return;
+    for (const { id } of AUDIO_CHANNELS) {
+      this.channels[id].gain.setTargetAtTime(this.getVolume(id), this.context.currentTime, 0.02);
+    }
+  }
+
+  // New flight: nothing has crashed yet
+  reset() {
+    this.crashed = false;
+    this.lastSpeed = 0;
+  }
+
+  /**
+   * Sound the airframe for this frame
+   * @param {Glider|FlightPlayback|null} glider - Null silences it (paused, menus)
+   * @param {number} deltaTime - Frame time (s)
+   * @param {Glider} [aircraft] - Source of the never-exceed speed and wing
+   *   aerodynamics, for a FlightPlayback which has neither
+   */
+  update(glider, deltaTime, aircraft = glider) {
+    let wind = { volume: 0, frequency: 250 };
+    let buffet = 0;
+    let stress = 0;
+
+    if (glider) {
+      // The crash sound plays at the speed of the frame before: the crash zeroes the velocity
+      if (glider.crashed && !this.crashed && this.context) {
+        this.playImpact(Math.min(1, Math.max(0.3, this.lastSpeed / IMPACT_SPEED)));
+      }
+      this.crashed = glider.crashed;
+      this.lastSpeed = glider.getSpeed();
+
+      if (!glider.crashed) {
+        const angleOfAttack = glider.angleOfAttack ?? 0;
+        wind = getAirflowSound(this.lastSpeed, aircraft.maxSpeed, angleOfAttack);
+        buffet = getBuffet(angleOfAttack, aircraft.aerodynamics, Boolean(glider.stalled)) *
+          Math.min(1, this.lastSpeed / 10);
+        stress = getAirframeStress(this.lastSpeed, aircraft.maxSpeed, glider.roll ?? 0);
+      }
+    }
+
+    if (!this.context) return;
+    const now = this.context.currentTime;
+
+    this.wind.filter.frequency.setTargetAtTime(wind.frequency, now, 0.1);
+    this.wind.gain.gain.setTargetAtTime(wind.volume * 0.5, now, 0.1);
+
+    // The buffet shudders between half and full strength
+    this.buffetPhase = (this.buffetPhase + deltaTime * BUFFET_RATE) % 1;
+    const shudder = 0.5 + 0.5 * Math.sin(this.buffetPhase * Math.PI * 2);
+    this.buffet.gain.gain.setTargetAtTime(buffet * shudder * 0.8, now, 0.02);
+
+    // Creaks come more often the harder the airframe works
+    this.creakTimer -= deltaTime;
+    if (stress > 0 && this.creakTimer <= 0) {
+      this.playCreak(stress);
+      this.creakTimer = (0.4 + Math.random() * 1.2) / (0.3 + stress);
+    }
+  }
+
+  // A short groan of stressed wood and composite
+  playCreak(intensity) {
+    const context = this.context;
+    const now = context.currentTime;
+    const frequency = 70 + Math.random() * 60;
+
+    const oscillator = context.createOscillator();
+    oscillator.type = 'sawtooth';
+    oscillator.frequency.setValueAtTime(frequency, now);
+    oscillator.frequency.linearRampToValueAtTime(frequency * (0.8 + Math.random() * 0.4), now + 0.3);
+
+    const filter = context.createBiquadFilter();
+    filter.type = 'bandpass';
+    filter.frequency.value = 900;
+    filter.Q.value = 4;
+
+    const gain = context.createGain();
+    gain.gain.setValueAtTime(0, now);
+    gain.gain.linearRampToValueAtTime(0.3 * intensity, now + 0.03);
+    gain.gain.exponentialRampToValueAtTime(0.001, now + 0.35);
+
+    oscillator.connect(filter).connect(gain).connect(this.channels.airframe);
+    oscillator.start(now);
+    oscillator.stop(now + 0.4);
+  }
+
+  // A crunch of noise closing down over a second, over a low thump
+  playImpact(intensity) {
+    const context = this.context;
+    const now = context.currentTime;
+
+    const noise = context.createBufferSource();
+    noise.buffer = this.createNoiseBuffer(1.5);
+    const filter = context.createBiquadFilter();
+    filter.type = 'lowpass';
+    filter.frequency.setValueAtTime(3000, now);
+    filter.frequency.exponentialRampToValueAtTime(150, now + 1);
+    const noiseGain = context.createGain();
+    noiseGain.gain.setValueAtTime(0.8 * intensity, now);
+    noiseGain.gain.exponentialRampToValueAtTime(0.001, now + 1.4);
+    noise.connect(filter).connect(noiseGain).connect(this.channels.impact);
+    noise.start(now);
+
+    const thump = context.createOscillator();
+    thump.frequency.setValueAtTime(90, now);
+    thump.frequency.exponentialRampToValueAtTime(30, now + 0.4);
+    const thumpGain = context.createGain();
+    thumpGain.gain.setValueAtTime(intensity, now);
+    thumpGain.gain.exponentialRampToValueAtTime(0.001, now + 0.6);
+    thump.connect(thumpGain).connect(this.channels.impact);
+    thump.start(now);
+    thump.stop(now + 0.7);
+  }
+}
@@ -0,0 +1,118 @@
+import { AUDIO_CHANNELS, DEFAULT_AUDIO_SETTINGS } from './AudioEngine.js';
+
+/**
+ * Sound settings: master volume and mute, and a volume and mute for each
+ * channel. Changes go straight to the AudioEngine, which saves them.
+ */
+export class AudioSettingsPanel {
+  constructor(audio, inputManager) {
+    this.audio = audio;
+    this.inputManager = inputManager;
+
+    this.panel = document.getElementById('audio-panel');
+    this.list = document.getElementById('audio-list');
+    this.button = document.getElementById('audio-btn');
+
+    if (this.button) {
+      this.button.addEventListener('click', () => this.show());
+    }
+
+    const resetButton = document.getElementById('audio-reset');
+    if (resetButton) {
+      resetButton.addEventListener('click', () => {
+        this.audio.setSettings(DEFAULT_AUDIO_SETTINGS);
+        this.render();
+      });
+    }
+
+    const closeButton = document.getElementById('audio-close');
+    if (closeButton) {
+      closeButton.addEventListener('click', () => this.hide());
+    }
+
+    window.addEventListener('keydown', (e) => {
+      if (this.isVisible() && e.code === 'Escape') {
+        e.stopImmediatePropagation();
+        this.hide();
+      }
+    }, true);
+
+    this.updateButton();
+  }
+
+  show() {
+    if (!this.panel) return;
+    this.inputManager.setSuspended(true);
+    this.render();
+    this.panel.classList.add('visible');
+  }
+
+  hide() {
+    if (!this.panel) return;
+    this.panel.classList.remove('visible');
+    this.inputManager.setSuspended(false);
+  }
+
+  isVisible() {
+    return this.panel ? this.panel.classList.contains('visible') : false;
+  }
+
+  toggleMute() {
+    this.audio.toggleMute();
+    this.updateButton();
+    if (this.isVisible()) this.render();
+  }
+
+  updateButton() {
+    if (this.button) {
+      this.button.textContent = `Sound: ${this.audio.settings.muted ? 'Muted' : 'On'}`;
+    }
+  }
+
+  render() {
+    if (!this.list) return;
+    const settings = this.audio.settings;
+
+    this.list.innerHTML = '';
+    this.list.appendChild(this.renderRow('Master', settings, (change) => {
+      this.audio.setSettings({ ...this.audio.settings, ...change });
+      this.updateButton();
+    }));
+    for (const { id, label } of AUDIO_CHANNELS) {
+      this.list.appendChild(this.renderRow(label, settings.channels[id], (change) => {
+        const channels = { ...this.audio.settings.channels, [id]: { ...this.audio.settings.channels[id], ...change } };
+        this.audio.setSettings({ ...this.audio.settings, channels });
+      }));
+    }
+  }
+
+  // A volume slider and a mute box; onChange gets {volume} or {muted}
+  renderRow(label, { volume, muted }, onChange) {
+    const row = document.createElement('tr');
+
+    const name = document.createElement('td');
+    name.textContent = label;
+
+    const slider = document.createElement('input');
+    slider.type = 'range';
+    slider.min = '0';
+    slider.max = '1';
+    slider.step = '0.05';
+    slider.value = String(volume);
+    slider.addEventListener('input', () => onChange({ volume: Number(slider.value) }));
+    const sliderCell = document.createElement('td');
+    sliderCell.appendChild(slider);
+
+    const mute = document.createElement('input');
+    mute.type = 'checkbox';
+    mute.checked = muted;
+    mute.addEventListener('change', () => onChange({ muted: mute.checked }));
+    const muteLabel = document.createElement('label');
+    muteLabel.append(mute, ' Mute');
+    const muteCell = document.createElement('td');
+    muteCell.appendChild(muteLabel);
+
+    row.append(name, sliderCell, muteCell);
+    return row;
+  }
+}
@@ -0,0 +1,170 @@
+/**
+ * Flying area boundaries: a polygon around the part of the map that may be
+ * flown, and what happens at its edge. A map's manifest may define one in a
+ * "boundary" block, in world coordinates (meters, x east, z south):
+ *
+ * {
+ *   policy: 'soft' (the controls are taken over and turn the glider back),
+ *     'hard' (an invisible wall), 'wrap' (fly out one side, back in the
+ *     other) or 'landout' (crossing ends the flight),
+ *   points: [{x, z}, ...] or [[x, z], ...]: the polygon's corners, in order,
+ *   warningDistance: meters inside the edge where warnings start
+ * }
+ *
+ * Without one the boundary is the terrain's edge, a little inset, with the
+ * soft policy.
+ */
+
+export const BOUNDARY_POLICIES = ['soft', 'hard', 'wrap', 'landout'];
+
+const DEFAULT_WARNING_DISTANCE = 300;
+const DEFAULT_INSET = 100;  // m inside the terrain's edge
+
+/**
+ * Fill in defaults and validate a raw boundary
+ * @param {Object} json - The manifest's "boundary" block
+ * @param {string} [mapId] - For error messages
+ * @returns {{policy: string, points: Array<{x: number, z: number}>, warningDistance: number}}
+ */
+export function normalizeBoundary(json, mapId = '') {
+  const policy = json.policy || 'soft';
+  if (!BOUNDARY_POLICIES.includes(policy)) {
+    throw new Error(`Map "${mapId}" boundary policy must be one of ${BOUNDARY_POLICIES.map(p => `"${p}"`).join(', ')}`);
+  }
+  if (!Array.isArray(json.points) || json.points.length < 3) {
+    throw new Error(`Map "${mapId}" boundary needs at least three points`);
+  }
+
+  const points = json.points.map((point, i) => {
+    const [x, z] = Array.isArray(point) ? point : [point.x, point.z];
+    if (typeof x !== 'number' || typeof z !== 'number') {
+      throw new Error(`Map "${mapId}" boundary point ${i + 1} needs x and z`);
+    }
+    return { x, z };
+  });
+  if (Math.abs(getSignedArea(points)) < 1) {
+    throw new Error(`Map "${mapId}" boundary encloses no area`);
+  }
+
+  return {
+    policy,
+    points,
+    warningDistance: json.warningDistance ?? DEFAULT_WARNING_DISTANCE
+  };
+}
+
+/**
+ * The boundary of a map without one: the terrain's edge, inset
+ * @param {Object} bounds - TerrainProvider.getBounds()
+ * @returns {Object} - Normalized boundary
+ */
+export function createDefaultBoundary(bounds) {
+  const { minX, maxX, minZ, maxZ } = bounds;
+  return {
+    policy: 'soft',
+    points: [
+      { x: minX + DEFAULT_INSET, z: minZ + DEFAULT_INSET },
+      { x: maxX - DEFAULT_INSET, z: minZ + DEFAULT_INSET },
+      { x: maxX - DEFAULT_INSET, z: maxZ - DEFAULT_INSET },
+      { x: minX + DEFAULT_INSET, z: maxZ - DEFAULT_INSET }
+    ],
+    warningDistance: DEFAULT_WARNING_DISTANCE
+  };
+}
+
+/**
+ * @param {{x: number, z: number}} point
+ * @param {Array<{x: number, z: number}>} points - Polygon corners
+ * @returns {boolean}
+ */
+export function isInsidePolygon(point, points) {
+  let inside = false;
+  for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+    const a = points[i];
+    const b = points[j];
+    if ((a.z > point.z) !== (b.z > point.z) &&
+        point.x < a.x + (point.z - a.z) / (b.z - a.z) * (b.x - a.x)) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+/**
+ * The nearest point on the polygon's edge
+ * @param {{x: number, z: number}} point
+ * @param {Array<{x: number, z: number}>} points - Polygon corners
+ * @returns {{distance: number, x: number, z: number, normal: {x: number, z: number}}} -
+ *   distance is positive inside the polygon and negative outside; normal is
+ *   the unit direction from the edge into the polygon
+ */
+export function getNearestEdge(point, points) {
+  let nearest = null;
+  let nearestDistance = Infinity;
+  for (let i = 0; i < points.length; i++) {
+    const a = points[i];
+    const b = points[(i + 1) % points.length];
+    const dx = b.x - a.x;
+    const dz = b.z - a.z;
+    const t = Math.max(0, Math.min(1, ((point.x - a.x) * dx + (point.z - a.z) * dz) / (dx * dx + dz * dz)));
+    const x = a.x + dx * t;
+    const z = a.z + dz * t;
+    const distance = Math.hypot(point.x - x, point.z - z);
+    if (distance < nearestDistance) {
+      nearestDistance = distance;
+      nearest = { x, z, dx, dz };
+    }
+  }
+
+  const inside = isInsidePolygon(point, points);
+  // Perpendicular to the edge, turned to face into the polygon
+  const length = Math.hypot(nearest.dx, nearest.dz);
+  const sign = getSignedArea(points) > 0 ? 1 : -1;
+  return {
+    distance: inside ? nearestDistance : -nearestDistance,
+    x: nearest.x,
+    z: nearest.z,
+    normal: { x: -nearest.dz / length * sign, z: nearest.dx / length * sign }
+  };
+}
+
+/**
+ * Where a glider flying out of the polygon comes back in: the far side of
+ * the polygon along its line of flight
+ * @param {{x: number, z: number}} point - Just outside the polygon
+ * @param {{x: number, z: number}} direction - Unit direction of flight
+ * @param {Array<{x: number, z: number}>} points - Polygon corners
+ * @returns {{x: number, z: number}|null} - On the far edge; null if the line
+ *   misses the polygon
+ */
+export function getWrapPoint(point, direction, points) {
+  let farthest = null;
+  for (let i = 0; i < points.length; i++) {
+    const a = points[i];
+    const b = points[(i + 1) % points.length];
+    const ex = b.x - a.x;
+    const ez = b.z - a.z;
+    // Solve point - direction * s = a + edge * u for s >= 0, 0 <= u <= 1
+    const denominator = -direction.x * ez + direction.z * ex;
+    if (Math.abs(denominator) < 1e-9) continue;
+    const px = a.x - point.x;
+    const pz = a.z - point.z;
+    const s = (px * ez - pz * ex) / denominator;
+    const u = (direction.x * pz - direction.z * px) / denominator;
+    if (s >= 0 && u >= 0 && u <= 1 && (!farthest || s > farthest.s)) {
+      farthest = { s, x: point.x - direction.x * s, z: point.z - direction.z * s };
+    }
+  }
+  return farthest ? { x: farthest.x, z: farthest.z } : null;
+}
+
+// Positive when the corners run clockwise on the map (x east, z south)
+function getSignedArea(points) {
+  let area = 0;
+  for (let i = 0; i < points.length; i++) {
+    const a = points[i];
+    const b = points[(i + 1) % points.length];
+    area += a.x * b.z - b.x * a.z;
+  }
+  return area / 2;
+}
@@ -0,0 +1,151 @@
+import { getNearestEdge, getWrapPoint } from './Boundary.js';
+
+const STEER_DISTANCE = 150;     // m inside the edge where soft steering starts
+const MAX_STEER_BANK = 0.6;     // rad (~35°)
+const BANK_PER_HEADING = 1;     // rad of bank per rad of heading error
+const ROLL_GAIN = 3;            // Roll input per rad of bank error
+const WALL_MARGIN = 0.5;        // m inside a hard wall the glider is held
+const WRAP_MARGIN = 1;          // m inside the far edge a wrapped glider reappears
+const WRAP_CLEARANCE = 30;      // m above the ground a wrapped glider is kept
+
+/**
+ * Applies a map's boundary to a flight (see Boundary.js for the policies).
+ * The soft policy turns the glider back through its controls, before each
+ * tick; the others act on where the tick left it. Gliders on tow are left
+ * to the tow pilot.
+ */
+export class BoundaryEnforcer {
+  /**
+   * @param {Object} boundary - Normalized boundary (see Boundary.js)
+   */
+  constructor(boundary) {
+    this.boundary = boundary;
+    this.policy = boundary.policy;
+    this.reset();
+  }
+
+  reset() {
+    this.steering = 0;       // How much of the roll control soft steering has (0-1)
+    this.landedOut = false;  // The landout policy ended the flight
+  }
+
+  /**
+   * Soft policy: blend a roll toward the inside into the pilot's input
+   * @param {Glider} glider
+   * @param {Object} input - Control input for the tick (see Glider.step())
+   * @returns {Object} - The input to fly with
+   */
+  steer(glider, input) {
+    this.steering = 0;
+    if (this.policy !== 'soft' || !isFree(glider) || glider.onGround) return input;
+
+    const edge = getNearestEdge(glider.position, this.boundary.points);
+    const groundX = glider.velocity.x + glider.airVelocity.x;
+    const groundZ = glider.velocity.z + glider.airVelocity.z;
+    const inward = groundX * edge.normal.x + groundZ * edge.normal.z;
+    // Inside and already heading in (or along the edge): the pilot has it
+    if (edge.distance >= STEER_DISTANCE || (edge.distance > 0 && inward >= 0)) return input;
+
+    this.steering = Math.min(1, 1 - edge.distance / STEER_DISTANCE);
+    const track = Math.atan2(groundX, -groundZ);
+    const target = Math.atan2(edge.normal.x, -edge.normal.z);
+    const error = Math.atan2(Math.sin(target - track), Math.cos(target - track));
+    const bank = Math.max(-MAX_STEER_BANK, Math.min(MAX_STEER_BANK, error * BANK_PER_HEADING));
+    const roll = Math.max(-1, Math.min(1, (bank + glider.roll) * ROLL_GAIN));
+
+    return { ...input, roll: input.roll + (roll - input.roll) * this.steering };
+  }
+
+  /**
+   * Hard, wrap and landout policies: act on a glider that ended the tick outside
+   * @param {Glider} glider
+   * @returns {string|null} - 'wall', 'wrapped' or 'landout' when the boundary acted
+   */
+  enforce(glider) {
+    if (this.policy === 'soft' || !isFree(glider)) return null;
+
+    const { position } = glider;
+    const edge = getNearestEdge(position, this.boundary.points);
+    if (edge.distance >= 0) return null;
+
+    if (this.policy === 'hard') {
+      position.x = edge.x + edge.normal.x * WALL_MARGIN;
+      position.z = edge.z + edge.normal.z * WALL_MARGIN;
+      // Lose the speed into the wall, keep the speed along it
+      const ground = {
+        x: glider.velocity.x + glider.airVelocity.x,
+        z: glider.velocity.z + glider.airVelocity.z
+      };
+      const into = ground.x * edge.normal.x + ground.z * edge.normal.z;
+      if (into < 0) {
+        glider.velocity.x -= edge.normal.x * into;
+        glider.velocity.z -= edge.normal.z * into;
+      }
+      return 'wall';
+    }
+
+    if (this.policy === 'wrap') {
+      const dx = position.x - glider.previousPosition.x;
+      const dz = position.z - glider.previousPosition.z;
+      const length = Math.hypot(dx, dz);
+      const direction = length > 0 ? { x: dx / length, z: dz / length } : { x: -edge.normal.x, z: -edge.normal.z };
+      const entry = getWrapPoint(position, direction, this.boundary.points);
+      if (!entry) return null;
+
+      // Move the previous tick along too, so nothing sees a crossing of the whole map
+      const offsetX = entry.x + direction.x * WRAP_MARGIN - position.x;
+      const offsetZ = entry.z + direction.z * WRAP_MARGIN - position.z;
+      position.x += offsetX;
+      position.z += offsetZ;
+      glider.previousPosition.x += offsetX;
+      glider.previousPosition.z += offsetZ;
+      const minHeight = glider.getGroundHeight(position.x, position.z) + WRAP_CLEARANCE;
+      if (position.y < minHeight) {
+        glider.previousPosition.y += minHeight - position.y;
+        position.y = minHeight;
+      }
+      return 'wrapped';
+    }
+
+    this.landedOut = true;
+    glider.land();
+    return 'landout';
+  }
+
+  /**
+   * Distance to the edge of the flying area
+   * @param {Glider|FlightPlayback} glider
+   * @returns {number} - m, negative outside
+   */
+  getDistance(glider) {
+    return getNearestEdge(glider.renderPosition || glider.position, this.boundary.points).distance;
+  }
+
+  /**
+   * HUD warning near or past the edge
+   * @param {Glider} glider
+   * @returns {string|null}
+   */
+  getWarning(glider) {
+    if (this.landedOut) return 'Out of bounds: flight over';
+    if (!isFree(glider)) return null;
+
+    const distance = Math.round(this.getDistance(glider));
+    if (distance >= this.boundary.warningDistance) return null;
+    if (distance < 0) return 'Out of bounds: turning back';
+    if (this.steering > 0) return `Boundary ${distance} m: turning back`;
+
+    const consequence = {
+      soft: 'turn back',
+      hard: 'wall ahead',
+      wrap: 'the map wraps around',
+      landout: 'crossing ends the flight'
+    }[this.policy];
+    return `Boundary ${distance} m: ${consequence}`;
+  }
+}
+
+// Flying on its own: not on tow, not finished
+function isFree(glider) {
+  return !glider.towed && !glider.landed && !glider.crashed;
+}
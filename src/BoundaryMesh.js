@@ -0,0 +1,96 @@
+import * as THREE from 'three';
+import { getNearestEdge } from './Boundary.js';
+
+const CURTAIN_HEIGHT = 1500;  // m above the ground
+const MAX_EDGE = 50;          // m between curtain vertices, so it follows the terrain
+const MAX_OPACITY = 0.35;
+
+const COLORS = {
+  soft: 0xffb300,
+  hard: 0xe53935,
+  wrap: 0x4fc3f7,
+  landout: 0xe53935
+};
+
+/**
+ * Draws the boundary as a curtain standing on the terrain. Each side fades
+ * in as the glider comes within the boundary's warning distance of it, so
+ * the curtain only shows where it matters.
+ */
+export class BoundaryMesh {
+  /**
+   * @param {THREE.Scene} scene
+   * @param {Object} boundary - Normalized boundary (see Boundary.js)
+   * @param {TerrainProvider} terrainProvider - Ground heights for the curtain's foot
+   */
+  constructor(scene, boundary, terrainProvider) {
+    this.scene = scene;
+    this.boundary = boundary;
+    this.terrainProvider = terrainProvider;
+    this.group = new THREE.Group();
+    this.sides = [];  // {a, b, material}, one per polygon edge
+
+    const { points } = boundary;
+    points.forEach((a, i) => {
+      const b = points[(i + 1) % points.length];
+      const material = new THREE.MeshBasicMaterial({
+        color: COLORS[boundary.policy],
+        transparent: true,
+        opacity: 0,
+        side: THREE.DoubleSide,
+        depthWrite: false
+      });
+      const mesh = new THREE.Mesh(this.createCurtain(a, b), material);
+      mesh.visible = false;
+      this.group.add(mesh);
+      this.sides.push({ a, b, mesh, material });
+    });
+
+    this.scene.add(this.group);
+  }
+
+  // A strip from the ground up along one side
+  createCurtain(a, b) {
+    const steps = Math.max(1, Math.ceil(Math.hypot(b.x - a.x, b.z - a.z) / MAX_EDGE));
+    const positions = [];
+    for (let s = 0; s <= steps; s++) {
+      const x = a.x + (b.x - a.x) * s / steps;
+      const z = a.z + (b.z - a.z) * s / steps;
+      const y = this.terrainProvider.getHeightAt(x, z);
+      positions.push(x, y, z, x, y + CURTAIN_HEIGHT, z);
+    }
+    const indices = [];
+    for (let s = 0; s < steps; s++) {
+      const i = s * 2;
+      indices.push(i, i + 2, i + 1, i + 1, i + 2, i + 3);
+    }
+
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+    geometry.setIndex(indices);
+    return geometry;
+  }
+
+  /**
+   * Fade each side by the glider's distance to it
+   * @param {Glider|FlightPlayback} glider
+   */
+  update(glider) {
+    const position = glider.renderPosition;
+    const fadeDistance = this.boundary.warningDistance;
+    for (const side of this.sides) {
+      const distance = Math.abs(getNearestEdge(position, [side.a, side.b]).distance);
+      const opacity = MAX_OPACITY * Math.max(0, 1 - distance / fadeDistance);
+      side.material.opacity = opacity;
+      side.mesh.visible = opacity > 0;
+    }
+  }
+
+  dispose() {
+    this.scene.remove(this.group);
+    this.group.traverse((child) => {
+      if (child.geometry) child.geometry.dispose();
+      if (child.material) child.material.dispose();
+    });
+  }
+}
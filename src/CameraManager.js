@@ -0,0 +1,202 @@
+import * as THREE from 'three';
+import { ChaseCamera } from './ChaseCamera.js';
+import { CockpitCamera } from './CockpitCamera.js';
+import { OrbitCamera } from './OrbitCamera.js';
+import { FreeCamera } from './FreeCamera.js';
+import { TowerCamera } from './TowerCamera.js';
+import { CinematicCamera } from './CinematicCamera.js';
+
+const TRANSITION_TIME = 1;  // Seconds to blend from one mode to the next
+
+// In cycling order; the cinematic director only runs replays
+export const CAMERA_MODES = [
+  { id: 'chase', label: 'Chase camera' },
+  { id: 'cockpit', label: 'Cockpit' },
+  { id: 'orbit', label: 'Orbit camera - drag to turn, scroll to zoom' },
+  { id: 'free', label: 'Free camera - flight held; WASD, Q/E, drag to look' },
+  { id: 'tower', label: 'Tower camera' },
+  { id: 'cinematic', label: 'Cinematic camera', replayOnly: true }
+];
+
+/**
+ * Owns the camera modes and which one drives the camera. Switching modes
+ * blends smoothly from the old view to the new one. Mouse drags and the
+ * wheel go to the modes that use them (orbit, free).
+ *
+ * A mode has reset(target) to take over the camera, and update(target,
+ * deltaTime) to place it each frame; the target is the Glider or a
+ * FlightPlayback. Optional drag(dx, dy) and zoom(delta) take mouse input.
+ * showsGlider: false hides the glider's mesh, detached: true means the
+ * camera leaves the glider behind (the game holds the flight).
+ */
+export class CameraManager {
+  /**
+   * @param {THREE.PerspectiveCamera} camera
+   * @param {THREE.Scene} scene
+   * @param {HTMLElement} [domElement] - The renderer's canvas, for mouse input
+   * @param {Object} [options]
+   * @param {function(): number} [options.random] - For the cinematic director
+   * @param {Object} [options.chase] - Spring settings, see ChaseCamera
+   */
+  constructor(camera, scene, domElement = null, options = {}) {
+    this.camera = camera;
+    this.defaultFov = camera.fov;
+    this.terrainProvider = null;
+    this.heldKeys = new Set();
+
+    const getGroundHeight = (x, z) => this.terrainProvider ? this.terrainProvider.getHeightAt(x, z) : 0;
+    this.modes = {
+      chase: new ChaseCamera(camera, options.chase),
+      cockpit: new CockpitCamera(camera, scene),
+      orbit: new OrbitCamera(camera, getGroundHeight),
+      free: new FreeCamera(camera, getGroundHeight, this.heldKeys),
+      tower: new TowerCamera(camera, getGroundHeight),
+      cinematic: new CinematicCamera(camera, getGroundHeight, options)
+    };
+
+    this.modeId = 'chase';
+    this.liveModeId = 'chase';  // Returned to when a replay ends
+    this.replaying = false;
+    this.needsReset = false;    // The new mode takes over on the next update
+
+    // Blend from the pose the camera had when the mode changed
+    this.transition = 1;        // 0..1
+    this.fromPosition = new THREE.Vector3();
+    this.fromQuaternion = new THREE.Quaternion();
+    this.fromFov = camera.fov;
+
+    if (domElement) this.setupListeners(domElement);
+  }
+
+  setupListeners(domElement) {
+    let drag = null;
+    domElement.addEventListener('pointerdown', (e) => {
+      if (e.button === 0) drag = { x: e.clientX, y: e.clientY };
+    });
+    window.addEventListener('pointermove', (e) => {
+      if (!drag) return;
+      const mode = this.getMode();
+      if (mode.drag) mode.drag(e.clientX - drag.x, e.clientY - drag.y);
+      drag = { x: e.clientX, y: e.clientY };
+    });
+    window.addEventListener('pointerup', () => { drag = null; });
+
+    domElement.addEventListener('wheel', (e) => {
+      const mode = this.getMode();
+      if (!mode.zoom) return;
+      e.preventDefault();
+      mode.zoom(e.deltaY);
+    }, { passive: false });
+
+    window.addEventListener('keydown', (e) => this.heldKeys.add(e.code));
+    window.addEventListener('keyup', (e) => this.heldKeys.delete(e.code));
+    window.addEventListener('blur', () => this.heldKeys.clear());
+  }
+
+  /**
+   * Terrain and tower sites of a newly loaded stage
+   * @param {TerrainProvider} terrainProvider
+   * @param {Array<{x: number, z: number}>} sites
+   */
+  setStage(terrainProvider, sites) {
+    this.terrainProvider = terrainProvider;
+    this.modes.chase.setTerrain(terrainProvider);
+    this.modes.tower.setSites(sites);
+  }
+
+  getMode() {
+    return this.modes[this.modeId];
+  }
+
+  getLabel() {
+    return CAMERA_MODES.find(mode => mode.id === this.modeId).label;
+  }
+
+  // Modes on offer now: the cinematic director only in replays
+  getAvailableModes() {
+    return CAMERA_MODES.filter(mode => this.replaying || !mode.replayOnly).map(mode => mode.id);
+  }
+
+  // Switch to the next mode
+  cycle() {
+    const modes = this.getAvailableModes();
+    this.setMode(modes[(modes.indexOf(this.modeId) + 1) % modes.length]);
+  }
+
+  /**
+   * Switch modes, blending over from the current view
+   * @param {string} id - See CAMERA_MODES
+   */
+  setMode(id) {
+    if (id === this.modeId) return;
+    this.fromPosition.copy(this.camera.position);
+    this.fromQuaternion.copy(this.camera.quaternion);
+    this.fromFov = this.camera.fov;
+    this.transition = 0;
+    this.modeId = id;
+    this.needsReset = true;
+    if (!this.replaying) this.liveModeId = id;
+  }
+
+  /**
+   * Replays open on the cinematic director and return to the live mode after
+   * @param {boolean} replaying
+   */
+  setReplay(replaying) {
+    this.replaying = replaying;
+    this.setMode(replaying ? 'cinematic' : this.liveModeId);
+  }
+
+  /**
+   * Snap the current mode to a target, without blending (new flight, replay...)
+   * @param {Glider|FlightPlayback} target
+   */
+  reset(target) {
+    this.camera.fov = this.defaultFov;
+    this.getMode().reset(target);
+    this.camera.updateProjectionMatrix();
+    this.transition = 1;
+    this.needsReset = false;
+  }
+
+  /**
+   * Place the camera for this frame
+   * @param {Glider|FlightPlayback} target
+   * @param {number} deltaTime - Frame time (s)
+   */
+  update(target, deltaTime) {
+    const camera = this.camera;
+    const mode = this.getMode();
+
+    camera.fov = this.defaultFov;
+    if (this.needsReset) {
+      this.needsReset = false;
+      mode.reset(target);
+    } else {
+      mode.update(target, deltaTime);
+    }
+
+    if (this.transition < 1) {
+      this.transition = Math.min(1, this.transition + deltaTime / TRANSITION_TIME);
+      const blend = THREE.MathUtils.smoothstep(this.transition, 0, 1);
+      const toPosition = camera.position.clone();
+      const toQuaternion = camera.quaternion.clone();
+      camera.position.lerpVectors(this.fromPosition, toPosition, blend);
+      camera.quaternion.slerpQuaternions(this.fromQuaternion, toQuaternion, blend);
+      camera.fov = THREE.MathUtils.lerp(this.fromFov, camera.fov, blend);
+    }
+    camera.updateProjectionMatrix();
+
+    this.modes.cockpit.setPanelVisible(this.modeId === 'cockpit' && this.transition >= 1);
+  }
+
+  // The camera has left the glider; hold the flight
+  isDetached() {
+    return this.getMode().detached === true;
+  }
+
+  // False once the camera is inside the glider
+  isGliderVisible() {
+    return this.getMode().showsGlider !== false || this.transition < 1;
+  }
+}
@@ -0,0 +1,174 @@
+const WIDTH = 280;          // CSS pixels
+const HEIGHT = 170;
+const TAPE_HEIGHT = 34;
+const DIAL_RADIUS = 60;
+const PIXELS_PER_DEGREE = 3; // Heading tape and pitch ladder
+const VARIO_RANGE = 5;       // m/s at full scale
+const VARIO_SWEEP = Math.PI * 0.8;
+
+const CARDINALS = { 0: 'N', 90: 'E', 180: 'S', 270: 'W' };
+
+/**
+ * Instruments drawn on a canvas: heading tape across the top, artificial
+ * horizon and variometer dial below. Sharp on high-density screens.
+ */
+export class CanvasInstruments {
+  /**
+   * @param {HTMLCanvasElement} canvas
+   */
+  constructor(canvas) {
+    this.canvas = canvas;
+    this.context = canvas.getContext('2d');
+    canvas.style.width = `${WIDTH}px`;
+    canvas.style.height = `${HEIGHT}px`;
+  }
+
+  /**
+   * @param {Object} readings - See getFlightReadings()
+   */
+  draw(readings) {
+    const ctx = this.context;
+    const scale = window.devicePixelRatio || 1;
+    if (this.canvas.width !== WIDTH * scale) {
+      this.canvas.width = WIDTH * scale;
+      this.canvas.height = HEIGHT * scale;
+    }
+    ctx.setTransform(scale, 0, 0, scale, 0, 0);
+    ctx.clearRect(0, 0, WIDTH, HEIGHT);
+
+    const dialY = TAPE_HEIGHT + 8 + DIAL_RADIUS;
+    this.drawHeadingTape(readings.heading);
+    this.drawHorizon(70, dialY, readings.pitch, readings.bank);
+    this.drawVario(210, dialY, readings.verticalSpeed);
+  }
+
+  drawHeadingTape(heading) {
+    const ctx = this.context;
+    const degrees = heading * 180 / Math.PI;
+
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.5)';
+    ctx.fillRect(0, 0, WIDTH, TAPE_HEIGHT);
+
+    ctx.strokeStyle = '#fff';
+    ctx.fillStyle = '#fff';
+    ctx.font = '12px sans-serif';
+    ctx.textAlign = 'center';
+    ctx.lineWidth = 1;
+    const halfSpan = WIDTH / 2 / PIXELS_PER_DEGREE;
+    for (let d = Math.ceil((degrees - halfSpan) / 5) * 5; d <= degrees + halfSpan; d += 5) {
+      const x = WIDTH / 2 + (d - degrees) * PIXELS_PER_DEGREE;
+      const mark = ((d % 360) + 360) % 360;
+      ctx.beginPath();
+      ctx.moveTo(x, TAPE_HEIGHT);
+      ctx.lineTo(x, TAPE_HEIGHT - (mark % 10 === 0 ? 10 : 5));
+      ctx.stroke();
+      if (mark % 30 === 0) {
+        ctx.fillText(CARDINALS[mark] || String(mark / 10), x, 14);
+      }
+    }
+
+    // Lubber line
+    ctx.fillStyle = '#ffd54f';
+    ctx.beginPath();
+    ctx.moveTo(WIDTH / 2 - 5, TAPE_HEIGHT);
+    ctx.lineTo(WIDTH / 2 + 5, TAPE_HEIGHT);
+    ctx.lineTo(WIDTH / 2, TAPE_HEIGHT - 8);
+    ctx.fill();
+  }
+
+  drawHorizon(cx, cy, pitch, bank) {
+    const ctx = this.context;
+    const r = DIAL_RADIUS;
+
+    ctx.save();
+    ctx.beginPath();
+    ctx.arc(cx, cy, r, 0, Math.PI * 2);
+    ctx.clip();
+
+    // The world turns against the bank and drops as the nose comes up
+    ctx.translate(cx, cy);
+    ctx.rotate(-bank);
+    ctx.translate(0, pitch * 180 / Math.PI * PIXELS_PER_DEGREE);
+    ctx.fillStyle = '#3b8fd9';
+    ctx.fillRect(-r * 3, -r * 6, r * 6, r * 6);
+    ctx.fillStyle = '#8a5a2b';
+    ctx.fillRect(-r * 3, 0, r * 6, r * 6);
+
+    ctx.strokeStyle = '#fff';
+    ctx.lineWidth = 1;
+    for (let p = -30; p <= 30; p += 10) {
+      const y = -p * PIXELS_PER_DEGREE;
+      const half = p === 0 ? r * 3 : 15;
+      ctx.beginPath();
+      ctx.moveTo(-half, y);
+      ctx.lineTo(half, y);
+      ctx.stroke();
+    }
+    ctx.restore();
+
+    // Fixed aircraft symbol and bezel
+    ctx.strokeStyle = '#ffd54f';
+    ctx.lineWidth = 3;
+    ctx.beginPath();
+    ctx.moveTo(cx - 30, cy);
+    ctx.lineTo(cx - 10, cy);
+    ctx.lineTo(cx, cy + 6);
+    ctx.lineTo(cx + 10, cy);
+    ctx.lineTo(cx + 30, cy);
+    ctx.stroke();
+
+    ctx.strokeStyle = 'rgba(255, 255, 255, 0.8)';
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    ctx.arc(cx, cy, r, 0, Math.PI * 2);
+    ctx.stroke();
+  }
+
+  drawVario(cx, cy, verticalSpeed) {
+    const ctx = this.context;
+    const r = DIAL_RADIUS;
+
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+    ctx.beginPath();
+    ctx.arc(cx, cy, r, 0, Math.PI * 2);
+    ctx.fill();
+
+    // Zero at 9 o'clock, climb clockwise (canvas angles run clockwise from 3 o'clock)
+    const angleFor = (rate) => Math.PI + Math.max(-1, Math.min(1, rate / VARIO_RANGE)) * VARIO_SWEEP;
+
+    ctx.strokeStyle = '#fff';
+    ctx.fillStyle = '#fff';
+    ctx.font = '11px sans-serif';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.lineWidth = 1;
+    for (let rate = -VARIO_RANGE; rate <= VARIO_RANGE; rate++) {
+      const angle = angleFor(rate);
+      const inner = rate % VARIO_RANGE === 0 ? r - 12 : r - 7;
+      ctx.beginPath();
+      ctx.moveTo(cx + Math.cos(angle) * inner, cy + Math.sin(angle) * inner);
+      ctx.lineTo(cx + Math.cos(angle) * r, cy + Math.sin(angle) * r);
+      ctx.stroke();
+      if (rate % VARIO_RANGE === 0) {
+        ctx.fillText(String(Math.abs(rate)), cx + Math.cos(angle) * (r - 20), cy + Math.sin(angle) * (r - 20));
+      }
+    }
+
+    const angle = angleFor(verticalSpeed);
+    ctx.strokeStyle = verticalSpeed >= 0 ? '#66bb6a' : '#ef5350';
+    ctx.lineWidth = 3;
+    ctx.beginPath();
+    ctx.moveTo(cx, cy);
+    ctx.lineTo(cx + Math.cos(angle) * (r - 8), cy + Math.sin(angle) * (r - 8));
+    ctx.stroke();
+
+    ctx.font = '14px sans-serif';
+    ctx.fillStyle = '#fff';
+    ctx.fillText(`${verticalSpeed >= 0 ? '+' : ''}${verticalSpeed.toFixed(1)}`, cx + 18, cy + 24);
+    ctx.textBaseline = 'alphabetic';
+  }
+
+  setVisible(visible) {
+    this.canvas.style.display = visible ? '' : 'none';
+  }
+}
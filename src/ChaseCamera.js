@@ -1,37 +1,68 @@
 import * as THREE from 'three';
 
+// Longest spring step; slower frames are split so the spring stays stable (s)
+const MAX_STEP = 1 / 120;
+
+/**
+ * Follows behind and above the glider on damped springs, so the lag is the
+ * same at any frame rate. Stays above the terrain and, when a ridge comes
+ * between it and the glider, moves in front of the ridge to keep the glider
+ * in sight. One of the CameraManager's modes.
+ */
 export class ChaseCamera {
-  constructor(camera) {
+  /**
+   * @param {THREE.Camera} camera
+   * @param {Object} [options]
+   * @param {number} [options.stiffness] - Position spring (1/s²); higher follows tighter
+   * @param {number} [options.damping] - Position damping (1/s); 2·√stiffness is critically damped
+   * @param {number} [options.lookStiffness] - Look-at spring (1/s²)
+   * @param {number} [options.lookDamping] - Look-at damping (1/s)
+   * @param {number} [options.clearance] - Minimum height above the ground (m)
+   */
+  constructor(camera, options = {}) {
     this.camera = camera;
+    this.terrainProvider = null;
 
     // Camera offset from glider (in local space)
-    this.offset = new THREE.Vector3(0, 3, 12); // Behind and above
+    this.offset = new THREE.Vector3(0, 3, 12);
+
+    this.stiffness = options.stiffness ?? 20;
+    this.damping = options.damping ?? 2 * Math.sqrt(this.stiffness);
+    this.lookStiffness = options.lookStiffness ?? 60;
+    this.lookDamping = options.lookDamping ?? 2 * Math.sqrt(this.lookStiffness);
+    this.clearance = options.clearance ?? 3;
 
-    // Current camera position (for smoothing)
+    // Current camera position and look-at point, and how fast they move
     this.currentPosition = new THREE.Vector3();
     this.currentLookAt = new THREE.Vector3();
+    this.positionVelocity = new THREE.Vector3();
+    this.lookAtVelocity = new THREE.Vector3();
+  }
 
-    // Smoothing factor (lower = smoother/laggier)
-    this.positionLerp = 0.05;
-    this.lookAtLerp = 0.1;
-
-    // Initialize
-    this.currentPosition.copy(this.offset);
+  /**
+   * @param {TerrainProvider|null} terrainProvider - Ground to keep clear of
+   */
+  setTerrain(terrainProvider) {
+    this.terrainProvider = terrainProvider;
   }
 
   update(glider, deltaTime) {
-    // Calculate target position (offset rotated by glider orientation)
-    const targetOffset = this.offset.clone();
-    targetOffset.applyQuaternion(glider.rotation);
-    const targetPosition = glider.position.clone().add(targetOffset);
+    // Follow the interpolated render transform so the camera moves as smoothly as the mesh
+    const position = glider.renderPosition;
+    const rotation = glider.renderRotation;
+    const targetPosition = this.getTargetPosition(position, rotation);
+    const targetLookAt = this.getTargetLookAt(position, rotation);
 
-    // Calculate target look-at (slightly ahead of glider)
-    const lookAhead = glider.getForwardDirection().multiplyScalar(10);
-    const targetLookAt = glider.position.clone().add(lookAhead);
+    for (let remaining = deltaTime; remaining > 0; remaining -= MAX_STEP) {
+      const step = Math.min(remaining, MAX_STEP);
+      springTowards(this.currentPosition, this.positionVelocity, targetPosition,
+        this.stiffness, this.damping, step);
+      springTowards(this.currentLookAt, this.lookAtVelocity, targetLookAt,
+        this.lookStiffness, this.lookDamping, step);
+    }
 
-    // Smoothly interpolate camera position
-    this.currentPosition.lerp(targetPosition, this.positionLerp);
-    this.currentLookAt.lerp(targetLookAt, this.lookAtLerp);
+    // The spring lags, so check the terrain again where it ended up
+    this.keepClear(this.currentPosition, position, this.positionVelocity);
 
     // Apply to camera
     this.camera.position.copy(this.currentPosition);
@@ -39,11 +70,58 @@ export class ChaseCamera {
   }
 
   reset(glider) {
-    const targetOffset = this.offset.clone();
-    targetOffset.applyQuaternion(glider.rotation);
-    this.currentPosition.copy(glider.position).add(targetOffset);
+    this.currentPosition.copy(this.getTargetPosition(glider.position, glider.rotation));
     this.currentLookAt.copy(glider.position);
+    this.positionVelocity.set(0, 0, 0);
+    this.lookAtVelocity.set(0, 0, 0);
     this.camera.position.copy(this.currentPosition);
     this.camera.lookAt(this.currentLookAt);
   }
+
+  // Offset rotated by the glider's orientation, clear of the terrain
+  getTargetPosition(position, rotation) {
+    const target = this.offset.clone().applyQuaternion(rotation).add(position);
+    return this.keepClear(target, position);
+  }
+
+  // Slightly ahead of the glider
+  getTargetLookAt(position, rotation) {
+    return new THREE.Vector3(0, 0, -10).applyQuaternion(rotation).add(position);
+  }
+
+  /**
+   * Move a camera position out of the terrain and in front of anything
+   * hiding the glider
+   * @param {THREE.Vector3} cameraPosition - Adjusted in place
+   * @param {THREE.Vector3} gliderPosition
+   * @param {THREE.Vector3} [velocity] - Motion into the ground is stopped
+   * @returns {THREE.Vector3} - cameraPosition
+   */
+  keepClear(cameraPosition, gliderPosition, velocity = null) {
+    const terrain = this.terrainProvider;
+    if (!terrain) return cameraPosition;
+
+    // Ray march from the glider; stop short of the first ground in the way
+    const hit = terrain.intersectSegment(gliderPosition, cameraPosition);
+    if (hit !== null) {
+      const distance = gliderPosition.distanceTo(cameraPosition);
+      const t = Math.max(0, hit - this.clearance / Math.max(distance, 1e-6));
+      cameraPosition.lerpVectors(gliderPosition, cameraPosition, t);
+    }
+
+    const ground = terrain.getHeightAt(cameraPosition.x, cameraPosition.z) + this.clearance;
+    if (cameraPosition.y < ground) {
+      cameraPosition.y = ground;
+      if (velocity && velocity.y < 0) velocity.y = 0;
+    }
+    return cameraPosition;
+  }
+}
+
+// One semi-implicit Euler step of a damped spring pulling value towards target
+function springTowards(value, velocity, target, stiffness, damping, deltaTime) {
+  velocity.x += ((target.x - value.x) * stiffness - velocity.x * damping) * deltaTime;
+  velocity.y += ((target.y - value.y) * stiffness - velocity.y * damping) * deltaTime;
+  velocity.z += ((target.z - value.z) * stiffness - velocity.z * damping) * deltaTime;
+  value.addScaledVector(velocity, deltaTime);
 }
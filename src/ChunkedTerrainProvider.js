@@ -0,0 +1,255 @@
+import * as THREE from 'three';
+import { LocalTerrainProvider } from './LocalTerrainProvider.js';
+
+/**
+ * Terrain provider that splits the heightmap into square tiles.
+ * Tiles near the viewer are built at high resolution, distant ones coarser,
+ * and tiles out of range are unloaded. Each tile has a skirt hanging down
+ * from its edges to hide cracks where neighbouring LODs don't line up.
+ * getHeightAt still samples the full-resolution heightmap, so collisions
+ * don't depend on what happens to be loaded.
+ */
+export class ChunkedTerrainProvider extends LocalTerrainProvider {
+  constructor(options = {}) {
+    super(options);
+
+    // Tile size in world units (meters)
+    this.tileSize = options.tileSize || 500;
+
+    // Segments per tile side for each LOD level (0 = finest)
+    this.lodSegments = options.lodSegments || [128, 64, 32, 16];
+
+    // Distance (meters) beyond which each LOD level is dropped for the next
+    this.lodDistances = options.lodDistances || [600, 1200, 2400];
+
+    // Tiles farther than this from the viewer are unloaded
+    this.loadRadius = options.loadRadius || 4000;
+
+    // How far skirts hang below the tile edges (meters)
+    this.skirtDepth = options.skirtDepth || 50;
+
+    // Tile builds allowed per update, so streaming doesn't stall a frame
+    this.maxBuildsPerUpdate = options.maxBuildsPerUpdate || 2;
+
+    this.tiles = new Map();  // "col,row" -> { col, row, lod, mesh }
+    this.material = null;
+    this.tileColumns = 0;
+    this.tileRows = 0;
+  }
+
+  async init() {
+    // Load heightmap into canvas and extract pixel data
+    await this.loadHeightmap();
+
+    // Tiles share one material; the group is what goes in the scene
+    this.material = this.createMaterial();
+    this.mesh = new THREE.Group();
+    this.tileColumns = Math.ceil(this.terrainWidth / this.tileSize);
+    this.tileRows = Math.ceil(this.terrainDepth / this.tileSize);
+
+    this.ready = true;
+  }
+
+  /**
+   * Load, unload and re-LOD tiles around the viewer
+   * @param {THREE.Vector3} viewerPosition
+   * @param {number} [budget] - Max tiles to build this call (Infinity to build everything now)
+   */
+  update(viewerPosition, budget = this.maxBuildsPerUpdate) {
+    if (!this.ready) return;
+
+    const wanted = [];
+
+    for (let row = 0; row < this.tileRows; row++) {
+      for (let col = 0; col < this.tileColumns; col++) {
+        const key = `${col},${row}`;
+        const distance = this.getTileDistance(col, row, viewerPosition);
+        const tile = this.tiles.get(key);
+
+        if (distance > this.loadRadius) {
+          if (tile) this.unloadTile(key);
+          continue;
+        }
+
+        const lod = this.getLodForDistance(distance);
+        if (!tile || tile.lod !== lod) {
+          // Missing tiles first, then nearest first
+          wanted.push({ col, row, lod, key, priority: (tile ? 1e9 : 0) + distance });
+        }
+      }
+    }
+
+    wanted.sort((a, b) => a.priority - b.priority);
+    for (let i = 0; i < wanted.length && i < budget; i++) {
+      const { col, row, lod, key } = wanted[i];
+      if (this.tiles.has(key)) this.unloadTile(key);
+      this.loadTile(col, row, lod);
+    }
+  }
+
+  // Horizontal distance from the viewer to the nearest point of a tile
+  getTileDistance(col, row, viewerPosition) {
+    const bounds = this.getTileBounds(col, row);
+    const dx = Math.max(bounds.minX - viewerPosition.x, 0, viewerPosition.x - bounds.maxX);
+    const dz = Math.max(bounds.minZ - viewerPosition.z, 0, viewerPosition.z - bounds.maxZ);
+    return Math.sqrt(dx * dx + dz * dz);
+  }
+
+  getLodForDistance(distance) {
+    for (let lod = 0; lod < this.lodDistances.length; lod++) {
+      if (distance < this.lodDistances[lod]) return lod;
+    }
+    return this.lodSegments.length - 1;
+  }
+
+  getTileBounds(col, row) {
+    const minX = -this.terrainWidth / 2 + col * this.tileSize;
+    const minZ = -this.terrainDepth / 2 + row * this.tileSize;
+    return {
+      minX,
+      minZ,
+      // Edge tiles are clipped to the terrain
+      maxX: Math.min(minX + this.tileSize, this.terrainWidth / 2),
+      maxZ: Math.min(minZ + this.tileSize, this.terrainDepth / 2)
+    };
+  }
+
+  loadTile(col, row, lod) {
+    const geometry = this.createTileGeometry(col, row, this.lodSegments[lod]);
+    const mesh = new THREE.Mesh(geometry, this.material);
+    mesh.receiveShadow = true;
+    mesh.castShadow = false;
+    this.mesh.add(mesh);
+    this.tiles.set(`${col},${row}`, { col, row, lod, mesh });
+  }
+
+  unloadTile(key) {
+    const tile = this.tiles.get(key);
+    this.mesh.remove(tile.mesh);
+    tile.mesh.geometry.dispose();
+    this.tiles.delete(key);
+  }
+
+  /**
+   * Build a tile's grid plus a skirt around its edges
+   */
+  createTileGeometry(col, row, segments) {
+    const bounds = this.getTileBounds(col, row);
+    const gridSize = segments + 1;
+    const skirtCount = segments * 4;  // One skirt vertex per edge vertex, walking the rim
+    const vertexCount = gridSize * gridSize + skirtCount;
+
+    const positions = new Float32Array(vertexCount * 3);
+    const normals = new Float32Array(vertexCount * 3);
+    const uvs = new Float32Array(vertexCount * 2);
+    const indices = [];
+    const normal = new THREE.Vector3();
+
+    const stepX = (bounds.maxX - bounds.minX) / segments;
+    const stepZ = (bounds.maxZ - bounds.minZ) / segments;
+
+    const writeVertex = (index, x, y, z, u, v) => {
+      positions[index * 3] = x;
+      positions[index * 3 + 1] = y;
+      positions[index * 3 + 2] = z;
+      this.getNormalAt(u, v, normal);
+      normals[index * 3] = normal.x;
+      normals[index * 3 + 1] = normal.y;
+      normals[index * 3 + 2] = normal.z;
+      // Same UV layout as the single-mesh terrain: v = 1 at the north (-Z) edge
+      uvs[index * 2] = u;
+      uvs[index * 2 + 1] = 1 - v;
+    };
+
+    // Grid vertices, row by row from the north edge
+    for (let j = 0; j < gridSize; j++) {
+      for (let i = 0; i < gridSize; i++) {
+        const x = bounds.minX + i * stepX;
+        const z = bounds.minZ + j * stepZ;
+        const u = (x + this.terrainWidth / 2) / this.terrainWidth;
+        const v = (z + this.terrainDepth / 2) / this.terrainDepth;
+        writeVertex(j * gridSize + i, x, this.sampleHeightmap(u, v), z, u, v);
+      }
+    }
+
+    // Grid triangles (counter-clockwise seen from above)
+    for (let j = 0; j < segments; j++) {
+      for (let i = 0; i < segments; i++) {
+        const a = j * gridSize + i;
+        const b = a + gridSize;
+        const c = a + 1;
+        const d = b + 1;
+        indices.push(a, b, c, b, d, c);
+      }
+    }
+
+    // Walk the rim: north edge, east edge, south edge, west edge
+    const rim = [];
+    for (let i = 0; i < segments; i++) rim.push(i);
+    for (let j = 0; j < segments; j++) rim.push(j * gridSize + segments);
+    for (let i = segments; i > 0; i--) rim.push(segments * gridSize + i);
+    for (let j = segments; j > 0; j--) rim.push(j * gridSize);
+
+    const skirtStart = gridSize * gridSize;
+    rim.forEach((gridIndex, k) => {
+      const skirtIndex = skirtStart + k;
+      positions[skirtIndex * 3] = positions[gridIndex * 3];
+      positions[skirtIndex * 3 + 1] = positions[gridIndex * 3 + 1] - this.skirtDepth;
+      positions[skirtIndex * 3 + 2] = positions[gridIndex * 3 + 2];
+      normals.copyWithin(skirtIndex * 3, gridIndex * 3, gridIndex * 3 + 3);
+      uvs.copyWithin(skirtIndex * 2, gridIndex * 2, gridIndex * 2 + 2);
+    });
+
+    // Skirt quads, wound both ways so they show from either side
+    for (let k = 0; k < rim.length; k++) {
+      const next = (k + 1) % rim.length;
+      const top0 = rim[k];
+      const top1 = rim[next];
+      const bottom0 = skirtStart + k;
+      const bottom1 = skirtStart + next;
+      indices.push(top0, bottom0, top1, top1, bottom0, bottom1);
+      indices.push(top0, top1, bottom0, top1, bottom1, bottom0);
+    }
+
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+    geometry.setAttribute('normal', new THREE.BufferAttribute(normals, 3));
+    geometry.setAttribute('uv', new THREE.BufferAttribute(uvs, 2));
+    geometry.setIndex(indices);
+    geometry.computeBoundingSphere();
+    return geometry;
+  }
+
+  /**
+   * Surface normal from the source heightmap, so lighting matches across
+   * tile edges regardless of each tile's LOD
+   */
+  getNormalAt(u, v, target) {
+    const du = 1 / Math.max(this.heightDataWidth - 1, 1);
+    const dv = 1 / Math.max(this.heightDataHeight - 1, 1);
+    const dx = du * this.terrainWidth;
+    const dz = dv * this.terrainDepth;
+
+    const dhdx = (this.sampleHeightmap(u + du, v) - this.sampleHeightmap(u - du, v)) / (2 * dx);
+    const dhdz = (this.sampleHeightmap(u, v + dv) - this.sampleHeightmap(u, v - dv)) / (2 * dz);
+
+    return target.set(-dhdx, 1, -dhdz).normalize();
+  }
+
+  getLoadedTileCount() {
+    return this.tiles.size;
+  }
+
+  dispose() {
+    for (const key of [...this.tiles.keys()]) {
+      this.unloadTile(key);
+    }
+    if (this.material) {
+      if (this.material.map) {
+        this.material.map.dispose();
+      }
+      this.material.dispose();
+      this.material = null;
+    }
+  }
+}
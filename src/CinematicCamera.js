@@ -0,0 +1,127 @@
+import * as THREE from 'three';
+import { getFramingFov } from './TowerCamera.js';
+
+const CLEARANCE = 3;       // Minimum height above the ground (m)
+const JUMP_DISTANCE = 200; // A target moving this far in a frame was scrubbed: cut (m)
+
+const SHOTS = ['behind', 'side', 'flyby', 'orbit', 'high'];
+
+/**
+ * Auto-director for replays: cuts between shots every few seconds, each
+ * framed differently (behind, alongside, a fly-past, a slow orbit, from
+ * high above), and cuts straight away when the replay is scrubbed.
+ * One of the CameraManager's modes.
+ */
+export class CinematicCamera {
+  /**
+   * @param {THREE.PerspectiveCamera} camera
+   * @param {function(number, number): number} getGroundHeight - Terrain height at (x, z)
+   * @param {Object} [options]
+   * @param {function(): number} [options.random] - 0..1, for picking shots
+   */
+  constructor(camera, getGroundHeight, options = {}) {
+    this.camera = camera;
+    this.getGroundHeight = getGroundHeight;
+    this.random = options.random || Math.random;
+
+    this.shot = null;
+    this.shotTime = 0;
+    this.shotDuration = 0;
+    this.lastPosition = new THREE.Vector3();
+
+    // Per-shot state, set when the shot starts
+    this.anchor = new THREE.Vector3();   // Fixed camera spot (flyby) or offset (side, behind, high)
+    this.side = 1;
+    this.azimuth = 0;
+  }
+
+  reset(target) {
+    this.shot = null;
+    this.update(target, 0);
+  }
+
+  update(target, deltaTime) {
+    const position = target.renderPosition;
+    this.shotTime += deltaTime;
+    if (!this.shot || this.shotTime > this.shotDuration ||
+        position.distanceTo(this.lastPosition) > JUMP_DISTANCE) {
+      this.startShot(target);
+    }
+    this.lastPosition.copy(position);
+
+    const rotation = target.renderRotation;
+    const camera = this.camera;
+    const lookAt = position.clone();
+    switch (this.shot) {
+      case 'behind':
+      case 'side':
+        camera.position.copy(this.anchor).applyQuaternion(rotation).add(position);
+        if (this.shot === 'behind') {
+          lookAt.add(new THREE.Vector3(0, 0, -20).applyQuaternion(rotation));
+        }
+        break;
+      case 'high':
+        camera.position.copy(position).add(this.anchor);
+        break;
+      case 'orbit': {
+        const angle = this.azimuth + this.side * 0.15 * this.shotTime;
+        camera.position.set(
+          position.x + Math.sin(angle) * 35,
+          position.y + 7,
+          position.z + Math.cos(angle) * 35
+        );
+        break;
+      }
+      case 'flyby':
+        camera.position.copy(this.anchor);
+        camera.fov = getFramingFov(this.anchor.distanceTo(position), 20, camera.fov);
+        break;
+    }
+
+    const ground = this.getGroundHeight(camera.position.x, camera.position.z) + CLEARANCE;
+    camera.position.y = Math.max(camera.position.y, ground);
+    camera.lookAt(lookAt);
+  }
+
+  // Cut to a different shot than the last
+  startShot(target) {
+    const choices = SHOTS.filter(shot => shot !== this.shot);
+    this.shot = choices[Math.floor(this.random() * choices.length)];
+    this.shotTime = 0;
+    this.shotDuration = 5 + this.random() * 4;
+    this.side = this.random() < 0.5 ? -1 : 1;
+
+    const position = target.renderPosition;
+    const direction = new THREE.Vector3(target.velocity.x, 0, target.velocity.z);
+    const speed = direction.length();
+    if (speed < 1) {
+      direction.set(0, 0, -1).applyQuaternion(target.renderRotation).setY(0);
+    }
+    direction.normalize();
+
+    switch (this.shot) {
+      case 'behind':
+        this.anchor.set(0, 6, 30);
+        break;
+      case 'side':
+        this.anchor.set(this.side * 25, 2, -5);
+        break;
+      case 'high':
+        this.anchor.copy(direction).multiplyScalar(-80).setY(60);
+        break;
+      case 'orbit':
+        this.azimuth = this.random() * Math.PI * 2;
+        break;
+      case 'flyby': {
+        // Halfway along where the glider will be during the shot, off to one side
+        const ahead = Math.max(speed, 15) * this.shotDuration / 2;
+        this.anchor.set(
+          position.x + direction.x * ahead - direction.z * this.side * 40,
+          position.y + (this.random() - 0.5) * 30,
+          position.z + direction.z * ahead + direction.x * this.side * 40
+        );
+        break;
+      }
+    }
+  }
+}
@@ -0,0 +1,90 @@
+import * as THREE from 'three';
+
+// Pilot's eye in the glider's local space
+const EYE_OFFSET = new THREE.Vector3(0, 0.45, -0.6);
+
+// Dials on the panel: where they sit, and how a reading turns the needle
+// (radians clockwise from 12 o'clock)
+const DIALS = [
+  { id: 'airspeed', x: -0.3, angle: (glider) => Math.min(glider.getSpeedKmh(), 250) / 250 * Math.PI * 1.75 },
+  { id: 'variometer', x: 0, angle: (glider) => Math.max(-5, Math.min(5, glider.getVerticalSpeed())) / 5 * Math.PI * 0.8 - Math.PI / 2 },
+  { id: 'altimeter', x: 0.3, angle: (glider) => glider.getAltitude() / 1000 * Math.PI * 2 }
+];
+const DIAL_RADIUS = 0.1;
+
+/**
+ * First-person view from the pilot's seat, looking over an instrument panel
+ * with airspeed, variometer and altimeter dials. The glider's own mesh is
+ * hidden while inside. One of the CameraManager's modes.
+ */
+export class CockpitCamera {
+  /**
+   * @param {THREE.Camera} camera
+   * @param {THREE.Scene} scene - Holds the instrument panel
+   */
+  constructor(camera, scene) {
+    this.camera = camera;
+    this.scene = scene;
+    this.showsGlider = false;
+
+    this.panel = new THREE.Group();
+    this.needles = {};
+    this.createPanel();
+    this.panel.visible = false;
+    this.scene.add(this.panel);
+  }
+
+  createPanel() {
+    // Tilted back below the eye line, so it fills the bottom of the view
+    const board = new THREE.Group();
+    board.position.set(0, 0.2, -1.3);
+    board.rotation.x = -0.4;
+    this.panel.add(board);
+
+    const face = new THREE.Mesh(
+      new THREE.BoxGeometry(1, 0.32, 0.04),
+      new THREE.MeshBasicMaterial({ color: 0x2b2b2b })
+    );
+    face.position.z = -0.021;
+    board.add(face);
+
+    for (const dial of DIALS) {
+      const disc = new THREE.Mesh(
+        new THREE.CircleGeometry(DIAL_RADIUS, 32),
+        new THREE.MeshBasicMaterial({ color: 0x111111 })
+      );
+      disc.position.x = dial.x;
+      board.add(disc);
+
+      // The needle points up from its pivot at the dial's center
+      const needleGeometry = new THREE.BoxGeometry(0.008, DIAL_RADIUS * 0.85, 0.002);
+      needleGeometry.translate(0, DIAL_RADIUS * 0.42, 0.002);
+      const pivot = new THREE.Mesh(needleGeometry, new THREE.MeshBasicMaterial({ color: 0xffffff }));
+      pivot.position.x = dial.x;
+      board.add(pivot);
+      this.needles[dial.id] = pivot;
+    }
+  }
+
+  reset(target) {
+    this.update(target);
+  }
+
+  update(target) {
+    const position = target.renderPosition;
+    const rotation = target.renderRotation;
+
+    this.camera.position.copy(EYE_OFFSET).applyQuaternion(rotation).add(position);
+    this.camera.quaternion.copy(rotation);
+
+    this.panel.position.copy(position);
+    this.panel.quaternion.copy(rotation);
+    for (const dial of DIALS) {
+      this.needles[dial.id].rotation.z = -dial.angle(target);
+    }
+  }
+
+  setPanelVisible(visible) {
+    this.panel.visible = visible;
+  }
+}
@@ -0,0 +1,226 @@
+/**
+ * Action mapping: which keys, gamepad buttons and axes drive each control.
+ *
+ * Bindings format:
+ * {
+ *   keyboard: { action: ['KeyW', ...] },           KeyboardEvent.code values
+ *   standard: { action: [source, ...] },           pads with the browser's standard mapping
+ *   joystick: { action: [source, ...] }            everything else (flight sticks, HOTAS)
+ * }
+ * A gamepad source is {button} (analog value 0..1), {axis, direction} (one
+ * half of an axis, direction ±1) or {axis, direction, full: true} (a lever's
+ * whole travel mapped onto 0..1, e.g. a throttle used as airbrake).
+ */
+
+const STORAGE_KEY = 'flying_game.bindings';
+
+// kind 'axis': held, continuous controls; kind 'trigger': fire once per press
+export const ACTIONS = [
+  { id: 'pitchUp', label: 'Pitch up', kind: 'axis' },
+  { id: 'pitchDown', label: 'Pitch down', kind: 'axis' },
+  { id: 'rollLeft', label: 'Roll left', kind: 'axis' },
+  { id: 'rollRight', label: 'Roll right', kind: 'axis' },
+  { id: 'yawLeft', label: 'Yaw left', kind: 'axis' },
+  { id: 'yawRight', label: 'Yaw right', kind: 'axis' },
+  { id: 'airbrake', label: 'Airbrake', kind: 'axis' },
+  { id: 'flapsDown', label: 'Flaps down', kind: 'trigger' },
+  { id: 'flapsUp', label: 'Flaps up', kind: 'trigger' },
+  { id: 'releaseTow', label: 'Release tow', kind: 'trigger' },
+  { id: 'toggleDebug', label: 'Toggle debug', kind: 'trigger' },
+  { id: 'restart', label: 'Restart', kind: 'trigger' },
+  { id: 'pause', label: 'Pause', kind: 'trigger' },
+  { id: 'cycleCamera', label: 'Cycle camera', kind: 'trigger' },
+  { id: 'glideTarget', label: 'Next glide target', kind: 'trigger' },
+  { id: 'toggleMap', label: 'Toggle map', kind: 'trigger' },
+  { id: 'toggleMute', label: 'Mute sound', kind: 'trigger' }
+];
+
+export const BINDING_GROUPS = ['keyboard', 'standard', 'joystick'];
+
+export const DEFAULT_BINDINGS = {
+  keyboard: {
+    pitchUp: ['ArrowUp', 'KeyW'],
+    pitchDown: ['ArrowDown', 'KeyS'],
+    rollLeft: ['ArrowLeft', 'KeyA'],
+    rollRight: ['ArrowRight', 'KeyD'],
+    yawLeft: ['KeyQ'],
+    yawRight: ['KeyE'],
+    airbrake: ['KeyB'],
+    flapsDown: ['KeyF'],
+    flapsUp: ['KeyV'],
+    releaseTow: ['Space'],
+    toggleDebug: ['KeyG'],
+    restart: ['KeyR'],
+    pause: ['KeyP'],
+    cycleCamera: ['KeyC'],
+    glideTarget: ['KeyT'],
+    toggleMap: ['KeyM'],
+    toggleMute: ['KeyN']
+  },
+  standard: {
+    pitchUp: [{ axis: 1, direction: 1 }],     // Left stick: pull back for nose up
+    pitchDown: [{ axis: 1, direction: -1 }],
+    rollLeft: [{ axis: 0, direction: -1 }],
+    rollRight: [{ axis: 0, direction: 1 }],
+    yawLeft: [{ axis: 2, direction: -1 }],    // Right stick X
+    yawRight: [{ axis: 2, direction: 1 }],
+    airbrake: [{ button: 6 }],                // Left trigger
+    flapsDown: [{ button: 13 }],              // D-pad down
+    flapsUp: [{ button: 12 }],                // D-pad up
+    releaseTow: [{ button: 0 }],              // A / Cross
+    toggleDebug: [{ button: 8 }],             // Back / Select
+    restart: [{ button: 3 }],                 // Y / Triangle
+    pause: [{ button: 9 }],                   // Start
+    cycleCamera: [{ button: 5 }],             // Right bumper
+    glideTarget: [{ button: 4 }],             // Left bumper
+    toggleMap: [{ button: 14 }],              // D-pad left
+    toggleMute: []
+  },
+  joystick: {
+    pitchUp: [{ axis: 1, direction: 1 }],
+    pitchDown: [{ axis: 1, direction: -1 }],
+    rollLeft: [{ axis: 0, direction: -1 }],
+    rollRight: [{ axis: 0, direction: 1 }],
+    yawLeft: [{ axis: 5, direction: -1 }],    // Twist grip on most sticks
+    yawRight: [{ axis: 5, direction: 1 }],
+    airbrake: [{ axis: 2, direction: 1, full: true }],  // Throttle lever
+    flapsDown: [{ button: 4 }],
+    flapsUp: [{ button: 5 }],
+    releaseTow: [{ button: 0 }],              // Trigger
+    toggleDebug: [],
+    restart: [{ button: 2 }],
+    pause: [{ button: 3 }],
+    cycleCamera: [{ button: 1 }],
+    glideTarget: [{ button: 6 }],
+    toggleMap: [{ button: 7 }],
+    toggleMute: []
+  }
+};
+
+/**
+ * Deep copy of a bindings object
+ * @param {Object} bindings
+ * @returns {Object}
+ */
+export function cloneBindings(bindings) {
+  return JSON.parse(JSON.stringify(bindings));
+}
+
+/**
+ * Fill in defaults for groups and actions a (possibly older) bindings object
+ * lacks, and drop actions that no longer exist
+ * @param {Object} bindings
+ * @returns {Object}
+ */
+export function normalizeBindings(bindings) {
+  const result = {};
+  for (const group of BINDING_GROUPS) {
+    result[group] = {};
+    const stored = (bindings && bindings[group]) || {};
+    for (const { id } of ACTIONS) {
+      const sources = Array.isArray(stored[id]) ? stored[id] : DEFAULT_BINDINGS[group][id];
+      result[group][id] = cloneBindings(sources);
+    }
+  }
+  return result;
+}
+
+/**
+ * Load the player's bindings from localStorage
+ * @returns {Object} - Defaults if nothing (valid) is stored
+ */
+export function loadBindings() {
+  try {
+    const json = localStorage.getItem(STORAGE_KEY);
+    return normalizeBindings(json ? JSON.parse(json) : null);
+  } catch (e) {
+    console.warn('Could not load control bindings:', e);
+    return normalizeBindings(null);
+  }
+}
+
+/**
+ * Save bindings to localStorage
+ * @param {Object} bindings
+ * @returns {boolean} - False if storage is unavailable
+ */
+export function saveBindings(bindings) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(bindings));
+    return true;
+  } catch (e) {
+    console.warn('Could not save control bindings:', e);
+    return false;
+  }
+}
+
+/**
+ * Find inputs bound to more than one action
+ * @param {Object} bindings
+ * @returns {Array<{group: string, input: string, actions: Array<string>}>}
+ */
+export function findConflicts(bindings) {
+  const conflicts = [];
+
+  for (const group of BINDING_GROUPS) {
+    const users = new Map(); // input key -> action ids
+    for (const { id } of ACTIONS) {
+      for (const source of bindings[group][id]) {
+        for (const key of getInputKeys(group, source)) {
+          if (!users.has(key)) users.set(key, []);
+          if (!users.get(key).includes(id)) users.get(key).push(id);
+        }
+      }
+    }
+
+    for (const [input, actions] of users) {
+      if (actions.length > 1) {
+        conflicts.push({ group, input, actions });
+      }
+    }
+  }
+
+  return conflicts;
+}
+
+/**
+ * Physical inputs a binding occupies, as named in findConflicts();
+ * a full-travel axis uses both halves
+ * @param {string} group
+ * @param {string|Object} source
+ * @returns {Array<string>}
+ */
+export function getInputKeys(group, source) {
+  if (group === 'keyboard') return [source];
+  if (source.button !== undefined) return [`button ${source.button}`];
+  if (source.full) return [`axis ${source.axis}+`, `axis ${source.axis}-`];
+  return [`axis ${source.axis}${source.direction > 0 ? '+' : '-'}`];
+}
+
+/**
+ * Human-readable name for a binding, e.g. "W", "Arrow Up", "Button 6", "Axis 1 +"
+ * @param {string} group - 'keyboard', 'standard' or 'joystick'
+ * @param {string|Object} source
+ * @returns {string}
+ */
+export function describeBinding(group, source) {
+  if (group === 'keyboard') {
+    return source
+      .replace(/^Key/, '')
+      .replace(/^Digit/, '')
+      .replace(/([a-z])([A-Z])/g, '$1 $2');
+  }
+  if (source.button !== undefined) return `Button ${source.button}`;
+  if (source.full) return `Axis ${source.axis} (full)`;
+  return `Axis ${source.axis} ${source.direction > 0 ? '+' : '-'}`;
+}
+
+/**
+ * Does a binding refer to this input?
+ * @returns {boolean}
+ */
+export function isSameBinding(a, b) {
+  if (typeof a === 'string' || typeof b === 'string') return a === b;
+  return a.button === b.button && a.axis === b.axis &&
+    (a.axis === undefined || (a.direction === b.direction && !!a.full === !!b.full));
+}
@@ -0,0 +1,256 @@
+import * as THREE from 'three';
+import { OrbitControls } from 'three/addons/controls/OrbitControls.js';
+import { normalizeCourse, RING_DEFAULTS } from './RingCourse.js';
+import { getBearing } from './Task.js';
+
+const ROTATE_STEP = Math.PI / 12;  // 15° per rotate press
+const CLICK_TOLERANCE = 5;         // Pixels a click may move and still place a ring
+
+/**
+ * In-game ring course editor. An orbit camera looks over the terrain;
+ * clicking the terrain mesh adds a ring after the selected one, dragging a
+ * ring moves it, and the toolbar (or [ ] and Delete) rotates and removes
+ * rings. Every ring stands at the chosen height above the ground under it.
+ * Edits a copy of the course and hands it back on save.
+ */
+export class CourseEditor {
+  /**
+   * @param {THREE.Camera} camera
+   * @param {HTMLElement} domElement - The renderer's canvas
+   * @param {function(Object|null): void} onClose - Called with the edited course, or null if cancelled
+   */
+  constructor(camera, domElement, onClose) {
+    this.camera = camera;
+    this.domElement = domElement;
+    this.onClose = onClose;
+
+    this.panel = document.getElementById('course-editor');
+    this.heightInput = document.getElementById('editor-height');
+    this.countElement = document.getElementById('editor-count');
+
+    this.controls = new OrbitControls(camera, domElement);
+    this.controls.enabled = false;
+    this.controls.maxPolarAngle = Math.PI / 2 - 0.05;  // Stay above the horizon
+
+    this.raycaster = new THREE.Raycaster();
+    this.pointer = new THREE.Vector2();
+
+    this.course = null;
+    this.terrainProvider = null;
+    this.mesh = null;
+    this.selected = -1;
+    this.dragging = false;
+    this.pointerDown = null;  // Screen position of a press that may become a click
+
+    this.setupListeners();
+  }
+
+  setupListeners() {
+    const buttons = {
+      'editor-rotate-left': () => this.rotateSelected(-ROTATE_STEP),
+      'editor-rotate-right': () => this.rotateSelected(ROTATE_STEP),
+      'editor-delete': () => this.deleteSelected(),
+      'editor-clear': () => this.clear(),
+      'editor-save': () => this.hide(true),
+      'editor-cancel': () => this.hide(false)
+    };
+    for (const [id, action] of Object.entries(buttons)) {
+      const button = document.getElementById(id);
+      if (button) button.addEventListener('click', action);
+    }
+
+    if (this.heightInput) {
+      this.heightInput.addEventListener('change', () => {
+        if (this.selected < 0) return;
+        this.course.rings[this.selected].heightAboveGround = this.getHeight();
+        this.refresh();
+      });
+    }
+
+    // Capture phase, so a press on a ring stops the orbit camera before it starts turning
+    this.domElement.addEventListener('pointerdown', (e) => this.handlePointerDown(e), true);
+    this.domElement.addEventListener('pointermove', (e) => this.handlePointerMove(e));
+    this.domElement.addEventListener('pointerup', (e) => this.handlePointerUp(e));
+    window.addEventListener('keydown', (e) => this.handleKeyDown(e), true);
+  }
+
+  /**
+   * Open the editor on a course
+   * @param {Object} course - Normalized course; left untouched until saved
+   * @param {TerrainProvider} terrainProvider
+   * @param {RingCourseMesh} mesh - Draws the course being edited
+   * @param {THREE.Vector3} focus - Where the camera looks first
+   */
+  show(course, terrainProvider, mesh, focus) {
+    if (!this.panel) return;
+
+    this.course = normalizeCourse(JSON.parse(JSON.stringify(course)));
+    this.terrainProvider = terrainProvider;
+    this.mesh = mesh;
+    this.selected = -1;
+
+    this.camera.position.set(focus.x, focus.y + 400, focus.z + 600);
+    this.controls.target.copy(focus);
+    this.controls.enabled = true;
+    this.controls.update();
+
+    this.panel.classList.add('visible');
+    this.refresh();
+  }
+
+  /**
+   * Close the editor
+   * @param {boolean} save - Hand the edited course back; otherwise discard it
+   */
+  hide(save) {
+    if (!this.isVisible()) return;
+    this.controls.enabled = false;
+    this.dragging = false;
+    this.panel.classList.remove('visible');
+    this.onClose(save ? this.course : null);
+  }
+
+  isVisible() {
+    return this.panel ? this.panel.classList.contains('visible') : false;
+  }
+
+  update() {
+    this.controls.update();
+  }
+
+  // Height above ground for new rings and the selected one (m)
+  getHeight() {
+    const height = this.heightInput ? parseFloat(this.heightInput.value) : NaN;
+    return height > 0 ? height : RING_DEFAULTS.heightAboveGround;
+  }
+
+  handlePointerDown(e) {
+    if (!this.isVisible() || e.button !== 0) return;
+    this.setPointer(e);
+
+    const hit = this.raycaster.intersectObjects(this.mesh.getPickables())[0];
+    if (hit) {
+      this.select(hit.object.userData.index);
+      this.dragging = true;
+      this.controls.enabled = false;
+      return;
+    }
+    this.pointerDown = { x: e.clientX, y: e.clientY };
+  }
+
+  handlePointerMove(e) {
+    if (!this.dragging) return;
+    this.setPointer(e);
+
+    const point = this.pickTerrain();
+    if (point) {
+      const ring = this.course.rings[this.selected];
+      ring.x = point.x;
+      ring.z = point.z;
+      this.refresh();
+    }
+  }
+
+  handlePointerUp(e) {
+    if (!this.isVisible()) return;
+    if (this.dragging) {
+      this.dragging = false;
+      this.controls.enabled = true;
+      return;
+    }
+
+    const down = this.pointerDown;
+    this.pointerDown = null;
+    if (!down || Math.hypot(e.clientX - down.x, e.clientY - down.y) > CLICK_TOLERANCE) return;
+
+    this.setPointer(e);
+    const point = this.pickTerrain();
+    if (point) this.addRing(point);
+  }
+
+  handleKeyDown(e) {
+    if (!this.isVisible() || e.target instanceof HTMLInputElement) return;
+
+    const actions = {
+      BracketLeft: () => this.rotateSelected(-ROTATE_STEP),
+      BracketRight: () => this.rotateSelected(ROTATE_STEP),
+      Delete: () => this.deleteSelected(),
+      Backspace: () => this.deleteSelected(),
+      Escape: () => this.hide(false)
+    };
+    if (actions[e.code]) {
+      e.preventDefault();
+      e.stopPropagation();
+      actions[e.code]();
+    }
+  }
+
+  setPointer(e) {
+    const rect = this.domElement.getBoundingClientRect();
+    this.pointer.set(
+      (e.clientX - rect.left) / rect.width * 2 - 1,
+      -(e.clientY - rect.top) / rect.height * 2 + 1
+    );
+    this.raycaster.setFromCamera(this.pointer, this.camera);
+  }
+
+  // Where the pointer ray meets the terrain mesh, or null
+  pickTerrain() {
+    const hit = this.raycaster.intersectObject(this.terrainProvider.getMesh(), true)[0];
+    return hit ? hit.point : null;
+  }
+
+  // Insert after the selected ring (or at the end), facing on from the ring before it
+  addRing(point) {
+    const rings = this.course.rings;
+    const index = this.selected >= 0 ? this.selected + 1 : rings.length;
+    const previous = rings[index - 1] || this.camera.position;
+
+    rings.splice(index, 0, {
+      ...RING_DEFAULTS,
+      x: point.x,
+      z: point.z,
+      heightAboveGround: this.getHeight(),
+      heading: getBearing(previous, point)
+    });
+    this.select(index);
+  }
+
+  rotateSelected(angle) {
+    if (this.selected < 0) return;
+    const ring = this.course.rings[this.selected];
+    ring.heading = (ring.heading + angle + Math.PI * 2) % (Math.PI * 2);
+    this.refresh();
+  }
+
+  deleteSelected() {
+    if (this.selected < 0) return;
+    this.course.rings.splice(this.selected, 1);
+    this.select(Math.min(this.selected, this.course.rings.length - 1));
+  }
+
+  clear() {
+    this.course.rings = [];
+    this.select(-1);
+  }
+
+  select(index) {
+    this.selected = index;
+    if (index >= 0 && this.heightInput) {
+      this.heightInput.value = this.course.rings[index].heightAboveGround;
+    }
+    this.refresh();
+  }
+
+  refresh() {
+    this.mesh.setCourse(this.course);
+    this.mesh.update(null, this.selected);
+
+    if (this.countElement) {
+      const count = this.course.rings.length;
+      this.countElement.textContent = count < 2
+        ? `${count} ring${count === 1 ? '' : 's'} (a time trial needs 2)`
+        : `${count} rings`;
+    }
+  }
+}
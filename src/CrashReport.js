@@ -0,0 +1,189 @@
+import * as THREE from 'three';
+import { LANDING_LIMITS } from './Landing.js';
+import { ALERTS } from './GroundProximity.js';
+
+const PATH_SECONDS = 10;  // Flight path shown before the impact
+
+/**
+ * How a flight ended in the terrain: the impact, the ground that was hit,
+ * the last seconds of the flight path over the terrain beneath it, and the
+ * warning the ground proximity system gave
+ * @param {Object} flight - Recorded flight (see FlightRecorder)
+ * @param {Glider} glider - The crashed glider
+ * @param {TerrainProvider} terrainProvider
+ * @param {{alert: string, warning: number}|null} [warning] - See
+ *   GroundProximityWarning.getWarningBefore()
+ * @returns {Object} - {reason, impactSpeed (m/s), flightPathAngle,
+ *   surfaceAngle, slope, bank (rad), stalled, warning, terrainRise (m over
+ *   the path), path: [{time (s before impact, negative), x, y, z, ground}], advice}
+ */
+export function analyzeCrash(flight, glider, terrainProvider, warning = null) {
+  const touchdown = glider.touchdown || { verticalSpeed: 0, speed: 0, slope: 0, bank: 0, reason: 'Crashed' };
+  const end = flight.duration;
+  const path = flight.snapshots
+    .filter(snapshot => snapshot[0] >= end - PATH_SECONDS)
+    .map(([time, x, y, z]) => ({ time: time - end, x, y, z, ground: terrainProvider.getHeightAt(x, z) }));
+
+  // The angle the path met the surface at, from the last stretch of it
+  const flightPathAngle = Math.atan2(touchdown.verticalSpeed, touchdown.speed);
+  let surfaceAngle = flightPathAngle;
+  if (path.length >= 2) {
+    const a = path[path.length - 2];
+    const b = path[path.length - 1];
+    const direction = new THREE.Vector3(b.x - a.x, b.y - a.y, b.z - a.z);
+    const normal = terrainProvider.getSurfaceNormal(b.x, b.z, new THREE.Vector3());
+    if (direction.lengthSq() > 0) {
+      surfaceAngle = Math.asin(Math.max(-1, Math.min(1, -direction.normalize().dot(normal))));
+    }
+  }
+
+  const report = {
+    reason: touchdown.reason,
+    impactSpeed: Math.hypot(touchdown.speed, touchdown.verticalSpeed),
+    flightPathAngle,
+    surfaceAngle,
+    slope: touchdown.slope,
+    bank: Math.abs(touchdown.bank),
+    stalled: Boolean(glider.stalled),
+    warning,
+    terrainRise: path.length > 0 ? path[path.length - 1].ground - path[0].ground : 0,
+    path
+  };
+  report.advice = getCrashAdvice(report, glider.landingLimits);
+  return report;
+}
+
+/**
+ * One line on what to do differently
+ * @param {Object} report - See analyzeCrash()
+ * @param {Object} [limits] - Landing limits (see Landing.js)
+ * @returns {string}
+ */
+export function getCrashAdvice(report, limits = LANDING_LIMITS) {
+  if (report.stalled) {
+    return 'The wing stalled before impact: keep your speed up near the ground.';
+  }
+  if (report.slope > limits.maxSlope && report.terrainRise > 20) {
+    return 'The terrain rose into your path: turn away from rising ground early, or climb before crossing it.';
+  }
+  if (report.slope > limits.maxSlope) {
+    return 'That slope is too steep to land on: pick flat ground and line up into the wind.';
+  }
+  if (report.bank > limits.maxBank) {
+    return 'Level the wings before touching down.';
+  }
+  if (report.flightPathAngle > 0.35) {
+    return 'The descent was far too steep: pull up, and flare just above the ground.';
+  }
+  return 'Touch down slower and flatter: flare just above the ground.';
+}
+
+/**
+ * Lines of text for the game-over screen
+ * @param {Object} report - See analyzeCrash()
+ * @returns {Array<string>}
+ */
+export function describeCrash(report) {
+  const degrees = (angle) => `${Math.round(angle * 180 / Math.PI)}°`;
+  const lines = [
+    `Impact at ${Math.round(report.impactSpeed * 3.6)} km/h, ${degrees(report.flightPathAngle)} below the horizon, ` +
+      `${degrees(report.surfaceAngle)} into the surface`,
+    `Terrain: ${degrees(report.slope)} slope` +
+      (Math.abs(report.terrainRise) >= 10
+        ? `, ${report.terrainRise > 0 ? 'rose' : 'fell'} ${Math.round(Math.abs(report.terrainRise))} m under the last ${PATH_SECONDS} s`
+        : '')
+  ];
+  lines.push(report.warning
+    ? `Warning: ${ALERTS[report.warning.alert].label} ${report.warning.warning.toFixed(1)} s before impact`
+    : 'No terrain warning before impact');
+  lines.push(report.advice);
+  return lines;
+}
+
+/**
+ * Shows a crash report on the game-over screen: the description and a side
+ * view of the last seconds of the flight over the terrain beneath it
+ */
+export class CrashReportPanel {
+  constructor() {
+    this.element = document.getElementById('crash-report');
+    this.listElement = document.getElementById('crash-details');
+    this.canvas = document.getElementById('crash-profile');
+  }
+
+  /**
+   * @param {Object|null} report - See analyzeCrash(); null hides the panel
+   */
+  show(report) {
+    if (!this.element) return;
+    this.element.style.display = report ? '' : 'none';
+    if (!report) return;
+
+    this.listElement.innerHTML = '';
+    for (const line of describeCrash(report)) {
+      const item = document.createElement('li');
+      item.textContent = line;
+      this.listElement.appendChild(item);
+    }
+    if (this.canvas && report.path.length >= 2) this.drawProfile(report);
+  }
+
+  // Height against time: the glider's path in white over the ground beneath it
+  drawProfile(report) {
+    const ctx = this.canvas.getContext('2d');
+    if (!ctx) return;
+    const ratio = window.devicePixelRatio || 1;
+    const width = this.canvas.clientWidth || 420;
+    const height = this.canvas.clientHeight || 140;
+    this.canvas.width = Math.round(width * ratio);
+    this.canvas.height = Math.round(height * ratio);
+    ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+    ctx.clearRect(0, 0, width, height);
+
+    const { path } = report;
+    const start = path[0].time;
+    const low = Math.min(...path.map(p => Math.min(p.y, p.ground))) - 20;
+    const high = Math.max(...path.map(p => Math.max(p.y, p.ground))) + 20;
+    const toX = (time) => (time - start) / -start * (width - 20) + 10;
+    const toY = (y) => height - 10 - (y - low) / (high - low) * (height - 20);
+
+    // Ground
+    ctx.fillStyle = '#8d6e63';
+    ctx.beginPath();
+    ctx.moveTo(toX(start), height);
+    for (const point of path) ctx.lineTo(toX(point.time), toY(point.ground));
+    ctx.lineTo(toX(0), height);
+    ctx.closePath();
+    ctx.fill();
+
+    // When the warning began
+    if (report.warning && report.warning.warning <= -start) {
+      const x = toX(-report.warning.warning);
+      ctx.strokeStyle = report.warning.alert === 'pullUp' ? '#ef5350' : '#ffb300';
+      ctx.setLineDash([4, 4]);
+      ctx.beginPath();
+      ctx.moveTo(x, 0);
+      ctx.lineTo(x, height);
+      ctx.stroke();
+      ctx.setLineDash([]);
+    }
+
+    // Flight path and the impact
+    ctx.strokeStyle = '#ffffff';
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    path.forEach((point, i) => (i === 0 ? ctx.moveTo(toX(point.time), toY(point.y)) : ctx.lineTo(toX(point.time), toY(point.y))));
+    ctx.stroke();
+
+    const impact = path[path.length - 1];
+    ctx.fillStyle = '#ff4444';
+    ctx.beginPath();
+    ctx.arc(toX(impact.time), toY(impact.y), 5, 0, Math.PI * 2);
+    ctx.fill();
+
+    ctx.fillStyle = 'rgba(255, 255, 255, 0.7)';
+    ctx.font = '11px sans-serif';
+    ctx.fillText(`${Math.round(start)} s`, 4, 12);
+    ctx.fillText('impact', width - 42, 12);
+  }
+}
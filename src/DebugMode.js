@@ -13,6 +13,7 @@ export class DebugMode {
       velocity: document.getElementById('debug-velocity'),
       lift: document.getElementById('debug-lift'),
       aoa: document.getElementById('debug-aoa'),
+      air: document.getElementById('debug-air'),
       fps: document.getElementById('debug-fps')
     };
 
@@ -24,13 +25,6 @@ export class DebugMode {
     // Debug visualization objects
     this.velocityArrow = null;
     this.liftArrow = null;
-
-    // Setup keyboard toggle
-    window.addEventListener('keydown', (e) => {
-      if (e.code === 'KeyG') {
-        this.toggle();
-      }
-    });
   }
 
   toggle() {
@@ -114,13 +108,17 @@ export class DebugMode {
     if (this.elements.aoa) {
       this.elements.aoa.textContent = glider.debugAoA.toFixed(1) + '°';
     }
+    if (this.elements.air) {
+      const a = glider.airVelocity;
+      this.elements.air.textContent = `${a.x.toFixed(1)}, ${a.y.toFixed(1)}, ${a.z.toFixed(1)}`;
+    }
     if (this.elements.fps) {
       this.elements.fps.textContent = this.currentFps;
     }
 
     // Update debug arrows
     if (this.velocityArrow) {
-      this.velocityArrow.position.copy(glider.position);
+      this.velocityArrow.position.copy(glider.renderPosition);
       const velDir = glider.velocity.clone().normalize();
       const velLen = glider.getSpeed() / 5;
       this.velocityArrow.setDirection(velDir);
@@ -128,9 +126,9 @@ export class DebugMode {
     }
 
     if (this.liftArrow) {
-      this.liftArrow.position.copy(glider.position);
+      this.liftArrow.position.copy(glider.renderPosition);
       const liftDir = new THREE.Vector3(0, 1, 0);
-      liftDir.applyQuaternion(glider.rotation);
+      liftDir.applyQuaternion(glider.renderRotation);
       const liftLen = glider.debugLift / 2;
       this.liftArrow.setDirection(liftDir);
       this.liftArrow.setLength(Math.max(liftLen, 0.1), liftLen * 0.2, liftLen * 0.1);
@@ -0,0 +1,69 @@
+const PIXELS_PER_DEGREE = 3;  // Heading tape and pitch
+const VARIO_RANGE = 5;        // m/s at full scale
+
+const CARDINALS = { 0: 'N', 90: 'E', 180: 'S', 270: 'W' };
+
+/**
+ * Instruments built from plain elements moved with CSS transforms: the same
+ * heading tape, artificial horizon and variometer as CanvasInstruments, for
+ * devices where redrawing a canvas every frame is too slow.
+ */
+export class DomInstruments {
+  /**
+   * @param {HTMLElement} container - Holds the #dom-heading-strip, #dom-horizon,
+   *   #dom-vario-bar and #dom-vario-value elements
+   */
+  constructor(container) {
+    this.container = container;
+    this.headingStrip = document.getElementById('dom-heading-strip');
+    this.horizon = document.getElementById('dom-horizon');
+    this.varioBar = document.getElementById('dom-vario-bar');
+    this.varioValue = document.getElementById('dom-vario-value');
+
+    this.createHeadingStrip();
+  }
+
+  // Labels every 30° for one and a half turns either side, so any heading has some on screen
+  createHeadingStrip() {
+    if (!this.headingStrip) return;
+    for (let d = -540; d <= 540; d += 30) {
+      const mark = ((d % 360) + 360) % 360;
+      const label = document.createElement('span');
+      label.textContent = CARDINALS[mark] || String(mark / 10);
+      label.style.left = `${(d + 540) * PIXELS_PER_DEGREE}px`;
+      this.headingStrip.appendChild(label);
+    }
+  }
+
+  /**
+   * @param {Object} readings - See getFlightReadings()
+   */
+  draw(readings) {
+    if (this.headingStrip) {
+      const degrees = readings.heading * 180 / Math.PI;
+      const offset = (degrees + 540) * PIXELS_PER_DEGREE - this.headingStrip.parentElement.clientWidth / 2;
+      this.headingStrip.style.transform = `translateX(${-offset}px)`;
+    }
+
+    if (this.horizon) {
+      const pitch = readings.pitch * 180 / Math.PI * PIXELS_PER_DEGREE;
+      this.horizon.style.transform =
+        `translate(-50%, -50%) rotate(${-readings.bank}rad) translateY(${pitch}px)`;
+    }
+
+    if (this.varioBar) {
+      const fraction = Math.max(-1, Math.min(1, readings.verticalSpeed / VARIO_RANGE));
+      this.varioBar.style.height = `${Math.abs(fraction) * 50}%`;
+      this.varioBar.style.bottom = fraction >= 0 ? '50%' : `${50 - Math.abs(fraction) * 50}%`;
+      this.varioBar.classList.toggle('sink', fraction < 0);
+    }
+    if (this.varioValue) {
+      const rate = readings.verticalSpeed;
+      this.varioValue.textContent = `${rate >= 0 ? '+' : ''}${rate.toFixed(1)}`;
+    }
+  }
+
+  setVisible(visible) {
+    this.container.style.display = visible ? '' : 'none';
+  }
+}
@@ -0,0 +1,37 @@
+/**
+ * Fixed-timestep accumulator.
+ * Render frames of any length are turned into a whole number of equal
+ * simulation ticks; the leftover fraction is returned for interpolation.
+ */
+export class FixedTimestep {
+  constructor(options = {}) {
+    this.timestep = options.timestep || 1 / 60;      // Seconds per tick
+    this.maxFrameTime = options.maxFrameTime || 0.25; // Drop time after long stalls (tab switch)
+
+    this.accumulator = 0;
+    this.tickCount = 0;
+  }
+
+  /**
+   * Run as many ticks as the elapsed frame time allows
+   * @param {number} frameTime - Real seconds since the last frame
+   * @param {(timestep: number, tick: number) => void} onTick - Called once per tick
+   * @returns {number} - Interpolation alpha (0-1) between the last two ticks
+   */
+  advance(frameTime, onTick) {
+    this.accumulator += Math.min(frameTime, this.maxFrameTime);
+
+    while (this.accumulator >= this.timestep) {
+      onTick(this.timestep, this.tickCount);
+      this.tickCount++;
+      this.accumulator -= this.timestep;
+    }
+
+    return this.accumulator / this.timestep;
+  }
+
+  reset() {
+    this.accumulator = 0;
+    this.tickCount = 0;
+  }
+}
@@ -0,0 +1,147 @@
+import * as THREE from 'three';
+
+/**
+ * Plays back a recorded flight (see FlightRecorder) with pause, scrubbing
+ * and variable speed. Exposes the same read-only surface as Glider
+ * (renderPosition, renderRotation, getSpeedKmh, ...) so the mesh, camera
+ * and HUD can follow it unchanged.
+ */
+export class FlightPlayback {
+  constructor(flight) {
+    this.flight = flight;
+    this.snapshots = flight.snapshots;
+
+    this.time = 0;
+    this.speed = 1;
+    this.playing = true;
+
+    // Glider-like state at the current playback time
+    this.position = new THREE.Vector3();
+    this.rotation = new THREE.Quaternion();
+    this.velocity = new THREE.Vector3();
+    this.verticalSpeed = 0;
+    this.renderPosition = this.position;
+    this.renderRotation = this.rotation;
+    this.crashed = false;
+
+    // Scratch values for interpolation
+    this.rotationA = new THREE.Quaternion();
+    this.rotationB = new THREE.Quaternion();
+
+    this.seek(0);
+  }
+
+  getDuration() {
+    const last = this.snapshots[this.snapshots.length - 1];
+    return last ? last[0] : 0;
+  }
+
+  /**
+   * Advance playback by real elapsed time
+   * @param {number} deltaTime - Seconds since the last frame
+   */
+  update(deltaTime) {
+    if (!this.playing) return;
+
+    this.seek(this.time + deltaTime * this.speed);
+
+    // Pause at the end so the final moment can be inspected
+    if (this.time >= this.getDuration()) {
+      this.playing = false;
+    }
+  }
+
+  /**
+   * Jump to a point in the flight
+   * @param {number} time - Seconds since the start of the flight
+   */
+  seek(time) {
+    this.time = Math.max(0, Math.min(time, this.getDuration()));
+    this.sample(this.time);
+  }
+
+  play() {
+    // Restart from the beginning if we're at the end
+    if (this.time >= this.getDuration()) {
+      this.seek(0);
+    }
+    this.playing = true;
+  }
+
+  pause() {
+    this.playing = false;
+  }
+
+  togglePause() {
+    if (this.playing) {
+      this.pause();
+    } else {
+      this.play();
+    }
+  }
+
+  setSpeed(speed) {
+    this.speed = speed;
+  }
+
+  // Interpolate the recorded snapshots at a given time
+  sample(time) {
+    const snapshots = this.snapshots;
+    if (snapshots.length === 0) return;
+
+    // Binary search for the last snapshot at or before time
+    let low = 0;
+    let high = snapshots.length - 1;
+    while (low < high) {
+      const mid = (low + high + 1) >> 1;
+      if (snapshots[mid][0] <= time) {
+        low = mid;
+      } else {
+        high = mid - 1;
+      }
+    }
+
+    const a = snapshots[low];
+    const b = snapshots[Math.min(low + 1, snapshots.length - 1)];
+    const span = b[0] - a[0];
+    const t = span > 0 ? (time - a[0]) / span : 0;
+
+    this.position.set(
+      THREE.MathUtils.lerp(a[1], b[1], t),
+      THREE.MathUtils.lerp(a[2], b[2], t),
+      THREE.MathUtils.lerp(a[3], b[3], t)
+    );
+    this.rotationA.set(a[4], a[5], a[6], a[7]).normalize();
+    this.rotationB.set(b[4], b[5], b[6], b[7]).normalize();
+    this.rotation.slerpQuaternions(this.rotationA, this.rotationB, t);
+    this.velocity.set(
+      THREE.MathUtils.lerp(a[8], b[8], t),
+      THREE.MathUtils.lerp(a[9], b[9], t),
+      THREE.MathUtils.lerp(a[10], b[10], t)
+    );
+
+    // Climb rate over the ground (velocity is recorded relative to the air)
+    this.verticalSpeed = span > 0 ? (b[2] - a[2]) / span : 0;
+
+    this.crashed = this.flight.outcome === 'crashed' && time >= this.getDuration();
+  }
+
+  // Already sampled at the playback time; nothing to blend
+  interpolate() {}
+
+  getSpeed() {
+    return this.velocity.length();
+  }
+
+  getSpeedKmh() {
+    return this.getSpeed() * 3.6;
+  }
+
+  getAltitude() {
+    return this.position.y;
+  }
+
+  getVerticalSpeed() {
+    return this.verticalSpeed;
+  }
+}
@@ -0,0 +1,139 @@
+const STORAGE_PREFIX = 'flying_game.flight.';
+
+/**
+ * Records a flight tick by tick: the control input of every tick plus
+ * periodic snapshots of the glider state for replay.
+ *
+ * Recorded flight format:
+ * {
+ *   version, timestep, snapshotInterval, startedAt, duration,
+ *   outcome ('flying', 'stopped', 'crashed' or 'landed'),
+ *   touchdown: evaluation of the final touchdown (see Landing), or null
+ *   inputs: [[pitch, roll, yaw, airbrake, flaps], ...] one per tick (version 1: [pitch, roll])
+ *   snapshots: [[time, px, py, pz, qx, qy, qz, qw, vx, vy, vz], ...]
+ * }
+ */
+export class FlightRecorder {
+  constructor(options = {}) {
+    this.timestep = options.timestep || 1 / 60;
+    this.snapshotInterval = options.snapshotInterval || 3; // Ticks between snapshots (20 Hz)
+
+    this.flight = null;
+    this.recording = false;
+    this.tickCount = 0;
+  }
+
+  /**
+   * Start a new recording from the glider's current state
+   * @param {Glider} glider
+   */
+  start(glider) {
+    this.flight = {
+      version: 2,
+      timestep: this.timestep,
+      snapshotInterval: this.snapshotInterval,
+      startedAt: new Date().toISOString(),
+      duration: 0,
+      outcome: 'flying',
+      touchdown: null,
+      inputs: [],
+      snapshots: [createSnapshot(glider)]
+    };
+    this.recording = true;
+    this.tickCount = 0;
+  }
+
+  /**
+   * Record one simulation tick (call after the glider has stepped)
+   * @param {Object} input - Input used for this tick (see Glider.step)
+   * @param {Glider} glider - Glider state after the tick
+   */
+  record(input, glider) {
+    if (!this.recording) return;
+
+    this.flight.inputs.push([
+      round(input.pitch, 3),
+      round(input.roll, 3),
+      round(input.yaw || 0, 3),
+      round(input.airbrake || 0, 3),
+      input.flaps || 0
+    ]);
+    this.tickCount++;
+    this.flight.duration = glider.flightTime;
+
+    const ended = glider.crashed || glider.landed;
+    if (this.tickCount % this.snapshotInterval === 0 || ended) {
+      this.flight.snapshots.push(createSnapshot(glider));
+    }
+
+    if (ended) {
+      this.flight.touchdown = glider.touchdown;
+      this.stop(glider.crashed ? 'crashed' : 'landed');
+    }
+  }
+
+  /**
+   * Stop recording
+   * @param {string} outcome - How the flight ended
+   * @returns {Object|null} - The recorded flight
+   */
+  stop(outcome = 'stopped') {
+    if (this.recording) {
+      this.recording = false;
+      this.flight.outcome = outcome;
+    }
+    return this.flight;
+  }
+
+  getFlight() {
+    return this.flight;
+  }
+}
+
+/**
+ * Save a recorded flight to localStorage
+ * @param {string} name - Slot name (e.g. 'last', 'best')
+ * @param {Object} flight
+ * @returns {boolean} - False if storage is unavailable or full
+ */
+export function saveFlight(name, flight) {
+  try {
+    localStorage.setItem(STORAGE_PREFIX + name, JSON.stringify(flight));
+    return true;
+  } catch (e) {
+    console.warn(`Could not save flight "${name}":`, e);
+    return false;
+  }
+}
+
+/**
+ * Load a recorded flight from localStorage
+ * @param {string} name - Slot name
+ * @returns {Object|null}
+ */
+export function loadFlight(name) {
+  try {
+    const json = localStorage.getItem(STORAGE_PREFIX + name);
+    return json ? JSON.parse(json) : null;
+  } catch (e) {
+    console.warn(`Could not load flight "${name}":`, e);
+    return null;
+  }
+}
+
+function createSnapshot(glider) {
+  const p = glider.position;
+  const q = glider.rotation;
+  const v = glider.velocity;
+  return [
+    round(glider.flightTime, 3),
+    round(p.x, 2), round(p.y, 2), round(p.z, 2),
+    round(q.x, 5), round(q.y, 5), round(q.z, 5), round(q.w, 5),
+    round(v.x, 2), round(v.y, 2), round(v.z, 2)
+  ];
+}
+
+function round(value, decimals) {
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+}
@@ -0,0 +1,50 @@
+import * as THREE from 'three';
+
+/**
+ * A flight path drawn as a 3D line over the terrain,
+ * with a faint curtain dropped to the ground so height above terrain reads at a glance.
+ */
+export class FlightTrack {
+  /**
+   * @param {THREE.Scene} scene
+   * @param {Array<{x: number, y: number, z: number}>} points - Local coordinates
+   * @param {Object} [options]
+   * @param {number} [options.color]
+   * @param {TerrainProvider} [options.terrainProvider] - Enables the ground curtain
+   */
+  constructor(scene, points, options = {}) {
+    this.scene = scene;
+    this.group = new THREE.Group();
+
+    const color = options.color ?? 0xffaa00;
+    const vertices = points.map(p => new THREE.Vector3(p.x, p.y, p.z));
+
+    // The track itself
+    const lineGeometry = new THREE.BufferGeometry().setFromPoints(vertices);
+    const lineMaterial = new THREE.LineBasicMaterial({ color });
+    this.group.add(new THREE.Line(lineGeometry, lineMaterial));
+
+    // Vertical drop lines to the terrain every few points
+    if (options.terrainProvider) {
+      const dropVertices = [];
+      for (let i = 0; i < vertices.length; i += 5) {
+        const v = vertices[i];
+        const ground = options.terrainProvider.getHeightAt(v.x, v.z);
+        dropVertices.push(v, new THREE.Vector3(v.x, ground, v.z));
+      }
+      const dropGeometry = new THREE.BufferGeometry().setFromPoints(dropVertices);
+      const dropMaterial = new THREE.LineBasicMaterial({ color, transparent: true, opacity: 0.25 });
+      this.group.add(new THREE.LineSegments(dropGeometry, dropMaterial));
+    }
+
+    this.scene.add(this.group);
+  }
+
+  dispose() {
+    this.scene.remove(this.group);
+    this.group.traverse((child) => {
+      if (child.geometry) child.geometry.dispose();
+      if (child.material) child.material.dispose();
+    });
+  }
+}
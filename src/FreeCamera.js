@@ -0,0 +1,85 @@
+import * as THREE from 'three';
+
+const CLEARANCE = 2;       // Minimum height above the ground (m)
+const FAST_MULTIPLIER = 4; // While Shift is held
+
+// KeyboardEvent.code -> direction in camera space
+const MOVE_KEYS = {
+  KeyW: [0, 0, -1],
+  ArrowUp: [0, 0, -1],
+  KeyS: [0, 0, 1],
+  ArrowDown: [0, 0, 1],
+  KeyA: [-1, 0, 0],
+  ArrowLeft: [-1, 0, 0],
+  KeyD: [1, 0, 0],
+  ArrowRight: [1, 0, 0],
+  KeyE: [0, 1, 0],
+  KeyQ: [0, -1, 0]
+};
+
+/**
+ * Detached camera for scouting the terrain: drag the mouse to look around,
+ * WASD or the arrows to fly where it looks, Q/E down and up, Shift to go
+ * faster and the wheel to change speed. The game holds the flight meanwhile.
+ * One of the CameraManager's modes.
+ */
+export class FreeCamera {
+  /**
+   * @param {THREE.Camera} camera
+   * @param {function(number, number): number} getGroundHeight - Terrain height at (x, z)
+   * @param {Set<string>} heldKeys - KeyboardEvent.code values currently down
+   */
+  constructor(camera, getGroundHeight, heldKeys) {
+    this.camera = camera;
+    this.getGroundHeight = getGroundHeight;
+    this.heldKeys = heldKeys;
+    this.detached = true;
+
+    this.position = new THREE.Vector3();
+    this.look = new THREE.Euler(0, 0, 0, 'YXZ');
+    this.speed = 80;  // m/s
+  }
+
+  // Take off from wherever the camera is now
+  reset() {
+    this.position.copy(this.camera.position);
+    this.look.setFromQuaternion(this.camera.quaternion, 'YXZ');
+    this.look.z = 0;
+  }
+
+  update(target, deltaTime) {
+    const move = new THREE.Vector3();
+    for (const code of this.heldKeys) {
+      if (MOVE_KEYS[code]) move.add(new THREE.Vector3(...MOVE_KEYS[code]));
+    }
+
+    const quaternion = new THREE.Quaternion().setFromEuler(this.look);
+    if (move.lengthSq() > 0) {
+      const fast = this.heldKeys.has('ShiftLeft') || this.heldKeys.has('ShiftRight');
+      const distance = this.speed * (fast ? FAST_MULTIPLIER : 1) * deltaTime;
+      this.position.add(move.normalize().applyQuaternion(quaternion).multiplyScalar(distance));
+    }
+    this.position.y = Math.max(this.position.y,
+      this.getGroundHeight(this.position.x, this.position.z) + CLEARANCE);
+
+    this.camera.position.copy(this.position);
+    this.camera.quaternion.copy(quaternion);
+  }
+
+  /**
+   * Look around
+   * @param {number} dx - Pointer movement (px)
+   * @param {number} dy
+   */
+  drag(dx, dy) {
+    this.look.y -= dx * 0.003;
+    this.look.x = THREE.MathUtils.clamp(this.look.x - dy * 0.003, -1.5, 1.5);
+  }
+
+  /**
+   * @param {number} delta - Wheel deltaY, positive to slow down
+   */
+  zoom(delta) {
+    this.speed = THREE.MathUtils.clamp(this.speed * Math.exp(-delta * 0.001), 10, 1000);
+  }
+}
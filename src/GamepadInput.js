@@ -0,0 +1,161 @@
+import { ACTIONS, DEFAULT_BINDINGS } from './ControlBindings.js';
+
+const TRIGGER_ACTIONS = ACTIONS.filter(action => action.kind === 'trigger').map(action => action.id);
+
+const DEFAULT_AXIS_SETTINGS = {
+  deadzone: 0.08,  // Fraction of travel ignored around center
+  expo: 0.3,       // 0 = linear, 1 = fully cubic (softer around center)
+  invert: false
+};
+
+/**
+ * Apply deadzone, expo curve and inversion to a raw axis value.
+ * The deadzone is rescaled away so output still starts at 0 and reaches ±1.
+ * @param {number} value - Raw axis, -1 to 1
+ * @param {Object} settings - {deadzone, expo, invert}
+ * @returns {number} - -1 to 1
+ */
+export function shapeAxis(value, settings = DEFAULT_AXIS_SETTINGS) {
+  const { deadzone = 0, expo = 0, invert = false } = settings;
+  const magnitude = Math.min(Math.abs(value), 1);
+  if (magnitude <= deadzone) return 0;
+
+  const scaled = (magnitude - deadzone) / (1 - deadzone);
+  const curved = (1 - expo) * scaled + expo * scaled * scaled * scaled;
+  const shaped = Math.sign(value) * curved;
+  return invert ? -shaped : shaped;
+}
+
+/**
+ * Reads flight controls from the Gamepad API: twin-stick controllers,
+ * flight sticks and HOTAS. Gamepads can only be polled, so InputManager
+ * calls poll() every tick; plugging and unplugging devices is handled
+ * through the connection events. Which axes and buttons drive what comes
+ * from the "standard" or "joystick" bindings (see ControlBindings).
+ */
+export class GamepadInput {
+  constructor(options = {}) {
+    // Per-control shaping, e.g. { pitch: { invert: true }, yaw: { deadzone: 0.15 } }
+    this.axisSettings = {};
+    for (const control of ['pitch', 'roll', 'yaw', 'airbrake']) {
+      this.axisSettings[control] = { ...DEFAULT_AXIS_SETTINGS, ...options[control] };
+    }
+    this.axisSettings.airbrake.expo = options.airbrake?.expo ?? 0;
+
+    this.bindings = options.bindings || DEFAULT_BINDINGS;
+
+    this.gamepadIndex = null;  // Device we read from
+    this.gamepadId = null;
+  }
+
+  setupListeners() {
+    window.addEventListener('gamepadconnected', (e) => {
+      console.log(`Gamepad connected: ${e.gamepad.id}`);
+      if (this.gamepadIndex === null) {
+        this.select(e.gamepad);
+      }
+    });
+
+    window.addEventListener('gamepaddisconnected', (e) => {
+      console.log(`Gamepad disconnected: ${e.gamepad.id}`);
+      if (e.gamepad.index === this.gamepadIndex) {
+        this.select(this.findGamepad());
+      }
+    });
+  }
+
+  select(gamepad) {
+    this.gamepadIndex = gamepad ? gamepad.index : null;
+    this.gamepadId = gamepad ? gamepad.id : null;
+  }
+
+  findGamepad() {
+    if (typeof navigator === 'undefined' || !navigator.getGamepads) return null;
+    return [...navigator.getGamepads()].find(gamepad => gamepad && gamepad.connected) || null;
+  }
+
+  setBindings(bindings) {
+    this.bindings = bindings;
+  }
+
+  isConnected() {
+    return this.gamepadIndex !== null;
+  }
+
+  /**
+   * The selected gamepad's current state, unmapped
+   * @returns {Gamepad|null}
+   */
+  getGamepad() {
+    if (this.gamepadIndex === null || typeof navigator === 'undefined') return null;
+    const gamepad = navigator.getGamepads()[this.gamepadIndex];
+    return gamepad && gamepad.connected ? gamepad : null;
+  }
+
+  /**
+   * Binding group for a gamepad: 'standard' or 'joystick'
+   * @param {Gamepad} gamepad
+   * @returns {string}
+   */
+  getProfile(gamepad) {
+    return gamepad.mapping === 'standard' ? 'standard' : 'joystick';
+  }
+
+  /**
+   * Read the selected gamepad's current state
+   * @returns {Object|null} - See read(); null without a gamepad
+   */
+  poll() {
+    if (this.gamepadIndex === null) {
+      // Some browsers only report pads already plugged in on first poll
+      this.select(this.findGamepad());
+      if (this.gamepadIndex === null) return null;
+    }
+
+    const gamepad = this.getGamepad();
+    if (!gamepad) {
+      this.select(this.findGamepad());
+      return null;
+    }
+
+    return this.read(gamepad);
+  }
+
+  /**
+   * Map a gamepad's axes and buttons to shaped flight controls
+   * @param {Gamepad} gamepad
+   * @returns {{pitch: number, roll: number, yaw: number, airbrake: number, pressed: Set<string>}}
+   *   pressed holds the trigger actions whose inputs are down
+   */
+  read(gamepad) {
+    const actions = this.bindings[this.getProfile(gamepad)];
+    const value = action => Math.max(0, ...actions[action].map(source => readSource(gamepad, source)));
+
+    // Airbrake inversion flips the lever's travel
+    let airbrake = value('airbrake');
+    if (this.axisSettings.airbrake.invert) airbrake = 1 - airbrake;
+
+    return {
+      pitch: shapeAxis(value('pitchUp') - value('pitchDown'), this.axisSettings.pitch),
+      roll: shapeAxis(value('rollRight') - value('rollLeft'), this.axisSettings.roll),
+      yaw: shapeAxis(value('yawRight') - value('yawLeft'), this.axisSettings.yaw),
+      airbrake: shapeAxis(airbrake, { ...this.axisSettings.airbrake, invert: false }),
+      pressed: new Set(TRIGGER_ACTIONS.filter(action => value(action) > 0.5))
+    };
+  }
+}
+
+// 0..1 for one binding source; axes and buttons a device lacks read 0
+function readSource(gamepad, source) {
+  if (source.button !== undefined) {
+    const button = gamepad.buttons[source.button];
+    return button ? button.value : 0;
+  }
+
+  const axis = gamepad.axes[source.axis];
+  if (axis === undefined) return 0;
+  if (source.full) {
+    return (axis * source.direction + 1) / 2;
+  }
+  return Math.max(0, axis * source.direction);
+}
@@ -0,0 +1,66 @@
+const METERS_PER_DEGREE_LAT = 111320;
+
+/**
+ * Maps local terrain coordinates to latitude/longitude and back.
+ * The map center (0, 0) sits at the origin lat/lon; +X is east, -Z is north.
+ * Uses a local equirectangular projection, which is accurate to well under
+ * a meter over the few kilometers a map covers.
+ */
+export class GeoReference {
+  constructor(options = {}) {
+    this.latitude = options.latitude ?? 0;    // Degrees, map center
+    this.longitude = options.longitude ?? 0;  // Degrees, map center
+
+    // Local height 0 is this many meters above sea level
+    this.altitudeOffset = options.altitudeOffset ?? 0;
+
+    this.metersPerDegreeLon = METERS_PER_DEGREE_LAT * Math.cos(this.latitude * Math.PI / 180);
+  }
+
+  /**
+   * @param {number} x - Local X (meters east of center)
+   * @param {number} z - Local Z (meters south of center)
+   * @returns {{lat: number, lon: number}}
+   */
+  toLatLon(x, z) {
+    return {
+      lat: this.latitude - z / METERS_PER_DEGREE_LAT,
+      lon: this.longitude + x / this.metersPerDegreeLon
+    };
+  }
+
+  /**
+   * @param {number} lat - Degrees
+   * @param {number} lon - Degrees
+   * @returns {{x: number, z: number}}
+   */
+  toLocal(lat, lon) {
+    return {
+      x: (lon - this.longitude) * this.metersPerDegreeLon,
+      z: -(lat - this.latitude) * METERS_PER_DEGREE_LAT
+    };
+  }
+
+  toAltitudeMSL(y) {
+    return y + this.altitudeOffset;
+  }
+
+  toLocalHeight(altitudeMSL) {
+    return altitudeMSL - this.altitudeOffset;
+  }
+}
+
+/**
+ * Size in meters of a lat/lon bounding box, measured at its center latitude
+ * (the same projection GeoReference uses)
+ * @param {{west: number, south: number, east: number, north: number}} bbox - Degrees
+ * @returns {{width: number, depth: number}}
+ */
+export function getBoundingBoxSize(bbox) {
+  const centerLatitude = (bbox.north + bbox.south) / 2;
+  const metersPerDegreeLon = METERS_PER_DEGREE_LAT * Math.cos(centerLatitude * Math.PI / 180);
+  return {
+    width: (bbox.east - bbox.west) * metersPerDegreeLon,
+    depth: (bbox.north - bbox.south) * METERS_PER_DEGREE_LAT
+  };
+}
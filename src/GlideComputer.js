@@ -0,0 +1,114 @@
+import { getBearing } from './Task.js';
+
+const AVERAGE_TIME = 20;     // Seconds the glide ratio is averaged over
+const SAFETY_HEIGHT = 100;   // Height to arrive with over the target (m)
+const MIN_SINK = 0.1;        // Below this sink rate (m/s) the average says nothing
+
+/**
+ * Final glide computer: averages the glide ratio actually flown (over the
+ * ground, so wind counts) and works out whether the glider can reach a
+ * selected target with it. While climbing, the aircraft's best glide stands
+ * in for the average.
+ */
+export class GlideComputer {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.averageTime] - Seconds to average the glide ratio over
+   * @param {number} [options.safetyHeight] - Height to arrive with (m)
+   */
+  constructor(options = {}) {
+    this.averageTime = options.averageTime ?? AVERAGE_TIME;
+    this.safetyHeight = options.safetyHeight ?? SAFETY_HEIGHT;
+    this.targets = [];   // [{name, x, z}]
+    this.selected = 0;
+    this.reset();
+  }
+
+  reset() {
+    this.groundSpeed = 0;  // Averaged horizontal speed over the ground (m/s)
+    this.sinkRate = 0;     // Averaged height lost per second (m/s)
+    this.samples = 0;
+  }
+
+  /**
+   * @param {Array<{name: string, x: number, z: number}>} targets - Points to glide to
+   */
+  setTargets(targets) {
+    const name = this.getTarget() ? this.getTarget().name : null;
+    this.targets = targets;
+    this.selected = Math.max(0, targets.findIndex(target => target.name === name));
+  }
+
+  getTarget() {
+    return this.targets[this.selected] || null;
+  }
+
+  // Select the next target
+  cycleTarget() {
+    if (this.targets.length > 0) {
+      this.selected = (this.selected + 1) % this.targets.length;
+    }
+  }
+
+  /**
+   * Average in one tick of flight
+   * @param {Glider} glider
+   * @param {number} deltaTime
+   */
+  update(glider, deltaTime) {
+    if (glider.onGround || glider.towed) return;
+
+    const groundSpeed = Math.hypot(
+      glider.velocity.x + glider.airVelocity.x,
+      glider.velocity.z + glider.airVelocity.z
+    );
+    const sinkRate = -glider.getVerticalSpeed();
+
+    // Exponential moving average; plain average until the window has filled
+    this.samples++;
+    const weight = Math.max(deltaTime / this.averageTime, 1 / this.samples);
+    this.groundSpeed += (groundSpeed - this.groundSpeed) * weight;
+    this.sinkRate += (sinkRate - this.sinkRate) * weight;
+  }
+
+  /**
+   * Averaged glide ratio flown
+   * @returns {number|null} - Null while not sinking on average (climbing, on the ground)
+   */
+  getGlideRatio() {
+    return this.sinkRate > MIN_SINK ? this.groundSpeed / this.sinkRate : null;
+  }
+
+  /**
+   * Can the glider reach the selected target?
+   * @param {Glider} glider
+   * @param {TerrainProvider} terrainProvider - Ground height at the target
+   * @returns {{target: Object, distance: number, bearing: number, glideRatio: number,
+   *   averaged: boolean, requiredGlideRatio: number, arrivalHeight: number,
+   *   reachable: boolean}|null} - Null without a target. arrivalHeight is above
+   *   the target's ground; requiredGlideRatio is Infinity when already below it
+   */
+  estimate(glider, terrainProvider) {
+    const target = this.getTarget();
+    if (!target) return null;
+
+    const position = glider.position;
+    const distance = Math.hypot(target.x - position.x, target.z - position.z);
+    const height = position.y - terrainProvider.getHeightAt(target.x, target.z);
+
+    const averaged = this.getGlideRatio();
+    const glideRatio = averaged ?? glider.getBestGlide().glideRatio;
+    const arrivalHeight = height - distance / glideRatio;
+
+    return {
+      target,
+      distance,
+      bearing: getBearing(position, target),
+      glideRatio,
+      averaged: averaged !== null,
+      requiredGlideRatio: height > this.safetyHeight ? distance / (height - this.safetyHeight) : Infinity,
+      arrivalHeight,
+      reachable: arrivalHeight >= this.safetyHeight
+    };
+  }
+}
@@ -1,213 +1,522 @@
 import * as THREE from 'three';
+import { normalizeAircraftProfile } from './AircraftProfile.js';
+import { evaluateTouchdown, LANDING_LIMITS } from './Landing.js';
 
+const AIR_DENSITY = 1.225;  // kg/m^3, sea level
+const GROUND_CLEARANCE = 0.3;  // m above the ground at which a rolling glider counts as airborne again
+
+/**
+ * Glider flight model: state, controls and physics.
+ * Has no scene or DOM dependency; GliderMesh draws it.
+ */
 export class Glider {
-  constructor(scene, terrainProvider = null) {
-    this.scene = scene;
+  /**
+   * @param {TerrainProvider} [terrainProvider] - For collision and spawn height
+   * @param {Atmosphere} [atmosphere] - Air-mass velocity source
+   * @param {Object} [options]
+   * @param {Object} [options.spawn] - {x, z, altitudeAboveGround, heading} (heading in
+   *   radians clockwise from north, -Z)
+   * @param {Object} [options.aircraft] - Normalized aircraft profile (default: trainer)
+   */
+  constructor(terrainProvider = null, atmosphere = null, options = {}) {
     this.terrainProvider = terrainProvider;
-
-    // Spawn altitude above terrain
-    this.spawnAltitudeAboveGround = 1000; // 1000m above terrain
-
-    // Calculate initial spawn position
-    const groundHeight = terrainProvider ? terrainProvider.getHeightAt(0, 0) : 0;
-    const spawnY = groundHeight + this.spawnAltitudeAboveGround;
-
-    // State
-    this.position = new THREE.Vector3(0, spawnY, 0);
-    this.velocity = new THREE.Vector3(0, 0, -20);  // Initial forward speed (m/s)
+    this.atmosphere = atmosphere;
+
+    // Spawn point and altitude above terrain
+    const spawn = options.spawn || {};
+    this.spawnX = spawn.x ?? 0;
+    this.spawnZ = spawn.z ?? 0;
+    this.spawnHeading = spawn.heading ?? 0;
+    this.spawnAltitudeAboveGround = spawn.altitudeAboveGround ?? 1000; // 1000m above terrain
+
+    // State (set by reset() below)
+    this.position = new THREE.Vector3();
+    this.velocity = new THREE.Vector3();           // m/s, relative to the air
+    this.airVelocity = new THREE.Vector3();        // Local air-mass velocity (wind, thermals, ridge lift)
     this.rotation = new THREE.Quaternion();
 
+    // Transform at the previous tick and the interpolated one for rendering
+    this.previousPosition = new THREE.Vector3();
+    this.previousRotation = new THREE.Quaternion();
+    this.renderPosition = new THREE.Vector3();
+    this.renderRotation = new THREE.Quaternion();
+
     // Euler angles for easier manipulation
     this.pitch = 0;  // Rotation around X axis (nose up/down)
     this.roll = 0;   // Rotation around Z axis (banking)
     this.yaw = 0;    // Rotation around Y axis (heading)
 
-    // Physics constants
+    // Airframe, aerodynamics and handling come from the aircraft profile
+    this.setAircraft(options.aircraft || normalizeAircraftProfile());
+
     this.gravity = 9.81;           // m/s^2
-    this.maxSpeed = 80;            // m/s (~288 km/h)
-    this.minSpeed = 10;            // m/s - stall speed
-    this.baseDrag = 0.02;          // Base drag coefficient
-    this.liftCoefficient = 0.8;    // How much lift per speed
-    this.pitchRate = 1.5;          // Radians per second at full input
-    this.rollRate = 2.0;           // Radians per second at full input
-    this.yawFromRoll = 0.5;        // How much yaw is induced by roll
+    this.yawFromRoll = 0.9;        // Fraction of the 1g turn rate the nose follows by itself when banked
+    this.weathercockRate = 1.2;    // How fast the nose swings back into the airflow (1/s)
+    this.sideForceRate = 0.8;      // How fast sideways airspeed is damped (1/s)
+    this.sideslipDrag = 0.1;       // Extra drag coefficient per radian of sideslip
+    this.stallWidth = 0.14;        // Radians past the stall over which lift decays to flat-plate values
+    this.stallPitchRate = 0.8;     // Radians per second the nose drops in a stall
+    this.stallRollRate = 0.6;      // Radians per second the lower wing drops in a stall
+
+    // Ground roll
+    this.rollingFriction = 0.08;   // Wheel rolling resistance, as a fraction of weight
+    this.wheelBrake = 0.3;         // Extra friction at full airbrake (the lever works the wheel brake)
+    this.stopSpeed = 0.5;          // m/s over the ground below which the roll-out is over
+    this.landingLimits = LANDING_LIMITS;
 
     // Control input (set externally)
     this.pitchInput = 0;
     this.rollInput = 0;
+    this.yawInput = 0;
+    this.airbrakeInput = 0;
+
+    // Control surface state
+    this.airbrake = 0;       // 0 (retracted) to 1 (full)
+    this.flapSetting = this.neutralFlapSetting;  // Index into flapSettings
+    this.sideslip = 0;       // Radians, positive when moving to the left of the nose
+    this.angleOfAttack = 0;  // Radians, between the nose and the airflow in the wing's plane of symmetry
+    this.stalled = false;
 
     // State flags
+    this.onGround = false;  // Rolling out (or taking off)
+    this.towed = false;     // On a tow rope or winch cable (set by the launch)
+    this.landed = false;    // Came to a stop after a safe touchdown
+    this.touchdown = null;  // Evaluation of the latest touchdown (see Landing)
     this.crashed = false;
+    this.flightTime = 0;  // Seconds since spawn (drives thermal lifecycle)
 
     // Debug values
     this.debugLift = 0;
     this.debugAoA = 0;
 
-    // Create mesh (placeholder cube for now)
-    this.createMesh();
-  }
-
-  createMesh() {
-    const geometry = new THREE.BoxGeometry(2, 0.5, 4); // Width, height, length
-    const material = new THREE.MeshStandardMaterial({
-      color: 0xffffff,
-      metalness: 0.3,
-      roughness: 0.7
-    });
-    this.mesh = new THREE.Mesh(geometry, material);
-    this.mesh.castShadow = true;
-    this.scene.add(this.mesh);
-
-    // Add a small nose indicator (red)
-    const noseGeometry = new THREE.BoxGeometry(0.3, 0.3, 0.5);
-    const noseMaterial = new THREE.MeshStandardMaterial({ color: 0xff0000 });
-    const nose = new THREE.Mesh(noseGeometry, noseMaterial);
-    nose.position.z = -2;
-    this.mesh.add(nose);
-
-    // Add wings for visual reference
-    const wingGeometry = new THREE.BoxGeometry(8, 0.1, 1);
-    const wingMaterial = new THREE.MeshStandardMaterial({ color: 0xcccccc });
-    const wings = new THREE.Mesh(wingGeometry, wingMaterial);
-    wings.position.y = 0.1;
-    this.mesh.add(wings);
-  }
-
-  setInput(pitchInput, rollInput) {
+    this.reset();
+  }
+
+  /**
+   * Adopt an aircraft profile's airframe, polar and handling
+   * @param {Object} aircraft - Normalized aircraft profile
+   */
+  setAircraft(aircraft) {
+    this.aircraft = aircraft;
+    this.mass = aircraft.mass;                 // kg
+    this.wingArea = aircraft.wingArea;         // m^2
+    this.aspectRatio = aircraft.aspectRatio;
+    this.aerodynamics = aircraft.aerodynamics;
+    this.maxSpeed = aircraft.maxSpeed;         // m/s
+    this.pitchRate = aircraft.pitchRate;       // Radians per second at full input
+    this.rollRate = aircraft.rollRate;
+    this.rudderRate = aircraft.rudderRate;     // Radians per second of yaw at full rudder (at 20 m/s)
+    this.adverseYaw = aircraft.adverseYaw;     // Radians per second of yaw away from the aileron input
+
+    // Spoilers: fraction of lift lost and drag coefficient added at full deployment
+    this.hasAirbrake = aircraft.airbrake !== null;
+    this.airbrakeLiftLoss = this.hasAirbrake ? aircraft.airbrake.liftLoss : 0;
+    this.airbrakeDrag = this.hasAirbrake ? aircraft.airbrake.drag : 0;
+
+    // Flap positions, from negative (fast cruise) to landing: increments on
+    // the lift and drag coefficients, selected one step at a time
+    this.flapSettings = aircraft.flaps;
+    this.neutralFlapSetting = aircraft.neutralFlap;
+  }
+
+  setInput(pitchInput, rollInput, yawInput = 0, airbrakeInput = 0) {
     this.pitchInput = pitchInput;
     this.rollInput = rollInput;
+    this.yawInput = yawInput;
+    this.airbrakeInput = airbrakeInput;
   }
 
-  update(deltaTime) {
-    if (this.crashed) return;
+  /**
+   * Advance this glider by one fixed tick.
+   * Keeps the previous transform around for render interpolation.
+   * @param {Object} input - Control input for this tick (see step())
+   * @param {number} deltaTime - Fixed timestep in seconds
+   */
+  tick(input, deltaTime) {
+    this.setInput(input.pitch, input.roll, input.yaw, input.airbrake);
+    this.previousPosition.copy(this.position);
+    this.previousRotation.copy(this.rotation);
+    this.step(this, input, deltaTime);
+  }
 
-    // Clamp delta time to prevent physics explosions
-    deltaTime = Math.min(deltaTime, 0.1);
+  /**
+   * Advance a flight state by one timestep.
+   * Depends only on the state, the input, dt and this glider's constants,
+   * terrain and atmosphere - never on wall-clock time or the DOM.
+   * @param {Object} state - {position, velocity, airVelocity, rotation, pitch, roll,
+   *   yaw, airbrake, flapSetting, sideslip, angleOfAttack, stalled, onGround,
+   *   towed, landed, touchdown, crashed, flightTime}; the glider
+   *   itself is a valid state
+   * @param {Object} input - Control input: pitch, roll and yaw (-1 to 1, roll and
+   *   yaw positive to the right), airbrake (0 to 1) and flaps (-1, 0 or 1: move
+   *   the flaps one setting toward reflex or landing); all but pitch and roll optional
+   * @param {number} deltaTime - Timestep in seconds
+   * @returns {Object} - The same state object, advanced
+   */
+  step(state, input, deltaTime) {
+    if (state.crashed || state.landed) return state;
+
+    // Move the control surfaces
+    this.updateControlSurfaces(state, input);
 
     // Update rotation based on input
-    this.updateRotation(deltaTime);
+    this.updateRotation(state, input, deltaTime);
 
     // Update physics
-    this.updatePhysics(deltaTime);
+    this.updatePhysics(state, deltaTime);
+    state.flightTime += deltaTime;
 
-    // Update mesh transform
-    this.updateMesh();
+    return state;
   }
 
-  updateRotation(deltaTime) {
+  updateControlSurfaces(state, input) {
+    state.airbrake = this.hasAirbrake ? Math.max(0, Math.min(1, input.airbrake || 0)) : 0;
+
+    if (input.flaps) {
+      const setting = state.flapSetting + Math.sign(input.flaps);
+      state.flapSetting = Math.max(0, Math.min(this.flapSettings.length - 1, setting));
+    }
+  }
+
+  updateRotation(state, input, deltaTime) {
+    const rudder = input.yaw || 0;
+    const speed = state.velocity.length();
+
     // Apply pitch input
-    this.pitch += this.pitchInput * this.pitchRate * deltaTime;
-    this.pitch = Math.max(-Math.PI / 3, Math.min(Math.PI / 3, this.pitch)); // Limit pitch
+    state.pitch += input.pitch * this.pitchRate * deltaTime;
+
+    // Apply roll input (positive Euler roll lifts the right wing, so right input is negative)
+    state.roll -= input.roll * this.rollRate * deltaTime;
+
+    // Stalled, the nose drops toward the flight path and a lowered wing keeps dropping
+    state.angleOfAttack = this.getAngleOfAttack(state);
+    state.stalled = this.getAeroCoefficients(state.angleOfAttack, state.flapSetting, state.airbrake).stalled;
+    if (state.stalled) {
+      state.pitch -= Math.sign(state.angleOfAttack) * this.stallPitchRate * deltaTime;
+      if (Math.abs(state.roll) > 0.05) {
+        state.roll += Math.sign(state.roll) * this.stallRollRate * deltaTime;
+      }
+    }
+
+    state.pitch = Math.max(-Math.PI / 3, Math.min(Math.PI / 3, state.pitch)); // Limit pitch
+    state.roll = Math.max(-Math.PI / 2, Math.min(Math.PI / 2, state.roll)); // Limit roll
+
+    // On the ground the wheel holds the nose up and a wingtip rests on the grass
+    if (state.onGround) {
+      const normal = this.getGroundNormal(state.position.x, state.position.z, new THREE.Vector3());
+      state.pitch = Math.max(state.pitch, this.getGroundPitch(normal, state.yaw));
+      state.roll = Math.max(-0.1, Math.min(0.1, state.roll));
+    }
+
+    // Control authority grows with airspeed
+    const speedFactor = speed / 20;
+
+    // Banked, the tilted lift turns the flight path and the nose follows
+    // (at the 1g turn rate; positive Euler yaw is to the left)
+    let yawRate = Math.sin(state.roll) * this.gravity / Math.max(speed, 10) * this.yawFromRoll;
+
+    // Rudder swings the nose
+    yawRate -= rudder * this.rudderRate * speedFactor;
 
-    // Apply roll input
-    this.roll += this.rollInput * this.rollRate * deltaTime;
-    this.roll = Math.max(-Math.PI / 2, Math.min(Math.PI / 2, this.roll)); // Limit roll
+    // Adverse yaw: the down-going aileron drags its wing back, yawing away from the roll
+    yawRate += input.roll * this.adverseYaw * speedFactor;
 
-    // Derive yaw from roll (banking turns)
-    // When banked, the glider naturally turns
-    const yawRate = Math.sin(this.roll) * this.yawFromRoll * this.getSpeed() / 20;
-    this.yaw += yawRate * deltaTime;
+    // Sideslip: the fin weathercocks the nose back toward the flight path
+    state.sideslip = this.getSideslip(state);
+    yawRate += state.sideslip * this.weathercockRate;
+
+    state.yaw += yawRate * deltaTime;
 
     // Auto-level roll slightly when no input
-    if (Math.abs(this.rollInput) < 0.1) {
-      this.roll *= (1 - 0.5 * deltaTime);
+    if (Math.abs(input.roll) < 0.1 && !state.stalled) {
+      state.roll *= (1 - 0.5 * deltaTime);
     }
 
     // Build quaternion from euler angles (YXZ order for flight)
-    const euler = new THREE.Euler(this.pitch, this.yaw, this.roll, 'YXZ');
-    this.rotation.setFromEuler(euler);
+    const euler = new THREE.Euler(state.pitch, state.yaw, state.roll, 'YXZ');
+    state.rotation.setFromEuler(euler);
   }
 
-  updatePhysics(deltaTime) {
-    const speed = this.getSpeed();
+  updatePhysics(state, deltaTime) {
+    const speed = state.velocity.length();
 
-    // Get forward direction from rotation
-    const forward = new THREE.Vector3(0, 0, -1);
-    forward.applyQuaternion(this.rotation);
+    // Angle of attack against the new attitude
+    state.angleOfAttack = this.getAngleOfAttack(state);
+    state.debugAoA = THREE.MathUtils.radToDeg(state.angleOfAttack);
+    state.debugLift = 0;
+
+    if (speed > 0.1) {
+      const velocityDir = state.velocity.clone().divideScalar(speed);
+      const right = new THREE.Vector3(1, 0, 0).applyQuaternion(state.rotation);
+      const coefficients = this.getAeroCoefficients(state.angleOfAttack, state.flapSetting, state.airbrake);
+
+      // Aerodynamic force per unit mass and unit coefficient at this airspeed
+      const forceScale = 0.5 * AIR_DENSITY * speed * speed * this.wingArea / this.mass;
+
+      // === LIFT ===
+      // Perpendicular to the airflow, in the plane of the wings' vertical axis
+      const liftDir = new THREE.Vector3().crossVectors(right, velocityDir);
+      if (liftDir.lengthSq() > 1e-6) {
+        state.debugLift = coefficients.lift * forceScale;
+        state.velocity.addScaledVector(liftDir.normalize(), state.debugLift * deltaTime);
+      }
 
-    // Calculate angle of attack (angle between velocity and forward direction)
-    const velocityDir = this.velocity.clone().normalize();
-    const dot = forward.dot(velocityDir);
-    const angleOfAttack = Math.acos(Math.max(-1, Math.min(1, dot)));
-    this.debugAoA = THREE.MathUtils.radToDeg(angleOfAttack);
+      // === DRAG ===
+      // Slipping presents the fuselage side-on to the airflow
+      const dragCoeff = coefficients.drag + Math.abs(state.sideslip) * this.sideslipDrag;
+      state.velocity.addScaledVector(velocityDir, -dragCoeff * forceScale * deltaTime);
+
+      // === SIDE FORCE ===
+      // The fuselage and fin resist sideways motion, bending the flight path
+      // toward the nose (this is what makes a rudder-only turn turn)
+      const sideways = state.velocity.dot(right);
+      state.velocity.addScaledVector(right, -sideways * Math.min(1, this.sideForceRate * deltaTime));
+    }
 
     // === GRAVITY ===
-    this.velocity.y -= this.gravity * deltaTime;
-
-    // === LIFT ===
-    // Lift depends on speed and angle of attack
-    // Maximum lift when angle of attack is small and speed is high
-    if (speed > this.minSpeed) {
-      const speedFactor = Math.min(speed / 30, 1.5); // More speed = more lift
-      const pitchFactor = Math.cos(this.pitch); // Less lift when pointing straight up/down
-
-      // Effective lift based on how "level" we're flying
-      // Lift acts perpendicular to wings (up in local space)
-      const liftMagnitude = this.liftCoefficient * speedFactor * pitchFactor * this.gravity;
-      this.debugLift = liftMagnitude;
-
-      // Apply lift in the local "up" direction
-      const liftDir = new THREE.Vector3(0, 1, 0);
-      liftDir.applyQuaternion(this.rotation);
-      this.velocity.add(liftDir.multiplyScalar(liftMagnitude * deltaTime));
-    } else {
-      this.debugLift = 0;
+    state.velocity.y -= this.gravity * deltaTime;
+
+    // Clamp max speed
+    if (state.velocity.length() > this.maxSpeed) {
+      state.velocity.normalize().multiplyScalar(this.maxSpeed);
     }
 
-    // === DRAG ===
-    // Base drag plus extra drag when pitching up
-    let dragCoeff = this.baseDrag;
-    if (this.pitch > 0.1) {
-      // Extra drag when pitching up (induced drag)
-      dragCoeff += this.pitch * 0.05;
+    // === AIR MASS ===
+    // Velocity is relative to the air; the air itself moves with the wind
+    // and rises in thermals and ridge lift, carrying the glider along
+    if (this.atmosphere) {
+      this.atmosphere.getAirVelocityAt(state.position, state.flightTime, state.airVelocity);
+    } else {
+      state.airVelocity.set(0, 0, 0);
     }
-    // Also more drag at higher angles of attack
-    dragCoeff += angleOfAttack * 0.02;
 
-    const dragForce = speed * speed * dragCoeff * deltaTime;
-    if (speed > 0.1) {
-      const dragVec = velocityDir.multiplyScalar(-dragForce);
-      this.velocity.add(dragVec);
+    // Rolling: the wheel carries the weight and rubs off speed
+    if (state.onGround) {
+      this.updateGroundRoll(state, deltaTime);
     }
 
-    // === DIVE (Energy conversion) ===
-    // When pitching down, we convert altitude to speed more efficiently
-    if (this.pitch < -0.1 && this.velocity.y < 0) {
-      // Transfer some of the downward velocity to forward speed
-      const diveBoost = Math.abs(this.pitch) * 0.3 * deltaTime;
-      const currentSpeed = this.getSpeed();
-      if (currentSpeed < this.maxSpeed) {
-        // Add speed in forward direction
-        const forwardBoost = forward.multiplyScalar(diveBoost * 10);
-        this.velocity.add(forwardBoost);
-      }
+    // Update position
+    state.position.add(state.velocity.clone().add(state.airVelocity).multiplyScalar(deltaTime));
+
+    this.updateGroundContact(state);
+  }
+
+  updateGroundRoll(state, deltaTime) {
+    const normal = this.getGroundNormal(state.position.x, state.position.z, new THREE.Vector3());
+
+    // The wheel moves over the ground, not through the air
+    const groundVelocity = state.velocity.clone().add(state.airVelocity);
+    const intoGround = groundVelocity.dot(normal);
+    if (intoGround < 0) {
+      groundVelocity.addScaledVector(normal, -intoGround);
     }
 
-    // Clamp max speed
-    if (this.getSpeed() > this.maxSpeed) {
-      this.velocity.normalize().multiplyScalar(this.maxSpeed);
+    // ...and does not slide sideways
+    const right = new THREE.Vector3(1, 0, 0).applyQuaternion(state.rotation);
+    const sideways = groundVelocity.dot(right);
+    groundVelocity.addScaledVector(right, -sideways * Math.min(1, 10 * deltaTime));
+
+    const friction = (this.rollingFriction + this.wheelBrake * state.airbrake) * this.gravity * normal.y * deltaTime;
+    const speed = groundVelocity.length();
+    if (speed <= friction) {
+      groundVelocity.set(0, 0, 0);
+    } else {
+      groundVelocity.multiplyScalar(1 - friction / speed);
     }
 
-    // Update position
-    this.position.add(this.velocity.clone().multiplyScalar(deltaTime));
+    state.velocity.copy(groundVelocity).sub(state.airVelocity);
+  }
 
-    // Terrain collision detection
-    if (this.terrainProvider) {
-      const groundHeight = this.terrainProvider.getHeightAt(this.position.x, this.position.z);
-      if (this.position.y < groundHeight) {
-        this.crash();
+  // Touch down, roll out, lift off again or crash
+  updateGroundContact(state) {
+    const groundHeight = this.getGroundHeight(state.position.x, state.position.z);
+
+    if (state.onGround) {
+      if (state.position.y > groundHeight + GROUND_CLEARANCE) {
+        state.onGround = false;  // Lifted off
+        return;
       }
-    } else {
-      // Fallback: check against y=0 if no terrain
-      if (this.position.y < 0) {
-        this.crash();
+      state.position.y = Math.max(state.position.y, groundHeight);
+      // Waiting for the rope to pull is not the end of a roll-out
+      if (!state.towed && state.velocity.clone().add(state.airVelocity).length() < this.stopSpeed) {
+        this.land(state);
       }
+      return;
+    }
+
+    if (state.position.y >= groundHeight) return;
+
+    const normal = this.getGroundNormal(state.position.x, state.position.z, new THREE.Vector3());
+    const groundVelocity = state.velocity.clone().add(state.airVelocity);
+    state.touchdown = evaluateTouchdown({
+      verticalSpeed: -groundVelocity.y,
+      bank: state.roll,
+      pitch: state.pitch - this.getGroundPitch(normal, state.yaw),
+      slope: Math.acos(Math.min(1, normal.y)),
+      speed: Math.hypot(groundVelocity.x, groundVelocity.z)
+    }, this.landingLimits);
+
+    if (!state.touchdown.safe) {
+      this.crash(state);
+      return;
     }
+    state.onGround = true;
+    state.position.y = groundHeight;
   }
 
-  updateMesh() {
-    this.mesh.position.copy(this.position);
-    this.mesh.quaternion.copy(this.rotation);
+  getGroundHeight(x, z) {
+    // Fallback: flat ground at y=0 if no terrain
+    return this.terrainProvider ? this.terrainProvider.getHeightAt(x, z) : 0;
+  }
+
+  getGroundNormal(x, z, target) {
+    return this.terrainProvider ? this.terrainProvider.getSurfaceNormal(x, z, target) : target.set(0, 1, 0);
+  }
+
+  /**
+   * Slope of the ground along a heading
+   * @param {THREE.Vector3} normal - Ground normal
+   * @param {number} yaw
+   * @returns {number} - Radians, positive uphill
+   */
+  getGroundPitch(normal, yaw) {
+    const rise = (normal.x * Math.sin(yaw) + normal.z * Math.cos(yaw)) / normal.y;
+    return Math.atan(rise);
+  }
+
+  /**
+   * Lift and drag coefficients from the aircraft's polar.
+   * Lift rises linearly with angle of attack up to the stall, then decays
+   * toward that of a flat plate while drag climbs steeply.
+   * @param {number} angleOfAttack - Radians
+   * @param {number} [flapSetting] - Index into flapSettings
+   * @param {number} [airbrake] - 0 to 1
+   * @returns {{lift: number, drag: number, stalled: boolean}}
+   */
+  getAeroCoefficients(angleOfAttack, flapSetting = this.neutralFlapSetting, airbrake = 0) {
+    const { liftSlope, zeroLiftAngle, maxLift } = this.aerodynamics;
+    const flap = this.flapSettings[flapSetting];
+
+    const angle = angleOfAttack - zeroLiftAngle;
+    const stallAngle = maxLift / liftSlope;
+    const stalled = Math.abs(angle) > stallAngle;
+
+    let lift = liftSlope * angle;
+    let separation = 0;  // 0 = attached flow, 1 = fully separated
+    if (stalled) {
+      separation = Math.min(1, (Math.abs(angle) - stallAngle) / this.stallWidth);
+      lift = (1 - separation) * Math.sign(angle) * maxLift + separation * Math.sin(2 * angle);
+    }
+
+    // Flaps add camber; spoilers dump a share of the lift
+    lift = (lift + flap.lift) * (1 - this.airbrakeLiftLoss * airbrake);
+
+    const drag = this.getDragCoefficient(lift, flapSetting, airbrake) +
+      separation * 1.28 * Math.sin(angle) ** 2;
+
+    return { lift, drag, stalled };
+  }
+
+  /**
+   * Drag coefficient of attached flow at a given lift coefficient:
+   * parasite drag (plus flaps and airbrakes) and induced drag
+   * @param {number} liftCoefficient
+   * @param {number} [flapSetting]
+   * @param {number} [airbrake]
+   * @returns {number}
+   */
+  getDragCoefficient(liftCoefficient, flapSetting = this.neutralFlapSetting, airbrake = 0) {
+    const { parasiteDrag, oswald } = this.aerodynamics;
+    const parasite = parasiteDrag + this.flapSettings[flapSetting].drag + airbrake * this.airbrakeDrag;
+    return parasite + liftCoefficient * liftCoefficient / (Math.PI * oswald * this.aspectRatio);
+  }
+
+  // Highest lift coefficient before the stall
+  getMaxLiftCoefficient(flapSetting = this.neutralFlapSetting, airbrake = 0) {
+    const flap = this.flapSettings[flapSetting];
+    return (this.aerodynamics.maxLift + flap.lift) * (1 - this.airbrakeLiftLoss * airbrake);
+  }
+
+  // Airspeed needed for a lift coefficient to carry the glider's weight (m/s)
+  getSpeedForLift(liftCoefficient) {
+    return Math.sqrt(2 * this.mass * this.gravity / (AIR_DENSITY * this.wingArea * liftCoefficient));
+  }
+
+  /**
+   * Stall speed in straight flight
+   * @param {number} [flapSetting]
+   * @param {number} [airbrake]
+   * @returns {number} - m/s
+   */
+  getStallSpeed(flapSetting = this.neutralFlapSetting, airbrake = 0) {
+    return this.getSpeedForLift(this.getMaxLiftCoefficient(flapSetting, airbrake));
+  }
+
+  /**
+   * The glide polar: sink rate and glide ratio in a steady straight glide
+   * @param {Array<number>} speeds - Airspeeds in m/s
+   * @param {number} [flapSetting]
+   * @param {number} [airbrake]
+   * @returns {Array<{speed: number, sinkRate: number, glideRatio: number}>} - Speeds
+   *   below the stall are left out
+   */
+  getGlidePolar(speeds, flapSetting = this.neutralFlapSetting, airbrake = 0) {
+    const maxLift = this.getMaxLiftCoefficient(flapSetting, airbrake);
+    const polar = [];
+
+    for (const speed of speeds) {
+      // Glide angles are small enough that lift carries the whole weight
+      const lift = 2 * this.mass * this.gravity / (AIR_DENSITY * this.wingArea * speed * speed);
+      if (lift > maxLift) continue;
+
+      const glideRatio = lift / this.getDragCoefficient(lift, flapSetting, airbrake);
+      polar.push({ speed, sinkRate: speed * Math.sin(Math.atan(1 / glideRatio)), glideRatio });
+    }
+
+    return polar;
+  }
+
+  /**
+   * Best glide: the speed with the highest glide ratio
+   * @param {number} [flapSetting]
+   * @param {number} [airbrake]
+   * @returns {{speed: number, sinkRate: number, glideRatio: number, liftCoefficient: number}}
+   */
+  getBestGlide(flapSetting = this.neutralFlapSetting, airbrake = 0) {
+    const { parasiteDrag, oswald } = this.aerodynamics;
+    const parasite = parasiteDrag + this.flapSettings[flapSetting].drag + airbrake * this.airbrakeDrag;
+
+    // Induced drag equals parasite drag here
+    const liftCoefficient = Math.min(
+      Math.sqrt(parasite * Math.PI * oswald * this.aspectRatio),
+      this.getMaxLiftCoefficient(flapSetting, airbrake)
+    );
+    const speed = this.getSpeedForLift(liftCoefficient);
+    const glideRatio = liftCoefficient / this.getDragCoefficient(liftCoefficient, flapSetting, airbrake);
+
+    return { speed, sinkRate: speed * Math.sin(Math.atan(1 / glideRatio)), glideRatio, liftCoefficient };
+  }
+
+  /**
+   * Angle of attack for a lift coefficient below the stall
+   * @param {number} liftCoefficient
+   * @param {number} [flapSetting]
+   * @param {number} [airbrake]
+   * @returns {number} - Radians
+   */
+  getTrimAngleOfAttack(liftCoefficient, flapSetting = this.neutralFlapSetting, airbrake = 0) {
+    const flap = this.flapSettings[flapSetting];
+    const unspoiled = liftCoefficient / (1 - this.airbrakeLiftLoss * airbrake);
+    return this.aerodynamics.zeroLiftAngle + (unspoiled - flap.lift) / this.aerodynamics.liftSlope;
+  }
+
+  /**
+   * Blend between the previous and current tick for smooth rendering
+   * @param {number} alpha - Fraction of a tick elapsed since the last one (0-1)
+   */
+  interpolate(alpha) {
+    this.renderPosition.lerpVectors(this.previousPosition, this.position, alpha);
+    this.renderRotation.slerpQuaternions(this.previousRotation, this.rotation, alpha);
   }
 
   getSpeed() {
@@ -222,43 +531,113 @@ export class Glider {
     return this.position.y;
   }
 
+  // Climb rate over the ground, including rising or sinking air (m/s)
+  getVerticalSpeed() {
+    return this.velocity.y + this.airVelocity.y;
+  }
+
+  /**
+   * Horizontal angle between the nose and the direction of flight through the air
+   * @param {Object} [state]
+   * @returns {number} - Radians, positive when moving to the left of the nose
+   *   (airflow from the left)
+   */
+  getSideslip(state = this) {
+    const horizontalSpeed = Math.hypot(state.velocity.x, state.velocity.z);
+    if (horizontalSpeed < 1) return 0;
+
+    const trackYaw = Math.atan2(-state.velocity.x, -state.velocity.z);
+    let slip = trackYaw - state.yaw;
+    while (slip > Math.PI) slip -= 2 * Math.PI;
+    while (slip < -Math.PI) slip += 2 * Math.PI;
+    return slip;
+  }
+
+  /**
+   * Angle between the nose and the airflow in the wing's plane of symmetry
+   * @param {Object} [state]
+   * @returns {number} - Radians, positive when the airflow meets the wing from below
+   */
+  getAngleOfAttack(state = this) {
+    const forward = new THREE.Vector3(0, 0, -1).applyQuaternion(state.rotation);
+    const up = new THREE.Vector3(0, 1, 0).applyQuaternion(state.rotation);
+    return Math.atan2(-state.velocity.dot(up), state.velocity.dot(forward));
+  }
+
+  getFlapName() {
+    return this.flapSettings[this.flapSetting].name;
+  }
+
   getForwardDirection() {
     const forward = new THREE.Vector3(0, 0, -1);
     forward.applyQuaternion(this.rotation);
     return forward;
   }
 
-  crash() {
-    this.crashed = true;
-    this.velocity.set(0, 0, 0);
+  crash(state = this) {
+    state.crashed = true;
+    state.onGround = false;
+    state.velocity.set(0, 0, 0);
   }
 
-  reset() {
-    // Calculate spawn position above terrain at center
-    const groundHeight = this.terrainProvider ? this.terrainProvider.getHeightAt(0, 0) : 0;
-    const spawnY = groundHeight + this.spawnAltitudeAboveGround;
-
-    this.position.set(0, spawnY, 0);
-    this.velocity.set(0, 0, -20);
-    this.pitch = 0;
-    this.roll = 0;
-    this.yaw = 0;
-    this.rotation.identity();
-    this.crashed = false;
-    this.updateMesh();
+  land(state = this) {
+    state.landed = true;
+    state.onGround = true;
+    state.velocity.set(0, 0, 0);
   }
 
-  // Apply boundary force to turn glider back inward
-  applyBoundaryForce(directionToCenter, strength) {
-    // Gradually adjust yaw toward center
-    const targetYaw = Math.atan2(directionToCenter.x, -directionToCenter.z);
-    const yawDiff = targetYaw - this.yaw;
-
-    // Normalize angle difference
-    let normalizedDiff = yawDiff;
-    while (normalizedDiff > Math.PI) normalizedDiff -= 2 * Math.PI;
-    while (normalizedDiff < -Math.PI) normalizedDiff += 2 * Math.PI;
+  /**
+   * Line up for another launch where the glider came to rest, facing the same way
+   */
+  relaunch() {
+    this.reset({ x: this.position.x, z: this.position.z, heading: -this.yaw, onGround: true });
+  }
 
-    this.yaw += normalizedDiff * strength * 0.02;
+  /**
+   * Back to a fresh flight
+   * @param {Object} [launch] - {x, z, heading} to launch from instead of the spawn
+   *   point; with onGround the glider waits there at rest for a tow or winch
+   *   instead of starting in a glide
+   */
+  reset(launch = {}) {
+    const x = launch.x ?? this.spawnX;
+    const z = launch.z ?? this.spawnZ;
+    const groundHeight = this.getGroundHeight(x, z);
+
+    // (yaw turns the nose toward -X, so it runs opposite to a compass heading)
+    this.roll = 0;
+    this.yaw = -(launch.heading ?? this.spawnHeading);
+
+    if (launch.onGround) {
+      // Sitting on the wheel, nose following the slope
+      const normal = this.getGroundNormal(x, z, new THREE.Vector3());
+      this.pitch = this.getGroundPitch(normal, this.yaw);
+      this.position.set(x, groundHeight, z);
+      this.velocity.set(0, 0, 0);
+    } else {
+      // Start in a steady glide at best-glide speed, above the terrain
+      const trim = this.getBestGlide();
+      const glideAngle = Math.atan(1 / trim.glideRatio);
+      this.pitch = this.getTrimAngleOfAttack(trim.liftCoefficient) - glideAngle;
+      this.position.set(x, groundHeight + this.spawnAltitudeAboveGround, z);
+      this.velocity.set(0, 0, -trim.speed)
+        .applyEuler(new THREE.Euler(-glideAngle, this.yaw, 0, 'YXZ'));
+    }
+    this.rotation.setFromEuler(new THREE.Euler(this.pitch, this.yaw, this.roll, 'YXZ'));
+    this.airVelocity.set(0, 0, 0);
+    this.airbrake = 0;
+    this.flapSetting = this.neutralFlapSetting;
+    this.sideslip = 0;
+    this.angleOfAttack = this.getAngleOfAttack();
+    this.stalled = false;
+    this.onGround = Boolean(launch.onGround);
+    this.towed = false;
+    this.landed = false;
+    this.touchdown = null;
+    this.crashed = false;
+    this.flightTime = 0;
+    this.previousPosition.copy(this.position);
+    this.previousRotation.copy(this.rotation);
+    this.interpolate(1);
   }
 }
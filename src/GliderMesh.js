@@ -0,0 +1,88 @@
+import * as THREE from 'three';
+
+/**
+ * Visual representation of a glider.
+ * Kept separate from the flight model in Glider.js so physics can run headless.
+ */
+export class GliderMesh {
+  /**
+   * @param {THREE.Scene} scene
+   * @param {Object} [options]
+   * @param {boolean} [options.ghost] - Draw translucent, without shadows (replay ghosts)
+   */
+  constructor(scene, options = {}) {
+    this.scene = scene;
+    this.ghost = options.ghost || false;
+
+    // Create mesh (placeholder cube for now)
+    this.createMesh();
+  }
+
+  createMesh() {
+    const geometry = new THREE.BoxGeometry(2, 0.5, 4); // Width, height, length
+    const material = new THREE.MeshStandardMaterial({
+      color: 0xffffff,
+      metalness: 0.3,
+      roughness: 0.7
+    });
+    this.mesh = new THREE.Mesh(geometry, material);
+    this.mesh.castShadow = true;
+    this.scene.add(this.mesh);
+
+    // Add a small nose indicator (red)
+    const noseGeometry = new THREE.BoxGeometry(0.3, 0.3, 0.5);
+    const noseMaterial = new THREE.MeshStandardMaterial({ color: 0xff0000 });
+    const nose = new THREE.Mesh(noseGeometry, noseMaterial);
+    nose.position.z = -2;
+    this.mesh.add(nose);
+
+    // Add wings for visual reference
+    const wingGeometry = new THREE.BoxGeometry(8, 0.1, 1);
+    const wingMaterial = new THREE.MeshStandardMaterial({ color: 0xcccccc });
+    const wings = new THREE.Mesh(wingGeometry, wingMaterial);
+    wings.position.y = 0.1;
+    this.mesh.add(wings);
+
+    if (this.ghost) {
+      this.makeGhost();
+    }
+  }
+
+  makeGhost() {
+    this.mesh.castShadow = false;
+    this.mesh.traverse((child) => {
+      if (child.isMesh) {
+        child.material.transparent = true;
+        child.material.opacity = 0.35;
+        child.material.depthWrite = false;
+        child.material.emissive.setHex(0x66aaff);
+        child.material.emissiveIntensity = 0.4;
+      }
+    });
+  }
+
+  setVisible(visible) {
+    this.mesh.visible = visible;
+  }
+
+  /**
+   * Place the mesh at the glider's interpolated transform
+   * @param {Glider} glider
+   * @param {number} alpha - Fraction of a tick elapsed since the last one (0-1)
+   */
+  update(glider, alpha = 1) {
+    glider.interpolate(alpha);
+    this.mesh.position.copy(glider.renderPosition);
+    this.mesh.quaternion.copy(glider.renderRotation);
+  }
+
+  dispose() {
+    this.scene.remove(this.mesh);
+    this.mesh.traverse((child) => {
+      if (child.isMesh) {
+        child.geometry.dispose();
+        child.material.dispose();
+      }
+    });
+  }
+}
@@ -0,0 +1,193 @@
+import * as THREE from 'three';
+import { evaluateTouchdown } from './Landing.js';
+
+export const TERRAIN_TIME = 15;  // s to impact for the TERRAIN caution
+export const PULL_UP_TIME = 6;   // s to impact for the PULL UP warning
+
+export const ALERTS = {
+  terrain: { label: 'TERRAIN', callout: 'Terrain, terrain', frequency: 600, period: 1 },
+  pullUp: { label: 'PULL UP', callout: 'Pull up', frequency: 1000, period: 0.4 }
+};
+
+const VOLUME = 0.12;
+const CALLOUT_GAP = 2;  // s between spoken callouts, unless it gets worse
+
+/**
+ * Where the glider would hit the terrain if it kept its present ground
+ * velocity (wind included)
+ * @param {Glider} glider
+ * @param {TerrainProvider} terrainProvider
+ * @param {number} [lookahead] - Seconds ahead to look
+ * @returns {{time: number, x: number, y: number, z: number, slope: number,
+ *   verticalSpeed: number, speed: number}|null} - Seconds to impact, the impact
+ *   point, the terrain's slope there (rad) and the sink and horizontal speeds
+ *   (m/s); null if the path stays clear
+ */
+export function predictTerrainImpact(glider, terrainProvider, lookahead = TERRAIN_TIME) {
+  const velocity = glider.velocity.clone().add(glider.airVelocity);
+  const from = glider.position;
+  const to = from.clone().addScaledVector(velocity, lookahead);
+  const t = terrainProvider.intersectSegment(from, to);
+  if (t === null) return null;
+
+  const x = from.x + (to.x - from.x) * t;
+  const z = from.z + (to.z - from.z) * t;
+  const normal = terrainProvider.getSurfaceNormal(x, z, new THREE.Vector3());
+  return {
+    time: t * lookahead,
+    x,
+    y: terrainProvider.getHeightAt(x, z),
+    z,
+    slope: Math.acos(Math.min(1, normal.y)),
+    verticalSpeed: -velocity.y,
+    speed: Math.hypot(velocity.x, velocity.z)
+  };
+}
+
+/**
+ * The alert for a predicted impact. Meeting the ground in a way that would
+ * make a safe landing (gentle sink, flat ground) is an approach, not a
+ * conflict, and raises no alert.
+ * @param {Object|null} impact - See predictTerrainImpact()
+ * @param {Object} [limits] - Landing limits (see Landing.js)
+ * @returns {string|null} - 'pullUp', 'terrain' or null
+ */
+export function getTerrainAlert(impact, limits) {
+  if (!impact || impact.time > TERRAIN_TIME) return null;
+  const touchdown = evaluateTouchdown({
+    verticalSpeed: impact.verticalSpeed,
+    bank: 0,
+    pitch: 0.05,
+    slope: impact.slope,
+    speed: impact.speed
+  }, limits);
+  if (touchdown.safe) return null;
+  return impact.time <= PULL_UP_TIME ? 'pullUp' : 'terrain';
+}
+
+/**
+ * Ground proximity warning system: looks ahead along the flight path each
+ * frame and gives TERRAIN and PULL UP cues on screen, as tones and (where
+ * the browser can speak) as callouts, all on the audio engine's warnings
+ * channel. Keeps a history of its alerts so a crash report can tell how
+ * much warning there was.
+ */
+export class GroundProximityWarning {
+  /**
+   * @param {AudioEngine|null} [audio] - Null for a silent system
+   */
+  constructor(audio = null) {
+    this.element = document.getElementById('gpws-alert');
+    this.audio = audio;
+    this.context = null;
+    this.oscillator = null;
+    this.gain = null;
+    this.phase = 0;
+    this.reset();
+
+    if (audio) {
+      audio.connect('warnings', (context, output) => {
+        this.context = context;
+        this.oscillator = context.createOscillator();
+        this.oscillator.type = 'square';
+        this.gain = context.createGain();
+        this.gain.gain.value = 0;
+        this.oscillator.connect(this.gain).connect(output);
+        this.oscillator.start();
+      });
+    }
+  }
+
+  // New flight: no alert, no history
+  reset() {
+    this.alert = null;
+    this.calloutTime = -Infinity;
+    this.history = [];  // {time, alert}: flight time each alert began (null when it cleared)
+    this.show(null);
+  }
+
+  /**
+   * Check the path ahead and sound any alert
+   * @param {Glider|null} glider - Null silences the system (paused, replay)
+   * @param {TerrainProvider} [terrainProvider]
+   * @param {number} [deltaTime] - Frame time (s)
+   */
+  update(glider, terrainProvider, deltaTime = 0) {
+    // Held or crashed: keep the history, stop the noise
+    if (!glider || glider.crashed) {
+      this.show(null);
+      this.sound(null, deltaTime);
+      return;
+    }
+
+    const flying = !glider.onGround && !glider.towed && !glider.landed;
+    const alert = flying
+      ? getTerrainAlert(predictTerrainImpact(glider, terrainProvider), glider.landingLimits)
+      : null;
+
+    if (alert !== this.alert) {
+      const worse = alert === 'pullUp' || (alert && !this.alert);
+      this.history.push({ time: glider.flightTime, alert });
+      this.alert = alert;
+      if (worse && (alert === 'pullUp' || glider.flightTime - this.calloutTime > CALLOUT_GAP)) {
+        this.calloutTime = glider.flightTime;
+        this.speak(ALERTS[alert].callout);
+      }
+    }
+    this.show(alert);
+    this.sound(alert, deltaTime);
+  }
+
+  /**
+   * How long before a moment the latest alert began
+   * @param {number} time - Flight time (s), e.g. of the impact
+   * @returns {{alert: string, warning: number}|null} - The most severe alert of
+   *   the last alerting spell and the seconds of warning it gave; null if
+   *   none was sounding
+   */
+  getWarningBefore(time) {
+    let start = null;
+    let worst = null;
+    for (const { time: at, alert } of this.history) {
+      if (at > time) break;
+      if (!alert) {
+        start = null;
+        worst = null;
+      } else {
+        if (start === null) start = at;
+        if (worst !== 'pullUp') worst = alert;
+      }
+    }
+    return start === null ? null : { alert: worst, warning: time - start };
+  }
+
+  show(alert) {
+    if (!this.element) return;
+    this.element.textContent = alert ? ALERTS[alert].label : '';
+    this.element.className = alert ? `visible ${alert}` : '';
+  }
+
+  // Beeps for TERRAIN, a fast warble for PULL UP
+  sound(alert, deltaTime) {
+    if (!this.context) return;
+
+    let volume = 0;
+    if (alert) {
+      const { frequency, period } = ALERTS[alert];
+      this.phase = (this.phase + deltaTime / period) % 1;
+      volume = this.phase < 0.5 ? VOLUME : 0;
+      this.oscillator.frequency.setTargetAtTime(frequency, this.context.currentTime, 0.01);
+    }
+    this.gain.gain.setTargetAtTime(volume, this.context.currentTime, 0.005);
+  }
+
+  speak(text) {
+    const volume = this.audio ? this.audio.getVolume('warnings') : 0;
+    if (typeof window.speechSynthesis === 'undefined' || volume === 0) return;
+    window.speechSynthesis.cancel();
+    const utterance = new SpeechSynthesisUtterance(text);
+    utterance.rate = 1.3;
+    utterance.volume = volume;
+    window.speechSynthesis.speak(utterance);
+  }
+}
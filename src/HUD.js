@@ -1,7 +1,38 @@
+import { InstrumentPanel } from './InstrumentPanel.js';
+
 export class HUD {
   constructor() {
     this.speedElement = document.getElementById('speed');
     this.altitudeElement = document.getElementById('altitude');
+    this.heightElement = document.getElementById('height-agl');
+    this.glideElement = document.getElementById('hud-glide');
+    this.glideTargetElement = document.getElementById('glide-target');
+    this.glideArrivalElement = document.getElementById('glide-arrival');
+    this.glideRatioElement = document.getElementById('glide-ratio');
+    this.controlsElement = document.getElementById('hud-controls');
+    this.flapsRow = document.getElementById('flaps-row');
+    this.flapsElement = document.getElementById('flaps');
+    this.airbrakeRow = document.getElementById('airbrake-row');
+    this.airbrakeElement = document.getElementById('airbrake');
+    this.slipElement = document.getElementById('slip-ball');
+    this.launchElement = document.getElementById('launch-status');
+    this.taskElement = document.getElementById('hud-task');
+    this.taskNextElement = document.getElementById('task-next');
+    this.taskArrowElement = document.getElementById('task-arrow');
+    this.taskBearingElement = document.getElementById('task-bearing');
+    this.taskDistanceElement = document.getElementById('task-distance');
+    this.taskTimeElement = document.getElementById('task-time');
+    this.taskProgressElement = document.getElementById('task-progress');
+    this.trialElement = document.getElementById('hud-trial');
+    this.trialRingElement = document.getElementById('trial-ring');
+    this.trialTimeElement = document.getElementById('trial-time');
+    this.trialSplitElement = document.getElementById('trial-split');
+    this.boundaryElement = document.getElementById('boundary-warning');
+    this.cameraModeElement = document.getElementById('camera-mode');
+    this.cameraModeTimer = null;
+
+    // Horizon, heading tape and variometer
+    this.instruments = new InstrumentPanel();
   }
 
   update(glider) {
@@ -11,5 +42,174 @@ export class HUD {
     if (this.altitudeElement) {
       this.altitudeElement.textContent = Math.round(glider.getAltitude());
     }
+
+    // Control surfaces are only known for a live glider, not a replay
+    const hasControls = typeof glider.getFlapName === 'function';
+    if (this.controlsElement) {
+      this.controlsElement.style.display = hasControls ? '' : 'none';
+    }
+    if (!hasControls) return;
+
+    // Only show the surfaces this aircraft has
+    if (this.flapsRow) {
+      this.flapsRow.style.display = glider.flapSettings.length > 1 ? '' : 'none';
+    }
+    if (this.airbrakeRow) {
+      this.airbrakeRow.style.display = glider.hasAirbrake ? '' : 'none';
+    }
+
+    if (this.flapsElement) {
+      this.flapsElement.textContent = glider.getFlapName();
+    }
+    if (this.airbrakeElement) {
+      this.airbrakeElement.textContent = Math.round(glider.airbrake * 100);
+    }
+    if (this.slipElement) {
+      // Ball swings to the side the glider is sliding towards, 30° at full scale
+      const slip = Math.max(-1, Math.min(1, glider.getSideslip() / (Math.PI / 6)));
+      this.slipElement.style.left = `${50 - slip * 50}%`;
+    }
   }
+
+  /**
+   * Draw the instruments and height above the ground
+   * @param {Object|null} readings - See getFlightReadings(); null hides the instruments
+   */
+  updateInstruments(readings) {
+    this.instruments.update(readings);
+    if (this.heightElement) {
+      this.heightElement.parentElement.style.display = readings ? '' : 'none';
+      if (readings) this.heightElement.textContent = Math.round(readings.heightAboveGround);
+    }
+  }
+
+  /**
+   * Show whether the glide computer's target is in reach
+   * @param {Object|null} estimate - GlideComputer.estimate(); null hides it
+   */
+  updateGlide(estimate) {
+    if (!this.glideElement) return;
+    this.glideElement.style.display = estimate ? '' : 'none';
+    if (!estimate) return;
+
+    this.glideTargetElement.textContent =
+      `${estimate.target.name} ${(estimate.distance / 1000).toFixed(1)} km`;
+    const arrival = Math.round(estimate.arrivalHeight);
+    this.glideArrivalElement.textContent = `${arrival >= 0 ? '+' : ''}${arrival} m`;
+    this.glideArrivalElement.classList.toggle('unreachable', !estimate.reachable);
+
+    const required = Number.isFinite(estimate.requiredGlideRatio)
+      ? Math.round(estimate.requiredGlideRatio) : '-';
+    const source = estimate.averaged ? '' : ' best';
+    this.glideRatioElement.textContent = `L/D ${Math.round(estimate.glideRatio)}${source}, need ${required}`;
+  }
+
+  /**
+   * Name the camera mode for a couple of seconds after switching
+   * @param {string} label
+   */
+  showCameraMode(label) {
+    if (!this.cameraModeElement) return;
+    this.cameraModeElement.textContent = label;
+    this.cameraModeElement.classList.add('visible');
+    clearTimeout(this.cameraModeTimer);
+    this.cameraModeTimer = setTimeout(() => this.cameraModeElement.classList.remove('visible'), 2000);
+  }
+
+  /**
+   * Show how the launch is going; hidden once the glider is free
+   * @param {Aerotow|WinchLaunch|null} launch
+   * @param {Glider} glider
+   */
+  updateLaunch(launch, glider) {
+    if (!this.launchElement) return;
+    const status = launch ? launch.getStatus(glider) : null;
+    this.launchElement.textContent = status || '';
+    this.launchElement.style.display = status ? '' : 'none';
+  }
+
+  /**
+   * Warn near the edge of the flying area
+   * @param {BoundaryEnforcer|null} boundary - Null hides the warning
+   * @param {Glider} [glider]
+   */
+  updateBoundary(boundary, glider) {
+    if (!this.boundaryElement) return;
+    const warning = boundary ? boundary.getWarning(glider) : null;
+    this.boundaryElement.textContent = warning || '';
+    this.boundaryElement.classList.toggle('visible', Boolean(warning));
+  }
+
+  /**
+   * Show the way to the next turnpoint and progress around the task
+   * @param {TaskTracker|null} tracker - Null hides the task display
+   * @param {Glider} glider
+   */
+  updateTask(tracker, glider) {
+    if (!this.taskElement) return;
+    this.taskElement.style.display = tracker ? '' : 'none';
+    if (!tracker) return;
+
+    const navigation = tracker.getNavigation(glider);
+    if (navigation) {
+      const bearing = Math.round(navigation.bearing * 180 / Math.PI) % 360;
+      this.taskNextElement.textContent = navigation.name;
+      this.taskBearingElement.textContent = `${bearing.toString().padStart(3, '0')}°`;
+      this.taskDistanceElement.textContent = `${(navigation.distance / 1000).toFixed(1)} km`;
+      this.taskArrowElement.style.transform = `rotate(${navigation.relativeBearing}rad)`;
+    } else {
+      this.taskNextElement.textContent = 'Task complete';
+      this.taskBearingElement.textContent = '';
+      this.taskDistanceElement.textContent = '';
+    }
+    this.taskArrowElement.style.display = navigation ? '' : 'none';
+
+    const time = tracker.getElapsedTime(glider);
+    const minutes = Math.floor(time / 60);
+    const seconds = Math.floor(time % 60);
+    this.taskTimeElement.textContent = `${minutes}:${seconds.toString().padStart(2, '0')}`;
+    this.taskProgressElement.textContent =
+      `${(tracker.distance / 1000).toFixed(1)} / ${(tracker.task.distance / 1000).toFixed(1)} km`;
+  }
+
+  /**
+   * Show time trial progress: next ring, clock and the latest split,
+   * against the same split of the best run
+   * @param {TimeTrial|null} trial - Null hides the time trial display
+   * @param {Glider} glider
+   * @param {Object} [best] - Leaderboard entry to compare splits with
+   */
+  updateTimeTrial(trial, glider, best = null) {
+    if (!this.trialElement) return;
+    this.trialElement.style.display = trial ? '' : 'none';
+    if (!trial) return;
+
+    const count = trial.course.rings.length;
+    this.trialRingElement.textContent = trial.finished ? 'Finished' : `Ring ${trial.nextRing + 1}/${count}`;
+
+    const penalty = trial.getPenalty();
+    this.trialTimeElement.textContent = formatLapTime(trial.getElapsedTime(glider)) +
+      (penalty > 0 ? ` +${penalty} s` : '');
+
+    const index = trial.splits.length - 1;
+    const split = trial.splits[index];
+    let splitText = '';
+    if (index > 0 && split === null) {
+      splitText = `Missed ring ${index + 1}`;
+    } else if (index > 0) {
+      splitText = `Split ${index + 1}: ${formatLapTime(split)}`;
+      const bestSplit = best && best.splits[index];
+      if (typeof bestSplit === 'number') {
+        const delta = split - bestSplit;
+        splitText += ` (${delta < 0 ? '-' : '+'}${Math.abs(delta).toFixed(1)})`;
+      }
+    }
+    this.trialSplitElement.textContent = splitText;
+  }
+}
+
+// m:ss.s
+function formatLapTime(seconds) {
+  const minutes = Math.floor(seconds / 60);
+  return `${minutes}:${(seconds % 60).toFixed(1).padStart(4, '0')}`;
 }
@@ -0,0 +1,32 @@
+import { LocalTerrainProvider } from './LocalTerrainProvider.js';
+
+/**
+ * Terrain provider fed from an in-memory height array instead of an image.
+ * Needs no Image/canvas, so it runs headless (tests, procedural maps).
+ * No mesh is built; getMesh() returns null.
+ */
+export class HeightArrayTerrainProvider extends LocalTerrainProvider {
+  constructor(options = {}) {
+    super(options);
+
+    // Heights in meters, row-major, dataWidth x dataHeight samples
+    this.sourceHeights = options.heights;
+    this.sourceWidth = options.dataWidth;
+    this.sourceHeight = options.dataHeight;
+  }
+
+  async init() {
+    await this.loadHeightmap();
+    this.ready = true;
+  }
+
+  async loadHeightmap() {
+    if (!this.sourceHeights || this.sourceHeights.length !== this.sourceWidth * this.sourceHeight) {
+      throw new Error('HeightArrayTerrainProvider needs heights of length dataWidth * dataHeight');
+    }
+
+    this.heightDataWidth = this.sourceWidth;
+    this.heightDataHeight = this.sourceHeight;
+    this.heightData = Float32Array.from(this.sourceHeights);
+  }
+}
@@ -0,0 +1,233 @@
+/**
+ * Decoders for heightmap formats the browser's Image/canvas path can't read
+ * losslessly: 16-bit PNG, Terrain-RGB PNG and raw binary height grids.
+ * Pure functions over ArrayBuffers, so they also run in Node.
+ */
+
+const PNG_SIGNATURE = [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A];
+
+// Channels per PNG color type (palette images aren't used for heights)
+const PNG_CHANNELS = { 0: 1, 2: 3, 4: 2, 6: 4 };
+
+/**
+ * Decode a non-interlaced 8- or 16-bit grayscale/RGB(A) PNG
+ * @param {ArrayBuffer} buffer - PNG file contents
+ * @returns {Promise<{width: number, height: number, channels: number, bitDepth: number,
+ *   samples: Uint8Array|Uint16Array}>} - Samples are row-major, channels interleaved
+ */
+export async function decodePNG(buffer) {
+  const bytes = new Uint8Array(buffer);
+  const view = new DataView(buffer);
+
+  for (let i = 0; i < PNG_SIGNATURE.length; i++) {
+    if (bytes[i] !== PNG_SIGNATURE[i]) {
+      throw new Error('Not a PNG file');
+    }
+  }
+
+  let header = null;
+  const dataChunks = [];
+  let offset = 8;
+
+  while (offset < bytes.length) {
+    const length = view.getUint32(offset);
+    const type = String.fromCharCode(...bytes.subarray(offset + 4, offset + 8));
+    const data = bytes.subarray(offset + 8, offset + 8 + length);
+
+    if (type === 'IHDR') {
+      header = {
+        width: view.getUint32(offset + 8),
+        height: view.getUint32(offset + 12),
+        bitDepth: data[8],
+        colorType: data[9],
+        interlace: data[12]
+      };
+    } else if (type === 'IDAT') {
+      dataChunks.push(data);
+    } else if (type === 'IEND') {
+      break;
+    }
+
+    offset += 12 + length; // length + type + data + crc
+  }
+
+  if (!header) {
+    throw new Error('PNG has no IHDR chunk');
+  }
+
+  const channels = PNG_CHANNELS[header.colorType];
+  if (!channels) {
+    throw new Error(`Unsupported PNG color type ${header.colorType}`);
+  }
+  if (header.bitDepth !== 8 && header.bitDepth !== 16) {
+    throw new Error(`Unsupported PNG bit depth ${header.bitDepth}`);
+  }
+  if (header.interlace !== 0) {
+    throw new Error('Interlaced PNGs are not supported');
+  }
+
+  const inflated = await inflate(concatenate(dataChunks));
+  const bytesPerPixel = channels * header.bitDepth / 8;
+  const pixels = unfilter(inflated, header.width, header.height, bytesPerPixel);
+
+  const sampleCount = header.width * header.height * channels;
+  let samples;
+  if (header.bitDepth === 16) {
+    // PNG stores 16-bit samples big-endian
+    samples = new Uint16Array(sampleCount);
+    for (let i = 0; i < sampleCount; i++) {
+      samples[i] = (pixels[i * 2] << 8) | pixels[i * 2 + 1];
+    }
+  } else {
+    samples = pixels;
+  }
+
+  return {
+    width: header.width,
+    height: header.height,
+    channels,
+    bitDepth: header.bitDepth,
+    samples
+  };
+}
+
+/**
+ * Convert a decoded PNG's first channel to heights, mapping 0..max to minHeight..maxHeight
+ * @param {Object} image - From decodePNG
+ * @param {number} minHeight
+ * @param {number} maxHeight
+ * @returns {Float32Array}
+ */
+export function grayscaleToHeights(image, minHeight, maxHeight) {
+  const maxValue = image.bitDepth === 16 ? 65535 : 255;
+  const heights = new Float32Array(image.width * image.height);
+  for (let i = 0; i < heights.length; i++) {
+    heights[i] = minHeight + (image.samples[i * image.channels] / maxValue) * (maxHeight - minHeight);
+  }
+  return heights;
+}
+
+/**
+ * Decode Terrain-RGB heights: height = base + (R * 65536 + G * 256 + B) * interval
+ * @param {Object} image - 8-bit RGB or RGBA image from decodePNG
+ * @param {Object} [options]
+ * @param {number} [options.baseHeight] - Default -10000 (Mapbox)
+ * @param {number} [options.interval] - Default 0.1 m
+ * @returns {Float32Array}
+ */
+export function terrainRGBToHeights(image, options = {}) {
+  if (image.channels < 3 || image.bitDepth !== 8) {
+    throw new Error('Terrain-RGB needs an 8-bit RGB or RGBA image');
+  }
+
+  const baseHeight = options.baseHeight ?? -10000;
+  const interval = options.interval ?? 0.1;
+  const { samples, channels } = image;
+  const heights = new Float32Array(image.width * image.height);
+
+  for (let i = 0; i < heights.length; i++) {
+    const p = i * channels;
+    heights[i] = baseHeight + (samples[p] * 65536 + samples[p + 1] * 256 + samples[p + 2]) * interval;
+  }
+  return heights;
+}
+
+/**
+ * Decode a raw little-endian height grid with a JSON header.
+ * Layout: uint32 header length, UTF-8 JSON header, then width * height samples.
+ * Header: {width, height, type: 'float32' | 'int16', scale?: 1, offset?: 0}
+ * Height in meters = sample * scale + offset.
+ * @param {ArrayBuffer} buffer
+ * @returns {{width: number, height: number, type: string, heights: Float32Array}}
+ */
+export function decodeRawHeightmap(buffer) {
+  const view = new DataView(buffer);
+  const headerLength = view.getUint32(0, true);
+  const header = JSON.parse(new TextDecoder().decode(new Uint8Array(buffer, 4, headerLength)));
+
+  const { width, height, type } = header;
+  const scale = header.scale ?? 1;
+  const offset = header.offset ?? 0;
+  const sampleSize = { float32: 4, int16: 2 }[type];
+
+  if (!sampleSize) {
+    throw new Error(`Unsupported raw heightmap type "${type}"`);
+  }
+
+  const dataStart = 4 + headerLength;
+  const count = width * height;
+  if (buffer.byteLength < dataStart + count * sampleSize) {
+    throw new Error(`Raw heightmap is truncated: expected ${count} ${type} samples`);
+  }
+
+  const heights = new Float32Array(count);
+  for (let i = 0; i < count; i++) {
+    const position = dataStart + i * sampleSize;
+    const sample = type === 'float32'
+      ? view.getFloat32(position, true)
+      : view.getInt16(position, true);
+    heights[i] = sample * scale + offset;
+  }
+
+  return { width, height, type, heights };
+}
+
+// Undo PNG's per-scanline filters (None, Sub, Up, Average, Paeth)
+function unfilter(data, width, height, bytesPerPixel) {
+  const stride = width * bytesPerPixel;
+  const output = new Uint8Array(stride * height);
+
+  for (let y = 0; y < height; y++) {
+    const filter = data[y * (stride + 1)];
+    const input = y * (stride + 1) + 1;
+    const row = y * stride;
+    const previousRow = row - stride;
+
+    for (let x = 0; x < stride; x++) {
+      const raw = data[input + x];
+      const left = x >= bytesPerPixel ? output[row + x - bytesPerPixel] : 0;
+      const up = y > 0 ? output[previousRow + x] : 0;
+      const upLeft = y > 0 && x >= bytesPerPixel ? output[previousRow + x - bytesPerPixel] : 0;
+
+      let value;
+      switch (filter) {
+        case 0: value = raw; break;
+        case 1: value = raw + left; break;
+        case 2: value = raw + up; break;
+        case 3: value = raw + ((left + up) >> 1); break;
+        case 4: value = raw + paeth(left, up, upLeft); break;
+        default: throw new Error(`Invalid PNG filter type ${filter}`);
+      }
+      output[row + x] = value & 0xFF;
+    }
+  }
+
+  return output;
+}
+
+function paeth(a, b, c) {
+  const p = a + b - c;
+  const pa = Math.abs(p - a);
+  const pb = Math.abs(p - b);
+  const pc = Math.abs(p - c);
+  if (pa <= pb && pa <= pc) return a;
+  if (pb <= pc) return b;
+  return c;
+}
+
+// zlib inflate via the streams API (browsers and Node 18+)
+async function inflate(bytes) {
+  const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate'));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+function concatenate(chunks) {
+  const total = chunks.reduce((sum, chunk) => sum + chunk.length, 0);
+  const result = new Uint8Array(total);
+  let offset = 0;
+  for (const chunk of chunks) {
+    result.set(chunk, offset);
+    offset += chunk.length;
+  }
+  return result;
+}
@@ -0,0 +1,170 @@
+/**
+ * IGC flight-log export and import.
+ * IGC is the FAI text format used by real glider loggers: header (H) records
+ * followed by one B-record per fix:
+ *   B HHMMSS DDMMmmm N DDDMMmmm E A PPPPP GGGGG
+ *   time, latitude, longitude, fix validity, pressure alt, GNSS alt
+ */
+
+/**
+ * Build an IGC file from a recorded flight (see FlightRecorder)
+ * @param {Object} flight - Recorded flight
+ * @param {GeoReference} geoReference - Maps local coordinates to lat/lon
+ * @param {Object} [options]
+ * @param {string} [options.pilot]
+ * @param {string} [options.gliderType]
+ * @param {string} [options.gliderId]
+ * @param {number} [options.interval] - Seconds between fixes (default 1)
+ * @returns {string} - IGC file contents (CRLF line endings)
+ */
+export function exportIGC(flight, geoReference, options = {}) {
+  const interval = options.interval || 1;
+  const start = new Date(flight.startedAt);
+  const snapshots = flight.snapshots;
+
+  const lines = [
+    'AXFG001 Flying Game',
+    `HFDTEDATE:${pad(start.getUTCDate(), 2)}${pad(start.getUTCMonth() + 1, 2)}${pad(start.getUTCFullYear() % 100, 2)},01`,
+    `HFPLTPILOTINCHARGE:${options.pilot || 'Unknown'}`,
+    `HFGTYGLIDERTYPE:${options.gliderType || 'Flying Game glider'}`,
+    `HFGIDGLIDERID:${options.gliderId || 'SIM'}`,
+    'HFDTMGPSDATUM:WGS84',
+    'HFFTYFRTYPE:Flying Game simulator',
+    'HFALGALTGPS:GEO',
+    'HFALPALTPRESSURE:ISA'
+  ];
+
+  // One fix per interval, taking the latest snapshot at or before each fix time
+  let index = 0;
+  const duration = snapshots.length ? snapshots[snapshots.length - 1][0] : 0;
+  for (let time = 0; time <= duration + 1e-6; time += interval) {
+    while (index < snapshots.length - 1 && snapshots[index + 1][0] <= time + 1e-6) {
+      index++;
+    }
+    lines.push(createBRecord(snapshots[index], start, geoReference));
+  }
+
+  return lines.join('\r\n') + '\r\n';
+}
+
+/**
+ * Parse an IGC file
+ * @param {string} text - IGC file contents
+ * @returns {{date: Date|null, fixes: Array<{time: number, lat: number, lon: number,
+ *   valid: boolean, pressureAltitude: number, gpsAltitude: number}>}}
+ *   Fix time is seconds since midnight UTC of the flight date
+ */
+export function parseIGC(text) {
+  let date = null;
+  const fixes = [];
+  let dayOffset = 0;
+  let lastTime = -1;
+
+  for (const rawLine of text.split(/\r?\n/)) {
+    const line = rawLine.trim();
+
+    if (line.startsWith('HFDTE')) {
+      // Both "HFDTE010125" and "HFDTEDATE:010125,01" are in the wild
+      const match = line.match(/(\d{2})(\d{2})(\d{2})/);
+      if (match) {
+        const [, day, month, year] = match;
+        date = new Date(Date.UTC(2000 + parseInt(year, 10), parseInt(month, 10) - 1, parseInt(day, 10)));
+      }
+    } else if (line.startsWith('B') && line.length >= 35) {
+      const fix = parseBRecord(line);
+      if (!fix) continue;
+
+      // Flights that cross midnight UTC
+      if (fix.time + dayOffset < lastTime) {
+        dayOffset += 86400;
+      }
+      fix.time += dayOffset;
+      lastTime = fix.time;
+
+      fixes.push(fix);
+    }
+  }
+
+  return { date, fixes };
+}
+
+/**
+ * Convert parsed IGC fixes to local terrain coordinates
+ * @param {Array} fixes - From parseIGC
+ * @param {GeoReference} geoReference
+ * @returns {Array<{x: number, y: number, z: number, time: number}>}
+ */
+export function fixesToLocal(fixes, geoReference) {
+  return fixes.map(fix => {
+    const { x, z } = geoReference.toLocal(fix.lat, fix.lon);
+    // Prefer GNSS altitude; old loggers without GPS altitude write zeros
+    const altitude = fix.gpsAltitude !== 0 ? fix.gpsAltitude : fix.pressureAltitude;
+    return { x, y: geoReference.toLocalHeight(altitude), z, time: fix.time };
+  });
+}
+
+function createBRecord(snapshot, start, geoReference) {
+  const [time, x, y, z] = snapshot;
+  const fixTime = new Date(start.getTime() + time * 1000);
+  const { lat, lon } = geoReference.toLatLon(x, z);
+  const altitude = Math.round(geoReference.toAltitudeMSL(y));
+
+  return 'B' +
+    pad(fixTime.getUTCHours(), 2) + pad(fixTime.getUTCMinutes(), 2) + pad(fixTime.getUTCSeconds(), 2) +
+    formatCoordinate(lat, 2, 'N', 'S') +
+    formatCoordinate(lon, 3, 'E', 'W') +
+    'A' +
+    formatAltitude(altitude) +
+    formatAltitude(altitude);
+}
+
+function parseBRecord(line) {
+  const hours = parseInt(line.slice(1, 3), 10);
+  const minutes = parseInt(line.slice(3, 5), 10);
+  const seconds = parseInt(line.slice(5, 7), 10);
+
+  const lat = parseCoordinate(line.slice(7, 14), 2, line[14], 'S');
+  const lon = parseCoordinate(line.slice(15, 23), 3, line[23], 'W');
+  if (Number.isNaN(lat) || Number.isNaN(lon)) return null;
+
+  return {
+    time: hours * 3600 + minutes * 60 + seconds,
+    lat,
+    lon,
+    valid: line[24] === 'A',
+    pressureAltitude: parseInt(line.slice(25, 30), 10) || 0,
+    gpsAltitude: parseInt(line.slice(30, 35), 10) || 0
+  };
+}
+
+// Degrees to DDMMmmm / DDDMMmmm plus hemisphere letter
+function formatCoordinate(value, degreeDigits, positive, negative) {
+  const hemisphere = value < 0 ? negative : positive;
+  const absolute = Math.abs(value);
+  let degrees = Math.floor(absolute);
+  let thousandthsOfMinutes = Math.round((absolute - degrees) * 60000);
+  if (thousandthsOfMinutes === 60000) {
+    degrees++;
+    thousandthsOfMinutes = 0;
+  }
+  return pad(degrees, degreeDigits) + pad(thousandthsOfMinutes, 5) + hemisphere;
+}
+
+function parseCoordinate(digits, degreeDigits, hemisphere, negative) {
+  const degrees = parseInt(digits.slice(0, degreeDigits), 10);
+  const minutes = parseInt(digits.slice(degreeDigits), 10) / 1000;
+  const value = degrees + minutes / 60;
+  return hemisphere === negative ? -value : value;
+}
+
+// Altitudes are 5 characters; negative values keep the minus sign inside the field
+function formatAltitude(meters) {
+  if (meters < 0) {
+    return '-' + pad(Math.min(-meters, 9999), 4);
+  }
+  return pad(Math.min(meters, 99999), 5);
+}
+
+function pad(value, length) {
+  return String(value).padStart(length, '0');
+}
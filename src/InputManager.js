@@ -1,14 +1,27 @@
-export class InputManager {
-  constructor() {
-    this.pitch = 0;  // -1 to 1 (down to up)
-    this.roll = 0;   // -1 to 1 (left to right)
+import { GamepadInput } from './GamepadInput.js';
+import { ACTIONS, loadBindings, saveBindings } from './ControlBindings.js';
+
+const KEY_RATE = 0.05; // Deflection added per tick while a key is held
 
-    this.keys = {
-      up: false,
-      down: false,
-      left: false,
-      right: false
-    };
+/**
+ * Turns keyboard, gamepad and touch input into flight controls and
+ * one-shot actions (restart, pause...), through the player's bindings.
+ */
+export class InputManager {
+  constructor(options = {}) {
+    this.pitch = 0;     // -1 to 1 (down to up)
+    this.roll = 0;      // -1 to 1 (left to right)
+    this.yaw = 0;       // -1 to 1 (left to right), rudder
+    this.airbrake = 0;  // 0 to 1 (retracted to full)
+    this.flaps = 0;     // -1, 0 or 1: flap steps (up/down) to apply this tick
+    this.pendingFlaps = 0;
+
+    // Action mapping (see ControlBindings), persisted in localStorage
+    this.bindings = options.bindings || loadBindings();
+    this.heldKeys = new Set();        // KeyboardEvent.code values currently down
+    this.handlers = {};               // Trigger action -> callbacks
+    this.pressedButtons = new Set();  // Trigger actions held on the gamepad last poll
+    this.suspended = false;           // Ignore input (e.g. while rebinding)
 
     this.touchActive = false;
     this.touchStartX = 0;
@@ -16,57 +29,79 @@ export class InputManager {
     this.touchCurrentX = 0;
     this.touchCurrentY = 0;
 
+    // Sticks, pads and HOTAS (deadzone/expo/invert per axis in options.gamepad)
+    this.gamepad = new GamepadInput({ ...options.gamepad, bindings: this.bindings });
+
     this.setupKeyboardListeners();
     this.setupTouchListeners();
+    this.gamepad.setupListeners();
+
+    // Flap presses are queued and applied one step per tick
+    this.on('flapsDown', () => this.pendingFlaps++);
+    this.on('flapsUp', () => this.pendingFlaps--);
   }
 
   setupKeyboardListeners() {
     window.addEventListener('keydown', (e) => this.handleKeyDown(e));
     window.addEventListener('keyup', (e) => this.handleKeyUp(e));
+
+    // Keys released while the window is unfocused never send keyup
+    window.addEventListener('blur', () => this.heldKeys.clear());
   }
 
   handleKeyDown(e) {
-    switch (e.code) {
-      case 'ArrowUp':
-      case 'KeyW':
-        this.keys.up = true;
-        break;
-      case 'ArrowDown':
-      case 'KeyS':
-        this.keys.down = true;
-        break;
-      case 'ArrowLeft':
-      case 'KeyA':
-        this.keys.left = true;
-        break;
-      case 'ArrowRight':
-      case 'KeyD':
-        this.keys.right = true;
-        break;
+    if (this.suspended) return;
+
+    const actions = ACTIONS.filter(({ id }) => this.bindings.keyboard[id].includes(e.code));
+    if (actions.length === 0) return;
+
+    // Otherwise Space presses whichever button was clicked last
+    e.preventDefault();
+    this.heldKeys.add(e.code);
+    if (!e.repeat) {
+      actions.filter(action => action.kind === 'trigger').forEach(action => this.emit(action.id));
     }
   }
 
   handleKeyUp(e) {
-    switch (e.code) {
-      case 'ArrowUp':
-      case 'KeyW':
-        this.keys.up = false;
-        break;
-      case 'ArrowDown':
-      case 'KeyS':
-        this.keys.down = false;
-        break;
-      case 'ArrowLeft':
-      case 'KeyA':
-        this.keys.left = false;
-        break;
-      case 'ArrowRight':
-      case 'KeyD':
-        this.keys.right = false;
-        break;
+    this.heldKeys.delete(e.code);
+  }
+
+  /**
+   * Call back whenever a trigger action (see ControlBindings.ACTIONS) fires
+   * @param {string} action - e.g. 'restart'
+   * @param {function(): void} callback
+   */
+  on(action, callback) {
+    (this.handlers[action] ||= []).push(callback);
+  }
+
+  emit(action) {
+    for (const callback of this.handlers[action] || []) {
+      callback();
     }
   }
 
+  isKeyHeld(action) {
+    return this.bindings.keyboard[action].some(code => this.heldKeys.has(code));
+  }
+
+  /**
+   * Replace the bindings and save them
+   * @param {Object} bindings
+   */
+  setBindings(bindings) {
+    this.bindings = bindings;
+    this.gamepad.setBindings(bindings);
+    this.heldKeys.clear();
+    saveBindings(bindings);
+  }
+
+  setSuspended(suspended) {
+    this.suspended = suspended;
+    this.heldKeys.clear();
+  }
+
   setupTouchListeners() {
     const touchZone = document.getElementById('touch-zone');
     const touchIndicator = document.getElementById('touch-indicator');
@@ -120,25 +155,43 @@ export class InputManager {
     });
   }
 
-  update() {
-    // Process keyboard input
-    if (this.keys.up) {
-      this.pitch = Math.min(this.pitch + 0.05, 1);
-    } else if (this.keys.down) {
-      this.pitch = Math.max(this.pitch - 0.05, -1);
-    } else {
-      this.pitch *= 0.9; // Return to neutral
+  /**
+   * Fire trigger actions for gamepad buttons pressed since the last poll.
+   * Called every frame, so pause still works while the simulation is held.
+   */
+  pollTriggers() {
+    const gamepadState = this.suspended ? null : this.gamepad.poll();
+    const pressed = gamepadState ? gamepadState.pressed : new Set();
+
+    for (const action of pressed) {
+      if (!this.pressedButtons.has(action)) {
+        this.emit(action);
+      }
     }
+    this.pressedButtons = pressed;
+  }
+
+  // Once per simulation tick
+  update() {
+    const gamepadState = this.suspended ? null : this.gamepad.poll();
 
-    if (this.keys.left) {
-      this.roll = Math.max(this.roll - 0.05, -1);
-    } else if (this.keys.right) {
-      this.roll = Math.min(this.roll + 0.05, 1);
+    // Keys ramp and take over while held; analog axes are absolute
+    this.pitch = this.updateAxis(this.pitch, 'pitchUp', 'pitchDown', gamepadState && gamepadState.pitch);
+    this.roll = this.updateAxis(this.roll, 'rollRight', 'rollLeft', gamepadState && gamepadState.roll);
+    this.yaw = this.updateAxis(this.yaw, 'yawRight', 'yawLeft', gamepadState && gamepadState.yaw);
+
+    if (this.isKeyHeld('airbrake')) {
+      this.airbrake = Math.min(this.airbrake + KEY_RATE, 1);
+    } else if (gamepadState) {
+      this.airbrake = gamepadState.airbrake;
     } else {
-      this.roll *= 0.9; // Return to neutral
+      this.airbrake = Math.max(this.airbrake - KEY_RATE, 0);
     }
 
-    // Process touch input (overrides keyboard if active)
+    this.flaps = Math.sign(this.pendingFlaps);
+    this.pendingFlaps -= this.flaps;
+
+    // Process touch input (overrides keyboard and gamepad if active)
     if (this.touchActive) {
       const maxDelta = 100; // pixels for full deflection
 
@@ -151,6 +204,17 @@ export class InputManager {
     }
   }
 
+  updateAxis(value, positive, negative, analog) {
+    if (this.isKeyHeld(positive)) {
+      return Math.min(value + KEY_RATE, 1);
+    } else if (this.isKeyHeld(negative)) {
+      return Math.max(value - KEY_RATE, -1);
+    } else if (analog !== null) {
+      return analog;
+    }
+    return value * 0.9; // Return to neutral
+  }
+
   getPitch() {
     return this.pitch;
   }
@@ -158,4 +222,20 @@ export class InputManager {
   getRoll() {
     return this.roll;
   }
+
+  getYaw() {
+    return this.yaw;
+  }
+
+  getAirbrake() {
+    return this.airbrake;
+  }
+
+  getFlaps() {
+    return this.flaps;
+  }
+
+  isGamepadConnected() {
+    return this.gamepad.isConnected();
+  }
 }
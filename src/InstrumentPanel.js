@@ -0,0 +1,104 @@
+import * as THREE from 'three';
+import { CanvasInstruments } from './CanvasInstruments.js';
+import { DomInstruments } from './DomInstruments.js';
+
+const STORAGE_KEY = 'flying_game.instruments';
+
+export const INSTRUMENT_STYLES = [
+  { id: 'canvas', label: 'Canvas' },
+  { id: 'dom', label: 'DOM' }
+];
+
+/**
+ * What the instruments show, for a Glider or a FlightPlayback
+ * @param {Glider|FlightPlayback} glider
+ * @param {TerrainProvider} terrainProvider
+ * @returns {{pitch: number, bank: number, heading: number, verticalSpeed: number,
+ *   heightAboveGround: number}} - Radians (bank positive to the right, heading
+ *   clockwise from north) and m, m/s
+ */
+export function getFlightReadings(glider, terrainProvider) {
+  const euler = new THREE.Euler().setFromQuaternion(glider.renderRotation, 'YXZ');
+  const position = glider.renderPosition;
+  return {
+    pitch: euler.x,
+    bank: -euler.z,
+    heading: ((-euler.y % (Math.PI * 2)) + Math.PI * 2) % (Math.PI * 2),
+    verticalSpeed: glider.getVerticalSpeed(),
+    heightAboveGround: position.y - terrainProvider.getHeightAt(position.x, position.z)
+  };
+}
+
+/**
+ * The glass cockpit's attitude, heading and climb instruments, drawn either
+ * on a canvas or with DOM elements (lighter on phones). The player can
+ * switch with the #instruments-btn button; the choice is remembered.
+ */
+export class InstrumentPanel {
+  constructor() {
+    this.panel = document.getElementById('instruments');
+    this.button = document.getElementById('instruments-btn');
+    if (!this.panel) return;
+
+    const canvas = document.getElementById('instruments-canvas');
+    this.styles = {
+      canvas: canvas && canvas.getContext('2d') ? new CanvasInstruments(canvas) : null,
+      dom: new DomInstruments(document.getElementById('instruments-dom'))
+    };
+    this.setStyle(loadStyle() || defaultStyle());
+    this.panel.style.display = 'none';  // Until there is a flight to show
+
+    if (this.button) {
+      this.button.addEventListener('click', () => {
+        const index = INSTRUMENT_STYLES.findIndex(style => style.id === this.style);
+        this.setStyle(INSTRUMENT_STYLES[(index + 1) % INSTRUMENT_STYLES.length].id);
+        saveStyle(this.style);
+      });
+    }
+  }
+
+  /**
+   * @param {string} style - See INSTRUMENT_STYLES; canvas falls back to DOM without 2D canvas support
+   */
+  setStyle(style) {
+    this.style = style === 'canvas' && this.styles.canvas ? 'canvas' : 'dom';
+    for (const [id, instruments] of Object.entries(this.styles)) {
+      if (instruments) instruments.setVisible(id === this.style);
+    }
+    if (this.button) {
+      const { label } = INSTRUMENT_STYLES.find(({ id }) => id === this.style);
+      this.button.textContent = `Instruments: ${label}`;
+    }
+  }
+
+  /**
+   * @param {Object|null} readings - See getFlightReadings(); null hides the panel
+   */
+  update(readings) {
+    if (!this.panel) return;
+    this.panel.style.display = readings ? '' : 'none';
+    if (readings) this.styles[this.style].draw(readings);
+  }
+}
+
+// Canvas on desktop, DOM on touch screens
+function defaultStyle() {
+  const touch = typeof window.matchMedia === 'function' && window.matchMedia('(pointer: coarse)').matches;
+  return touch ? 'dom' : 'canvas';
+}
+
+function loadStyle() {
+  try {
+    return localStorage.getItem(STORAGE_KEY);
+  } catch (e) {
+    return null;
+  }
+}
+
+function saveStyle(style) {
+  try {
+    localStorage.setItem(STORAGE_KEY, style);
+  } catch (e) {
+    console.warn(`Could not save ${STORAGE_KEY}:`, e);
+  }
+}
@@ -0,0 +1,75 @@
+/**
+ * Touchdown evaluation: decides whether meeting the ground is a landing or
+ * a crash, and scores the landing.
+ *
+ * A touchdown is {verticalSpeed, bank, pitch, slope, speed}: sink rate over
+ * the ground (m/s), absolute bank, pitch relative to the ground along the
+ * heading (positive nose up) and terrain slope, all in radians, and ground
+ * speed (m/s).
+ */
+
+export const LANDING_LIMITS = {
+  maxVerticalSpeed: 3,    // m/s; harder than this breaks the gear
+  maxBank: 0.26,          // ~15°, a wingtip digs in
+  maxNoseDown: 0.17,      // ~10° below the ground's slope, the nose digs in
+  maxNoseUp: 0.35,        // ~20°, tail strike
+  maxSlope: 0.35          // ~20°, too steep to roll out on (or a cliff face)
+};
+
+// Share of the 100 points each criterion is worth
+const SCORE_WEIGHTS = {
+  verticalSpeed: 40,
+  bank: 20,
+  pitch: 20,
+  slope: 20
+};
+
+const PERFECT_VERTICAL_SPEED = 0.5;  // m/s, a greaser
+const IDEAL_PITCH = 0.05;            // Slightly nose up, main wheel first
+
+/**
+ * Judge a touchdown
+ * @param {Object} touchdown - {verticalSpeed, bank, pitch, slope, speed}
+ * @param {Object} [limits] - See LANDING_LIMITS
+ * @returns {Object} - The touchdown plus {safe, reason, score}: reason names
+ *   the first limit exceeded (null when safe), score is 0-100 (0 when not safe)
+ */
+export function evaluateTouchdown(touchdown, limits = LANDING_LIMITS) {
+  const { verticalSpeed, bank, pitch, slope } = touchdown;
+
+  let reason = null;
+  if (slope > limits.maxSlope) {
+    reason = 'Terrain too steep';
+  } else if (verticalSpeed > limits.maxVerticalSpeed) {
+    reason = 'Hit the ground too hard';
+  } else if (Math.abs(bank) > limits.maxBank) {
+    reason = 'Wingtip hit the ground';
+  } else if (pitch < -limits.maxNoseDown) {
+    reason = 'Nose hit the ground';
+  } else if (pitch > limits.maxNoseUp) {
+    reason = 'Tail strike';
+  }
+
+  if (reason) {
+    return { ...touchdown, safe: false, reason, score: 0 };
+  }
+
+  // Each criterion loses its points linearly on the way to its limit
+  const pitchError = pitch < IDEAL_PITCH
+    ? (IDEAL_PITCH - pitch) / (IDEAL_PITCH + limits.maxNoseDown)
+    : (pitch - IDEAL_PITCH) / (limits.maxNoseUp - IDEAL_PITCH);
+  const errors = {
+    verticalSpeed: Math.max(0, verticalSpeed - PERFECT_VERTICAL_SPEED) /
+      (limits.maxVerticalSpeed - PERFECT_VERTICAL_SPEED),
+    bank: Math.abs(bank) / limits.maxBank,
+    pitch: pitchError,
+    slope: slope / limits.maxSlope
+  };
+
+  let score = 0;
+  for (const [criterion, weight] of Object.entries(SCORE_WEIGHTS)) {
+    score += weight * (1 - Math.min(1, errors[criterion]));
+  }
+
+  return { ...touchdown, safe: true, reason: null, score: Math.round(score) };
+}
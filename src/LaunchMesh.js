@@ -0,0 +1,95 @@
+import * as THREE from 'three';
+
+/**
+ * Visual representation of a launch: the tow plane or winch and the rope or
+ * cable to the glider. Kept separate from Aerotow and WinchLaunch so they can
+ * run headless.
+ */
+export class LaunchMesh {
+  /**
+   * @param {THREE.Scene} scene
+   * @param {Aerotow|WinchLaunch} launch
+   */
+  constructor(scene, launch) {
+    this.scene = scene;
+    this.launch = launch;
+    this.group = new THREE.Group();
+
+    if (launch.towPlane) {
+      this.towPlaneMesh = this.createTowPlane();
+      this.group.add(this.towPlaneMesh);
+    } else {
+      this.group.add(this.createWinch(launch.position));
+    }
+
+    // Rope or cable: a single segment from the launch to the glider's nose
+    const cableGeometry = new THREE.BufferGeometry().setFromPoints([new THREE.Vector3(), new THREE.Vector3()]);
+    const cableMaterial = new THREE.LineBasicMaterial({ color: 0x222222 });
+    this.cable = new THREE.Line(cableGeometry, cableMaterial);
+    this.cable.frustumCulled = false;
+    this.group.add(this.cable);
+
+    this.scene.add(this.group);
+  }
+
+  createTowPlane() {
+    const material = new THREE.MeshStandardMaterial({ color: 0xd03030, metalness: 0.3, roughness: 0.6 });
+    const fuselage = new THREE.Mesh(new THREE.BoxGeometry(1.2, 1.2, 7), material);
+    fuselage.castShadow = true;
+
+    const wings = new THREE.Mesh(new THREE.BoxGeometry(11, 0.15, 1.6), material);
+    wings.position.set(0, 0.4, -1);
+    fuselage.add(wings);
+
+    const tail = new THREE.Mesh(new THREE.BoxGeometry(3.5, 0.1, 0.8), material);
+    tail.position.set(0, 0.3, 3.2);
+    fuselage.add(tail);
+
+    const fin = new THREE.Mesh(new THREE.BoxGeometry(0.1, 1.4, 0.8), material);
+    fin.position.set(0, 1, 3.2);
+    fuselage.add(fin);
+
+    return fuselage;
+  }
+
+  createWinch(position) {
+    const material = new THREE.MeshStandardMaterial({ color: 0x556b2f, roughness: 0.8 });
+    const winch = new THREE.Mesh(new THREE.BoxGeometry(2.5, 2, 5), material);
+    winch.position.copy(position);
+    winch.castShadow = true;
+    return winch;
+  }
+
+  setVisible(visible) {
+    this.group.visible = visible;
+  }
+
+  /**
+   * Follow the tow plane and stretch the cable to the glider
+   * @param {Glider} glider - Already interpolated for this frame
+   */
+  update(glider) {
+    if (this.towPlaneMesh) {
+      const towPlane = this.launch.towPlane;
+      this.towPlaneMesh.position.copy(towPlane.position);
+      towPlane.getRotation(this.towPlaneMesh.quaternion);
+    }
+
+    const cable = this.launch.getCable();
+    this.cable.visible = cable !== null;
+    if (cable) {
+      const positions = this.cable.geometry.attributes.position;
+      positions.setXYZ(0, cable.from.x, cable.from.y, cable.from.z);
+      positions.setXYZ(1, glider.renderPosition.x, glider.renderPosition.y, glider.renderPosition.z);
+      positions.needsUpdate = true;
+    }
+  }
+
+  dispose() {
+    this.scene.remove(this.group);
+    this.group.traverse((child) => {
+      if (child.geometry) child.geometry.dispose();
+      if (child.material) child.material.dispose();
+    });
+  }
+}
@@ -1,5 +1,19 @@
 import * as THREE from 'three';
 import { TerrainProvider } from './TerrainProvider.js';
+import {
+  decodePNG,
+  grayscaleToHeights,
+  terrainRGBToHeights,
+  decodeRawHeightmap
+} from './HeightmapDecoder.js';
+
+// Supported heightmap encodings:
+//   png8         8-bit grayscale PNG (red channel), mapped to minHeight..maxHeight
+//   png16        16-bit grayscale PNG, mapped to minHeight..maxHeight
+//   terrain-rgb  Height packed into R/G/B: base + (R*65536 + G*256 + B) * interval, in meters
+//   float32      Raw little-endian .bin with JSON header (see decodeRawHeightmap), in meters
+//   int16        Same, with 16-bit signed samples
+const HEIGHTMAP_ENCODINGS = ['png8', 'png16', 'terrain-rgb', 'float32', 'int16'];
 
 /**
  * Terrain provider that loads static heightmap and color images.
@@ -13,11 +27,21 @@ export class LocalTerrainProvider extends TerrainProvider {
     this.heightmapPath = options.heightmapPath || '/maps/grand_canyon/terrain_height.png';
     this.colorMapPath = options.colorMapPath || '/maps/grand_canyon/terrain_color.png';
 
+    // How heights are stored in the heightmap file
+    this.heightmapEncoding = options.heightmapEncoding || 'png8';
+    if (!HEIGHTMAP_ENCODINGS.includes(this.heightmapEncoding)) {
+      throw new Error(`Unknown heightmap encoding "${this.heightmapEncoding}"`);
+    }
+
+    // Terrain-RGB decoding constants (Mapbox defaults)
+    this.terrainRGBBase = options.terrainRGBBase ?? -10000;
+    this.terrainRGBInterval = options.terrainRGBInterval ?? 0.1;
+
     // Terrain dimensions in world units (meters)
     this.terrainWidth = options.width || 3000;  // 3km
     this.terrainDepth = options.depth || 3000;  // 3km
 
-    // Height scaling: pixel value 255 = maxHeight meters
+    // Height scaling for png8/png16: maximum pixel value = maxHeight meters
     this.maxHeight = options.maxHeight || 8849; // Mount Everest height
     this.minHeight = options.minHeight || 0;
 
@@ -41,6 +65,57 @@ export class LocalTerrainProvider extends TerrainProvider {
   }
 
   async loadHeightmap() {
+    switch (this.heightmapEncoding) {
+      case 'png8':
+        return this.loadImageHeightmap();
+
+      case 'png16': {
+        const image = await decodePNG(await this.fetchHeightmap());
+        if (image.bitDepth !== 16) {
+          throw new Error(`Expected a 16-bit PNG heightmap: ${this.heightmapPath}`);
+        }
+        this.setHeightData(image.width, image.height,
+          grayscaleToHeights(image, this.minHeight, this.maxHeight));
+        return;
+      }
+
+      case 'terrain-rgb': {
+        const image = await decodePNG(await this.fetchHeightmap());
+        this.setHeightData(image.width, image.height, terrainRGBToHeights(image, {
+          baseHeight: this.terrainRGBBase,
+          interval: this.terrainRGBInterval
+        }));
+        return;
+      }
+
+      case 'float32':
+      case 'int16': {
+        const raw = decodeRawHeightmap(await this.fetchHeightmap());
+        if (raw.type !== this.heightmapEncoding) {
+          throw new Error(`Heightmap ${this.heightmapPath} is ${raw.type}, expected ${this.heightmapEncoding}`);
+        }
+        this.setHeightData(raw.width, raw.height, raw.heights);
+        return;
+      }
+    }
+  }
+
+  async fetchHeightmap() {
+    const response = await fetch(this.heightmapPath);
+    if (!response.ok) {
+      throw new Error(`Failed to load heightmap: ${this.heightmapPath}`);
+    }
+    return response.arrayBuffer();
+  }
+
+  setHeightData(width, height, heights) {
+    this.heightDataWidth = width;
+    this.heightDataHeight = height;
+    this.heightData = heights;
+  }
+
+  // 8-bit heightmaps go through the browser's image decoder
+  async loadImageHeightmap() {
     return new Promise((resolve, reject) => {
       const img = new Image();
       img.crossOrigin = 'anonymous';
@@ -120,6 +195,20 @@ export class LocalTerrainProvider extends TerrainProvider {
     geometry.attributes.position.needsUpdate = true;
     geometry.computeVertexNormals();
 
+    // Create material
+    const material = this.createMaterial();
+
+    // Create mesh
+    this.mesh = new THREE.Mesh(geometry, material);
+    this.mesh.receiveShadow = true;
+    this.mesh.castShadow = false;
+  }
+
+  /**
+   * Terrain material textured with the color map
+   * @returns {THREE.MeshStandardMaterial}
+   */
+  createMaterial() {
     // Load color texture
     const textureLoader = new THREE.TextureLoader();
     const colorTexture = textureLoader.load(this.colorMapPath);
@@ -129,17 +218,12 @@ export class LocalTerrainProvider extends TerrainProvider {
     colorTexture.magFilter = THREE.LinearFilter;
 
     // Create material
-    const material = new THREE.MeshStandardMaterial({
+    return new THREE.MeshStandardMaterial({
       map: colorTexture,
       roughness: 0.9,
       metalness: 0.0,
       side: THREE.FrontSide
     });
-
-    // Create mesh
-    this.mesh = new THREE.Mesh(geometry, material);
-    this.mesh.receiveShadow = true;
-    this.mesh.castShadow = false;
   }
 
   /**
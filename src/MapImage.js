@@ -0,0 +1,156 @@
+/**
+ * Navigation map imagery: the map's color image (or an elevation tint where
+ * there is none) shaded by the relief and overlaid with contour lines, all
+ * computed from the terrain's heights. One canvas per stage, covering the
+ * terrain's bounds with north (-Z) at the top.
+ */
+
+const MAX_SIZE = 1024;        // Pixels along the longer side
+const CONTOUR_INTERVAL = 100; // m
+const LIGHT = normalize([-1, Math.SQRT2, -1]);  // Sun in the north-west, 45° up
+
+/**
+ * Relief shading lit from the north-west
+ * @param {Float32Array|Array<number>} heights - Row-major, row 0 at the north edge
+ * @param {number} width - Samples per row
+ * @param {number} height - Rows
+ * @param {number} cellSize - Meters between samples
+ * @returns {Uint8ClampedArray} - Brightness 0-255 per sample
+ */
+export function computeHillshade(heights, width, height, cellSize) {
+  const shade = new Uint8ClampedArray(width * height);
+  const at = (x, y) => heights[Math.min(height - 1, Math.max(0, y)) * width + Math.min(width - 1, Math.max(0, x))];
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      // Slopes from the neighbours (east and south are +x and +z)
+      const dhdx = (at(x + 1, y) - at(x - 1, y)) / (2 * cellSize);
+      const dhdz = (at(x, y + 1) - at(x, y - 1)) / (2 * cellSize);
+      const [nx, ny, nz] = normalize([-dhdx, 1, -dhdz]);
+      const light = nx * LIGHT[0] + ny * LIGHT[1] + nz * LIGHT[2];
+      shade[y * width + x] = Math.max(0, light) * 255;
+    }
+  }
+  return shade;
+}
+
+/**
+ * Where contour lines run: samples whose height band differs from the
+ * sample to the east or south
+ * @param {Float32Array|Array<number>} heights - Row-major
+ * @param {number} width
+ * @param {number} height
+ * @param {number} interval - Meters between contours
+ * @returns {Uint8Array} - 1 on a contour, 0 elsewhere
+ */
+export function computeContours(heights, width, height, interval) {
+  const contours = new Uint8Array(width * height);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const i = y * width + x;
+      const band = Math.floor(heights[i] / interval);
+      if ((x + 1 < width && Math.floor(heights[i + 1] / interval) !== band) ||
+          (y + 1 < height && Math.floor(heights[i + width] / interval) !== band)) {
+        contours[i] = 1;
+      }
+    }
+  }
+  return contours;
+}
+
+/**
+ * Color for an elevation where the map has no color image: green lowlands
+ * through brown to pale summits
+ * @param {number} fraction - 0 (lowest) to 1 (highest)
+ * @returns {Array<number>} - [r, g, b]
+ */
+export function getElevationTint(fraction) {
+  const stops = [[0, [86, 140, 72]], [0.5, [166, 128, 84]], [1, [236, 232, 224]]];
+  const t = Math.max(0, Math.min(1, fraction));
+  for (let i = 1; i < stops.length; i++) {
+    const [end, to] = stops[i];
+    const [start, from] = stops[i - 1];
+    if (t <= end) {
+      const k = (t - start) / (end - start);
+      return from.map((c, j) => c + (to[j] - c) * k);
+    }
+  }
+  return stops[stops.length - 1][1];
+}
+
+/**
+ * Draw the map image for a stage
+ * @param {TerrainProvider} terrainProvider - Heights and bounds
+ * @param {string|null} colorMapPath - The map's color image, if it has one
+ * @returns {Promise<HTMLCanvasElement>}
+ */
+export async function createMapImage(terrainProvider, colorMapPath) {
+  const bounds = terrainProvider.getBounds();
+
+  // No finer than the heightmap itself
+  const sourceSize = Math.max(terrainProvider.heightDataWidth || 0, terrainProvider.heightDataHeight || 0);
+  const longest = Math.min(MAX_SIZE, Math.max(sourceSize, 256));
+  const cellSize = Math.max(bounds.width, bounds.depth) / longest;
+  const width = Math.round(bounds.width / cellSize);
+  const height = Math.round(bounds.depth / cellSize);
+
+  const heights = new Float32Array(width * height);
+  let low = Infinity;
+  let high = -Infinity;
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const h = terrainProvider.getHeightAt(bounds.minX + (x + 0.5) * cellSize, bounds.minZ + (y + 0.5) * cellSize);
+      heights[y * width + x] = h;
+      low = Math.min(low, h);
+      high = Math.max(high, h);
+    }
+  }
+
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  const ctx = canvas.getContext('2d');
+
+  const colors = colorMapPath ? await loadColors(colorMapPath, width, height) : null;
+  const shade = computeHillshade(heights, width, height, cellSize);
+  const contours = computeContours(heights, width, height, CONTOUR_INTERVAL);
+
+  const image = ctx.createImageData(width, height);
+  for (let i = 0; i < width * height; i++) {
+    const base = colors
+      ? [colors[i * 4], colors[i * 4 + 1], colors[i * 4 + 2]]
+      : getElevationTint((heights[i] - low) / Math.max(high - low, 1));
+    const light = (0.4 + 0.6 * shade[i] / 255) * (contours[i] ? 0.6 : 1);
+    image.data[i * 4] = base[0] * light;
+    image.data[i * 4 + 1] = base[1] * light;
+    image.data[i * 4 + 2] = base[2] * light;
+    image.data[i * 4 + 3] = 255;
+  }
+  ctx.putImageData(image, 0, 0);
+  return canvas;
+}
+
+// The color image's pixels, scaled to the map's size; null if it fails to load
+function loadColors(path, width, height) {
+  return new Promise((resolve) => {
+    const img = new Image();
+    img.onload = () => {
+      const canvas = document.createElement('canvas');
+      canvas.width = width;
+      canvas.height = height;
+      const ctx = canvas.getContext('2d');
+      ctx.drawImage(img, 0, 0, width, height);
+      resolve(ctx.getImageData(0, 0, width, height).data);
+    };
+    img.onerror = () => {
+      console.warn(`Could not load ${path} for the map; using elevation colors`);
+      resolve(null);
+    };
+    img.src = path;
+  });
+}
+
+function normalize([x, y, z]) {
+  const length = Math.hypot(x, y, z);
+  return [x / length, y / length, z / length];
+}
@@ -0,0 +1,162 @@
+import { getBoundingBoxSize } from './GeoReference.js';
+import { normalizeTask } from './Task.js';
+import { normalizeBoundary } from './Boundary.js';
+
+/**
+ * Map manifests describe a stage: terrain images, extent, elevation range,
+ * spawn, launch site, lighting and optionally a competition task (see Task.js)
+ * and a flying area boundary (see Boundary.js). Each map lives in /maps/<id>/
+ * with a map.json; /maps/index.json lists the available map ids.
+ * Maps with provider "xyz" take their terrain from map tiles instead: a
+ * "tiles" block with a lat/lon bbox replaces the heightmap and extent.
+ */
+
+const MAPS_ROOT = '/maps';
+
+const DEFAULT_SPAWN = {
+  x: 0,
+  z: 0,
+  altitudeAboveGround: 1000,  // meters
+  heading: 0                  // radians clockwise from north (-Z)
+};
+
+const DEFAULT_LIGHTING = {
+  skyColor: '#87CEEB',
+  groundColor: '#8B4513',
+  fogNear: 500,
+  fogFar: 5000,
+  ambientIntensity: 0.4,
+  sunColor: '#ffffff',
+  sunIntensity: 1.0,          // At midday; lower and warmer as the sun sets
+  hemisphereIntensity: 0.3,
+  timeOfDay: 14,              // Local solar time (hours) the map starts at
+  latitude: 45,               // Degrees, for the sun's path unless the map has a geoReference
+  dayOfYear: 172              // June solstice
+};
+
+/**
+ * Load the list of available maps
+ * @returns {Promise<Array<Object>>} - Normalized manifests, in index order
+ */
+export async function loadMapIndex() {
+  const index = await fetchJSON(`${MAPS_ROOT}/index.json`);
+  if (!Array.isArray(index.maps)) {
+    throw new Error('Map index must have a "maps" array of map ids');
+  }
+  return Promise.all(index.maps.map(id => loadMapManifest(id)));
+}
+
+/**
+ * Load and normalize one map manifest
+ * @param {string} id - Map directory name under /maps/
+ * @returns {Promise<Object>}
+ */
+export async function loadMapManifest(id) {
+  const json = await fetchJSON(`${MAPS_ROOT}/${id}/map.json`);
+  return normalizeManifest(json, id);
+}
+
+/**
+ * Fill in defaults, resolve asset paths and validate a raw manifest
+ * @param {Object} json - Parsed map.json
+ * @param {string} id - Map id (directory name)
+ * @returns {Object}
+ */
+export function normalizeManifest(json, id) {
+  if (json.provider === 'xyz') {
+    return normalizeTileManifest(json, id);
+  }
+
+  for (const field of ['heightmap', 'width', 'depth', 'maxHeight']) {
+    if (json[field] === undefined) {
+      throw new Error(`Map "${id}" is missing "${field}"`);
+    }
+  }
+
+  const basePath = `${MAPS_ROOT}/${id}/`;
+
+  return {
+    ...json,
+    id,
+    name: json.name || id,
+    description: json.description || '',
+    heightmapPath: resolvePath(basePath, json.heightmap),
+    heightmapEncoding: json.heightmapEncoding || 'png8',
+    colorMapPath: json.colorMap ? resolvePath(basePath, json.colorMap) : null,
+    width: json.width,
+    depth: json.depth,
+    minHeight: json.minHeight ?? 0,
+    maxHeight: json.maxHeight,
+    segments: json.segments ?? 256,
+    provider: json.provider || 'local',   // 'local' (single mesh), 'chunked' (tiled LOD) or 'xyz' (map tiles)
+    chunks: json.chunks || {},            // ChunkedTerrainProvider options
+    spawn: { ...DEFAULT_SPAWN, ...json.spawn },
+    launch: normalizeLaunch(json),
+    task: json.task ? normalizeTask(json.task, id) : null,
+    boundary: json.boundary ? normalizeBoundary(json.boundary, id) : null,
+    lighting: { ...DEFAULT_LIGHTING, ...json.lighting },
+    geoReference: json.geoReference || null
+  };
+}
+
+// Tile maps: extent and geo-reference follow from the bounding box
+function normalizeTileManifest(json, id) {
+  const bbox = json.tiles && json.tiles.bbox;
+  if (!bbox) {
+    throw new Error(`Map "${id}" is missing "tiles.bbox"`);
+  }
+  for (const edge of ['west', 'south', 'east', 'north']) {
+    if (typeof bbox[edge] !== 'number') {
+      throw new Error(`Map "${id}" tiles.bbox is missing "${edge}"`);
+    }
+  }
+  if (bbox.east <= bbox.west || bbox.north <= bbox.south) {
+    throw new Error(`Map "${id}" tiles.bbox is empty`);
+  }
+
+  const { width, depth } = getBoundingBoxSize(bbox);
+
+  return {
+    ...json,
+    id,
+    name: json.name || id,
+    description: json.description || '',
+    heightmapPath: null,
+    heightmapEncoding: 'terrain-rgb',
+    colorMapPath: null,
+    width,
+    depth,
+    segments: json.segments ?? 256,
+    provider: 'xyz',
+    tiles: json.tiles,                    // MapboxTerrainProvider options
+    spawn: { ...DEFAULT_SPAWN, ...json.spawn },
+    launch: normalizeLaunch(json),
+    task: json.task ? normalizeTask(json.task, id) : null,
+    boundary: json.boundary ? normalizeBoundary(json.boundary, id) : null,
+    lighting: { ...DEFAULT_LIGHTING, ...json.lighting },
+    geoReference: json.geoReference || {
+      latitude: (bbox.north + bbox.south) / 2,
+      longitude: (bbox.east + bbox.west) / 2,
+      altitudeOffset: 0                   // Terrain-RGB heights are already meters above sea level
+    }
+  };
+}
+
+// Airfield for aerotow and winch launches: {x, z, heading}, at the spawn point unless given
+function normalizeLaunch(json) {
+  const spawn = { ...DEFAULT_SPAWN, ...json.spawn };
+  return { x: spawn.x, z: spawn.z, heading: spawn.heading, ...json.launch };
+}
+
+// Paths in a manifest are relative to the map directory unless absolute
+function resolvePath(basePath, path) {
+  return path.startsWith('/') || /^https?:/.test(path) ? path : basePath + path;
+}
+
+async function fetchJSON(url) {
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`Failed to load ${url}: ${response.status}`);
+  }
+  return response.json();
+}
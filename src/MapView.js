@@ -0,0 +1,214 @@
+const COLORS = {
+  track: '#ff5252',
+  boundary: '#ffb300',
+  task: '#ffd54f',
+  rings: '#4fc3f7',
+  waypoint: '#e040fb',
+  glider: '#ffffff'
+};
+
+/**
+ * Draws the navigation map onto a canvas: the map image with the task,
+ * ring course, waypoints, flown track and the glider on top. A view places
+ * the map: the world point at the canvas center, the scale and the
+ * rotation (the heading, for a map that turns with the glider). Used by
+ * both the corner minimap and the full-screen map.
+ */
+export class MapView {
+  /**
+   * @param {HTMLCanvasElement} canvas
+   */
+  constructor(canvas) {
+    this.canvas = canvas;
+    this.context = canvas.getContext('2d');
+    this.view = { x: 0, z: 0, scale: 0.1, rotation: 0 };  // scale in px per m
+  }
+
+  // Match the canvas to its displayed size (at the screen's pixel density)
+  resize() {
+    const ratio = window.devicePixelRatio || 1;
+    const width = Math.round(this.canvas.clientWidth * ratio);
+    const height = Math.round(this.canvas.clientHeight * ratio);
+    if (this.canvas.width !== width || this.canvas.height !== height) {
+      this.canvas.width = width;
+      this.canvas.height = height;
+    }
+    return ratio;
+  }
+
+  /**
+   * Canvas position (CSS px) of a world point
+   * @param {{x: number, z: number}} point
+   * @returns {{x: number, y: number}}
+   */
+  worldToScreen(point) {
+    const { x, z, scale, rotation } = this.view;
+    const dx = (point.x - x) * scale;
+    const dz = (point.z - z) * scale;
+    const cos = Math.cos(rotation);
+    const sin = Math.sin(rotation);
+    return {
+      x: this.canvas.clientWidth / 2 + dx * cos + dz * sin,
+      y: this.canvas.clientHeight / 2 - dx * sin + dz * cos
+    };
+  }
+
+  /**
+   * World point under a canvas position (CSS px)
+   * @param {{x: number, y: number}} screen
+   * @returns {{x: number, z: number}}
+   */
+  screenToWorld(screen) {
+    const { x, z, scale, rotation } = this.view;
+    const sx = screen.x - this.canvas.clientWidth / 2;
+    const sy = screen.y - this.canvas.clientHeight / 2;
+    const cos = Math.cos(rotation);
+    const sin = Math.sin(rotation);
+    return {
+      x: x + (sx * cos - sy * sin) / scale,
+      z: z + (sx * sin + sy * cos) / scale
+    };
+  }
+
+  /**
+   * @param {Object} layers
+   * @param {HTMLCanvasElement|null} layers.image - See createMapImage()
+   * @param {Object} layers.bounds - TerrainProvider.getBounds()
+   * @param {Object|null} layers.boundary - The flying area (see Boundary.js)
+   * @param {Array<{x: number, z: number}|null>} layers.track - Null breaks the line
+   * @param {Array<{name: string, x: number, z: number}>} layers.waypoints
+   * @param {Object|null} layers.task
+   * @param {Object|null} layers.course
+   * @param {{x: number, z: number, heading: number}|null} layers.glider
+   */
+  draw(layers) {
+    const ctx = this.context;
+    const ratio = this.resize();
+    const { x, z, scale, rotation } = this.view;
+
+    ctx.setTransform(1, 0, 0, 1, 0, 0);
+    ctx.fillStyle = '#1b2430';
+    ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
+
+    // World space: meters, north up before the rotation
+    ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+    ctx.translate(this.canvas.clientWidth / 2, this.canvas.clientHeight / 2);
+    ctx.rotate(-rotation);
+    ctx.scale(scale, scale);
+    ctx.translate(-x, -z);
+
+    const { bounds } = layers;
+    if (layers.image) {
+      ctx.drawImage(layers.image, bounds.minX, bounds.minZ, bounds.width, bounds.depth);
+    }
+
+    const pixel = 1 / scale;  // One CSS pixel in meters, for line widths
+    ctx.lineWidth = pixel * 1.5;
+    ctx.strokeStyle = 'rgba(255, 255, 255, 0.5)';
+    ctx.strokeRect(bounds.minX, bounds.minZ, bounds.width, bounds.depth);
+    if (layers.boundary) this.drawBoundary(layers.boundary, pixel);
+
+    if (layers.task) this.drawTask(layers.task, pixel);
+    if (layers.course) this.drawCourse(layers.course, pixel);
+    this.drawTrack(layers.track, pixel);
+
+    for (const waypoint of layers.waypoints) {
+      ctx.fillStyle = COLORS.waypoint;
+      ctx.beginPath();
+      ctx.arc(waypoint.x, waypoint.z, pixel * 5, 0, Math.PI * 2);
+      ctx.fill();
+    }
+
+    if (layers.glider) this.drawGlider(layers.glider, pixel);
+
+    // Labels stay upright, so they are drawn in screen space
+    ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+    ctx.font = '12px sans-serif';
+    ctx.textAlign = 'left';
+    ctx.fillStyle = COLORS.waypoint;
+    for (const waypoint of layers.waypoints) {
+      const screen = this.worldToScreen(waypoint);
+      ctx.fillText(waypoint.name, screen.x + 8, screen.y + 4);
+    }
+  }
+
+  drawBoundary(boundary, pixel) {
+    const ctx = this.context;
+    ctx.strokeStyle = COLORS.boundary;
+    ctx.lineWidth = pixel * 2;
+    ctx.beginPath();
+    boundary.points.forEach((point, i) => (i === 0 ? ctx.moveTo(point.x, point.z) : ctx.lineTo(point.x, point.z)));
+    ctx.closePath();
+    ctx.stroke();
+  }
+
+  drawTask(task, pixel) {
+    const ctx = this.context;
+    ctx.strokeStyle = COLORS.task;
+    ctx.lineWidth = pixel * 2;
+
+    const points = [task.start, ...task.turnpoints, task.finish];
+    ctx.setLineDash([pixel * 6, pixel * 4]);
+    ctx.beginPath();
+    points.forEach((point, i) => (i === 0 ? ctx.moveTo(point.x, point.z) : ctx.lineTo(point.x, point.z)));
+    ctx.stroke();
+    ctx.setLineDash([]);
+
+    for (const turnpoint of task.turnpoints) {
+      ctx.beginPath();
+      ctx.arc(turnpoint.x, turnpoint.z, turnpoint.radius, 0, Math.PI * 2);
+      ctx.stroke();
+    }
+  }
+
+  drawCourse(course, pixel) {
+    const ctx = this.context;
+    ctx.fillStyle = COLORS.rings;
+    for (const ring of course.rings) {
+      ctx.beginPath();
+      ctx.arc(ring.x, ring.z, Math.max(ring.radius, pixel * 3), 0, Math.PI * 2);
+      ctx.fill();
+    }
+  }
+
+  drawTrack(track, pixel) {
+    if (track.length < 2) return;
+    const ctx = this.context;
+    ctx.strokeStyle = COLORS.track;
+    ctx.lineWidth = pixel * 2;
+    ctx.beginPath();
+    let drawing = false;
+    for (const point of track) {
+      if (!point) {
+        drawing = false;
+      } else if (drawing) {
+        ctx.lineTo(point.x, point.z);
+      } else {
+        ctx.moveTo(point.x, point.z);
+        drawing = true;
+      }
+    }
+    ctx.stroke();
+  }
+
+  // Arrowhead pointing along the heading, the same size at any zoom
+  drawGlider(glider, pixel) {
+    const ctx = this.context;
+    ctx.save();
+    ctx.translate(glider.x, glider.z);
+    ctx.rotate(glider.heading);
+    ctx.scale(pixel, pixel);
+    ctx.fillStyle = COLORS.glider;
+    ctx.strokeStyle = '#000';
+    ctx.lineWidth = 1.5;
+    ctx.beginPath();
+    ctx.moveTo(0, -10);
+    ctx.lineTo(7, 8);
+    ctx.lineTo(0, 4);
+    ctx.lineTo(-7, 8);
+    ctx.closePath();
+    ctx.fill();
+    ctx.stroke();
+    ctx.restore();
+  }
+}
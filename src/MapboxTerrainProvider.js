@@ -0,0 +1,269 @@
+import * as THREE from 'three';
+import { LocalTerrainProvider } from './LocalTerrainProvider.js';
+import { decodePNG, terrainRGBToHeights } from './HeightmapDecoder.js';
+import { getBoundingBoxSize } from './GeoReference.js';
+import { TileCache } from './TileCache.js';
+
+/**
+ * Fractional Web Mercator tile column for a longitude
+ * @param {number} lon - Degrees
+ * @param {number} zoom
+ * @returns {number}
+ */
+export function lonToTileX(lon, zoom) {
+  return (lon + 180) / 360 * Math.pow(2, zoom);
+}
+
+/**
+ * Fractional Web Mercator tile row for a latitude (row 0 is the north edge)
+ * @param {number} lat - Degrees
+ * @param {number} zoom
+ * @returns {number}
+ */
+export function latToTileY(lat, zoom) {
+  const latRad = lat * Math.PI / 180;
+  return (1 - Math.log(Math.tan(latRad) + 1 / Math.cos(latRad)) / Math.PI) / 2 * Math.pow(2, zoom);
+}
+
+/**
+ * Terrain provider that builds a stage from XYZ raster tiles: Terrain-RGB
+ * tiles for heights and (optionally) satellite tiles for color.
+ * Tiles covering a lat/lon bounding box are fetched, cached, stitched and
+ * resampled onto a regular grid, so the rest of the game sees an ordinary
+ * heightmap. Works against Mapbox or any server with the same URL layout;
+ * for offline development Vite serves the bundled tiles in public/tiles/.
+ */
+export class MapboxTerrainProvider extends LocalTerrainProvider {
+  constructor(options = {}) {
+    if (!options.bbox) {
+      throw new Error('MapboxTerrainProvider needs a bbox {west, south, east, north}');
+    }
+
+    // Heights always come from Terrain-RGB tiles
+    super({ ...options, heightmapEncoding: 'terrain-rgb' });
+
+    this.bbox = options.bbox;
+    this.zoom = options.zoom ?? 12;
+
+    // URL templates: {z}/{x}/{y} are the tile address, {token} the access token
+    this.terrainUrl = options.terrainUrl || '/tiles/terrain-rgb/{z}/{x}/{y}.png';
+    this.imageryUrl = options.imageryUrl === undefined
+      ? '/tiles/satellite/{z}/{x}/{y}.png'
+      : options.imageryUrl;  // null for untextured terrain
+    this.accessToken = options.accessToken || '';
+
+    this.cache = options.cache || new TileCache();
+
+    // Extent comes from the bounding box, not from options.width/depth
+    const size = getBoundingBoxSize(this.bbox);
+    this.terrainWidth = size.width;
+    this.terrainDepth = size.depth;
+
+    this.imageryTexture = null;
+  }
+
+  async init() {
+    await Promise.all([this.loadHeightmap(), this.loadImagery()]);
+
+    this.createMesh();
+
+    this.ready = true;
+  }
+
+  /**
+   * Tile addresses covering the bounding box
+   * @returns {{minX: number, maxX: number, minY: number, maxY: number}}
+   */
+  getTileRange() {
+    const { west, south, east, north } = this.bbox;
+    return {
+      minX: Math.floor(lonToTileX(west, this.zoom)),
+      maxX: Math.ceil(lonToTileX(east, this.zoom)) - 1,
+      minY: Math.floor(latToTileY(north, this.zoom)),
+      maxY: Math.ceil(latToTileY(south, this.zoom)) - 1
+    };
+  }
+
+  async loadHeightmap() {
+    const range = this.getTileRange();
+    const images = await this.fetchTileGrid(this.terrainUrl, range, async (buffer) => {
+      const image = await decodePNG(buffer);
+      return {
+        size: image.width,
+        heights: terrainRGBToHeights(image, {
+          baseHeight: this.terrainRGBBase,
+          interval: this.terrainRGBInterval
+        })
+      };
+    });
+
+    // Stitch tiles into one mosaic, row-major like a single heightmap
+    const tileSize = images[0].size;
+    const columns = range.maxX - range.minX + 1;
+    const rows = range.maxY - range.minY + 1;
+    const mosaicWidth = columns * tileSize;
+    const mosaic = new Float32Array(mosaicWidth * rows * tileSize);
+
+    images.forEach((tile, i) => {
+      if (tile.size !== tileSize) {
+        throw new Error(`Terrain tiles must all be ${tileSize}px, got ${tile.size}px`);
+      }
+      const originX = (i % columns) * tileSize;
+      const originY = Math.floor(i / columns) * tileSize;
+      for (let y = 0; y < tileSize; y++) {
+        mosaic.set(
+          tile.heights.subarray(y * tileSize, (y + 1) * tileSize),
+          (originY + y) * mosaicWidth + originX
+        );
+      }
+    });
+
+    this.resampleMosaic(mosaic, mosaicWidth, rows * tileSize, tileSize, range);
+  }
+
+  /**
+   * Resample the Mercator mosaic onto a grid that is linear in lat/lon,
+   * which is how GeoReference lays the map out in meters
+   */
+  resampleMosaic(mosaic, mosaicWidth, mosaicHeight, tileSize, range) {
+    const { west, south, east, north } = this.bbox;
+
+    // Keep roughly the source resolution across the box
+    const spanX = (lonToTileX(east, this.zoom) - lonToTileX(west, this.zoom)) * tileSize;
+    const spanY = (latToTileY(south, this.zoom) - latToTileY(north, this.zoom)) * tileSize;
+    const width = Math.max(2, Math.round(spanX) + 1);
+    const height = Math.max(2, Math.round(spanY) + 1);
+
+    const heights = new Float32Array(width * height);
+    for (let j = 0; j < height; j++) {
+      const lat = north - (north - south) * j / (height - 1);
+      // Pixel values sit at pixel centers, hence the half-pixel shift
+      const py = (latToTileY(lat, this.zoom) - range.minY) * tileSize - 0.5;
+
+      for (let i = 0; i < width; i++) {
+        const lon = west + (east - west) * i / (width - 1);
+        const px = (lonToTileX(lon, this.zoom) - range.minX) * tileSize - 0.5;
+        heights[j * width + i] = sampleBilinear(mosaic, mosaicWidth, mosaicHeight, px, py);
+      }
+    }
+
+    this.setHeightData(width, height, heights);
+  }
+
+  /**
+   * Fetch and stitch the imagery tiles into a texture cropped to the bounding box.
+   * Skipped when there's no imagery URL or no canvas (Node); a missing imagery
+   * tile falls back to untextured terrain rather than failing the stage.
+   */
+  async loadImagery() {
+    if (!this.imageryUrl || typeof document === 'undefined') return;
+
+    const range = this.getTileRange();
+    let bitmaps;
+    try {
+      bitmaps = await this.fetchTileGrid(this.imageryUrl, range,
+        buffer => createImageBitmap(new Blob([buffer])));
+    } catch (e) {
+      console.warn('Satellite imagery unavailable, using plain terrain:', e.message);
+      return;
+    }
+
+    const tileSize = bitmaps[0].width;
+    const columns = range.maxX - range.minX + 1;
+    const { west, south, east, north } = this.bbox;
+
+    // Crop straight from the Mercator mosaic; over a few kilometers the
+    // difference from the lat-linear height grid is well under a pixel
+    const left = (lonToTileX(west, this.zoom) - range.minX) * tileSize;
+    const right = (lonToTileX(east, this.zoom) - range.minX) * tileSize;
+    const top = (latToTileY(north, this.zoom) - range.minY) * tileSize;
+    const bottom = (latToTileY(south, this.zoom) - range.minY) * tileSize;
+
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.round(right - left);
+    canvas.height = Math.round(bottom - top);
+    const ctx = canvas.getContext('2d');
+
+    bitmaps.forEach((bitmap, i) => {
+      const x = (i % columns) * tileSize - left;
+      const y = Math.floor(i / columns) * tileSize - top;
+      ctx.drawImage(bitmap, x, y, tileSize, tileSize);
+      bitmap.close();
+    });
+
+    this.imageryTexture = new THREE.CanvasTexture(canvas);
+    this.imageryTexture.colorSpace = THREE.SRGBColorSpace;
+    this.imageryTexture.wrapS = THREE.ClampToEdgeWrapping;
+    this.imageryTexture.wrapT = THREE.ClampToEdgeWrapping;
+  }
+
+  /**
+   * Terrain material textured with the satellite imagery, if any
+   * @returns {THREE.MeshStandardMaterial}
+   */
+  createMaterial() {
+    return new THREE.MeshStandardMaterial({
+      map: this.imageryTexture,
+      color: this.imageryTexture ? 0xffffff : 0x9c8a6e,
+      roughness: 0.9,
+      metalness: 0.0,
+      side: THREE.FrontSide
+    });
+  }
+
+  /**
+   * Fetch every tile in a range and decode it
+   * @param {string} template - URL template
+   * @param {Object} range - From getTileRange()
+   * @param {function(ArrayBuffer): Promise<*>} decode
+   * @returns {Promise<Array>} - Decoded tiles, row-major from the north-west corner
+   */
+  fetchTileGrid(template, range, decode) {
+    const requests = [];
+    for (let y = range.minY; y <= range.maxY; y++) {
+      for (let x = range.minX; x <= range.maxX; x++) {
+        requests.push(this.fetchTile(template, this.zoom, x, y).then(decode));
+      }
+    }
+    return Promise.all(requests);
+  }
+
+  /**
+   * Fetch one tile, from the cache if we've seen it before
+   * @returns {Promise<ArrayBuffer>}
+   */
+  async fetchTile(template, z, x, y) {
+    const url = template
+      .replace('{z}', z)
+      .replace('{x}', x)
+      .replace('{y}', y)
+      .replace('{token}', this.accessToken);
+
+    const cached = await this.cache.get(url);
+    if (cached) return cached;
+
+    const response = await fetch(url);
+    if (!response.ok) {
+      throw new Error(`Failed to load tile: ${url}`);
+    }
+    const buffer = await response.arrayBuffer();
+    await this.cache.set(url, buffer);
+    return buffer;
+  }
+}
+
+function sampleBilinear(data, width, height, px, py) {
+  px = Math.max(0, Math.min(width - 1, px));
+  py = Math.max(0, Math.min(height - 1, py));
+
+  const x0 = Math.floor(px);
+  const y0 = Math.floor(py);
+  const x1 = Math.min(x0 + 1, width - 1);
+  const y1 = Math.min(y0 + 1, height - 1);
+  const fx = px - x0;
+  const fy = py - y0;
+
+  const h0 = data[y0 * width + x0] * (1 - fx) + data[y0 * width + x1] * fx;
+  const h1 = data[y1 * width + x0] * (1 - fx) + data[y1 * width + x1] * fx;
+  return h0 * (1 - fy) + h1 * fy;
+}
@@ -0,0 +1,290 @@
+import * as THREE from 'three';
+import { MapView } from './MapView.js';
+import { createMapImage } from './MapImage.js';
+
+const STORAGE_PREFIX = 'flying_game.waypoints.';
+const MINIMAP_RANGE = 1500;   // Meters from the minimap's center to its edge
+const TRACK_SPACING = 25;     // Meters between recorded track points
+const MAX_TRACK_POINTS = 20000;
+const CLICK_TOLERANCE = 5;    // Pixels a click may move and still place a waypoint
+const WAYPOINT_HIT = 10;      // Pixels from a waypoint that a click removes it
+
+/**
+ * Navigation map: a corner minimap that turns with the glider's heading,
+ * and a full-screen north-up map (toggled with the toggleMap action) that
+ * zooms with the wheel, pans by dragging and places waypoints on a click
+ * (clicking one again removes it). Both show the terrain with relief and
+ * contours, the task, the ring course, the flown track and the glider.
+ * Waypoints are saved per map.
+ */
+export class NavigationMap {
+  /**
+   * @param {function(Array<Object>): void} onWaypointsChange - Called with the
+   *   waypoints ({name, x, z}) whenever they change
+   */
+  constructor(onWaypointsChange) {
+    this.onWaypointsChange = onWaypointsChange;
+
+    this.minimapCanvas = document.getElementById('minimap');
+    this.panel = document.getElementById('nav-map');
+    this.canvas = document.getElementById('nav-map-canvas');
+    this.minimap = this.minimapCanvas ? new MapView(this.minimapCanvas) : null;
+    this.fullMap = this.canvas ? new MapView(this.canvas) : null;
+
+    this.mapId = null;
+    this.image = null;
+    this.bounds = null;
+    this.boundary = null;
+    this.task = null;
+    this.course = null;
+    this.waypoints = [];
+    this.track = [];
+    this.target = null;      // Glider or FlightPlayback last drawn
+    this.pointerDown = null; // Where a drag or click started
+
+    this.setupListeners();
+  }
+
+  setupListeners() {
+    if (!this.panel) return;
+
+    const buttons = {
+      'nav-map-center': () => this.centerOnGlider(),
+      'nav-map-clear': () => this.setWaypoints([]),
+      'nav-map-close': () => this.hide()
+    };
+    for (const [id, action] of Object.entries(buttons)) {
+      const button = document.getElementById(id);
+      if (button) button.addEventListener('click', action);
+    }
+
+    this.canvas.addEventListener('wheel', (e) => {
+      e.preventDefault();
+      this.zoomAt({ x: e.offsetX, y: e.offsetY }, Math.exp(-e.deltaY * 0.002));
+    }, { passive: false });
+
+    this.canvas.addEventListener('pointerdown', (e) => {
+      this.canvas.setPointerCapture(e.pointerId);
+      this.pointerDown = { x: e.offsetX, y: e.offsetY, lastX: e.offsetX, lastY: e.offsetY };
+    });
+    this.canvas.addEventListener('pointermove', (e) => {
+      if (!this.pointerDown) return;
+      this.pan(e.offsetX - this.pointerDown.lastX, e.offsetY - this.pointerDown.lastY);
+      this.pointerDown.lastX = e.offsetX;
+      this.pointerDown.lastY = e.offsetY;
+    });
+    this.canvas.addEventListener('pointerup', (e) => {
+      const down = this.pointerDown;
+      this.pointerDown = null;
+      if (down && Math.hypot(e.offsetX - down.x, e.offsetY - down.y) <= CLICK_TOLERANCE) {
+        this.clickAt({ x: e.offsetX, y: e.offsetY });
+      }
+    });
+
+    window.addEventListener('keydown', (e) => {
+      if (e.code === 'Escape' && this.isVisible()) this.hide();
+    });
+  }
+
+  /**
+   * Draw the map for a newly loaded stage
+   * @param {Object} map - Normalized map manifest
+   * @param {TerrainProvider} terrainProvider
+   * @param {Object} boundary - Normalized boundary (see Boundary.js)
+   * @returns {Promise<void>}
+   */
+  async setStage(map, terrainProvider, boundary) {
+    this.mapId = map.id;
+    this.bounds = terrainProvider.getBounds();
+    this.boundary = boundary;
+    this.task = map.task;
+    this.track = [];
+    this.setWaypoints(loadWaypoints(map.id), { save: false });
+    this.fitFullMap();
+
+    this.image = null;
+    this.image = await createMapImage(terrainProvider, map.colorMapPath);
+    if (this.minimapCanvas) this.minimapCanvas.classList.add('visible');
+  }
+
+  // Forget the stage (while another loads)
+  clear() {
+    this.hide();
+    this.mapId = null;
+    this.image = null;
+    this.boundary = null;
+    this.task = null;
+    this.course = null;
+    this.track = [];
+    this.target = null;
+    if (this.minimapCanvas) this.minimapCanvas.classList.remove('visible');
+  }
+
+  /**
+   * @param {Object|null} course - Ring course to show
+   */
+  setCourse(course) {
+    this.course = course;
+  }
+
+  /**
+   * @param {Array<{name: string, x: number, z: number}>} waypoints
+   * @param {Object} [options]
+   * @param {boolean} [options.save] - Remember them for the map (default true)
+   */
+  setWaypoints(waypoints, options = {}) {
+    this.waypoints = waypoints;
+    if (options.save !== false && this.mapId) saveWaypoints(this.mapId, waypoints);
+    this.onWaypointsChange(waypoints);
+  }
+
+  // Start a fresh track (new flight or replay)
+  resetTrack() {
+    this.track = [];
+  }
+
+  // Lift the pen, after a jump across the map
+  breakTrack() {
+    if (this.track.length > 0) this.track.push(null);
+  }
+
+  isVisible() {
+    return this.panel ? this.panel.classList.contains('visible') : false;
+  }
+
+  toggle() {
+    if (this.isVisible()) {
+      this.hide();
+    } else if (this.panel && this.bounds) {
+      this.panel.classList.add('visible');
+    }
+  }
+
+  hide() {
+    if (this.panel) this.panel.classList.remove('visible');
+    this.pointerDown = null;
+  }
+
+  /**
+   * Record the track and redraw: the minimap every frame, the full map while open
+   * @param {Glider|FlightPlayback} target
+   */
+  update(target) {
+    if (!this.bounds) return;
+    this.target = target;
+
+    const position = target.renderPosition;
+    const last = this.track[this.track.length - 1];
+    if (!last || Math.hypot(position.x - last.x, position.z - last.z) >= TRACK_SPACING) {
+      this.track.push({ x: position.x, z: position.z });
+      if (this.track.length > MAX_TRACK_POINTS) this.track.shift();
+    }
+
+    const layers = this.getLayers(target);
+    if (this.minimap) {
+      const view = this.minimap.view;
+      view.x = position.x;
+      view.z = position.z;
+      view.scale = this.minimapCanvas.clientWidth / 2 / MINIMAP_RANGE;
+      view.rotation = layers.glider.heading;
+      this.minimap.draw(layers);
+    }
+    if (this.fullMap && this.isVisible()) {
+      this.fullMap.draw(layers);
+    }
+  }
+
+  getLayers(target) {
+    const forward = new THREE.Vector3(0, 0, -1).applyQuaternion(target.renderRotation);
+    return {
+      image: this.image,
+      bounds: this.bounds,
+      boundary: this.boundary,
+      track: this.track,
+      waypoints: this.waypoints,
+      task: this.task,
+      course: this.course,
+      glider: {
+        x: target.renderPosition.x,
+        z: target.renderPosition.z,
+        heading: Math.atan2(forward.x, -forward.z)
+      }
+    };
+  }
+
+  // The whole terrain in view
+  fitFullMap() {
+    if (!this.fullMap) return;
+    const view = this.fullMap.view;
+    view.x = (this.bounds.minX + this.bounds.maxX) / 2;
+    view.z = (this.bounds.minZ + this.bounds.maxZ) / 2;
+    view.scale = 0.95 * Math.min(
+      (this.canvas.clientWidth || window.innerWidth) / this.bounds.width,
+      (this.canvas.clientHeight || window.innerHeight) / this.bounds.depth
+    );
+  }
+
+  centerOnGlider() {
+    if (!this.target || !this.fullMap) return;
+    this.fullMap.view.x = this.target.renderPosition.x;
+    this.fullMap.view.z = this.target.renderPosition.z;
+  }
+
+  /**
+   * Zoom keeping the point under the pointer in place
+   * @param {{x: number, y: number}} screen - CSS px on the map canvas
+   * @param {number} factor - Above 1 zooms in
+   */
+  zoomAt(screen, factor) {
+    const view = this.fullMap.view;
+    const before = this.fullMap.screenToWorld(screen);
+    const fitScale = Math.min(this.canvas.clientWidth / this.bounds.width,
+      this.canvas.clientHeight / this.bounds.depth);
+    view.scale = THREE.MathUtils.clamp(view.scale * factor, fitScale * 0.5, 5);
+    const after = this.fullMap.screenToWorld(screen);
+    view.x += before.x - after.x;
+    view.z += before.z - after.z;
+  }
+
+  pan(dx, dy) {
+    const view = this.fullMap.view;
+    view.x -= dx / view.scale;
+    view.z -= dy / view.scale;
+  }
+
+  // Remove the waypoint under a click, or place a new one there
+  clickAt(screen) {
+    const hit = this.waypoints.find(waypoint => {
+      const point = this.fullMap.worldToScreen(waypoint);
+      return Math.hypot(point.x - screen.x, point.y - screen.y) <= WAYPOINT_HIT;
+    });
+    if (hit) {
+      this.setWaypoints(this.waypoints.filter(waypoint => waypoint !== hit));
+      return;
+    }
+
+    const { x, z } = this.fullMap.screenToWorld(screen);
+    const { minX, maxX, minZ, maxZ } = this.bounds;
+    if (x < minX || x > maxX || z < minZ || z > maxZ) return;
+
+    const number = Math.max(0, ...this.waypoints.map(waypoint => parseInt(waypoint.name.slice(2), 10) || 0)) + 1;
+    this.setWaypoints([...this.waypoints, { name: `WP${number}`, x: Math.round(x), z: Math.round(z) }]);
+  }
+}
+
+function loadWaypoints(mapId) {
+  try {
+    const waypoints = JSON.parse(localStorage.getItem(`${STORAGE_PREFIX}${mapId}`));
+    return Array.isArray(waypoints) ? waypoints : [];
+  } catch (e) {
+    return [];
+  }
+}
+
+function saveWaypoints(mapId, waypoints) {
+  try {
+    localStorage.setItem(`${STORAGE_PREFIX}${mapId}`, JSON.stringify(waypoints));
+  } catch (e) {
+    console.warn(`Could not save waypoints for ${mapId}:`, e);
+  }
+}
@@ -0,0 +1,60 @@
+import * as THREE from 'three';
+
+const CLEARANCE = 2;  // Minimum height above the ground (m)
+
+/**
+ * Circles the glider at a distance: drag the mouse to swing around it,
+ * scroll to zoom. Follows the glider's position but not its turns.
+ * One of the CameraManager's modes.
+ */
+export class OrbitCamera {
+  /**
+   * @param {THREE.Camera} camera
+   * @param {function(number, number): number} getGroundHeight - Terrain height at (x, z)
+   */
+  constructor(camera, getGroundHeight) {
+    this.camera = camera;
+    this.getGroundHeight = getGroundHeight;
+
+    this.azimuth = 0;     // Radians, 0 = camera south of (+Z from) the glider
+    this.elevation = 0.3;
+    this.distance = 25;   // m
+  }
+
+  // Start behind the glider
+  reset(target) {
+    const forward = new THREE.Vector3(0, 0, -1).applyQuaternion(target.renderRotation);
+    this.azimuth = Math.atan2(-forward.x, -forward.z);
+    this.elevation = 0.3;
+    this.update(target);
+  }
+
+  update(target) {
+    const position = target.renderPosition;
+    const horizontal = Math.cos(this.elevation) * this.distance;
+    const x = position.x + Math.sin(this.azimuth) * horizontal;
+    const z = position.z + Math.cos(this.azimuth) * horizontal;
+    const y = Math.max(position.y + Math.sin(this.elevation) * this.distance,
+      this.getGroundHeight(x, z) + CLEARANCE);
+
+    this.camera.position.set(x, y, z);
+    this.camera.lookAt(position);
+  }
+
+  /**
+   * Swing around the glider
+   * @param {number} dx - Pointer movement (px)
+   * @param {number} dy
+   */
+  drag(dx, dy) {
+    this.azimuth -= dx * 0.005;
+    this.elevation = THREE.MathUtils.clamp(this.elevation + dy * 0.005, -0.3, 1.4);
+  }
+
+  /**
+   * @param {number} delta - Wheel deltaY, positive to zoom out
+   */
+  zoom(delta) {
+    this.distance = THREE.MathUtils.clamp(this.distance * Math.exp(delta * 0.001), 5, 300);
+  }
+}
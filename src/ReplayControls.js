@@ -0,0 +1,80 @@
+/**
+ * DOM controls for flight replay: play/pause, scrub bar, speed and exit.
+ */
+export class ReplayControls {
+  constructor(onExit) {
+    this.onExit = onExit;
+    this.playback = null;
+    this.scrubbing = false;
+
+    this.panel = document.getElementById('replay-controls');
+    this.playButton = document.getElementById('replay-play');
+    this.scrubBar = document.getElementById('replay-scrub');
+    this.timeElement = document.getElementById('replay-time');
+    this.speedSelect = document.getElementById('replay-speed');
+    this.exitButton = document.getElementById('replay-exit');
+
+    this.setupListeners();
+  }
+
+  setupListeners() {
+    if (!this.panel) return;
+
+    this.playButton.addEventListener('click', () => {
+      if (this.playback) this.playback.togglePause();
+    });
+
+    this.scrubBar.addEventListener('input', () => {
+      if (!this.playback) return;
+      this.scrubbing = true;
+      this.playback.seek(parseFloat(this.scrubBar.value));
+    });
+    this.scrubBar.addEventListener('change', () => {
+      this.scrubbing = false;
+    });
+
+    this.speedSelect.addEventListener('change', () => {
+      if (this.playback) this.playback.setSpeed(parseFloat(this.speedSelect.value));
+    });
+
+    this.exitButton.addEventListener('click', () => this.onExit());
+  }
+
+  /**
+   * Show the controls for a playback
+   * @param {FlightPlayback} playback
+   */
+  show(playback) {
+    this.playback = playback;
+    if (!this.panel) return;
+
+    this.scrubBar.max = playback.getDuration();
+    this.speedSelect.value = '1';
+    this.panel.classList.add('visible');
+    this.update();
+  }
+
+  hide() {
+    this.playback = null;
+    if (this.panel) {
+      this.panel.classList.remove('visible');
+    }
+  }
+
+  update() {
+    if (!this.playback || !this.panel) return;
+
+    this.playButton.textContent = this.playback.playing ? 'Pause' : 'Play';
+    if (!this.scrubbing) {
+      this.scrubBar.value = this.playback.time;
+    }
+    this.timeElement.textContent =
+      `${formatTime(this.playback.time)} / ${formatTime(this.playback.getDuration())}`;
+  }
+}
+
+function formatTime(seconds) {
+  const minutes = Math.floor(seconds / 60);
+  const secs = Math.floor(seconds % 60);
+  return `${minutes}:${secs.toString().padStart(2, '0')}`;
+}
@@ -0,0 +1,155 @@
+/**
+ * Ring courses: fly-through rings placed over a map, flown in order as a
+ * time trial. The first ring starts the clock, the last one stops it.
+ * Each map has at most one course, saved as JSON in localStorage along with
+ * its leaderboard of best times.
+ *
+ * Course format:
+ * {
+ *   version, name,
+ *   rings: [{x, z, heightAboveGround, heading, radius}, ...]
+ * }
+ * Rings stand at a height above the ground under them (so they follow the
+ * terrain when moved), facing along heading (radians clockwise from north, -Z).
+ */
+
+const STORAGE_PREFIX = 'flying_game.course.';
+const LEADERBOARD_SIZE = 10;
+
+export const RING_DEFAULTS = {
+  heightAboveGround: 100,   // m
+  heading: 0,
+  radius: 15                // m
+};
+
+export const MISSED_RING_PENALTY = 10;  // Seconds added per ring missed
+
+// Passing a ring's plane this many radii from its center still counts as
+// trying for it: the ring is missed and the next one is up
+const MISS_DISTANCE = 4;
+
+/**
+ * Fill in defaults for a (possibly hand-written) course
+ * @param {Object} [json]
+ * @returns {Object}
+ */
+export function normalizeCourse(json = {}) {
+  const rings = Array.isArray(json.rings) ? json.rings : [];
+  return {
+    version: 1,
+    name: json.name || 'Ring course',
+    rings: rings
+      .filter(ring => typeof ring.x === 'number' && typeof ring.z === 'number')
+      .map(ring => ({ ...RING_DEFAULTS, ...ring }))
+  };
+}
+
+/**
+ * Center of a ring in world coordinates
+ * @param {Object} ring
+ * @param {TerrainProvider|null} terrainProvider
+ * @returns {{x: number, y: number, z: number}}
+ */
+export function getRingCenter(ring, terrainProvider) {
+  const ground = terrainProvider ? terrainProvider.getHeightAt(ring.x, ring.z) : 0;
+  return { x: ring.x, y: ground + ring.heightAboveGround, z: ring.z };
+}
+
+/**
+ * Where a move from one position to the next passes a ring's plane, in either direction
+ * @param {Object} ring
+ * @param {{x: number, y: number, z: number}} center - See getRingCenter()
+ * @param {{x: number, y: number, z: number}} from
+ * @param {{x: number, y: number, z: number}} to
+ * @returns {{t: number, through: boolean, near: boolean}|null} - Fraction of the move
+ *   at the plane; through the ring, or near enough to count as a miss; null if
+ *   the plane was not crossed
+ */
+export function getRingCrossing(ring, center, from, to) {
+  const normalX = Math.sin(ring.heading);
+  const normalZ = -Math.cos(ring.heading);
+  const before = (from.x - center.x) * normalX + (from.z - center.z) * normalZ;
+  const after = (to.x - center.x) * normalX + (to.z - center.z) * normalZ;
+  if ((before < 0) === (after < 0) || before === after) return null;
+
+  const t = before / (before - after);
+  const miss = Math.hypot(
+    from.x + (to.x - from.x) * t - center.x,
+    from.y + (to.y - from.y) * t - center.y,
+    from.z + (to.z - from.z) * t - center.z
+  );
+  return { t, through: miss <= ring.radius, near: miss <= ring.radius * MISS_DISTANCE };
+}
+
+/**
+ * Load a map's course from localStorage
+ * @param {string} mapId
+ * @returns {Object} - An empty course if none is saved
+ */
+export function loadCourse(mapId) {
+  return normalizeCourse(readJSON(`${STORAGE_PREFIX}${mapId}`) || {});
+}
+
+/**
+ * Save a map's course to localStorage. Changing the rings clears the
+ * leaderboard, whose times no longer compare.
+ * @param {string} mapId
+ * @param {Object} course
+ * @returns {boolean} - False if storage is unavailable
+ */
+export function saveCourse(mapId, course) {
+  const previous = loadCourse(mapId);
+  const saved = writeJSON(`${STORAGE_PREFIX}${mapId}`, course);
+  if (saved && JSON.stringify(previous.rings) !== JSON.stringify(course.rings)) {
+    writeJSON(`${STORAGE_PREFIX}${mapId}.times`, []);
+  }
+  return saved;
+}
+
+/**
+ * A map's best time trials, fastest first
+ * @param {string} mapId
+ * @returns {Array<Object>} - Entries as returned by TimeTrial.getResult(), plus date
+ */
+export function loadLeaderboard(mapId) {
+  const leaderboard = readJSON(`${STORAGE_PREFIX}${mapId}.times`);
+  return Array.isArray(leaderboard) ? leaderboard : [];
+}
+
+/**
+ * Enter a finished time trial on a map's leaderboard
+ * @param {string} mapId
+ * @param {Object} result - TimeTrial.getResult() of a finished trial
+ * @returns {{leaderboard: Array<Object>, rank: number|null}} - rank is the
+ *   1-based place, null if the time did not make the board
+ */
+export function addToLeaderboard(mapId, result) {
+  const entry = { ...result, date: new Date().toISOString() };
+  const leaderboard = [...loadLeaderboard(mapId), entry]
+    .sort((a, b) => a.total - b.total)
+    .slice(0, LEADERBOARD_SIZE);
+  writeJSON(`${STORAGE_PREFIX}${mapId}.times`, leaderboard);
+
+  const index = leaderboard.indexOf(entry);
+  return { leaderboard, rank: index >= 0 ? index + 1 : null };
+}
+
+function readJSON(key) {
+  try {
+    const json = localStorage.getItem(key);
+    return json ? JSON.parse(json) : null;
+  } catch (e) {
+    console.warn(`Could not load ${key}:`, e);
+    return null;
+  }
+}
+
+function writeJSON(key, value) {
+  try {
+    localStorage.setItem(key, JSON.stringify(value));
+    return true;
+  } catch (e) {
+    console.warn(`Could not save ${key}:`, e);
+    return false;
+  }
+}
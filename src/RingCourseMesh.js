@@ -0,0 +1,101 @@
+import * as THREE from 'three';
+import { getRingCenter } from './RingCourse.js';
+
+const COLORS = {
+  upcoming: 0x4fc3f7,
+  next: 0xffd54f,
+  passed: 0x66bb6a,
+  missed: 0xe53935,
+  selected: 0xffffff
+};
+
+/**
+ * Draws a ring course: each ring as a torus facing along its heading, with a
+ * faint post down to the ground. Colors show the next ring and which were
+ * passed or missed; the editor highlights its selected ring.
+ */
+export class RingCourseMesh {
+  /**
+   * @param {THREE.Scene} scene
+   * @param {TerrainProvider} terrainProvider - Ground heights under the rings
+   */
+  constructor(scene, terrainProvider) {
+    this.scene = scene;
+    this.terrainProvider = terrainProvider;
+    this.group = new THREE.Group();
+    this.rings = [];  // THREE.Mesh per ring, userData.index is its place in the course
+    this.scene.add(this.group);
+  }
+
+  /**
+   * Rebuild for a course (after loading or editing it)
+   * @param {Object} course
+   */
+  setCourse(course) {
+    this.clear();
+
+    course.rings.forEach((ring, index) => {
+      const center = getRingCenter(ring, this.terrainProvider);
+
+      const geometry = new THREE.TorusGeometry(ring.radius, Math.max(0.5, ring.radius * 0.05), 8, 48);
+      const material = new THREE.MeshStandardMaterial({ color: COLORS.upcoming, emissive: 0x000000 });
+      const mesh = new THREE.Mesh(geometry, material);
+      mesh.position.set(center.x, center.y, center.z);
+      mesh.rotation.y = -ring.heading;  // The torus faces +Z; turn it to face the heading
+      mesh.castShadow = true;
+      mesh.userData.index = index;
+      this.group.add(mesh);
+      this.rings.push(mesh);
+
+      const postGeometry = new THREE.BufferGeometry().setFromPoints([
+        new THREE.Vector3(center.x, center.y - ring.radius, center.z),
+        new THREE.Vector3(center.x, center.y - ring.heightAboveGround, center.z)
+      ]);
+      const postMaterial = new THREE.LineBasicMaterial({ color: 0xffffff, transparent: true, opacity: 0.3 });
+      this.group.add(new THREE.Line(postGeometry, postMaterial));
+    });
+  }
+
+  /**
+   * Color the rings by progress through a time trial
+   * @param {TimeTrial|null} trial - Null shows every ring as upcoming
+   * @param {number} [selected] - Ring index the editor has selected
+   */
+  update(trial, selected = -1) {
+    this.rings.forEach((mesh, i) => {
+      let color = COLORS.upcoming;
+      if (trial && i < trial.nextRing) {
+        color = trial.splits[i] === null ? COLORS.missed : COLORS.passed;
+      } else if (trial && i === trial.nextRing) {
+        color = COLORS.next;
+      }
+      if (i === selected) color = COLORS.selected;
+
+      mesh.material.color.setHex(color);
+      mesh.material.emissive.setHex(i === selected ? 0x444444 : 0x000000);
+    });
+  }
+
+  // Meshes the editor can pick rings with
+  getPickables() {
+    return this.rings;
+  }
+
+  setVisible(visible) {
+    this.group.visible = visible;
+  }
+
+  clear() {
+    for (const child of [...this.group.children]) {
+      this.group.remove(child);
+      child.geometry.dispose();
+      child.material.dispose();
+    }
+    this.rings = [];
+  }
+
+  dispose() {
+    this.clear();
+    this.scene.remove(this.group);
+  }
+}
@@ -0,0 +1,227 @@
+import {
+  ACTIONS,
+  cloneBindings,
+  normalizeBindings,
+  findConflicts,
+  describeBinding,
+  getInputKeys,
+  isSameBinding
+} from './ControlBindings.js';
+
+const CAPTURE_THRESHOLD = 0.5; // Axis travel / button value that counts as "pressed"
+
+/**
+ * Controls settings: lists every action with its keyboard and gamepad
+ * bindings, captures new ones and flags inputs bound to several actions.
+ * Changes go straight to the InputManager, which saves them.
+ */
+export class SettingsPanel {
+  constructor(inputManager) {
+    this.inputManager = inputManager;
+
+    this.panel = document.getElementById('settings-panel');
+    this.list = document.getElementById('settings-list');
+    this.conflictList = document.getElementById('settings-conflicts');
+    this.deviceLabel = document.getElementById('settings-device');
+
+    this.capturing = null;  // {group, action, baseline} while waiting for an input
+    this.captureFrame = null;
+
+    const resetButton = document.getElementById('settings-reset');
+    if (resetButton) {
+      resetButton.addEventListener('click', () => {
+        this.inputManager.setBindings(normalizeBindings(null));
+        this.render();
+      });
+    }
+
+    const closeButton = document.getElementById('settings-close');
+    if (closeButton) {
+      closeButton.addEventListener('click', () => this.hide());
+    }
+
+    // Capture phase, so the key never reaches the game
+    window.addEventListener('keydown', (e) => this.handleKeyDown(e), true);
+  }
+
+  show() {
+    if (!this.panel) return;
+    this.inputManager.setSuspended(true);
+    this.render();
+    this.panel.classList.add('visible');
+  }
+
+  hide() {
+    if (!this.panel) return;
+    this.stopCapture();
+    this.panel.classList.remove('visible');
+    this.inputManager.setSuspended(false);
+  }
+
+  isVisible() {
+    return this.panel ? this.panel.classList.contains('visible') : false;
+  }
+
+  // Gamepad bindings shown are those of the connected device's kind
+  getGamepadGroup() {
+    const gamepad = this.inputManager.gamepad.getGamepad();
+    return gamepad ? this.inputManager.gamepad.getProfile(gamepad) : 'standard';
+  }
+
+  render() {
+    const bindings = this.inputManager.bindings;
+    const gamepadGroup = this.getGamepadGroup();
+    const conflicts = findConflicts(bindings);
+
+    if (this.deviceLabel) {
+      const gamepad = this.inputManager.gamepad.getGamepad();
+      this.deviceLabel.textContent = gamepad
+        ? `${gamepad.id} (${gamepadGroup})`
+        : 'No gamepad connected: showing standard gamepad bindings';
+    }
+
+    this.list.innerHTML = '';
+    for (const action of ACTIONS) {
+      const row = document.createElement('tr');
+      const label = document.createElement('td');
+      label.textContent = action.label;
+      row.append(
+        label,
+        this.renderBindings('keyboard', action.id, bindings, conflicts),
+        this.renderBindings(gamepadGroup, action.id, bindings, conflicts)
+      );
+      this.list.appendChild(row);
+    }
+
+    this.conflictList.innerHTML = '';
+    for (const conflict of conflicts) {
+      const item = document.createElement('li');
+      const labels = conflict.actions.map(id => ACTIONS.find(action => action.id === id).label);
+      const input = conflict.group === 'keyboard'
+        ? `Key ${describeBinding('keyboard', conflict.input)}`
+        : `Gamepad (${conflict.group}) ${conflict.input}`;
+      item.textContent = `${input} is bound to ${labels.join(', ')}`;
+      this.conflictList.appendChild(item);
+    }
+  }
+
+  renderBindings(group, actionId, bindings, conflicts) {
+    const cell = document.createElement('td');
+
+    for (const source of bindings[group][actionId]) {
+      const chip = document.createElement('button');
+      chip.className = 'binding';
+      chip.textContent = `${describeBinding(group, source)} ×`;
+      chip.title = 'Remove';
+      if (this.isConflicted(group, actionId, source, conflicts)) {
+        chip.classList.add('conflict');
+      }
+      chip.addEventListener('click', () => this.removeBinding(group, actionId, source));
+      cell.appendChild(chip);
+    }
+
+    const add = document.createElement('button');
+    add.className = 'binding add';
+    const isCapturing = this.capturing && this.capturing.group === group && this.capturing.action === actionId;
+    add.textContent = isCapturing ? 'Press…' : '+';
+    add.addEventListener('click', () => this.startCapture(group, actionId));
+    cell.appendChild(add);
+
+    return cell;
+  }
+
+  isConflicted(group, actionId, source, conflicts) {
+    const inputs = getInputKeys(group, source);
+    return conflicts.some(conflict => conflict.group === group && inputs.includes(conflict.input));
+  }
+
+  removeBinding(group, actionId, source) {
+    const bindings = cloneBindings(this.inputManager.bindings);
+    bindings[group][actionId] = bindings[group][actionId].filter(other => !isSameBinding(other, source));
+    this.inputManager.setBindings(bindings);
+    this.render();
+  }
+
+  addBinding(group, actionId, source) {
+    const bindings = cloneBindings(this.inputManager.bindings);
+    if (!bindings[group][actionId].some(other => isSameBinding(other, source))) {
+      bindings[group][actionId].push(source);
+    }
+    this.inputManager.setBindings(bindings);
+    this.stopCapture();
+    this.render();
+  }
+
+  startCapture(group, actionId) {
+    this.stopCapture();
+
+    const gamepad = group === 'keyboard' ? null : this.inputManager.gamepad.getGamepad();
+    this.capturing = {
+      group,
+      action: actionId,
+      baseline: gamepad ? [...gamepad.axes] : []  // Resting axis positions
+    };
+    this.render();
+
+    if (group !== 'keyboard') {
+      this.pollGamepad();
+    }
+  }
+
+  stopCapture() {
+    if (this.captureFrame !== null) {
+      cancelAnimationFrame(this.captureFrame);
+      this.captureFrame = null;
+    }
+    if (this.capturing) {
+      this.capturing = null;
+      this.render();
+    }
+  }
+
+  handleKeyDown(e) {
+    if (!this.isVisible()) return;
+    e.stopImmediatePropagation();
+
+    if (!this.capturing) {
+      if (e.code === 'Escape') this.hide();
+      return;
+    }
+
+    e.preventDefault();
+    if (e.code === 'Escape') {
+      this.stopCapture();
+    } else if (this.capturing.group === 'keyboard') {
+      this.addBinding('keyboard', this.capturing.action, e.code);
+    }
+  }
+
+  // Wait for a button press or a clear axis movement
+  pollGamepad() {
+    this.captureFrame = requestAnimationFrame(() => this.pollGamepad());
+
+    const gamepad = this.inputManager.gamepad.getGamepad();
+    if (!gamepad) return;
+    const { group, action, baseline } = this.capturing;
+
+    const button = gamepad.buttons.findIndex(b => b.value > CAPTURE_THRESHOLD);
+    if (button !== -1) {
+      this.addBinding(group, action, { button });
+      return;
+    }
+
+    for (let axis = 0; axis < gamepad.axes.length; axis++) {
+      const rest = baseline[axis] ?? 0;
+      const moved = gamepad.axes[axis] - rest;
+      if (Math.abs(moved) < CAPTURE_THRESHOLD) continue;
+
+      const source = { axis, direction: Math.sign(moved) };
+      // A lever resting at one end (throttle) drives the airbrake with its whole travel
+      if (action === 'airbrake' && Math.abs(rest) > CAPTURE_THRESHOLD) {
+        source.full = true;
+      }
+      this.addBinding(group, action, source);
+      return;
+    }
+  }
+}
@@ -0,0 +1,184 @@
+import * as THREE from 'three';
+import { Sky as SkyDome } from 'three/addons/objects/Sky.js';
+
+const SHADOW_EXTENT = 400;     // m either side of the glider the shadow map covers
+const SHADOW_DISTANCE = 2000;  // m from the glider to the sun light, back along its rays
+const SHADOW_MAP_SIZE = 2048;
+
+// Colors the map's own ones blend toward at sunrise and sunset, and at night
+const GOLDEN_HORIZON = new THREE.Color('#f2a65a');
+const GOLDEN_SUN = new THREE.Color('#ff8a3d');
+const NIGHT_SKY = new THREE.Color('#0b1226');
+const NIGHT_GROUND = new THREE.Color('#101010');
+
+/**
+ * Where the sun is, from the solar time of day, the latitude and the date
+ * @param {number} hours - Local solar time, 0-24 (12 is solar noon)
+ * @param {number} latitude - Degrees, north positive
+ * @param {number} [dayOfYear] - 1-365; defaults to the June solstice
+ * @returns {{elevation: number, azimuth: number}} - Radians above the
+ *   horizon, and clockwise from north
+ */
+export function getSunPosition(hours, latitude, dayOfYear = 172) {
+  const declination = THREE.MathUtils.degToRad(-23.44) * Math.cos(2 * Math.PI / 365 * (dayOfYear + 10));
+  const hourAngle = (hours - 12) * Math.PI / 12;
+  const phi = THREE.MathUtils.degToRad(latitude);
+
+  const elevation = Math.asin(
+    Math.sin(phi) * Math.sin(declination) + Math.cos(phi) * Math.cos(declination) * Math.cos(hourAngle)
+  );
+  // Measured from south toward the west, then turned to from north
+  const fromSouth = Math.atan2(
+    Math.sin(hourAngle),
+    Math.cos(hourAngle) * Math.sin(phi) - Math.tan(declination) * Math.cos(phi)
+  );
+  return { elevation, azimuth: (fromSouth + Math.PI) % (Math.PI * 2) };
+}
+
+/**
+ * Unit vector toward the sun in scene coordinates (+X east, -Z north)
+ * @param {{elevation: number, azimuth: number}} sun - See getSunPosition()
+ * @param {THREE.Vector3} target
+ * @returns {THREE.Vector3} - target
+ */
+export function getSunDirection({ elevation, azimuth }, target) {
+  return target.set(
+    Math.sin(azimuth) * Math.cos(elevation),
+    Math.sin(elevation),
+    -Math.cos(azimuth) * Math.cos(elevation)
+  );
+}
+
+/**
+ * Light and fog for a sun elevation: the map's lighting (its midday look)
+ * warming toward golden hour as the sun gets low and fading to night once
+ * it has set
+ * @param {number} elevation - Sun elevation (radians)
+ * @param {Object} lighting - Map lighting (see MapManifest)
+ * @returns {{horizonColor: THREE.Color, sunColor: THREE.Color, sunIntensity: number,
+ *   ambientIntensity: number, hemisphereColor: THREE.Color, groundColor: THREE.Color,
+ *   hemisphereIntensity: number}} - The horizon color is also the fog's
+ */
+export function getSkyLighting(elevation, lighting) {
+  const { smoothstep } = THREE.MathUtils;
+  const daylight = smoothstep(elevation, -0.1, 0.1);    // Civil twilight to just after sunrise
+  const golden = 1 - smoothstep(elevation, 0.05, 0.35);  // Sun below ~20°
+
+  const horizonColor = new THREE.Color(lighting.skyColor)
+    .lerp(GOLDEN_HORIZON, golden * 0.5)
+    .lerp(NIGHT_SKY, 1 - daylight);
+  return {
+    horizonColor,
+    sunColor: new THREE.Color(lighting.sunColor).lerp(GOLDEN_SUN, golden),
+    sunIntensity: lighting.sunIntensity * smoothstep(elevation, -0.02, 0.15),
+    ambientIntensity: lighting.ambientIntensity * (0.2 + 0.8 * daylight),
+    hemisphereColor: horizonColor.clone(),
+    groundColor: new THREE.Color(lighting.groundColor).lerp(NIGHT_GROUND, 1 - daylight),
+    hemisphereIntensity: lighting.hemisphereIntensity * (0.2 + 0.8 * daylight)
+  };
+}
+
+/**
+ * @param {number} hours - 0-24
+ * @returns {string} - "HH:MM"
+ */
+export function formatTimeOfDay(hours) {
+  const minutes = Math.round(hours * 60) % (24 * 60);
+  return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+}
+
+/**
+ * The sky and its light: an atmospheric-scattering sky dome (the Preetham
+ * model), the sun placed by time of day and latitude, and ambient,
+ * hemisphere and fog colors to match. The sun's shadow camera follows the
+ * glider, so its shadow stays sharp wherever it flies.
+ */
+export class Sky {
+  /**
+   * @param {THREE.Scene} scene - Its fog and background are set here
+   */
+  constructor(scene) {
+    this.scene = scene;
+    this.lighting = null;   // The map's (see MapManifest)
+    this.latitude = 45;
+    this.dayOfYear = 172;
+    this.timeOfDay = 12;
+    this.sunDirection = new THREE.Vector3(0, 1, 0);
+
+    this.ambient = new THREE.AmbientLight(0xffffff, 0.4);
+    this.hemisphere = new THREE.HemisphereLight(0x87CEEB, 0x8B4513, 0.3);
+
+    this.sun = new THREE.DirectionalLight(0xffffff, 1.0);
+    this.sun.castShadow = true;
+    this.sun.shadow.mapSize.width = SHADOW_MAP_SIZE;
+    this.sun.shadow.mapSize.height = SHADOW_MAP_SIZE;
+    this.sun.shadow.camera.near = 1;
+    this.sun.shadow.camera.far = SHADOW_DISTANCE * 2;
+    this.sun.shadow.camera.left = -SHADOW_EXTENT;
+    this.sun.shadow.camera.right = SHADOW_EXTENT;
+    this.sun.shadow.camera.top = SHADOW_EXTENT;
+    this.sun.shadow.camera.bottom = -SHADOW_EXTENT;
+
+    // Drawn first and behind everything, however far the terrain reaches
+    this.dome = new SkyDome();
+    this.dome.scale.setScalar(1000);
+    this.dome.material.depthTest = false;
+    this.dome.renderOrder = -1;
+    this.dome.frustumCulled = false;
+    const uniforms = this.dome.material.uniforms;
+    uniforms.turbidity.value = 4;
+    uniforms.rayleigh.value = 1.5;
+    uniforms.mieCoefficient.value = 0.005;
+    uniforms.mieDirectionalG.value = 0.8;
+
+    scene.add(this.ambient, this.hemisphere, this.sun, this.sun.target, this.dome);
+  }
+
+  /**
+   * Adopt a map's lighting and fog
+   * @param {Object} lighting - Normalized map lighting (see MapManifest)
+   * @param {number|null} [latitude] - Degrees; the lighting's own if null
+   */
+  setLighting(lighting, latitude = null) {
+    this.lighting = lighting;
+    this.latitude = latitude ?? lighting.latitude;
+    this.dayOfYear = lighting.dayOfYear;
+    this.scene.fog.near = lighting.fogNear;
+    this.scene.fog.far = lighting.fogFar;
+    this.setTimeOfDay(lighting.timeOfDay);
+  }
+
+  /**
+   * Move the sun and relight the scene
+   * @param {number} hours - Local solar time, 0-24
+   */
+  setTimeOfDay(hours) {
+    this.timeOfDay = hours;
+    const sun = getSunPosition(hours, this.latitude, this.dayOfYear);
+    getSunDirection(sun, this.sunDirection);
+    this.dome.material.uniforms.sunPosition.value.copy(this.sunDirection);
+    if (!this.lighting) return;
+
+    const light = getSkyLighting(sun.elevation, this.lighting);
+    this.scene.background = light.horizonColor;
+    this.scene.fog.color.copy(light.horizonColor);
+    this.ambient.intensity = light.ambientIntensity;
+    this.sun.color.copy(light.sunColor);
+    this.sun.intensity = light.sunIntensity;
+    this.sun.visible = light.sunIntensity > 0;
+    this.hemisphere.color.copy(light.hemisphereColor);
+    this.hemisphere.groundColor.copy(light.groundColor);
+    this.hemisphere.intensity = light.hemisphereIntensity;
+  }
+
+  /**
+   * Keep the dome around the camera and the shadow box around the glider
+   * @param {THREE.Vector3} focus - The glider's render position
+   * @param {THREE.Vector3} cameraPosition
+   */
+  update(focus, cameraPosition) {
+    this.dome.position.copy(cameraPosition);
+    this.sun.target.position.copy(focus);
+    this.sun.position.copy(focus).addScaledVector(this.sunDirection, SHADOW_DISTANCE);
+  }
+}
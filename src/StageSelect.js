@@ -0,0 +1,160 @@
+const AIRCRAFT_STORAGE_KEY = 'flying_game.aircraft';
+const LAUNCH_STORAGE_KEY = 'flying_game.launch';
+
+export const LAUNCH_MODES = [
+  { id: 'aerotow', name: 'Aerotow', description: 'Towed up behind a tow plane; release when you like' },
+  { id: 'winch', name: 'Winch', description: 'A quick, steep climb on a winch cable; releases by itself at the top' }
+];
+
+/**
+ * Stage-select screen: lists the maps from the manifest index, the
+ * aircraft to fly them with and how to launch. Both choices are remembered.
+ */
+export class StageSelect {
+  constructor(onSelect) {
+    this.onSelect = onSelect;
+
+    this.panel = document.getElementById('stage-select');
+    this.list = document.getElementById('stage-list');
+    this.aircraftList = document.getElementById('aircraft-list');
+    this.launchList = document.getElementById('launch-list');
+    this.closeButton = document.getElementById('stage-close');
+
+    this.aircraft = [];          // Normalized aircraft profiles
+    this.aircraftId = loadChoice(AIRCRAFT_STORAGE_KEY);
+    this.launchMode = loadChoice(LAUNCH_STORAGE_KEY);
+    if (!LAUNCH_MODES.some(mode => mode.id === this.launchMode)) {
+      this.launchMode = LAUNCH_MODES[0].id;
+    }
+
+    if (this.closeButton) {
+      this.closeButton.addEventListener('click', () => this.hide());
+    }
+    this.renderLaunchModes();
+  }
+
+  /**
+   * Show the stage list
+   * @param {Array<Object>} maps - Normalized map manifests
+   * @param {string|null} currentId - Currently loaded map, if any
+   */
+  show(maps, currentId = null) {
+    if (!this.panel) return;
+
+    this.list.innerHTML = '';
+    maps.forEach(map => {
+      const button = document.createElement('button');
+      button.className = 'stage-card';
+      if (map.id === currentId) {
+        button.classList.add('current');
+      }
+
+      const name = document.createElement('h2');
+      name.textContent = map.name;
+      const description = document.createElement('p');
+      description.textContent = map.description;
+      const size = document.createElement('span');
+      size.textContent = `${(map.width / 1000).toFixed(1)} x ${(map.depth / 1000).toFixed(1)} km`;
+
+      button.append(name, description, size);
+      button.addEventListener('click', () => {
+        this.hide();
+        this.onSelect(map);
+      });
+      this.list.appendChild(button);
+    });
+
+    // Can only close without choosing once a stage is loaded
+    if (this.closeButton) {
+      this.closeButton.style.display = currentId ? '' : 'none';
+    }
+
+    this.panel.classList.add('visible');
+  }
+
+  /**
+   * Set the aircraft to choose from
+   * @param {Array<Object>} aircraft - Normalized aircraft profiles
+   */
+  setAircraft(aircraft) {
+    this.aircraft = aircraft;
+    if (!aircraft.some(profile => profile.id === this.aircraftId) && aircraft.length > 0) {
+      this.aircraftId = aircraft[0].id;
+    }
+    this.renderAircraft();
+  }
+
+  // Profile of the chosen aircraft, or null if none are loaded
+  getSelectedAircraft() {
+    return this.aircraft.find(profile => profile.id === this.aircraftId) || null;
+  }
+
+  renderAircraft() {
+    if (!this.aircraftList) return;
+
+    this.aircraftList.innerHTML = '';
+    this.aircraft.forEach(profile => {
+      const button = document.createElement('button');
+      button.className = 'aircraft-option';
+      button.classList.toggle('selected', profile.id === this.aircraftId);
+      button.textContent = profile.name;
+      button.title = profile.description;
+      button.addEventListener('click', () => {
+        this.aircraftId = profile.id;
+        saveChoice(AIRCRAFT_STORAGE_KEY, profile.id);
+        this.renderAircraft();
+      });
+      this.aircraftList.appendChild(button);
+    });
+  }
+
+  // Id of the chosen launch mode (see LAUNCH_MODES)
+  getLaunchMode() {
+    return this.launchMode;
+  }
+
+  renderLaunchModes() {
+    if (!this.launchList) return;
+
+    this.launchList.innerHTML = '';
+    LAUNCH_MODES.forEach(mode => {
+      const button = document.createElement('button');
+      button.className = 'launch-option';
+      button.classList.toggle('selected', mode.id === this.launchMode);
+      button.textContent = mode.name;
+      button.title = mode.description;
+      button.addEventListener('click', () => {
+        this.launchMode = mode.id;
+        saveChoice(LAUNCH_STORAGE_KEY, mode.id);
+        this.renderLaunchModes();
+      });
+      this.launchList.appendChild(button);
+    });
+  }
+
+  hide() {
+    if (this.panel) {
+      this.panel.classList.remove('visible');
+    }
+  }
+
+  isVisible() {
+    return this.panel ? this.panel.classList.contains('visible') : false;
+  }
+}
+
+function loadChoice(key) {
+  try {
+    return localStorage.getItem(key);
+  } catch (e) {
+    return null;
+  }
+}
+
+function saveChoice(key, id) {
+  try {
+    localStorage.setItem(key, id);
+  } catch (e) {
+    console.warn(`Could not save ${key}:`, e);
+  }
+}
@@ -0,0 +1,207 @@
+/**
+ * Competition tasks: a start line, an ordered list of turnpoints and a
+ * finish line, flown in that order. A map's manifest may define one in a
+ * "task" block, in world coordinates (meters, x east, z south):
+ *
+ * {
+ *   name,
+ *   scoring: 'time' (fastest completed task wins) or 'distance' (furthest along it),
+ *   start: {x, z, length, maxAltitude}: a line across the first leg, crossed
+ *     toward the first turnpoint; crossing above maxAltitude (if given) does not count
+ *   turnpoints: [{name, x, z, type, radius}, ...]: type 'cylinder' (reached
+ *     within radius of the point) or 'sector' (FAI sector: the 90° quadrant
+ *     facing away from the course, out to radius)
+ *   finish: {x, z, length}: a line across the last leg
+ * }
+ */
+
+const STORAGE_PREFIX = 'flying_game.task.';
+
+const DEFAULT_START = { length: 2000, maxAltitude: null };
+const DEFAULT_FINISH = { length: 1000 };
+const DEFAULT_RADIUS = { cylinder: 500, sector: 1000 };
+
+/**
+ * Fill in defaults and validate a raw task
+ * @param {Object} json - The manifest's "task" block
+ * @param {string} [mapId] - For error messages
+ * @returns {Object}
+ */
+export function normalizeTask(json, mapId = '') {
+  const scoring = json.scoring || 'time';
+  if (scoring !== 'time' && scoring !== 'distance') {
+    throw new Error(`Map "${mapId}" task scoring must be "time" or "distance"`);
+  }
+  for (const field of ['start', 'finish']) {
+    if (!isPoint(json[field])) {
+      throw new Error(`Map "${mapId}" task needs a "${field}" with x and z`);
+    }
+  }
+  if (!Array.isArray(json.turnpoints) || json.turnpoints.length === 0) {
+    throw new Error(`Map "${mapId}" task needs at least one turnpoint`);
+  }
+
+  const turnpoints = json.turnpoints.map((turnpoint, i) => {
+    const type = turnpoint.type || 'cylinder';
+    if (!isPoint(turnpoint) || !DEFAULT_RADIUS[type]) {
+      throw new Error(`Map "${mapId}" task turnpoint ${i + 1} needs x, z and a type of "cylinder" or "sector"`);
+    }
+    return {
+      name: turnpoint.name || `TP${i + 1}`,
+      x: turnpoint.x,
+      z: turnpoint.z,
+      type,
+      radius: turnpoint.radius ?? DEFAULT_RADIUS[type]
+    };
+  });
+
+  const task = {
+    name: json.name || 'Task',
+    scoring,
+    start: { ...DEFAULT_START, ...json.start, name: 'Start' },
+    turnpoints,
+    finish: { ...DEFAULT_FINISH, ...json.finish, name: 'Finish' }
+  };
+
+  // Direction of each turnpoint's sector: away from the course, halfway
+  // between the inbound and outbound legs
+  const points = getTaskPoints(task);
+  turnpoints.forEach((turnpoint, i) => {
+    const inbound = direction(points[i], turnpoint);
+    const outbound = direction(turnpoint, points[i + 2]);
+    const bisector = normalize({ x: inbound.x - outbound.x, z: inbound.z - outbound.z });
+    turnpoint.bisector = bisector || inbound;  // Straight through: the sector faces ahead
+  });
+
+  task.legs = points.slice(1).map((point, i) => distance(points[i], point));
+  task.distance = task.legs.reduce((sum, leg) => sum + leg, 0);
+
+  return task;
+}
+
+/**
+ * Start, turnpoints and finish in flying order
+ * @param {Object} task - Normalized task
+ * @returns {Array<Object>}
+ */
+export function getTaskPoints(task) {
+  return [task.start, ...task.turnpoints, task.finish];
+}
+
+/**
+ * Has a position reached a turnpoint?
+ * @param {Object} turnpoint - Normalized turnpoint
+ * @param {{x: number, z: number}} position
+ * @returns {boolean}
+ */
+export function isInTurnpoint(turnpoint, position) {
+  const dx = position.x - turnpoint.x;
+  const dz = position.z - turnpoint.z;
+  const range = Math.hypot(dx, dz);
+  if (range > turnpoint.radius) return false;
+  if (turnpoint.type === 'cylinder' || range === 0) return true;
+
+  // Within 45° of the sector's bisector
+  return (dx * turnpoint.bisector.x + dz * turnpoint.bisector.z) / range >= Math.SQRT1_2;
+}
+
+/**
+ * Where a move from one position to the next crosses a start or finish line
+ * in the direction of its leg
+ * @param {Object} line - task.start or task.finish
+ * @param {{x: number, z: number}} legDirection - Unit vector the line must be crossed along
+ * @param {{x: number, z: number}} from
+ * @param {{x: number, z: number}} to
+ * @returns {number|null} - Fraction of the way from 'from' to 'to', or null if not crossed
+ */
+export function getLineCrossing(line, legDirection, from, to) {
+  const before = (from.x - line.x) * legDirection.x + (from.z - line.z) * legDirection.z;
+  const after = (to.x - line.x) * legDirection.x + (to.z - line.z) * legDirection.z;
+  if (before >= 0 || after < 0) return null;
+
+  const t = before / (before - after);
+  const x = from.x + (to.x - from.x) * t;
+  const z = from.z + (to.z - from.z) * t;
+
+  // Distance along the line from its center (the line runs across the leg)
+  const along = (x - line.x) * -legDirection.z + (z - line.z) * legDirection.x;
+  return Math.abs(along) <= line.length / 2 ? t : null;
+}
+
+/**
+ * Compass bearing from one point to another
+ * @returns {number} - Radians clockwise from north (-Z), 0 to 2π
+ */
+export function getBearing(from, to) {
+  const bearing = Math.atan2(to.x - from.x, -(to.z - from.z));
+  return bearing < 0 ? bearing + 2 * Math.PI : bearing;
+}
+
+/**
+ * Unit vector from one point to another in the x/z plane
+ * @returns {{x: number, z: number}}
+ */
+export function direction(from, to) {
+  return normalize({ x: to.x - from.x, z: to.z - from.z }) || { x: 0, z: -1 };
+}
+
+/**
+ * Is one task result better than another?
+ * Completed tasks beat unfinished ones; then the faster time wins for time
+ * scoring, the longer distance (then the faster time) for distance scoring.
+ * @param {Object} result - See TaskTracker.getResult()
+ * @param {Object|null} other
+ * @param {string} scoring - 'time' or 'distance'
+ * @returns {boolean}
+ */
+export function isBetterResult(result, other, scoring) {
+  if (!other) return result.started;
+  if (scoring === 'time' && result.completed !== other.completed) return result.completed;
+  if (scoring === 'time' && result.completed) return result.time < other.time;
+  if (result.distance !== other.distance) return result.distance > other.distance;
+  return result.completed && other.completed && result.time < other.time;
+}
+
+/**
+ * Save a map's best task result to localStorage
+ * @param {string} mapId
+ * @param {Object} result
+ * @returns {boolean} - False if storage is unavailable
+ */
+export function saveTaskResult(mapId, result) {
+  try {
+    localStorage.setItem(`${STORAGE_PREFIX}${mapId}.best`, JSON.stringify(result));
+    return true;
+  } catch (e) {
+    console.warn('Could not save task result:', e);
+    return false;
+  }
+}
+
+/**
+ * Load a map's best task result from localStorage
+ * @param {string} mapId
+ * @returns {Object|null}
+ */
+export function loadTaskResult(mapId) {
+  try {
+    const json = localStorage.getItem(`${STORAGE_PREFIX}${mapId}.best`);
+    return json ? JSON.parse(json) : null;
+  } catch (e) {
+    console.warn('Could not load task result:', e);
+    return null;
+  }
+}
+
+function isPoint(point) {
+  return Boolean(point) && typeof point.x === 'number' && typeof point.z === 'number';
+}
+
+function distance(a, b) {
+  return Math.hypot(b.x - a.x, b.z - a.z);
+}
+
+function normalize(v) {
+  const length = Math.hypot(v.x, v.z);
+  return length > 1e-9 ? { x: v.x / length, z: v.z / length } : null;
+}
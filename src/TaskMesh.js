@@ -0,0 +1,179 @@
+import * as THREE from 'three';
+import { getTaskPoints, direction } from './Task.js';
+
+const WALL_HEIGHT = 800;    // m above the rim
+const MAX_EDGE = 50;        // m between rim vertices, so the rim follows the terrain
+const COURSE_HEIGHT = 30;   // m above the ground for the course line
+
+const COLORS = {
+  start: 0x4caf50,
+  turnpoint: 0x4fc3f7,
+  finish: 0xe53935,
+  next: 0xffd54f,
+  done: 0x9e9e9e
+};
+
+/**
+ * Draws a task over the terrain: the start and finish lines and each
+ * turnpoint's cylinder or sector as a rim on the ground with a faint wall
+ * above it, plus the course line between them. The next point to reach is
+ * highlighted and those already reached are greyed out.
+ */
+export class TaskMesh {
+  /**
+   * @param {THREE.Scene} scene
+   * @param {Object} task - Normalized task (see Task.js)
+   * @param {TerrainProvider} terrainProvider - Ground heights for the rims
+   */
+  constructor(scene, task, terrainProvider) {
+    this.scene = scene;
+    this.terrainProvider = terrainProvider;
+    this.group = new THREE.Group();
+    this.zones = [];      // {baseColor, rimMaterial, wallMaterial}, in task order
+    this.nextPoint = -1;  // Highlighted point, to only recolor on change
+
+    const points = getTaskPoints(task);
+    points.forEach((point, i) => {
+      let outline;
+      let baseColor;
+      if (i === 0 || i === points.length - 1) {
+        const leg = i === 0 ? direction(point, points[1]) : direction(points[i - 1], point);
+        outline = this.getLineOutline(point, leg);
+        baseColor = i === 0 ? COLORS.start : COLORS.finish;
+      } else {
+        outline = point.type === 'sector' ? this.getSectorOutline(point) : this.getCylinderOutline(point);
+        baseColor = COLORS.turnpoint;
+      }
+      this.zones.push(this.createZone(outline, baseColor));
+    });
+
+    this.group.add(this.createCourseLine(points));
+    this.scene.add(this.group);
+  }
+
+  getLineOutline(line, leg) {
+    const half = line.length / 2;
+    return [
+      { x: line.x + leg.z * half, z: line.z - leg.x * half },
+      { x: line.x - leg.z * half, z: line.z + leg.x * half }
+    ];
+  }
+
+  getCylinderOutline(turnpoint) {
+    const outline = [];
+    for (let i = 0; i <= 64; i++) {
+      const angle = i / 64 * Math.PI * 2;
+      outline.push({
+        x: turnpoint.x + Math.cos(angle) * turnpoint.radius,
+        z: turnpoint.z + Math.sin(angle) * turnpoint.radius
+      });
+    }
+    return outline;
+  }
+
+  // Apex, the 90° arc around the bisector, and back to the apex
+  getSectorOutline(turnpoint) {
+    const { x, z } = turnpoint.bisector;
+    const outline = [{ x: turnpoint.x, z: turnpoint.z }];
+    for (let i = 0; i <= 16; i++) {
+      const angle = (i / 16 - 0.5) * Math.PI / 2;
+      const cos = Math.cos(angle);
+      const sin = Math.sin(angle);
+      outline.push({
+        x: turnpoint.x + (x * cos - z * sin) * turnpoint.radius,
+        z: turnpoint.z + (x * sin + z * cos) * turnpoint.radius
+      });
+    }
+    outline.push({ x: turnpoint.x, z: turnpoint.z });
+    return outline;
+  }
+
+  // Rim on the ground with a translucent wall standing on it
+  createZone(outline, baseColor) {
+    const rim = this.densify(outline, MAX_EDGE).map(p =>
+      new THREE.Vector3(p.x, this.terrainProvider.getHeightAt(p.x, p.z) + 1, p.z));
+
+    const rimMaterial = new THREE.LineBasicMaterial({ color: baseColor });
+    this.group.add(new THREE.Line(new THREE.BufferGeometry().setFromPoints(rim), rimMaterial));
+
+    const positions = [];
+    for (const p of rim) {
+      positions.push(p.x, p.y, p.z, p.x, p.y + WALL_HEIGHT, p.z);
+    }
+    const indices = [];
+    for (let i = 0; i < rim.length - 1; i++) {
+      const a = i * 2;
+      indices.push(a, a + 2, a + 1, a + 1, a + 2, a + 3);
+    }
+    const wallGeometry = new THREE.BufferGeometry();
+    wallGeometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+    wallGeometry.setIndex(indices);
+    const wallMaterial = new THREE.MeshBasicMaterial({
+      color: baseColor,
+      transparent: true,
+      opacity: 0.15,
+      side: THREE.DoubleSide,
+      depthWrite: false
+    });
+    this.group.add(new THREE.Mesh(wallGeometry, wallMaterial));
+
+    return { baseColor, rimMaterial, wallMaterial };
+  }
+
+  createCourseLine(points) {
+    const course = this.densify(points, 100).map(p =>
+      new THREE.Vector3(p.x, this.terrainProvider.getHeightAt(p.x, p.z) + COURSE_HEIGHT, p.z));
+    const material = new THREE.LineDashedMaterial({
+      color: 0xffffff,
+      dashSize: 40,
+      gapSize: 30,
+      transparent: true,
+      opacity: 0.6
+    });
+    const line = new THREE.Line(new THREE.BufferGeometry().setFromPoints(course), material);
+    line.computeLineDistances();
+    return line;
+  }
+
+  // Extra points along each edge so none is longer than maxEdge
+  densify(outline, maxEdge) {
+    const result = [outline[0]];
+    for (let i = 1; i < outline.length; i++) {
+      const a = outline[i - 1];
+      const b = outline[i];
+      const steps = Math.max(1, Math.ceil(Math.hypot(b.x - a.x, b.z - a.z) / maxEdge));
+      for (let s = 1; s <= steps; s++) {
+        result.push({ x: a.x + (b.x - a.x) * s / steps, z: a.z + (b.z - a.z) * s / steps });
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Highlight the next point to reach
+   * @param {TaskTracker} tracker
+   */
+  update(tracker) {
+    const next = tracker.finished ? this.zones.length : tracker.nextPoint;
+    if (next === this.nextPoint) return;
+    this.nextPoint = next;
+
+    this.zones.forEach((zone, i) => {
+      const color = i < next ? COLORS.done : i === next ? COLORS.next : zone.baseColor;
+      zone.rimMaterial.color.setHex(color);
+      zone.wallMaterial.color.setHex(color);
+    });
+  }
+
+  setVisible(visible) {
+    this.group.visible = visible;
+  }
+
+  dispose() {
+    this.scene.remove(this.group);
+    this.group.traverse((child) => {
+      if (child.geometry) child.geometry.dispose();
+      if (child.material) child.material.dispose();
+    });
+  }
+}
@@ -0,0 +1,141 @@
+import { getTaskPoints, isInTurnpoint, getLineCrossing, getBearing, direction } from './Task.js';
+
+/**
+ * Follows a flight around a task: the start crossing, each turnpoint in
+ * order and the finish, with timing and distance along the course.
+ * Timing uses the glider's flight clock, so it is exact at any frame rate.
+ */
+export class TaskTracker {
+  /**
+   * @param {Object} task - Normalized task (see Task.js)
+   */
+  constructor(task) {
+    this.task = task;
+    this.points = getTaskPoints(task);
+    this.legDirections = this.points.slice(1).map((point, i) => direction(this.points[i], point));
+    this.reset();
+  }
+
+  reset() {
+    this.started = false;
+    this.finished = false;
+    this.nextPoint = 0;       // Index into points: 0 is the start, the last the finish
+    this.startTime = null;    // Flight time of the start crossing (s)
+    this.finishTime = null;
+    this.distance = 0;        // Furthest along the course so far (m)
+  }
+
+  /**
+   * Check the last tick's move against the task
+   * @param {Glider} glider
+   * @param {number} deltaTime - The tick's length, to time line crossings within it
+   */
+  update(glider, deltaTime) {
+    if (this.finished || glider.crashed) return;
+
+    const from = glider.previousPosition;
+    const to = glider.position;
+    const crossingTime = (t) => glider.flightTime - deltaTime * (1 - t);
+
+    // (Re)start: allowed again until the first turnpoint is reached
+    if (this.nextPoint <= 1) {
+      const start = this.task.start;
+      const t = getLineCrossing(start, this.legDirections[0], from, to);
+      if (t !== null && (start.maxAltitude === null || from.y + (to.y - from.y) * t <= start.maxAltitude)) {
+        this.started = true;
+        this.startTime = crossingTime(t);
+        this.nextPoint = 1;
+        this.distance = 0;
+      }
+    }
+    if (!this.started) return;
+
+    const finishIndex = this.points.length - 1;
+    if (this.nextPoint < finishIndex) {
+      if (isInTurnpoint(this.points[this.nextPoint], to)) {
+        this.nextPoint++;
+      }
+    } else {
+      const t = getLineCrossing(this.task.finish, this.legDirections[finishIndex - 1], from, to);
+      if (t !== null) {
+        this.finished = true;
+        this.finishTime = crossingTime(t);
+        this.distance = this.task.distance;
+        return;
+      }
+    }
+
+    this.distance = Math.max(this.distance, this.getDistanceAlongCourse(to));
+  }
+
+  // Completed legs plus the progress made on the current one (m)
+  getDistanceAlongCourse(position) {
+    let completed = 0;
+    for (let i = 0; i < this.nextPoint - 1; i++) {
+      completed += this.task.legs[i];
+    }
+    const leg = this.task.legs[this.nextPoint - 1];
+    return completed + Math.max(0, leg - this.getDistanceToNext(position));
+  }
+
+  // To the edge of a cylinder, to the point itself otherwise (m)
+  getDistanceToNext(position) {
+    const point = this.points[this.nextPoint];
+    const range = Math.hypot(point.x - position.x, point.z - position.z);
+    return point.type === 'cylinder' ? Math.max(0, range - point.radius) : range;
+  }
+
+  /**
+   * Where to fly next
+   * @param {Glider} glider
+   * @returns {{name: string, bearing: number, relativeBearing: number, distance: number}|null} -
+   *   Bearings in radians clockwise (relative to the glider's heading), distance in
+   *   meters; null once the task is finished
+   */
+  getNavigation(glider) {
+    if (this.finished) return null;
+
+    const point = this.points[this.nextPoint];
+    const bearing = getBearing(glider.position, point);
+    let relativeBearing = bearing + glider.yaw;  // Heading is -yaw
+    while (relativeBearing > Math.PI) relativeBearing -= 2 * Math.PI;
+    while (relativeBearing < -Math.PI) relativeBearing += 2 * Math.PI;
+
+    return {
+      name: point.name,
+      bearing,
+      relativeBearing,
+      distance: this.getDistanceToNext(glider.position)
+    };
+  }
+
+  /**
+   * Time on task so far (s)
+   * @param {Glider} glider
+   * @returns {number}
+   */
+  getElapsedTime(glider) {
+    if (!this.started) return 0;
+    return (this.finished ? this.finishTime : glider.flightTime) - this.startTime;
+  }
+
+  /**
+   * The task flown so far, for scoring
+   * @returns {{task: string, scoring: string, started: boolean, completed: boolean,
+   *   time: number|null, distance: number, taskDistance: number, speed: number|null}} -
+   *   time (s) and average speed (m/s) only for a completed task
+   */
+  getResult() {
+    const time = this.finished ? this.finishTime - this.startTime : null;
+    return {
+      task: this.task.name,
+      scoring: this.task.scoring,
+      started: this.started,
+      completed: this.finished,
+      time,
+      distance: this.distance,
+      taskDistance: this.task.distance,
+      speed: time ? this.task.distance / time : null
+    };
+  }
+}
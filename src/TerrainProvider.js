@@ -1,7 +1,8 @@
 /**
  * Base class for terrain providers.
  * Defines the interface that all terrain implementations must follow.
- * This allows swapping LocalTerrainProvider for MapboxTerrainProvider later.
+ * Implemented by LocalTerrainProvider (one heightmap), ChunkedTerrainProvider
+ * (streamed LOD tiles) and MapboxTerrainProvider (XYZ map tiles).
  */
 export class TerrainProvider {
   constructor() {
@@ -31,6 +32,64 @@ export class TerrainProvider {
     throw new Error('getHeightAt() must be implemented by subclass');
   }
 
+  /**
+   * Get the surface normal at a given world coordinate, from the slope of
+   * getHeightAt() around it
+   * @param {number} x - World X coordinate
+   * @param {number} z - World Z coordinate
+   * @param {THREE.Vector3} target - Receives the unit normal
+   * @returns {THREE.Vector3} - target
+   */
+  getSurfaceNormal(x, z, target) {
+    const step = 1; // meters
+    const dhdx = (this.getHeightAt(x + step, z) - this.getHeightAt(x - step, z)) / (2 * step);
+    const dhdz = (this.getHeightAt(x, z + step) - this.getHeightAt(x, z - step)) / (2 * step);
+    return target.set(-dhdx, 1, -dhdz).normalize();
+  }
+
+  /**
+   * March along a line segment and find where it first dips below the
+   * ground, e.g. to check a line of sight
+   * @param {{x: number, y: number, z: number}} from
+   * @param {{x: number, y: number, z: number}} to
+   * @param {number} [step] - Sample spacing along the segment (m)
+   * @returns {number|null} - Fraction of the way from `from` to `to` where the
+   *   segment enters the terrain, or null if it stays clear
+   */
+  intersectSegment(from, to, step = 5) {
+    const length = Math.hypot(to.x - from.x, to.y - from.y, to.z - from.z);
+    const depthAt = (t) => this.getHeightAt(
+      from.x + (to.x - from.x) * t,
+      from.z + (to.z - from.z) * t
+    ) - (from.y + (to.y - from.y) * t);
+
+    const samples = Math.max(1, Math.ceil(length / step));
+    let previous = 0;
+    for (let i = 1; i <= samples; i++) {
+      const t = i / samples;
+      if (depthAt(t) > 0) {
+        // Narrow down the crossing between the last clear sample and this one
+        let clear = previous;
+        let buried = t;
+        for (let j = 0; j < 8; j++) {
+          const mid = (clear + buried) / 2;
+          if (depthAt(mid) > 0) buried = mid;
+          else clear = mid;
+        }
+        return buried;
+      }
+      previous = t;
+    }
+    return null;
+  }
+
+  /**
+   * Let the terrain react to the viewer moving (streaming, level of detail).
+   * Called every frame; static terrain does nothing.
+   * @param {THREE.Vector3} viewerPosition - Camera position in world coordinates
+   */
+  update(viewerPosition) {}
+
   /**
    * Get the Three.js mesh for this terrain
    * @returns {THREE.Mesh}
@@ -0,0 +1,101 @@
+const DB_VERSION = 1;
+const STORE_NAME = 'tiles';
+
+/**
+ * Persistent cache for downloaded map tiles, keyed by URL.
+ * Uses IndexedDB where available (browsers) and falls back to memory
+ * (Node, private browsing).
+ */
+export class TileCache {
+  constructor(options = {}) {
+    this.dbName = options.dbName || 'flying_game.tiles';
+    this.maxAge = options.maxAge ?? 30 * 24 * 3600 * 1000; // 30 days, in ms
+
+    this.memory = new Map();
+    this.dbPromise = null;
+  }
+
+  /**
+   * @param {string} url
+   * @returns {Promise<ArrayBuffer|null>} - Cached tile, or null if missing or expired
+   */
+  async get(url) {
+    const entry = await this.read(url);
+    if (!entry) return null;
+    if (Date.now() - entry.storedAt > this.maxAge) {
+      return null;
+    }
+    return entry.data;
+  }
+
+  /**
+   * @param {string} url
+   * @param {ArrayBuffer} data
+   */
+  async set(url, data) {
+    const entry = { data, storedAt: Date.now() };
+    const db = await this.open();
+    if (!db) {
+      this.memory.set(url, entry);
+      return;
+    }
+
+    try {
+      await request(db.transaction(STORE_NAME, 'readwrite').objectStore(STORE_NAME).put(entry, url));
+    } catch (e) {
+      // Quota exceeded and the like: a cache miss later is fine
+      console.warn('Could not cache tile:', url, e);
+    }
+  }
+
+  async clear() {
+    this.memory.clear();
+    const db = await this.open();
+    if (db) {
+      await request(db.transaction(STORE_NAME, 'readwrite').objectStore(STORE_NAME).clear());
+    }
+  }
+
+  async read(url) {
+    const db = await this.open();
+    if (!db) {
+      return this.memory.get(url) || null;
+    }
+
+    try {
+      return (await request(db.transaction(STORE_NAME).objectStore(STORE_NAME).get(url))) || null;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  // Resolves to null when IndexedDB isn't available
+  open() {
+    if (!this.dbPromise) {
+      this.dbPromise = new Promise((resolve) => {
+        if (typeof indexedDB === 'undefined') {
+          resolve(null);
+          return;
+        }
+
+        const openRequest = indexedDB.open(this.dbName, DB_VERSION);
+        openRequest.onupgradeneeded = () => {
+          openRequest.result.createObjectStore(STORE_NAME);
+        };
+        openRequest.onsuccess = () => resolve(openRequest.result);
+        openRequest.onerror = () => {
+          console.warn('IndexedDB unavailable, caching tiles in memory');
+          resolve(null);
+        };
+      });
+    }
+    return this.dbPromise;
+  }
+}
+
+function request(idbRequest) {
+  return new Promise((resolve, reject) => {
+    idbRequest.onsuccess = () => resolve(idbRequest.result);
+    idbRequest.onerror = () => reject(idbRequest.error);
+  });
+}
@@ -0,0 +1,114 @@
+import { getRingCenter, getRingCrossing, MISSED_RING_PENALTY } from './RingCourse.js';
+
+/**
+ * Times a flight through a ring course: the clock starts at the first ring
+ * and stops at the last. Every ring in between gets a split time, or is
+ * missed (and penalized) when the glider passes beside it or flies through
+ * a later ring first.
+ */
+export class TimeTrial {
+  /**
+   * @param {Object} course - Normalized course (see RingCourse.js), at least two rings
+   * @param {TerrainProvider} [terrainProvider] - Ground heights under the rings
+   */
+  constructor(course, terrainProvider = null) {
+    this.course = course;
+    this.centers = course.rings.map(ring => getRingCenter(ring, terrainProvider));
+    this.reset();
+  }
+
+  reset() {
+    this.started = false;
+    this.finished = false;
+    this.nextRing = 0;
+    this.startTime = null;  // Flight time at the first ring (s)
+    this.finishTime = null;
+    this.splits = [];       // Seconds since the start at each ring, null where missed
+    this.missed = 0;
+  }
+
+  /**
+   * Check the last tick's move against the rings
+   * @param {Glider} glider
+   * @param {number} deltaTime - The tick's length, to time ring passes within it
+   */
+  update(glider, deltaTime) {
+    if (this.finished || glider.crashed) return;
+
+    const from = glider.previousPosition;
+    const to = glider.position;
+    const rings = this.course.rings;
+    const last = rings.length - 1;
+
+    // Only the first ring starts the clock
+    const end = this.started ? last : 0;
+    for (let i = this.nextRing; i <= end; i++) {
+      const crossing = getRingCrossing(rings[i], this.centers[i], from, to);
+      if (!crossing) continue;
+
+      const time = glider.flightTime - deltaTime * (1 - crossing.t);
+      if (crossing.through) {
+        this.passRing(i, time);
+        return;
+      }
+      if (crossing.near && i === this.nextRing && this.started && i < last) {
+        this.splits.push(null);
+        this.missed++;
+        this.nextRing++;
+        return;
+      }
+    }
+  }
+
+  passRing(index, time) {
+    if (index === 0) {
+      this.started = true;
+      this.startTime = time;
+    }
+
+    // Rings skipped on the way count as missed
+    for (let i = this.nextRing; i < index; i++) {
+      this.splits.push(null);
+      this.missed++;
+    }
+    this.splits.push(time - this.startTime);
+    this.nextRing = index + 1;
+
+    if (index === this.course.rings.length - 1) {
+      this.finished = true;
+      this.finishTime = time;
+    }
+  }
+
+  /**
+   * Time since the first ring, without penalties (s)
+   * @param {Glider} glider
+   * @returns {number}
+   */
+  getElapsedTime(glider) {
+    if (!this.started) return 0;
+    return (this.finished ? this.finishTime : glider.flightTime) - this.startTime;
+  }
+
+  // Penalty seconds so far
+  getPenalty() {
+    return this.missed * MISSED_RING_PENALTY;
+  }
+
+  /**
+   * @returns {{finished: boolean, time: number|null, missed: number, penalty: number,
+   *   total: number|null, splits: Array<number|null>}} - time is the flown time and
+   *   total adds the penalties, both null until the last ring
+   */
+  getResult() {
+    const time = this.finished ? this.finishTime - this.startTime : null;
+    return {
+      finished: this.finished,
+      time,
+      missed: this.missed,
+      penalty: this.getPenalty(),
+      total: this.finished ? time + this.getPenalty() : null,
+      splits: [...this.splits]
+    };
+  }
+}
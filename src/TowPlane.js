@@ -0,0 +1,148 @@
+import * as THREE from 'three';
+
+/**
+ * Tow plane AI for aerotow launches: takes off along the launch heading,
+ * climbs out straight, then circles while climbing, keeping clear of the
+ * terrain ahead and turning back before the map edge. After the glider
+ * releases it peels off the other way and descends.
+ * Headless like Glider; the rope lives in Aerotow.
+ */
+export class TowPlane {
+  /**
+   * @param {TerrainProvider} [terrainProvider]
+   * @param {Object} start - {x, z, heading}: where the takeoff roll begins
+   *   (heading in radians clockwise from north, -Z)
+   * @param {Object} [options]
+   */
+  constructor(terrainProvider, start, options = {}) {
+    this.terrainProvider = terrainProvider;
+
+    this.acceleration = options.acceleration ?? 2.5;        // m/s^2 on the takeoff roll
+    this.liftoffSpeed = options.liftoffSpeed ?? 27;         // m/s
+    this.climbSpeed = options.climbSpeed ?? 32;             // m/s
+    this.climbRate = options.climbRate ?? 3;                // m/s
+    this.maxClimbRate = options.maxClimbRate ?? 5;          // m/s, when the terrain ahead demands it
+    this.descentRate = options.descentRate ?? 5;            // m/s after the glider releases
+    this.turnRate = options.turnRate ?? 0.06;               // rad/s in the climbing circle
+    this.straightTime = options.straightTime ?? 30;         // s of straight climb-out before circling
+    this.terrainClearance = options.terrainClearance ?? 150; // m above the terrain ahead
+    this.lookAhead = options.lookAhead ?? 600;              // m
+    this.edgeMargin = options.edgeMargin ?? 500;            // m from the map edge to turn back at
+
+    this.position = new THREE.Vector3(start.x, this.getGroundHeight(start.x, start.z), start.z);
+    this.velocity = new THREE.Vector3();
+    this.heading = start.heading;
+    this.roll = 0;
+    this.speed = 0;
+    this.onGround = true;
+    this.airborneTime = 0;
+    this.released = false;
+    this.turnDirection = -1;  // Left; heading runs clockwise
+  }
+
+  update(deltaTime) {
+    if (this.onGround) {
+      this.updateTakeoffRoll(deltaTime);
+    } else {
+      this.updateFlight(deltaTime);
+    }
+    this.position.addScaledVector(this.velocity, deltaTime);
+  }
+
+  updateTakeoffRoll(deltaTime) {
+    this.speed = Math.min(this.speed + this.acceleration * deltaTime, this.climbSpeed);
+    this.setVelocity(0);
+
+    // Follow the ground until flying speed
+    this.position.y = this.getGroundHeight(this.position.x, this.position.z);
+    if (this.speed >= this.liftoffSpeed) {
+      this.onGround = false;
+    }
+  }
+
+  updateFlight(deltaTime) {
+    this.airborneTime += deltaTime;
+    this.speed = Math.min(this.speed + this.acceleration * deltaTime, this.climbSpeed);
+
+    let turnRate = this.airborneTime > this.straightTime || this.released ? this.turnRate : 0;
+    turnRate *= this.turnDirection;
+
+    // Head back toward the middle of the map near its edge
+    const edgeTurn = this.getEdgeTurn();
+    if (edgeTurn !== 0) {
+      turnRate = edgeTurn * this.turnRate * 1.5;
+    }
+    this.heading += turnRate * deltaTime;
+    this.roll = Math.atan(turnRate * this.speed / 9.81);
+
+    // Climb (or descend once free), never closer than the clearance to the terrain ahead
+    const ahead = this.getForward(new THREE.Vector3()).multiplyScalar(this.lookAhead).add(this.position);
+    const terrainAhead = Math.max(
+      this.getGroundHeight(ahead.x, ahead.z),
+      this.getGroundHeight(this.position.x, this.position.z)
+    );
+    const floor = terrainAhead + this.terrainClearance;
+
+    let verticalSpeed = this.released ? -this.descentRate : this.climbRate;
+    if (this.position.y < floor) {
+      verticalSpeed = this.maxClimbRate;
+    } else if (this.released && this.position.y < floor + 50) {
+      verticalSpeed = 0;
+    }
+    this.setVelocity(verticalSpeed);
+  }
+
+  // -1, 0 or 1: which way to turn to head for the center when near an edge
+  getEdgeTurn() {
+    if (!this.terrainProvider || !this.terrainProvider.getBounds) return 0;
+
+    const bounds = this.terrainProvider.getBounds();
+    const { x, z } = this.position;
+    const nearEdge = x < bounds.minX + this.edgeMargin || x > bounds.maxX - this.edgeMargin ||
+      z < bounds.minZ + this.edgeMargin || z > bounds.maxZ - this.edgeMargin;
+    if (!nearEdge) return 0;
+
+    const centerX = (bounds.minX + bounds.maxX) / 2;
+    const centerZ = (bounds.minZ + bounds.maxZ) / 2;
+    const toCenter = Math.atan2(centerX - x, -(centerZ - z));
+    let diff = toCenter - this.heading;
+    while (diff > Math.PI) diff -= 2 * Math.PI;
+    while (diff < -Math.PI) diff += 2 * Math.PI;
+
+    // Already pointing inward
+    if (Math.abs(diff) < Math.PI / 4) return 0;
+    return Math.sign(diff);
+  }
+
+  /**
+   * Glider has let go: turn away and descend
+   */
+  release() {
+    this.released = true;
+    this.turnDirection = 1;
+  }
+
+  setVelocity(verticalSpeed) {
+    const horizontal = Math.sqrt(Math.max(0, this.speed * this.speed - verticalSpeed * verticalSpeed));
+    this.getForward(this.velocity).multiplyScalar(horizontal);
+    this.velocity.y = verticalSpeed;
+  }
+
+  getForward(target) {
+    return target.set(Math.sin(this.heading), 0, -Math.cos(this.heading));
+  }
+
+  getGroundHeight(x, z) {
+    return this.terrainProvider ? this.terrainProvider.getHeightAt(x, z) : 0;
+  }
+
+  /**
+   * Orientation for drawing
+   * @param {THREE.Quaternion} target
+   * @returns {THREE.Quaternion}
+   */
+  getRotation(target) {
+    const pitch = Math.atan2(this.velocity.y, Math.hypot(this.velocity.x, this.velocity.z));
+    return target.setFromEuler(new THREE.Euler(pitch, -this.heading, -this.roll, 'YXZ'));
+  }
+}
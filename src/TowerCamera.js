@@ -0,0 +1,95 @@
+import * as THREE from 'three';
+
+const TOWER_HEIGHT = 10;   // Camera height above the ground (m)
+const TOWER_RANGE = 2500;  // Beyond this the glider gets a new tower (m)
+const FRAME_SIZE = 30;     // Zoom so this much is in view around the glider (m)
+
+// A roaming tower goes up this far ahead of the glider and off to the side (m)
+const ROAMING_AHEAD = 800;
+const ROAMING_SIDE = 150;
+
+/**
+ * Vertical field of view that keeps a subject of a size filling the frame
+ * @param {number} distance - To the subject (m)
+ * @param {number} size - Of the subject (m)
+ * @param {number} maxFov - Degrees, the widest it zooms out to
+ * @returns {number} - Degrees
+ */
+export function getFramingFov(distance, size, maxFov) {
+  const fov = THREE.MathUtils.radToDeg(2 * Math.atan(size / 2 / Math.max(distance, 1)));
+  return THREE.MathUtils.clamp(fov, 2, maxFov);
+}
+
+/**
+ * Watches from fixed cameras on the ground, zooming to keep the glider in
+ * frame. Towers stand at the map's sites (launch, turnpoints); away from
+ * them a roaming tower goes up ahead of the glider to watch it fly past.
+ * One of the CameraManager's modes.
+ */
+export class TowerCamera {
+  /**
+   * @param {THREE.PerspectiveCamera} camera
+   * @param {function(number, number): number} getGroundHeight - Terrain height at (x, z)
+   */
+  constructor(camera, getGroundHeight) {
+    this.camera = camera;
+    this.getGroundHeight = getGroundHeight;
+    this.sites = [];
+    this.tower = null;  // THREE.Vector3 of the camera in use
+  }
+
+  /**
+   * @param {Array<{x: number, z: number}>} sites - Where towers stand
+   */
+  setSites(sites) {
+    this.sites = sites;
+    this.tower = null;
+  }
+
+  reset(target) {
+    this.tower = null;
+    this.update(target);
+  }
+
+  update(target) {
+    const position = target.renderPosition;
+    if (!this.tower || horizontalDistance(this.tower, position) > TOWER_RANGE) {
+      this.tower = this.pickTower(target);
+    }
+
+    this.camera.position.copy(this.tower);
+    this.camera.lookAt(position);
+    this.camera.fov = getFramingFov(this.tower.distanceTo(position), FRAME_SIZE, this.camera.fov);
+  }
+
+  // The nearest site in range, or a new tower ahead of the glider
+  pickTower(target) {
+    const position = target.renderPosition;
+    let nearest = null;
+    for (const site of this.sites) {
+      const distance = horizontalDistance(site, position);
+      if (distance <= TOWER_RANGE && (!nearest || distance < nearest.distance)) {
+        nearest = { site, distance };
+      }
+    }
+    if (nearest) return this.onGround(nearest.site.x, nearest.site.z);
+
+    const direction = new THREE.Vector3(target.velocity.x, 0, target.velocity.z);
+    if (direction.lengthSq() < 1) {
+      direction.set(0, 0, -1).applyQuaternion(target.renderRotation).setY(0);
+    }
+    direction.normalize();
+    return this.onGround(
+      position.x + direction.x * ROAMING_AHEAD - direction.z * ROAMING_SIDE,
+      position.z + direction.z * ROAMING_AHEAD + direction.x * ROAMING_SIDE
+    );
+  }
+
+  onGround(x, z) {
+    return new THREE.Vector3(x, this.getGroundHeight(x, z) + TOWER_HEIGHT, z);
+  }
+}
+
+function horizontalDistance(a, b) {
+  return Math.hypot(a.x - b.x, a.z - b.z);
+}
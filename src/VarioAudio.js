@@ -0,0 +1,66 @@
+const CLIMB_THRESHOLD = 0.2;  // m/s; beeps from here up
+const SINK_THRESHOLD = -2;    // m/s; drone from here down
+const VOLUME = 0.15;
+
+/**
+ * The tone a variometer makes for a climb rate: quickening, rising beeps in
+ * lift, a low continuous drone in strong sink, silence in between
+ * @param {number} verticalSpeed - m/s
+ * @returns {{frequency: number, period: number}|null} - Hz, and seconds per
+ *   beep (0 for a continuous tone); null for silence
+ */
+export function getVarioTone(verticalSpeed) {
+  if (verticalSpeed >= CLIMB_THRESHOLD) {
+    return {
+      frequency: Math.min(600 + verticalSpeed * 120, 1500),
+      period: Math.max(0.6 - verticalSpeed * 0.08, 0.15)
+    };
+  }
+  if (verticalSpeed <= SINK_THRESHOLD) {
+    return { frequency: Math.max(300 + verticalSpeed * 20, 150), period: 0 };
+  }
+  return null;
+}
+
+/**
+ * Plays the variometer's tones on the audio engine's vario channel
+ */
+export class VarioAudio {
+  /**
+   * @param {AudioEngine} audio
+   */
+  constructor(audio) {
+    this.context = null;
+    this.oscillator = null;
+    this.gain = null;
+    this.phase = 0;  // 0..1 through the current beep; the first half sounds
+
+    audio.connect('vario', (context, output) => {
+      this.context = context;
+      this.oscillator = context.createOscillator();
+      this.oscillator.type = 'sine';
+      this.gain = context.createGain();
+      this.gain.gain.value = 0;
+      this.oscillator.connect(this.gain).connect(output);
+      this.oscillator.start();
+    });
+  }
+
+  /**
+   * Sound the tone for this frame
+   * @param {number|null} verticalSpeed - m/s; null for silence (paused, on the ground)
+   * @param {number} deltaTime - Frame time (s)
+   */
+  update(verticalSpeed, deltaTime) {
+    if (!this.context) return;
+
+    const tone = verticalSpeed !== null ? getVarioTone(verticalSpeed) : null;
+    let volume = 0;
+    if (tone) {
+      this.phase = tone.period > 0 ? (this.phase + deltaTime / tone.period) % 1 : 0;
+      volume = tone.period === 0 || this.phase < 0.5 ? VOLUME : 0;
+      this.oscillator.frequency.setTargetAtTime(tone.frequency, this.context.currentTime, 0.02);
+    }
+    this.gain.gain.setTargetAtTime(volume, this.context.currentTime, 0.005);
+  }
+}
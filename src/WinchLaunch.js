@@ -0,0 +1,92 @@
+import * as THREE from 'three';
+
+/**
+ * Winch launch: a ground winch at the far end of the cable reels the glider
+ * in. The winch driver keeps the cable tension near the glider's weight,
+ * easing off as it passes the target speed. The cable releases by itself at
+ * the release altitude or when the glider gets nearly over the winch.
+ * Same interface as Aerotow.
+ */
+export class WinchLaunch {
+  /**
+   * @param {TerrainProvider} [terrainProvider]
+   * @param {Object} site - {x, z, heading}: where the glider waits on the ground
+   * @param {Object} [options]
+   */
+  constructor(terrainProvider, site, options = {}) {
+    this.type = 'winch';
+    this.cableLength = options.cableLength ?? 1000;         // m
+    this.maxTension = options.maxTension ?? 1.2;            // Times the glider's weight
+    this.rampTime = options.rampTime ?? 2;                  // s to take up full tension
+    this.speedMargin = options.speedMargin ?? 1.6;          // Target speed as a multiple of the stall speed
+    this.easeOff = options.easeOff ?? 8;                    // m/s above target speed at which tension reaches zero
+    this.maxCableAngle = options.maxCableAngle ?? 1.22;     // ~70° above the horizon: back-release
+
+    const groundHeight = (x, z) => terrainProvider ? terrainProvider.getHeightAt(x, z) : 0;
+    const winchX = site.x + Math.sin(site.heading) * this.cableLength;
+    const winchZ = site.z - Math.cos(site.heading) * this.cableLength;
+    this.position = new THREE.Vector3(winchX, groundHeight(winchX, winchZ) + 1, winchZ);
+
+    this.launchHeight = groundHeight(site.x, site.z);
+    this.releaseAltitude = options.releaseAltitude ?? this.cableLength * 0.4;  // m above the launch point
+
+    this.attached = true;
+    this.time = 0;
+    this.tension = 0;  // N
+  }
+
+  /**
+   * Reel in for one tick
+   * @param {Glider} glider
+   * @param {number} deltaTime
+   */
+  update(glider, deltaTime) {
+    if (!this.attached) return;
+    this.time += deltaTime;
+
+    const cable = this.position.clone().sub(glider.position);
+    const horizontal = Math.hypot(cable.x, cable.z);
+    const cableAngle = Math.atan2(-cable.y, horizontal);
+    if (glider.position.y - this.launchHeight >= this.releaseAltitude ||
+        cableAngle > this.maxCableAngle || horizontal < 20) {
+      this.release(glider);
+      return;
+    }
+
+    // The winch driver: full pull until the target speed, easing off above it
+    const targetSpeed = glider.getStallSpeed() * this.speedMargin;
+    const throttle = Math.max(0, Math.min(1, 1 - (glider.getSpeed() - targetSpeed) / this.easeOff)) *
+      Math.min(1, this.time / this.rampTime);
+    const pull = this.maxTension * glider.gravity * throttle;
+    this.tension = pull * glider.mass;
+
+    glider.velocity.addScaledVector(cable.normalize(), pull * deltaTime);
+    glider.towed = true;
+  }
+
+  /**
+   * Let go of the cable
+   * @param {Glider} [glider]
+   */
+  release(glider) {
+    if (!this.attached) return;
+    this.attached = false;
+    this.tension = 0;
+    if (glider) glider.towed = false;
+  }
+
+  isAttached() {
+    return this.attached;
+  }
+
+  // Far end of the cable for drawing (the near end is the glider), or null once released
+  getCable() {
+    return this.attached ? { from: this.position } : null;
+  }
+
+  getStatus(glider) {
+    if (!this.attached) return null;
+    const height = Math.round(glider.position.y - this.launchHeight);
+    return `Winch: ${height} m, ${(this.tension / 1000).toFixed(1)} kN`;
+  }
+}
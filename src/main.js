@@ -1,10 +1,47 @@
 import * as THREE from 'three';
 import { Glider } from './Glider.js';
+import { GliderMesh } from './GliderMesh.js';
 import { InputManager } from './InputManager.js';
-import { ChaseCamera } from './ChaseCamera.js';
+import { CameraManager } from './CameraManager.js';
+import { GlideComputer } from './GlideComputer.js';
+import { getFlightReadings } from './InstrumentPanel.js';
+import { AudioEngine } from './AudioEngine.js';
+import { AudioSettingsPanel } from './AudioSettingsPanel.js';
+import { VarioAudio } from './VarioAudio.js';
+import { Sky, formatTimeOfDay } from './Sky.js';
+import { GroundProximityWarning } from './GroundProximity.js';
+import { analyzeCrash, CrashReportPanel } from './CrashReport.js';
+import { NavigationMap } from './NavigationMap.js';
 import { HUD } from './HUD.js';
 import { DebugMode } from './DebugMode.js';
 import { LocalTerrainProvider } from './LocalTerrainProvider.js';
+import { ChunkedTerrainProvider } from './ChunkedTerrainProvider.js';
+import { MapboxTerrainProvider } from './MapboxTerrainProvider.js';
+import { Atmosphere } from './Atmosphere.js';
+import { Aerotow } from './Aerotow.js';
+import { WinchLaunch } from './WinchLaunch.js';
+import { LaunchMesh } from './LaunchMesh.js';
+import { TaskTracker } from './TaskTracker.js';
+import { TaskMesh } from './TaskMesh.js';
+import { getTaskPoints, isBetterResult, loadTaskResult, saveTaskResult } from './Task.js';
+import { loadCourse, saveCourse, loadLeaderboard, addToLeaderboard } from './RingCourse.js';
+import { TimeTrial } from './TimeTrial.js';
+import { RingCourseMesh } from './RingCourseMesh.js';
+import { createDefaultBoundary } from './Boundary.js';
+import { BoundaryEnforcer } from './BoundaryEnforcer.js';
+import { BoundaryMesh } from './BoundaryMesh.js';
+import { CourseEditor } from './CourseEditor.js';
+import { FixedTimestep } from './FixedTimestep.js';
+import { FlightRecorder, saveFlight, loadFlight } from './FlightRecorder.js';
+import { FlightPlayback } from './FlightPlayback.js';
+import { ReplayControls } from './ReplayControls.js';
+import { GeoReference } from './GeoReference.js';
+import { exportIGC, parseIGC, fixesToLocal } from './IGC.js';
+import { FlightTrack } from './FlightTrack.js';
+import { loadMapIndex } from './MapManifest.js';
+import { loadAircraftIndex, normalizeAircraftProfile } from './AircraftProfile.js';
+import { StageSelect } from './StageSelect.js';
+import { SettingsPanel } from './SettingsPanel.js';
 
 class Game {
   constructor() {
@@ -12,17 +49,70 @@ class Game {
     this.camera = null;
     this.renderer = null;
     this.clock = null;
+    this.simulation = null;
 
     this.glider = null;
+    this.gliderMesh = null;
     this.inputManager = null;
-    this.chaseCamera = null;
+    this.cameraManager = null;  // Chase, cockpit, orbit, free, tower and cinematic views
     this.hud = null;
+    this.glideComputer = null;   // Can the glider make it home (or to a turnpoint)?
+    this.audio = null;           // Wind, airframe and crash sounds; the mixer for the rest
+    this.audioPanel = null;
+    this.varioAudio = null;
+    this.groundProximity = null; // TERRAIN and PULL UP warnings
+    this.crashReport = null;
+    this.navigationMap = null;   // Minimap and full-screen map
     this.debugMode = null;
     this.terrainProvider = null;
-
-    // Map boundaries (3km x 3km)
-    this.mapSize = 3000; // meters
-    this.mapBoundary = this.mapSize / 2;
+    this.atmosphere = null;
+
+    // Launch: Aerotow or WinchLaunch until the glider is off the rope
+    this.launch = null;
+    this.launchMesh = null;
+
+    // Competition task, on maps that define one
+    this.taskTracker = null;
+    this.taskMesh = null;
+    this.bestTaskResult = null;
+
+    // Ring course and its time trial (needs two rings), per map
+    this.course = null;
+    this.courseMesh = null;
+    this.timeTrial = null;
+    this.leaderboard = [];
+    this.courseEditor = null;
+
+    // Stages
+    this.maps = [];              // Normalized manifests from /maps/index.json
+    this.map = null;             // Currently loaded manifest
+    this.stageSelect = null;
+
+    this.settingsPanel = null;   // Control bindings
+    this.paused = false;
+
+    // Sky dome, sun and lights (configured per map, moved by the time of day)
+    this.sky = null;
+
+    // Flight recording and replay
+    this.recorder = null;
+    this.lastFlight = null;
+    this.bestFlight = null;      // Longest flight so far, raced as a ghost
+    this.replay = null;          // FlightPlayback while watching a replay
+    this.replayControls = null;
+    this.ghost = null;           // FlightPlayback of the best flight
+    this.ghostMesh = null;
+    this.ghostEnabled = true;
+    this.flightEndHandled = false;
+
+    // Real-world placement of the map, for IGC logs
+    this.geoReference = null;
+    this.importedTrack = null;   // FlightTrack of an imported IGC log
+
+    // Flying area: what happens at its edge, and the curtain showing it
+    this.boundary = null;
+    this.boundaryMesh = null;
+    this.wrapped = false;        // A wrap-around boundary moved the glider across the map
 
     // Loading state
     this.loading = true;
@@ -31,7 +121,7 @@ class Game {
   }
 
   async init() {
-    // Create scene
+    // Create scene (sky and fog colors come from the map's lighting and the time of day)
     this.scene = new THREE.Scene();
     this.scene.background = new THREE.Color(0x87CEEB); // Sky blue
     this.scene.fog = new THREE.Fog(0x87CEEB, 500, 5000);
@@ -52,152 +142,646 @@ class Game {
     this.renderer.shadowMap.type = THREE.PCFSoftShadowMap;
     document.getElementById('game-container').appendChild(this.renderer.domElement);
 
-    // Clock for delta time
+    // Clock for frame delta time; physics runs on its own fixed timestep
     this.clock = new THREE.Clock();
+    this.simulation = new FixedTimestep({ timestep: 1 / 60 });
 
     // Setup lighting
     this.setupLighting();
 
-    // Load terrain
-    await this.loadTerrain();
-
-    // Create glider (pass terrain provider for collision)
-    this.glider = new Glider(this.scene, this.terrainProvider);
+    // Create glider mesh (the flight model is created per stage)
+    this.gliderMesh = new GliderMesh(this.scene);
 
     // Create input manager
     this.inputManager = new InputManager();
 
-    // Create chase camera
-    this.chaseCamera = new ChaseCamera(this.camera);
-    this.chaseCamera.reset(this.glider);
+    // Create camera modes
+    this.cameraManager = new CameraManager(this.camera, this.scene, this.renderer.domElement);
 
-    // Create HUD
+    // Create HUD, glide computer, variometer tones and terrain warnings
     this.hud = new HUD();
+    this.glideComputer = new GlideComputer();
+    this.audio = new AudioEngine();
+    this.varioAudio = new VarioAudio(this.audio);
+    this.groundProximity = new GroundProximityWarning(this.audio);
+    this.crashReport = new CrashReportPanel();
+
+    // Create the minimap and full-screen map; waypoints become glide targets
+    this.navigationMap = new NavigationMap(() => this.updateGlideTargets());
 
     // Create debug mode
     this.debugMode = new DebugMode(this.scene);
 
+    // Record every flight; race the best one as a ghost
+    this.recorder = new FlightRecorder({ timestep: this.simulation.timestep });
+    this.ghostMesh = new GliderMesh(this.scene, { ghost: true });
+    this.ghostMesh.setVisible(false);
+    this.replayControls = new ReplayControls(() => this.exitReplay());
+
     // Setup game over handling
     this.setupGameOver();
 
+    // Setup IGC export/import
+    this.setupFlightTools();
+
+    // Setup stage selection
+    this.stageSelect = new StageSelect((map) => this.loadStage(map));
+    const stagesBtn = document.getElementById('stages-btn');
+    if (stagesBtn) {
+      stagesBtn.addEventListener('click', () => this.showStageSelect());
+    }
+
+    // Setup control settings and the actions bound to keys/buttons
+    this.settingsPanel = new SettingsPanel(this.inputManager);
+    const settingsBtn = document.getElementById('settings-btn');
+    if (settingsBtn) {
+      settingsBtn.addEventListener('click', () => this.settingsPanel.show());
+    }
+    this.audioPanel = new AudioSettingsPanel(this.audio, this.inputManager);
+    this.setupActions();
+
+    // Setup the ring course editor
+    this.courseEditor = new CourseEditor(this.camera, this.renderer.domElement,
+      (course) => this.closeCourseEditor(course));
+    const courseEditorBtn = document.getElementById('course-editor-btn');
+    if (courseEditorBtn) {
+      courseEditorBtn.addEventListener('click', () => this.openCourseEditor());
+    }
+
     // Handle window resize
     window.addEventListener('resize', () => this.onResize());
 
+    // Start game loop (idle until a stage is loaded)
+    this.animate();
+
+    // Pick a stage
+    try {
+      this.maps = await loadMapIndex();
+    } catch (e) {
+      console.error(e);
+      this.setLoadingMessage('Failed to load the map list');
+      return;
+    }
+
+    // Without the aircraft files there is still the built-in trainer
+    try {
+      this.stageSelect.setAircraft(await loadAircraftIndex());
+    } catch (e) {
+      console.error(e);
+      this.stageSelect.setAircraft([normalizeAircraftProfile()]);
+    }
+
+    this.setLoadingMessage(null);
+    this.showStageSelect();
+  }
+
+  showStageSelect() {
+    this.stageSelect.show(this.maps, this.map ? this.map.id : null);
+  }
+
+  setLoadingMessage(message) {
+    const loading = document.getElementById('loading');
+    if (!loading) return;
+    loading.textContent = message || '';
+    loading.classList.toggle('visible', message !== null);
+  }
+
+  /**
+   * Tear down the current stage (if any) and load a new one
+   * @param {Object} map - Normalized map manifest
+   */
+  async loadStage(map) {
+    this.loading = true;
+    this.setLoadingMessage(`Loading ${map.name}...`);
+
+    if (this.replay) this.exitReplay();
+    this.courseEditor.hide(false);
+    document.getElementById('game-over').classList.remove('visible');
+    this.unloadStage();
+
+    this.map = map;
+    this.applyLighting(map);
+
+    try {
+      await this.loadTerrain(map);
+    } catch (e) {
+      console.error(e);
+      this.unloadStage();
+      this.map = null;
+      this.setLoadingMessage(null);
+      this.showStageSelect();
+      return;
+    }
+
+    // Create atmosphere (wind, thermals, ridge lift over the terrain)
+    this.atmosphere = new Atmosphere(this.terrainProvider);
+
+    // Create glider (pass terrain provider for collision, atmosphere for lift)
+    this.glider = new Glider(this.terrainProvider, this.atmosphere, {
+      spawn: map.spawn,
+      aircraft: this.stageSelect.getSelectedAircraft()
+    });
+
+    // Flights and ghosts are kept per map
+    this.lastFlight = null;
+    this.bestFlight = loadFlight(`${map.id}.best`);
+
+    if (map.task) {
+      this.taskTracker = new TaskTracker(map.task);
+      this.taskMesh = new TaskMesh(this.scene, map.task, this.terrainProvider);
+      this.bestTaskResult = loadTaskResult(map.id);
+    }
+
+    this.courseMesh = new RingCourseMesh(this.scene, this.terrainProvider);
+    this.setCourse(loadCourse(map.id));
+
+    // The flying area: the map's own boundary, or the terrain's edge
+    const boundary = map.boundary || createDefaultBoundary(this.terrainProvider.getBounds());
+    this.boundary = new BoundaryEnforcer(boundary);
+    this.boundaryMesh = new BoundaryMesh(this.scene, boundary, this.terrainProvider);
+
+    // Tower cameras stand at the launch site and the task's turnpoints
+    const towerSites = [map.launch, ...(map.task ? getTaskPoints(map.task) : [])];
+    this.cameraManager.setStage(this.terrainProvider, towerSites);
+
+    this.setLoadingMessage(`Drawing the map of ${map.name}...`);
+    await this.navigationMap.setStage(map, this.terrainProvider, boundary);
+
+    this.restart();
+
     // Done loading
+    this.clock.getDelta();
     this.loading = false;
+    this.setLoadingMessage(null);
+  }
 
-    // Start game loop
-    this.animate();
+  // Final glide home, to any point of the task or to the player's waypoints
+  updateGlideTargets() {
+    if (!this.map) return;
+    this.glideComputer.setTargets([
+      { name: 'Home', x: this.map.launch.x, z: this.map.launch.z },
+      ...(this.map.task ? getTaskPoints(this.map.task) : []),
+      ...this.navigationMap.waypoints
+    ]);
+  }
+
+  unloadStage() {
+    if (this.terrainProvider) {
+      const terrainMesh = this.terrainProvider.getMesh();
+      if (terrainMesh) {
+        this.scene.remove(terrainMesh);
+      }
+      this.terrainProvider.dispose();
+      this.terrainProvider = null;
+    }
+
+    if (this.boundaryMesh) {
+      this.boundaryMesh.dispose();
+      this.boundaryMesh = null;
+    }
+    this.boundary = null;
+
+    if (this.importedTrack) {
+      this.importedTrack.dispose();
+      this.importedTrack = null;
+    }
+
+    if (this.launchMesh) {
+      this.launchMesh.dispose();
+      this.launchMesh = null;
+    }
+    this.launch = null;
+
+    if (this.taskMesh) {
+      this.taskMesh.dispose();
+      this.taskMesh = null;
+    }
+    this.taskTracker = null;
+    this.bestTaskResult = null;
+
+    if (this.courseMesh) {
+      this.courseMesh.dispose();
+      this.courseMesh = null;
+    }
+    this.course = null;
+    this.timeTrial = null;
+    this.leaderboard = [];
+    this.navigationMap.clear();
+
+    this.atmosphere = null;
+    this.glider = null;
+    this.geoReference = null;
+    this.ghost = null;
+    this.ghostMesh.setVisible(false);
   }
 
   setupLighting() {
-    // Ambient light
-    const ambient = new THREE.AmbientLight(0xffffff, 0.4);
-    this.scene.add(ambient);
-
-    // Directional light (sun)
-    const sun = new THREE.DirectionalLight(0xffffff, 1.0);
-    sun.position.set(500, 1000, 500);
-    sun.castShadow = true;
-    sun.shadow.mapSize.width = 2048;
-    sun.shadow.mapSize.height = 2048;
-    sun.shadow.camera.near = 100;
-    sun.shadow.camera.far = 3000;
-    sun.shadow.camera.left = -1500;
-    sun.shadow.camera.right = 1500;
-    sun.shadow.camera.top = 1500;
-    sun.shadow.camera.bottom = -1500;
-    this.scene.add(sun);
-
-    // Hemisphere light for sky/ground color variation
-    const hemi = new THREE.HemisphereLight(0x87CEEB, 0x8B4513, 0.3);
-    this.scene.add(hemi);
-  }
-
-  async loadTerrain() {
-    console.log('Loading terrain...');
-
-    // Heightmap is 5752x3016 pixels (1.9:1 aspect ratio)
-    // Grand Canyon elevation range is ~1500m (river ~600m, rim ~2100m)
-    const terrainWidth = 5700;  // meters (match aspect ratio)
-    const terrainDepth = 3000;  // meters
-
-    this.terrainProvider = new LocalTerrainProvider({
-      heightmapPath: '/maps/grand_canyon/terrain_height.png',
-      colorMapPath: '/maps/grand_canyon/terrain_color.png',
-      width: terrainWidth,
-      depth: terrainDepth,
-      maxHeight: 2000,  // Appropriate for Grand Canyon
-      segments: 256
-    });
+    this.sky = new Sky(this.scene);
 
-    // Update map boundaries to match terrain
-    this.mapSize = Math.max(terrainWidth, terrainDepth);
-    this.mapBoundary = this.mapSize / 2;
+    // Dawn to dusk
+    const timeSlider = document.getElementById('time-of-day');
+    if (timeSlider) {
+      timeSlider.addEventListener('input', () => this.setTimeOfDay(Number(timeSlider.value)));
+    }
+  }
+
+  // Apply a map's sky, fog and light settings; the sun follows its latitude where it has one
+  applyLighting(map) {
+    this.sky.setLighting(map.lighting, map.geoReference ? map.geoReference.latitude : null);
+    this.setTimeOfDay(map.lighting.timeOfDay);
+  }
+
+  setTimeOfDay(hours) {
+    this.sky.setTimeOfDay(hours);
+    const timeSlider = document.getElementById('time-of-day');
+    if (timeSlider) timeSlider.value = String(hours);
+    const timeLabel = document.getElementById('time-of-day-label');
+    if (timeLabel) timeLabel.textContent = formatTimeOfDay(hours);
+  }
+
+  async loadTerrain(map) {
+    console.log(`Loading terrain for ${map.name}...`);
+
+    const terrainOptions = {
+      heightmapPath: map.heightmapPath,
+      heightmapEncoding: map.heightmapEncoding,
+      terrainRGBBase: map.terrainRGBBase,
+      terrainRGBInterval: map.terrainRGBInterval,
+      colorMapPath: map.colorMapPath,
+      width: map.width,
+      depth: map.depth,
+      minHeight: map.minHeight,
+      maxHeight: map.maxHeight,
+      segments: map.segments
+    };
+
+    // Tile maps come from an XYZ server; large heightmaps stream in chunks;
+    // small ones are a single mesh
+    if (map.provider === 'xyz') {
+      this.terrainProvider = new MapboxTerrainProvider({
+        ...terrainOptions,
+        accessToken: import.meta.env.VITE_MAPBOX_TOKEN,
+        ...map.tiles
+      });
+    } else if (map.provider === 'chunked') {
+      this.terrainProvider = new ChunkedTerrainProvider({ ...terrainOptions, ...map.chunks });
+    } else {
+      this.terrainProvider = new LocalTerrainProvider(terrainOptions);
+    }
+
+    // Real-world placement, if the map declares one
+    this.geoReference = new GeoReference(map.geoReference || {});
 
     await this.terrainProvider.init();
 
-    // Add terrain mesh to scene
+    // Add terrain mesh to scene, with everything around the launch site built up front
     const terrainMesh = this.terrainProvider.getMesh();
     this.scene.add(terrainMesh);
-
-    // Add boundary markers at corners
-    this.createBoundaryMarkers();
+    this.terrainProvider.update(new THREE.Vector3(map.launch.x, 0, map.launch.z), Infinity);
 
     console.log('Terrain loaded!');
   }
 
-  createBoundaryMarkers() {
-    const markerMaterial = new THREE.MeshStandardMaterial({ color: 0xff0000 });
-    const markerGeometry = new THREE.CylinderGeometry(10, 10, 500, 8);
-    const bounds = this.terrainProvider.getBounds();
+  setupGameOver() {
+    const restartBtn = document.getElementById('restart-btn');
+    if (restartBtn) {
+      restartBtn.addEventListener('click', () => this.restart());
+    }
+
+    const relaunchBtn = document.getElementById('relaunch-btn');
+    if (relaunchBtn) {
+      relaunchBtn.addEventListener('click', () => this.restart({ relaunch: true }));
+    }
+
+    const changeStageBtn = document.getElementById('change-stage-btn');
+    if (changeStageBtn) {
+      changeStageBtn.addEventListener('click', () => this.showStageSelect());
+    }
+
+    const replayBtn = document.getElementById('replay-btn');
+    if (replayBtn) {
+      replayBtn.addEventListener('click', () => this.startReplay());
+    }
 
-    const positions = [
-      { x: bounds.minX, z: bounds.minZ },
-      { x: bounds.maxX, z: bounds.minZ },
-      { x: bounds.minX, z: bounds.maxZ },
-      { x: bounds.maxX, z: bounds.maxZ }
-    ];
+    const ghostToggle = document.getElementById('ghost-toggle');
+    if (ghostToggle) {
+      ghostToggle.addEventListener('change', () => {
+        this.ghostEnabled = ghostToggle.checked;
+      });
+    }
+  }
 
-    positions.forEach(pos => {
-      const groundHeight = this.terrainProvider.getHeightAt(pos.x, pos.z);
-      const marker = new THREE.Mesh(markerGeometry, markerMaterial);
-      marker.position.set(pos.x, groundHeight + 250, pos.z);
-      this.scene.add(marker);
+  setupActions() {
+    this.inputManager.on('toggleDebug', () => this.debugMode.toggle());
+    this.inputManager.on('cycleCamera', () => this.cycleCamera());
+    this.inputManager.on('glideTarget', () => this.glideComputer.cycleTarget());
+    this.inputManager.on('toggleMap', () => {
+      if (!this.loading && !this.courseEditor.isVisible()) this.navigationMap.toggle();
+    });
+    this.inputManager.on('pause', () => this.togglePause());
+    this.inputManager.on('toggleMute', () => this.audioPanel.toggleMute());
+    this.inputManager.on('releaseTow', () => {
+      if (this.launch && !this.paused && !this.replay) {
+        this.launch.release(this.glider);
+      }
+    });
+    this.inputManager.on('restart', () => {
+      if (this.glider && !this.loading && !this.stageSelect.isVisible()) {
+        this.restart();
+      }
     });
   }
 
-  setupGameOver() {
-    const restartBtn = document.getElementById('restart-btn');
-    if (restartBtn) {
-      restartBtn.addEventListener('click', () => this.restart());
+  cycleCamera() {
+    if (this.loading || this.courseEditor.isVisible()) return;
+    this.cameraManager.cycle();
+    this.hud.showCameraMode(this.cameraManager.getLabel());
+  }
+
+  togglePause() {
+    if (this.replay) {
+      this.replay.togglePause();
+      return;
+    }
+    if (!this.glider || this.isFlightOver()) return;
+    this.setPaused(!this.paused);
+  }
+
+  setPaused(paused) {
+    this.paused = paused;
+    const overlay = document.getElementById('paused');
+    if (overlay) {
+      overlay.classList.toggle('visible', paused);
+    }
+  }
+
+  isFlightOver() {
+    return this.glider.crashed || this.glider.landed;
+  }
+
+  /**
+   * Start a new flight, on the ground waiting for a tow or the winch
+   * @param {Object} [options]
+   * @param {boolean} [options.relaunch] - From where the glider landed instead of the map's launch site
+   */
+  restart(options = {}) {
+    if (this.replay) this.exitReplay();
+    this.setPaused(false);
+
+    let site = this.map.launch;
+    if (options.relaunch && this.glider.landed) {
+      this.glider.relaunch();
+      site = { x: this.glider.position.x, z: this.glider.position.z, heading: -this.glider.yaw };
+    } else {
+      this.glider.reset({ ...site, onGround: true });
+    }
+    this.startLaunch(site);
+    if (this.taskTracker) this.taskTracker.reset();
+    if (this.timeTrial) this.timeTrial.reset();
+    this.boundary.reset();
+    this.glideComputer.reset();
+    this.groundProximity.reset();
+    this.audio.reset();
+    this.navigationMap.resetTrack();
+    this.simulation.reset();
+    this.recorder.start(this.glider);
+    this.resetGhost();
+    this.flightEndHandled = false;
+    this.cameraManager.reset(this.glider);
+    document.getElementById('game-over').classList.remove('visible');
+  }
+
+  // Hook the glider up to the chosen launch at a site
+  startLaunch(site) {
+    if (this.launchMesh) {
+      this.launchMesh.dispose();
     }
+
+    const Launch = this.stageSelect.getLaunchMode() === 'winch' ? WinchLaunch : Aerotow;
+    this.launch = new Launch(this.terrainProvider, site);
+    this.launchMesh = new LaunchMesh(this.scene, this.launch);
   }
 
-  restart() {
-    this.glider.reset();
-    this.chaseCamera.reset(this.glider);
+  // Use a ring course, as a time trial once it has a start and a finish ring
+  setCourse(course) {
+    this.course = course;
+    this.courseMesh.setCourse(course);
+    this.navigationMap.setCourse(course);
+    this.timeTrial = course.rings.length >= 2 ? new TimeTrial(course, this.terrainProvider) : null;
+    this.leaderboard = loadLeaderboard(this.map.id);
+  }
+
+  openCourseEditor() {
+    if (this.loading || !this.glider || this.replay || this.courseEditor.isVisible()) return;
+
+    this.setPaused(false);
+    this.inputManager.setSuspended(true);
     document.getElementById('game-over').classList.remove('visible');
+    this.hud.updateLaunch(null);
+    this.hud.updateTask(null);
+    this.hud.updateTimeTrial(null);
+    this.courseEditor.show(this.course, this.terrainProvider, this.courseMesh, this.glider.position);
   }
 
-  checkBoundaries() {
-    const pos = this.glider.position;
-    const buffer = 100; // Buffer zone before boundary
-    const bounds = this.terrainProvider.getBounds();
+  // Back from the editor: keep a saved course and fly it from a fresh launch
+  closeCourseEditor(course) {
+    this.inputManager.setSuspended(false);
+    if (course) {
+      saveCourse(this.map.id, course);
+      this.setCourse(course);
+    } else {
+      this.courseMesh.setCourse(this.course);
+    }
+    this.restart();
+  }
 
-    // Check if approaching boundaries (rectangular terrain)
-    const distToEdge = {
-      x: Math.max(pos.x - (bounds.maxX - buffer), (bounds.minX + buffer) - pos.x),
-      z: Math.max(pos.z - (bounds.maxZ - buffer), (bounds.minZ + buffer) - pos.z)
-    };
+  setupFlightTools() {
+    const exportBtn = document.getElementById('export-igc-btn');
+    if (exportBtn) {
+      exportBtn.addEventListener('click', () => this.exportFlightLog());
+    }
+
+    const importInput = document.getElementById('import-igc-input');
+    if (importInput) {
+      importInput.addEventListener('change', async () => {
+        const file = importInput.files[0];
+        if (file) {
+          this.importFlightLog(await file.text());
+        }
+        importInput.value = '';
+      });
+    }
+  }
+
+  // Export the flight being watched in replay, or else the current one
+  exportFlightLog() {
+    if (this.loading) return;
+    const flight = this.replay ? this.replay.flight : this.recorder.getFlight();
+    if (!flight) return;
+
+    const igc = exportIGC(flight, this.geoReference);
+    const blob = new Blob([igc], { type: 'text/plain' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = `${flight.startedAt.slice(0, 10)}-flying-game.igc`;
+    link.click();
+    URL.revokeObjectURL(link.href);
+  }
 
-    if (distToEdge.x > 0 || distToEdge.z > 0) {
-      // Calculate direction to center
-      const toCenter = new THREE.Vector3(-pos.x, 0, -pos.z).normalize();
+  // Draw an IGC track over the terrain, replacing any previous one
+  importFlightLog(text) {
+    if (this.loading) return;
+    const { fixes } = parseIGC(text);
+    if (fixes.length < 2) {
+      console.warn('IGC file has no usable fixes');
+      return;
+    }
 
-      // Apply turning force based on how far past boundary
-      const strength = Math.max(distToEdge.x, distToEdge.z) / buffer;
-      this.glider.applyBoundaryForce(toCenter, Math.min(strength, 1));
+    if (this.importedTrack) {
+      this.importedTrack.dispose();
+    }
+
+    const points = fixesToLocal(fixes, this.geoReference);
+    this.importedTrack = new FlightTrack(this.scene, points, {
+      terrainProvider: this.terrainProvider
+    });
+    console.log(`Imported IGC track with ${points.length} fixes`);
+  }
+
+  // The flight ended in a crash or a landing
+  handleFlightEnd() {
+    this.flightEndHandled = true;
+    const landedOut = this.boundary.landedOut;
+    const landed = this.glider.landed && !landedOut;
+
+    // Keep the flight for replay, and as the new ghost if it beat the best
+    const flight = this.recorder.stop(this.glider.landed ? 'landed' : 'crashed');
+    this.lastFlight = flight;
+    saveFlight(`${this.map.id}.last`, flight);
+    if (!this.bestFlight || flight.duration > this.bestFlight.duration) {
+      this.bestFlight = flight;
+      saveFlight(`${this.map.id}.best`, flight);
+    }
+
+    const touchdown = this.glider.touchdown;
+    let title = 'CRASHED!';
+    let result = touchdown ? touchdown.reason : '';
+    if (landedOut) {
+      title = 'LANDED OUT!';
+      result = 'Flew out of bounds';
+    } else if (landed) {
+      title = 'LANDED!';
+      result = `Landing score: ${touchdown.score} / 100 (${touchdown.verticalSpeed.toFixed(1)} m/s sink)`;
+    }
+    document.getElementById('game-over-title').textContent = title;
+    document.getElementById('touchdown-result').textContent = result;
+
+    // What went wrong, so the next approach goes better
+    const warning = this.groundProximity.getWarningBefore(this.glider.flightTime);
+    this.crashReport.show(this.glider.crashed
+      ? analyzeCrash(flight, this.glider, this.terrainProvider, warning)
+      : null);
+    document.getElementById('relaunch-btn').style.display = landed ? '' : 'none';
+
+    document.getElementById('task-result').textContent = this.taskTracker ? this.scoreTask() : '';
+    this.showTimeTrialResult();
+
+    const flightTime = document.getElementById('flight-time');
+    if (flightTime) {
+      flightTime.textContent = formatDuration(flight.duration);
+    }
+    const gameOver = document.getElementById('game-over');
+    gameOver.classList.toggle('landed', landed);
+    gameOver.classList.add('visible');
+  }
+
+  // Keep the task result if it is the map's best, and describe it
+  scoreTask() {
+    const result = this.taskTracker.getResult();
+    const best = this.bestTaskResult;
+    if (isBetterResult(result, best, result.scoring)) {
+      this.bestTaskResult = result;
+      saveTaskResult(this.map.id, result);
+      return `${describeTaskResult(result)} - new best!`;
+    }
+    return best ? `${describeTaskResult(result)} (best: ${describeTaskResult(best)})` : describeTaskResult(result);
+  }
+
+  // Enter a finished time trial on the leaderboard and show the board
+  showTimeTrialResult() {
+    const resultElement = document.getElementById('trial-result');
+    const leaderboardElement = document.getElementById('trial-leaderboard');
+    resultElement.textContent = '';
+    leaderboardElement.innerHTML = '';
+    if (!this.timeTrial || !this.timeTrial.started) return;
+
+    const result = this.timeTrial.getResult();
+    if (!result.finished) {
+      const count = this.course.rings.length;
+      resultElement.textContent = `Time trial: stopped at ring ${this.timeTrial.nextRing + 1} of ${count}`;
+      return;
+    }
+
+    const { leaderboard, rank } = addToLeaderboard(this.map.id, result);
+    this.leaderboard = leaderboard;
+    const penalty = result.penalty > 0 ? ` (${result.missed} missed, +${result.penalty} s)` : '';
+    resultElement.textContent = `Time trial: ${formatLapTime(result.total)}${penalty}` +
+      (rank ? ` - #${rank} on the leaderboard` : '');
+
+    leaderboard.slice(0, 5).forEach((entry, i) => {
+      const item = document.createElement('li');
+      item.textContent = `${formatLapTime(entry.total)} (${entry.date.slice(0, 10)})`;
+      if (i + 1 === rank) item.style.fontWeight = 'bold';
+      leaderboardElement.appendChild(item);
+    });
+  }
+
+  resetGhost() {
+    this.ghost = this.bestFlight ? new FlightPlayback(this.bestFlight) : null;
+    this.ghostMesh.setVisible(false);
+  }
+
+  updateGhost(alpha) {
+    if (!this.ghost || !this.ghostEnabled) {
+      this.ghostMesh.setVisible(false);
+      return;
+    }
+
+    // Keep the ghost in step with the live flight's clock
+    const time = this.glider.flightTime + alpha * this.simulation.timestep;
+    this.ghost.seek(time);
+    this.ghostMesh.update(this.ghost);
+    this.ghostMesh.setVisible(time <= this.ghost.getDuration());
+  }
+
+  startReplay() {
+    if (!this.lastFlight) return;
+
+    document.getElementById('game-over').classList.remove('visible');
+    this.ghostMesh.setVisible(false);
+
+    this.replay = new FlightPlayback(this.lastFlight);
+    this.replayControls.show(this.replay);
+    this.launchMesh.setVisible(false);
+    this.hud.updateLaunch(null);
+    this.hud.updateTask(null);
+    this.hud.updateTimeTrial(null);
+    this.hud.updateGlide(null);
+    this.hud.updateBoundary(null);
+    this.navigationMap.resetTrack();
+    this.cameraManager.setReplay(true);
+    this.cameraManager.reset(this.replay);
+  }
+
+  exitReplay() {
+    this.replay = null;
+    this.replayControls.hide();
+    this.launchMesh.setVisible(true);
+    this.cameraManager.setReplay(false);
+    this.cameraManager.reset(this.glider);
+
+    if (this.isFlightOver()) {
+      document.getElementById('game-over').classList.add('visible');
     }
   }
 
@@ -207,6 +791,43 @@ class Game {
     this.renderer.setSize(window.innerWidth, window.innerHeight);
   }
 
+  // One fixed simulation tick: input, physics and rules, nothing visual
+  fixedUpdate(timestep) {
+    // Update input (ramps are per tick, so they are frame-rate independent too)
+    this.inputManager.update();
+
+    // The tow rope or winch cable pulls before the glider moves
+    this.launch.update(this.glider, timestep);
+
+    // Advance glider physics (near a soft boundary it takes over the roll)
+    let input = {
+      pitch: this.inputManager.getPitch(),
+      roll: this.inputManager.getRoll(),
+      yaw: this.inputManager.getYaw(),
+      airbrake: this.inputManager.getAirbrake(),
+      flaps: this.inputManager.getFlaps()
+    };
+    input = this.boundary.steer(this.glider, input);
+    this.glider.tick(input, timestep);
+
+    // Hard, wrap-around and landout boundaries act on where the tick ended
+    if (this.boundary.enforce(this.glider) === 'wrapped') {
+      this.wrapped = true;
+    }
+
+    // Record the tick for replay
+    this.recorder.record(input, this.glider);
+
+    // Start, turnpoint and finish crossings
+    if (this.taskTracker) {
+      this.taskTracker.update(this.glider, timestep);
+    }
+    if (this.timeTrial) {
+      this.timeTrial.update(this.glider, timestep);
+    }
+    this.glideComputer.update(this.glider, timestep);
+  }
+
   animate() {
     requestAnimationFrame(() => this.animate());
 
@@ -214,31 +835,101 @@ class Game {
 
     const deltaTime = this.clock.getDelta();
 
-    // Update input
-    this.inputManager.update();
+    // Gamepad buttons for restart, pause etc. (keys arrive as events)
+    this.inputManager.pollTriggers();
 
-    // Pass input to glider
-    this.glider.setInput(
-      this.inputManager.getPitch(),
-      this.inputManager.getRoll()
-    );
+    if (this.replay) {
+      this.animateReplay(deltaTime);
+      return;
+    }
 
-    // Update glider physics
-    this.glider.update(deltaTime);
+    // The full-screen map covers the scene and holds the flight
+    if (this.navigationMap.isVisible()) {
+      this.audio.update(null, deltaTime);
+      this.varioAudio.update(null, deltaTime);
+      this.groundProximity.update(null);
+      this.navigationMap.update(this.glider);
+      return;
+    }
 
-    // Check boundaries
-    this.checkBoundaries();
+    // The editor flies its own camera over the held flight
+    if (this.courseEditor.isVisible()) {
+      this.audio.update(null, deltaTime);
+      this.varioAudio.update(null, deltaTime);
+      this.groundProximity.update(null);
+      this.courseEditor.update();
+      this.sky.update(this.glider.renderPosition, this.camera.position);
+      this.terrainProvider.update(this.camera.position);
+      this.renderer.render(this.scene, this.camera);
+      return;
+    }
 
-    // Check for crash
-    if (this.glider.crashed) {
-      document.getElementById('game-over').classList.add('visible');
+    // The free camera scouts the terrain while the flight holds
+    if (this.cameraManager.isDetached()) {
+      this.audio.update(null, deltaTime);
+      this.varioAudio.update(null, deltaTime);
+      this.groundProximity.update(null);
+      this.cameraManager.update(this.glider, deltaTime);
+      this.sky.update(this.glider.renderPosition, this.camera.position);
+      this.terrainProvider.update(this.camera.position);
+      this.renderer.render(this.scene, this.camera);
+      return;
+    }
+
+    // Hold the flight while paused, choosing a stage or changing settings
+    if (this.paused || this.stageSelect.isVisible() || this.settingsPanel.isVisible() ||
+        this.audioPanel.isVisible()) {
+      this.audio.update(null, deltaTime);
+      this.varioAudio.update(null, deltaTime);
+      this.groundProximity.update(null);
+      this.renderer.render(this.scene, this.camera);
+      return;
+    }
+
+    // Run fixed physics ticks for the elapsed time
+    const alpha = this.simulation.advance(deltaTime, (timestep) => this.fixedUpdate(timestep));
+
+    // Place the mesh between the last two ticks
+    this.gliderMesh.update(this.glider, alpha);
+    this.launchMesh.update(this.glider);
+    this.updateGhost(alpha);
+
+    // After a wrap-around the camera cuts rather than chasing across the map
+    if (this.wrapped) {
+      this.wrapped = false;
+      this.cameraManager.reset(this.glider);
+      this.navigationMap.breakTrack();
     }
 
-    // Update camera
-    this.chaseCamera.update(this.glider, deltaTime);
+    // Check for a crash or the end of the roll-out
+    if (this.isFlightOver() && !this.flightEndHandled) {
+      this.handleFlightEnd();
+    }
+
+    // Update camera, and the sky and shadows around it
+    this.cameraManager.update(this.glider, deltaTime);
+    this.gliderMesh.setVisible(this.cameraManager.isGliderVisible());
+    this.sky.update(this.glider.renderPosition, this.camera.position);
+
+    // Stream terrain around the camera
+    this.terrainProvider.update(this.camera.position);
 
-    // Update HUD
+    // Update HUD, instruments and sound; the vario sounds once off the ground
     this.hud.update(this.glider);
+    this.hud.updateInstruments(getFlightReadings(this.glider, this.terrainProvider));
+    this.hud.updateGlide(this.glideComputer.estimate(this.glider, this.terrainProvider));
+    const flying = !this.glider.onGround && !this.isFlightOver();
+    this.audio.update(this.glider, deltaTime);
+    this.varioAudio.update(flying ? this.glider.getVerticalSpeed() : null, deltaTime);
+    this.groundProximity.update(this.glider, this.terrainProvider, deltaTime);
+    this.hud.updateLaunch(this.launch, this.glider);
+    this.hud.updateTask(this.taskTracker, this.glider);
+    if (this.taskMesh) this.taskMesh.update(this.taskTracker);
+    this.hud.updateTimeTrial(this.timeTrial, this.glider, this.leaderboard[0]);
+    this.courseMesh.update(this.timeTrial);
+    this.boundaryMesh.update(this.glider);
+    this.hud.updateBoundary(this.boundary, this.glider);
+    this.navigationMap.update(this.glider);
 
     // Update debug
     this.debugMode.update(this.glider);
@@ -246,6 +937,46 @@ class Game {
     // Render
     this.renderer.render(this.scene, this.camera);
   }
+
+  // Replay frame: the recorded flight drives the mesh, camera and HUD
+  animateReplay(deltaTime) {
+    this.replay.update(deltaTime);
+    this.replayControls.update();
+
+    this.gliderMesh.update(this.replay);
+    this.cameraManager.update(this.replay, deltaTime);
+    this.gliderMesh.setVisible(this.cameraManager.isGliderVisible());
+    this.sky.update(this.replay.renderPosition, this.camera.position);
+    this.terrainProvider.update(this.camera.position);
+    this.hud.update(this.replay);
+    this.hud.updateInstruments(getFlightReadings(this.replay, this.terrainProvider));
+    this.audio.update(this.replay.playing || this.replay.crashed ? this.replay : null, deltaTime, this.glider);
+    this.varioAudio.update(this.replay.playing ? this.replay.getVerticalSpeed() : null, deltaTime);
+    this.groundProximity.update(null);
+    this.boundaryMesh.update(this.replay);
+    this.navigationMap.update(this.replay);
+
+    this.renderer.render(this.scene, this.camera);
+  }
+}
+
+function formatDuration(seconds) {
+  const minutes = Math.floor(seconds / 60);
+  return `${minutes}:${Math.floor(seconds % 60).toString().padStart(2, '0')}`;
+}
+
+// m:ss.s
+function formatLapTime(seconds) {
+  const minutes = Math.floor(seconds / 60);
+  return `${minutes}:${(seconds % 60).toFixed(1).padStart(4, '0')}`;
+}
+
+function describeTaskResult(result) {
+  if (!result.started) return 'Task not started';
+  if (result.completed) {
+    return `Task complete in ${formatDuration(result.time)} (${(result.speed * 3.6).toFixed(1)} km/h)`;
+  }
+  return `Task: ${(result.distance / 1000).toFixed(1)} of ${(result.taskDistance / 1000).toFixed(1)} km`;
 }
 
 // Start the game
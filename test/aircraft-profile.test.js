@@ -0,0 +1,76 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { normalizeAircraftProfile } from '../src/AircraftProfile.js';
+import { Glider } from '../src/Glider.js';
+import { loadShippedAircraft } from './helpers/aircraft.js';
+
+describe('normalizeAircraftProfile', () => {
+  it('fills in the trainer defaults and derives the aspect ratio', () => {
+    const profile = normalizeAircraftProfile({ wingSpan: 15, wingArea: 10, aerodynamics: { maxLift: 1.2 } }, 'custom');
+
+    assert.equal(profile.id, 'custom');
+    assert.equal(profile.name, 'custom');
+    assert.equal(profile.aspectRatio, 22.5);
+    assert.equal(profile.aerodynamics.maxLift, 1.2);
+    assert.equal(profile.aerodynamics.liftSlope, 5.5);
+    assert.deepEqual(profile.airbrake, { liftLoss: 0.3, drag: 0.035 });
+    assert.equal(profile.flaps[profile.neutralFlap].name, 'Neutral');
+  });
+
+  it('keeps "no airbrakes" and defaults flap increments', () => {
+    const profile = normalizeAircraftProfile({ airbrake: null, flaps: [{ name: 'Up' }, { name: 'Down', lift: 0.3 }] });
+
+    assert.equal(profile.airbrake, null);
+    assert.equal(profile.neutralFlap, 0);
+    assert.deepEqual(profile.flaps[1], { name: 'Down', lift: 0.3, drag: 0 });
+  });
+
+  it('rejects unflyable profiles', () => {
+    assert.throws(() => normalizeAircraftProfile({ mass: 0 }, 'broken'), /mass/);
+    assert.throws(() => normalizeAircraftProfile({ aerodynamics: { oswald: -1 } }, 'broken'), /oswald/);
+    assert.throws(() => normalizeAircraftProfile({ flaps: [] }, 'broken'), /flap/);
+    assert.throws(() => normalizeAircraftProfile({ neutralFlap: 3 }, 'broken'), /neutralFlap/);
+  });
+});
+
+describe('shipped aircraft', () => {
+  const index = JSON.parse(readFileSync(new URL('../public/aircraft/index.json', import.meta.url), 'utf8'));
+  const gliders = Object.fromEntries(index.aircraft.map(id => [
+    id,
+    new Glider(null, null, { aircraft: loadShippedAircraft(id) })
+  ]));
+
+  it('lists the trainer, sailplane and hang glider', () => {
+    assert.deepEqual(index.aircraft, ['trainer', 'sailplane', 'hang_glider']);
+  });
+
+  it('have realistic glide polars', () => {
+    const { trainer, sailplane, hang_glider: hangGlider } = gliders;
+
+    assert.ok(sailplane.getBestGlide().glideRatio > 45);
+    assert.ok(trainer.getBestGlide().glideRatio > 25 && trainer.getBestGlide().glideRatio < 35);
+    assert.ok(hangGlider.getBestGlide().glideRatio > 10 && hangGlider.getBestGlide().glideRatio < 15);
+
+    assert.ok(hangGlider.getStallSpeed() < trainer.getStallSpeed());
+    assert.ok(trainer.getStallSpeed() < sailplane.getStallSpeed());
+  });
+
+  it('sink faster the further they fly from best glide', () => {
+    for (const glider of Object.values(gliders)) {
+      const best = glider.getBestGlide();
+      const polar = glider.getGlidePolar([best.speed * 0.9, best.speed, best.speed * 1.5]);
+
+      assert.equal(polar.length, 3);
+      assert.ok(polar[1].glideRatio > polar[0].glideRatio);
+      assert.ok(polar[1].glideRatio > polar[2].glideRatio);
+      assert.ok(polar[2].sinkRate > polar[1].sinkRate * 1.5);
+    }
+  });
+
+  it('take their handling from the profile', () => {
+    assert.ok(gliders.trainer.rollRate > gliders.sailplane.rollRate);
+    assert.equal(gliders.hang_glider.rudderRate, 0);
+    assert.equal(gliders.hang_glider.mass, 120);
+  });
+});
@@ -0,0 +1,97 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { normalizeAircraftProfile } from '../src/AircraftProfile.js';
+import {
+  AUDIO_CHANNELS,
+  DEFAULT_AUDIO_SETTINGS,
+  normalizeAudioSettings,
+  loadAudioSettings,
+  saveAudioSettings,
+  getChannelGain,
+  getAirflowSound,
+  getBuffet,
+  getAirframeStress
+} from '../src/AudioEngine.js';
+
+const { aerodynamics, maxSpeed } = normalizeAircraftProfile();
+const STALL_ANGLE = aerodynamics.zeroLiftAngle + aerodynamics.maxLift / aerodynamics.liftSlope;
+
+describe('Airframe sounds', () => {
+  it('makes the wind louder and brighter with speed', () => {
+    const still = getAirflowSound(0, maxSpeed, 0);
+    const cruise = getAirflowSound(25, maxSpeed, 0.05);
+    const dive = getAirflowSound(70, maxSpeed, 0.05);
+
+    assert.equal(still.volume, 0);
+    assert.ok(dive.volume > cruise.volume);
+    assert.ok(dive.frequency > cruise.frequency);
+    assert.ok(dive.volume <= 1);
+  });
+
+  it('adds airflow noise at a high angle of attack', () => {
+    assert.ok(getAirflowSound(25, maxSpeed, 0.2).volume > getAirflowSound(25, maxSpeed, 0).volume);
+  });
+
+  it('buffets only close to the stall', () => {
+    assert.equal(getBuffet(0.05, aerodynamics, false), 0);
+    const nearStall = getBuffet(STALL_ANGLE * 0.95, aerodynamics, false);
+    assert.ok(nearStall > 0 && nearStall < 1);
+    assert.equal(getBuffet(0.05, aerodynamics, true), 1);
+  });
+
+  it('creaks near the never-exceed speed or in a steep bank', () => {
+    assert.equal(getAirframeStress(30, maxSpeed, 0.5), 0);
+    assert.ok(getAirframeStress(maxSpeed * 0.95, maxSpeed, 0) > 0);
+    assert.ok(getAirframeStress(30, maxSpeed, -1.2) > 0);
+    assert.equal(getAirframeStress(maxSpeed, maxSpeed, 0), 1);
+  });
+});
+
+describe('Sound settings', () => {
+  it('fills in defaults and clamps volumes', () => {
+    assert.deepEqual(normalizeAudioSettings(null), DEFAULT_AUDIO_SETTINGS);
+
+    const settings = normalizeAudioSettings({ volume: 2, channels: { wind: { volume: -1, muted: true }, radio: {} } });
+    assert.equal(settings.volume, 1);
+    assert.deepEqual(settings.channels.wind, { volume: 0, muted: true });
+    assert.deepEqual(Object.keys(settings.channels), AUDIO_CHANNELS.map(channel => channel.id));
+  });
+
+  it('mixes each channel under the master volume and mutes', () => {
+    const settings = normalizeAudioSettings({ volume: 0.5, channels: { vario: { volume: 0.4 }, impact: { muted: true } } });
+    assert.equal(getChannelGain(settings, 'vario'), 0.2);
+    assert.equal(getChannelGain(settings, 'impact'), 0);
+
+    settings.muted = true;
+    assert.equal(getChannelGain(settings, 'vario'), 0);
+  });
+
+  describe('persistence', () => {
+    let store;
+
+    beforeEach(() => {
+      store = {};
+      globalThis.localStorage = {
+        getItem: key => store[key] ?? null,
+        setItem: (key, value) => { store[key] = String(value); }
+      };
+    });
+
+    afterEach(() => {
+      delete globalThis.localStorage;
+    });
+
+    it('round-trips through localStorage', () => {
+      const settings = normalizeAudioSettings({ muted: true, channels: { warnings: { volume: 0.3 } } });
+      assert.equal(saveAudioSettings(settings), true);
+
+      assert.deepEqual(loadAudioSettings(), settings);
+    });
+
+    it('falls back to defaults when nothing valid is stored', () => {
+      assert.deepEqual(loadAudioSettings(), DEFAULT_AUDIO_SETTINGS);
+      store['flying_game.audio'] = '{broken';
+      assert.deepEqual(loadAudioSettings(), DEFAULT_AUDIO_SETTINGS);
+    });
+  });
+});
@@ -0,0 +1,180 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { Glider } from '../src/Glider.js';
+import { HeightArrayTerrainProvider } from '../src/HeightArrayTerrainProvider.js';
+import {
+  createDefaultBoundary, isInsidePolygon, getNearestEdge, getWrapPoint
+} from '../src/Boundary.js';
+import { BoundaryEnforcer } from '../src/BoundaryEnforcer.js';
+
+const TIMESTEP = 1 / 60;
+const NEUTRAL = { pitch: 0, roll: 0 };
+
+// 2 km square around the origin, corners running clockwise on the map
+const SQUARE = [{ x: -1000, z: -1000 }, { x: 1000, z: -1000 }, { x: 1000, z: 1000 }, { x: -1000, z: 1000 }];
+
+// An L: the square without its north-east quarter
+const L_SHAPE = [
+  { x: -1000, z: -1000 }, { x: 0, z: -1000 }, { x: 0, z: 0 },
+  { x: 1000, z: 0 }, { x: 1000, z: 1000 }, { x: -1000, z: 1000 }
+];
+
+// Flat ground at 0 m, 8 km square
+async function createGlider() {
+  const terrain = new HeightArrayTerrainProvider({
+    heights: new Array(16).fill(0),
+    dataWidth: 4,
+    dataHeight: 4,
+    width: 8000,
+    depth: 8000
+  });
+  await terrain.init();
+  return new Glider(terrain);
+}
+
+// Fly with the boundary acting as in Game.fixedUpdate; returns the furthest it got outside (m)
+function fly(glider, enforcer, seconds, input = NEUTRAL) {
+  let worst = 0;
+  for (let i = 0; i < seconds / TIMESTEP && !glider.landed && !glider.crashed; i++) {
+    glider.tick(enforcer.steer(glider, input), TIMESTEP);
+    enforcer.enforce(glider);
+    worst = Math.min(worst, getNearestEdge(glider.position, enforcer.boundary.points).distance);
+  }
+  return -worst;
+}
+
+function boundary(policy) {
+  return { policy, points: SQUARE, warningDistance: 300 };
+}
+
+describe('Boundary geometry', () => {
+  it('tells inside from outside, also in a concave polygon', () => {
+    assert.equal(isInsidePolygon({ x: 0, z: 0 }, SQUARE), true);
+    assert.equal(isInsidePolygon({ x: 1200, z: 0 }, SQUARE), false);
+    assert.equal(isInsidePolygon({ x: -500, z: -500 }, L_SHAPE), true);
+    assert.equal(isInsidePolygon({ x: 500, z: -500 }, L_SHAPE), false);
+  });
+
+  it('measures the distance to the nearest edge, negative outside', () => {
+    const inside = getNearestEdge({ x: 0, z: -900 }, SQUARE);
+    assert.equal(inside.distance, 100);
+    assert.deepEqual({ x: inside.x, z: inside.z }, { x: 0, z: -1000 });
+
+    const outside = getNearestEdge({ x: 1250, z: 0 }, SQUARE);
+    assert.equal(outside.distance, -250);
+  });
+
+  it('points the normal into the polygon whichever way the corners run', () => {
+    for (const points of [SQUARE, [...SQUARE].reverse()]) {
+      const edge = getNearestEdge({ x: 0, z: -1100 }, points);
+      assert.ok(Math.abs(edge.normal.x) < 1e-9);
+      assert.equal(edge.normal.z, 1);
+    }
+    // Into the L from its inner corner's northern side
+    const inner = getNearestEdge({ x: 500, z: -100 }, L_SHAPE);
+    assert.equal(inner.distance, -100);
+    assert.equal(inner.normal.z, 1);
+  });
+
+  it('finds the far side along the line of flight', () => {
+    const entry = getWrapPoint({ x: 200, z: -1010 }, { x: 0, z: -1 }, SQUARE);
+    assert.deepEqual(entry, { x: 200, z: 1000 });
+
+    // Out through the east side heading south-east, back in through the north side
+    const diagonal = getWrapPoint({ x: 1010, z: 0 }, { x: Math.SQRT1_2, z: Math.SQRT1_2 }, SQUARE);
+    assert.ok(Math.abs(diagonal.x - 10) < 1e-6);
+    assert.ok(Math.abs(diagonal.z + 1000) < 1e-6);
+  });
+
+  it('defaults to the terrain edge, inset', () => {
+    const fallback = createDefaultBoundary({ minX: -2000, maxX: 2000, minZ: -1500, maxZ: 1500 });
+    assert.equal(fallback.policy, 'soft');
+    assert.deepEqual(fallback.points[0], { x: -1900, z: -1400 });
+    assert.deepEqual(fallback.points[2], { x: 1900, z: 1400 });
+  });
+});
+
+describe('BoundaryEnforcer', () => {
+  it('leaves the controls alone well inside', async () => {
+    const glider = await createGlider();
+    const enforcer = new BoundaryEnforcer(boundary('soft'));
+    const input = { pitch: 0.2, roll: -0.5 };
+
+    assert.equal(enforcer.steer(glider, input), input);
+    assert.equal(enforcer.getWarning(glider), null);
+  });
+
+  it('turns the glider back through the roll control on a soft boundary', async () => {
+    const glider = await createGlider();
+    glider.reset({ x: 0, z: -700, heading: 0 });
+    const enforcer = new BoundaryEnforcer(boundary('soft'));
+    const yaw = glider.yaw;
+
+    const overshoot = fly(glider, enforcer, 60);
+
+    assert.ok(overshoot < 100, `went ${overshoot.toFixed(0)} m out`);
+    assert.ok(isInsidePolygon(glider.position, SQUARE));
+    assert.ok(glider.position.z > -1000);
+    // Turned by banking, not by rewriting the heading
+    assert.notEqual(glider.yaw, yaw);
+    assert.ok(glider.flightTime > 59);
+  });
+
+  it('blocks a hard boundary like a wall, keeping the speed along it', async () => {
+    const glider = await createGlider();
+    glider.reset({ x: 0, z: -950, heading: Math.PI / 4 });  // North-east, into the north wall
+    const enforcer = new BoundaryEnforcer(boundary('hard'));
+
+    const overshoot = fly(glider, enforcer, 10);
+
+    assert.ok(overshoot < 1);
+    assert.ok(glider.position.x > 100, 'should slide east along the wall');
+    assert.ok(Math.abs(glider.velocity.z + glider.airVelocity.z) < 1);
+  });
+
+  it('brings a glider back in on the far side of a wrap-around boundary', async () => {
+    const glider = await createGlider();
+    glider.reset({ x: 300, z: -990, heading: 0 });
+    const enforcer = new BoundaryEnforcer(boundary('wrap'));
+
+    let event = null;
+    for (let i = 0; i < 60 && !event; i++) {
+      glider.tick(NEUTRAL, TIMESTEP);
+      event = enforcer.enforce(glider);
+    }
+
+    assert.equal(event, 'wrapped');
+    assert.ok(glider.position.z > 990 && glider.position.z < 1000);
+    assert.ok(Math.abs(glider.position.x - 300) < 1);
+    // The tick's own move is kept, so crossing checks see no jump
+    assert.ok(glider.previousPosition.z > glider.position.z);
+    assert.ok(glider.position.z - glider.previousPosition.z > -1);
+  });
+
+  it('ends the flight when a landout boundary is crossed', async () => {
+    const glider = await createGlider();
+    glider.reset({ x: 0, z: -950, heading: 0 });
+    const enforcer = new BoundaryEnforcer(boundary('landout'));
+
+    assert.match(enforcer.getWarning(glider), /ends the flight/);
+    fly(glider, enforcer, 10);
+
+    assert.equal(enforcer.landedOut, true);
+    assert.equal(glider.landed, true);
+    assert.match(enforcer.getWarning(glider), /Out of bounds/);
+
+    enforcer.reset();
+    assert.equal(enforcer.landedOut, false);
+  });
+
+  it('leaves a glider on tow to the tow pilot', async () => {
+    const glider = await createGlider();
+    glider.reset({ x: 0, z: -1100, heading: 0 });
+    glider.towed = true;
+    const enforcer = new BoundaryEnforcer(boundary('landout'));
+
+    assert.equal(enforcer.enforce(glider), null);
+    assert.equal(enforcer.getWarning(glider), null);
+    assert.equal(glider.landed, false);
+  });
+});
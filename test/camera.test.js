@@ -0,0 +1,281 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import { CameraManager } from '../src/CameraManager.js';
+import { CinematicCamera } from '../src/CinematicCamera.js';
+import { ChaseCamera } from '../src/ChaseCamera.js';
+import { TerrainProvider } from '../src/TerrainProvider.js';
+
+const FRAME = 1 / 60;
+
+// Stands in for a Glider or FlightPlayback: flying north at 25 m/s, 500m up
+function createTarget(x = 0, z = 0) {
+  const position = new THREE.Vector3(x, 500, z);
+  const rotation = new THREE.Quaternion();
+  return {
+    position,
+    rotation,
+    renderPosition: position,
+    renderRotation: rotation,
+    velocity: new THREE.Vector3(0, 0, -25),
+    getSpeedKmh: () => 90,
+    getAltitude: () => 500,
+    getVerticalSpeed: () => 1
+  };
+}
+
+// Flat ground at 0 with a 100m wall across z = 5..8
+class RidgeTerrain extends TerrainProvider {
+  getHeightAt(x, z) {
+    return z >= 5 && z <= 8 ? 100 : 0;
+  }
+}
+
+class FlatTerrain extends TerrainProvider {
+  getHeightAt() {
+    return 100;
+  }
+}
+
+function createManager() {
+  const camera = new THREE.PerspectiveCamera(60, 1.5, 0.1, 10000);
+  const manager = new CameraManager(camera, new THREE.Scene(), null, { random: () => 0.3 });
+  manager.setStage(new FlatTerrain(), [{ x: 0, z: 1000 }]);
+  return { camera, manager };
+}
+
+// Which way the camera looks
+function viewDirection(camera) {
+  return new THREE.Vector3(0, 0, -1).applyQuaternion(camera.quaternion);
+}
+
+describe('CameraManager', () => {
+  it('cycles the live modes and keeps the cinematic director for replays', () => {
+    const { manager } = createManager();
+    const seen = [manager.modeId];
+    for (let i = 0; i < 5; i++) {
+      manager.cycle();
+      seen.push(manager.modeId);
+    }
+    assert.deepEqual(seen, ['chase', 'cockpit', 'orbit', 'free', 'tower', 'chase']);
+
+    manager.setMode('orbit');
+    manager.setReplay(true);
+    assert.equal(manager.modeId, 'cinematic');
+    manager.setReplay(false);
+    assert.equal(manager.modeId, 'orbit');
+  });
+
+  it('blends smoothly from the old view to the new one', () => {
+    const { camera, manager } = createManager();
+    const target = createTarget();
+    manager.reset(target);
+    const chasePosition = camera.position.clone();
+
+    manager.setMode('cockpit');
+    manager.update(target, FRAME);
+    assert.ok(camera.position.distanceTo(chasePosition) < 0.1);
+
+    for (let i = 0; i < 30; i++) manager.update(target, FRAME);
+    const halfway = camera.position.distanceTo(target.renderPosition);
+    assert.ok(halfway > 1 && halfway < chasePosition.distanceTo(target.renderPosition));
+
+    for (let i = 0; i < 40; i++) manager.update(target, FRAME);
+    assert.ok(camera.position.distanceTo(target.renderPosition) < 1);
+  });
+
+  it('hides the glider once inside the cockpit and shows the panel', () => {
+    const { camera, manager } = createManager();
+    const target = createTarget();
+    manager.setMode('cockpit');
+    manager.update(target, FRAME);
+    assert.equal(manager.isGliderVisible(), true);
+
+    manager.reset(target);
+    manager.update(target, FRAME);
+    assert.equal(manager.isGliderVisible(), false);
+    assert.equal(manager.modes.cockpit.panel.visible, true);
+    assert.ok(viewDirection(camera).z < -0.99);
+
+    manager.setMode('chase');
+    manager.update(target, FRAME);
+    assert.equal(manager.isGliderVisible(), true);
+    assert.equal(manager.modes.cockpit.panel.visible, false);
+  });
+
+  it('orbits the glider at a distance with mouse drags and zoom', () => {
+    const { camera, manager } = createManager();
+    const target = createTarget();
+    manager.setMode('orbit');
+    manager.reset(target);
+    assert.ok(camera.position.z > 0, 'starts behind the glider');
+
+    const orbit = manager.modes.orbit;
+    orbit.drag(Math.PI / 2 / 0.005, 0);
+    orbit.zoom(1000 * Math.log(2));
+    manager.update(target, FRAME);
+
+    assert.ok(Math.abs(camera.position.distanceTo(target.renderPosition) - 50) < 0.01);
+    assert.ok(camera.position.x < -40, 'swung round to the side');
+    assert.ok(viewDirection(camera).x > 0.9, 'still looking at the glider');
+  });
+
+  it('flies the free camera where it looks, detached from the glider', () => {
+    const { camera, manager } = createManager();
+    const target = createTarget();
+    manager.reset(target);
+    manager.setMode('free');
+    manager.update(target, FRAME);
+    assert.equal(manager.isDetached(), true);
+
+    const start = camera.position.clone();
+    manager.heldKeys.add('KeyW');
+    for (let i = 0; i < 60; i++) manager.update(target, FRAME);
+    manager.heldKeys.clear();
+
+    const moved = camera.position.clone().sub(start);
+    assert.ok(Math.abs(moved.length() - 80) < 1);
+    assert.ok(moved.normalize().dot(viewDirection(camera)) > 0.99);
+
+    // Never below the ground
+    manager.modes.free.drag(0, 1000);
+    manager.heldKeys.add('KeyW');
+    manager.heldKeys.add('ShiftLeft');
+    for (let i = 0; i < 300; i++) manager.update(target, FRAME);
+    assert.ok(camera.position.y >= 102);
+  });
+
+  it('watches from the nearest tower, zoomed in on the glider', () => {
+    const { camera, manager } = createManager();
+    const target = createTarget(0, -500);
+    manager.setMode('tower');
+    manager.reset(target);
+
+    assert.deepEqual(camera.position.toArray(), [0, 110, 1000]);
+    const distance = camera.position.distanceTo(target.renderPosition);
+    assert.ok(camera.fov < 5 && camera.fov > 0.5);
+    assert.ok(viewDirection(camera).angleTo(target.renderPosition.clone().sub(camera.position)) < 1e-6);
+    assert.ok(distance > 1500);
+  });
+
+  it('puts up a roaming tower ahead when no site is in range', () => {
+    const { camera, manager } = createManager();
+    const target = createTarget(0, -5000);
+    manager.setMode('tower');
+    manager.reset(target);
+
+    assert.ok(camera.position.z < -5500, 'ahead of the glider');
+    assert.equal(camera.position.y, 110);
+  });
+});
+
+describe('CinematicCamera', () => {
+  it('cuts to a new shot when one runs out or the replay is scrubbed', () => {
+    const camera = new THREE.PerspectiveCamera(60, 1.5, 0.1, 10000);
+    let seed = 0;
+    const random = () => (seed = (seed * 7 + 3) % 10) / 10;
+    const director = new CinematicCamera(camera, () => 100, { random });
+    const target = createTarget();
+
+    director.reset(target);
+    const shots = [director.shot];
+    for (let i = 0; i < 60 * 30; i++) {
+      target.renderPosition.z -= 25 * FRAME;
+      director.update(target, FRAME);
+      if (director.shot !== shots[shots.length - 1]) shots.push(director.shot);
+    }
+    assert.ok(shots.length >= 3 && shots.length <= 7);
+    assert.ok(shots.every((shot, i) => i === 0 || shot !== shots[i - 1]));
+
+    target.renderPosition.z += 5000;
+    director.update(target, FRAME);
+    assert.equal(director.shotTime, 0);
+  });
+
+  it('keeps the camera above the ground', () => {
+    const camera = new THREE.PerspectiveCamera(60, 1.5, 0.1, 10000);
+    const director = new CinematicCamera(camera, () => 495, { random: () => 0.99 });
+    const target = createTarget();
+    for (let i = 0; i < 600; i++) {
+      director.update(target, FRAME);
+      assert.ok(camera.position.y >= 498);
+    }
+  });
+});
+
+describe('TerrainProvider.intersectSegment', () => {
+  it('finds where a line first enters the ground', () => {
+    const terrain = new RidgeTerrain();
+    const hit = terrain.intersectSegment({ x: 0, y: 50, z: 0 }, { x: 0, y: 50, z: 20 });
+    assert.ok(Math.abs(hit * 20 - 5) < 0.1);
+
+    assert.equal(terrain.intersectSegment({ x: 0, y: 150, z: 0 }, { x: 0, y: 150, z: 20 }), null);
+  });
+});
+
+describe('ChaseCamera', () => {
+  // Fly north at 25 m/s for 3 s, rolling into a turn, at a given frame rate
+  function chase(fps) {
+    const camera = new THREE.PerspectiveCamera(60, 1.5, 0.1, 10000);
+    const chaseCamera = new ChaseCamera(camera);
+    const target = createTarget();
+    chaseCamera.reset(target);
+    for (let frame = 1; frame <= 3 * fps; frame++) {
+      const time = frame / fps;
+      target.position.set(Math.sin(time) * 40, 500, -25 * time);
+      target.rotation.setFromEuler(new THREE.Euler(0, -time * 0.5, -0.3 * time));
+      chaseCamera.update(target, 1 / fps);
+    }
+    return camera.position.clone();
+  }
+
+  it('lags the same at any frame rate', () => {
+    // Within the distance the glider covers in a frame
+    assert.ok(chase(30).distanceTo(chase(144)) < 1);
+    assert.ok(chase(60).distanceTo(chase(240)) < 0.5);
+  });
+
+  it('catches up with a jump within a couple of seconds', () => {
+    const camera = new THREE.PerspectiveCamera(60, 1.5, 0.1, 10000);
+    const chaseCamera = new ChaseCamera(camera, { stiffness: 10 });
+    const target = createTarget();
+    chaseCamera.reset(target);
+
+    target.position.x += 50;
+    chaseCamera.update(target, FRAME);
+    assert.ok(camera.position.x < 1);
+    for (let i = 0; i < 120; i++) chaseCamera.update(target, FRAME);
+    assert.ok(Math.abs(camera.position.x - 50) < 1);
+  });
+
+  it('stays above the ground', () => {
+    const camera = new THREE.PerspectiveCamera(60, 1.5, 0.1, 10000);
+    const chaseCamera = new ChaseCamera(camera);
+    chaseCamera.setTerrain(new RidgeTerrain());
+
+    // Climbing steeply just off the ground: the offset would put the camera underground
+    const target = createTarget(0, -100);
+    target.position.y = 1;
+    target.rotation.setFromEuler(new THREE.Euler(1, 0, 0));
+    chaseCamera.reset(target);
+    for (let i = 0; i < 60; i++) {
+      chaseCamera.update(target, FRAME);
+      assert.ok(camera.position.y >= 3);
+    }
+  });
+
+  it('moves in front of a ridge that hides the glider', () => {
+    const camera = new THREE.PerspectiveCamera(60, 1.5, 0.1, 10000);
+    const chaseCamera = new ChaseCamera(camera);
+    const terrain = new RidgeTerrain();
+    chaseCamera.setTerrain(terrain);
+
+    const target = createTarget();
+    target.position.y = 50;
+    chaseCamera.reset(target);
+    for (let i = 0; i < 60; i++) chaseCamera.update(target, FRAME);
+
+    assert.ok(camera.position.z < 5);
+    assert.equal(terrain.intersectSegment(target.position, camera.position), null);
+  });
+});
@@ -0,0 +1,118 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import { ChunkedTerrainProvider } from '../src/ChunkedTerrainProvider.js';
+
+// Feeds a sloped in-memory heightmap instead of loading images
+class TestChunkedTerrainProvider extends ChunkedTerrainProvider {
+  async loadHeightmap() {
+    this.heightDataWidth = 65;
+    this.heightDataHeight = 33;
+    this.heightData = new Float32Array(65 * 33);
+    for (let y = 0; y < 33; y++) {
+      for (let x = 0; x < 65; x++) {
+        this.heightData[y * 65 + x] = x * 10 + Math.sin(y) * 5;
+      }
+    }
+  }
+
+  createMaterial() {
+    return new THREE.MeshBasicMaterial();
+  }
+}
+
+async function createTerrain(options = {}) {
+  const terrain = new TestChunkedTerrainProvider({
+    width: 4000,
+    depth: 2000,
+    tileSize: 500,
+    lodSegments: [16, 8, 4],
+    lodDistances: [600, 1200],
+    loadRadius: 1500,
+    ...options
+  });
+  await terrain.init();
+  return terrain;
+}
+
+describe('ChunkedTerrainProvider', () => {
+  it('only loads tiles within the load radius', async () => {
+    const terrain = await createTerrain();
+
+    terrain.update(new THREE.Vector3(-2000, 0, -1000), Infinity);
+
+    assert.ok(terrain.getLoadedTileCount() > 0);
+    for (const tile of terrain.tiles.values()) {
+      assert.ok(terrain.getTileDistance(tile.col, tile.row, new THREE.Vector3(-2000, 0, -1000)) <= 1500);
+    }
+    assert.equal(terrain.getMesh().children.length, terrain.getLoadedTileCount());
+  });
+
+  it('gives nearer tiles finer LODs', async () => {
+    const terrain = await createTerrain();
+    terrain.update(new THREE.Vector3(0, 0, 0), Infinity);
+
+    const near = terrain.tiles.get('3,1'); // Touches the viewer
+    const far = [...terrain.tiles.values()].find(tile => tile.lod === 2);
+
+    assert.equal(near.lod, 0);
+    assert.ok(far, 'expected some coarse tiles');
+    assert.ok(near.mesh.geometry.index.count > far.mesh.geometry.index.count);
+  });
+
+  it('unloads and re-LODs tiles as the viewer moves', async () => {
+    const terrain = await createTerrain();
+    terrain.update(new THREE.Vector3(-1900, 0, 0), Infinity);
+    assert.ok(terrain.tiles.has('0,0'));
+    assert.equal(terrain.tiles.has('7,0'), false);
+
+    terrain.update(new THREE.Vector3(1900, 0, 0), Infinity);
+    assert.equal(terrain.tiles.has('0,0'), false);
+    assert.equal(terrain.tiles.get('7,0').lod, 0);
+  });
+
+  it('respects the per-update build budget', async () => {
+    const terrain = await createTerrain();
+
+    terrain.update(new THREE.Vector3(0, 0, 0), 3);
+
+    assert.equal(terrain.getLoadedTileCount(), 3);
+  });
+
+  it('builds tile vertices on the heightmap with a skirt below the edges', async () => {
+    const terrain = await createTerrain();
+    const geometry = terrain.createTileGeometry(2, 1, 8);
+    const positions = geometry.attributes.position;
+    const gridVertices = 9 * 9;
+
+    for (let i = 0; i < gridVertices; i++) {
+      const expected = terrain.getHeightAt(positions.getX(i), positions.getZ(i));
+      assert.ok(Math.abs(positions.getY(i) - expected) < 1e-3);
+    }
+
+    assert.equal(positions.count, gridVertices + 8 * 4);
+    for (let i = gridVertices; i < positions.count; i++) {
+      const top = terrain.getHeightAt(positions.getX(i), positions.getZ(i));
+      assert.ok(Math.abs(top - terrain.skirtDepth - positions.getY(i)) < 1e-3);
+    }
+  });
+
+  it('still answers getHeightAt at full source resolution', async () => {
+    const terrain = await createTerrain();
+
+    // Halfway between two source pixels on the X slope (10m per pixel)
+    const pixelWidth = 4000 / 64;
+    const x = -2000 + pixelWidth * 10.5;
+    assert.ok(Math.abs(terrain.getHeightAt(x, -1000) - 105) < 1e-3);
+  });
+
+  it('disposes every tile', async () => {
+    const terrain = await createTerrain();
+    terrain.update(new THREE.Vector3(0, 0, 0), Infinity);
+
+    terrain.dispose();
+
+    assert.equal(terrain.getLoadedTileCount(), 0);
+    assert.equal(terrain.getMesh().children.length, 0);
+  });
+});
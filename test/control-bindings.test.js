@@ -0,0 +1,87 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  ACTIONS,
+  DEFAULT_BINDINGS,
+  normalizeBindings,
+  loadBindings,
+  saveBindings,
+  findConflicts,
+  describeBinding
+} from '../src/ControlBindings.js';
+
+describe('ControlBindings', () => {
+  it('binds every action in every group by default, without conflicts', () => {
+    for (const group of Object.keys(DEFAULT_BINDINGS)) {
+      for (const { id } of ACTIONS) {
+        assert.ok(Array.isArray(DEFAULT_BINDINGS[group][id]), `${group}.${id}`);
+      }
+    }
+    assert.deepEqual(findConflicts(DEFAULT_BINDINGS), []);
+  });
+
+  it('fills in missing actions and drops unknown ones', () => {
+    const bindings = normalizeBindings({
+      keyboard: { pitchUp: ['KeyI'], loop: ['KeyL'] }
+    });
+
+    assert.deepEqual(bindings.keyboard.pitchUp, ['KeyI']);
+    assert.deepEqual(bindings.keyboard.rollLeft, DEFAULT_BINDINGS.keyboard.rollLeft);
+    assert.equal(bindings.keyboard.loop, undefined);
+    assert.deepEqual(bindings.joystick, DEFAULT_BINDINGS.joystick);
+  });
+
+  it('finds keys, buttons and axis halves bound twice', () => {
+    const bindings = normalizeBindings({
+      keyboard: { restart: ['KeyW'] },
+      standard: { cycleCamera: [{ button: 6 }], yawLeft: [{ axis: 1, direction: -1 }] },
+      joystick: { yawRight: [{ axis: 2, direction: -1 }] }
+    });
+
+    const conflicts = findConflicts(bindings).map(({ group, input, actions }) => `${group} ${input}: ${actions}`);
+    assert.deepEqual(conflicts.sort(), [
+      'joystick axis 2-: yawRight,airbrake',  // Throttle lever uses the whole axis
+      'keyboard KeyW: pitchUp,restart',
+      'standard axis 1-: pitchDown,yawLeft',
+      'standard button 6: airbrake,cycleCamera'
+    ]);
+  });
+
+  it('names bindings for the settings panel', () => {
+    assert.equal(describeBinding('keyboard', 'KeyW'), 'W');
+    assert.equal(describeBinding('keyboard', 'ArrowUp'), 'Arrow Up');
+    assert.equal(describeBinding('standard', { button: 6 }), 'Button 6');
+    assert.equal(describeBinding('joystick', { axis: 1, direction: -1 }), 'Axis 1 -');
+    assert.equal(describeBinding('joystick', { axis: 2, direction: 1, full: true }), 'Axis 2 (full)');
+  });
+
+  describe('persistence', () => {
+    let store;
+
+    beforeEach(() => {
+      store = {};
+      globalThis.localStorage = {
+        getItem: key => store[key] ?? null,
+        setItem: (key, value) => { store[key] = String(value); }
+      };
+    });
+
+    afterEach(() => {
+      delete globalThis.localStorage;
+    });
+
+    it('round-trips through localStorage', () => {
+      const bindings = normalizeBindings({ keyboard: { pause: ['Escape'] } });
+      assert.equal(saveBindings(bindings), true);
+
+      assert.deepEqual(loadBindings(), bindings);
+    });
+
+    it('falls back to defaults when nothing valid is stored', () => {
+      assert.deepEqual(loadBindings(), normalizeBindings(null));
+
+      store['flying_game.bindings'] = '{not json';
+      assert.deepEqual(loadBindings(), normalizeBindings(null));
+    });
+  });
+});
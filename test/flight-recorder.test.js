@@ -0,0 +1,114 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { Glider } from '../src/Glider.js';
+import { FlightRecorder } from '../src/FlightRecorder.js';
+import { FlightPlayback } from '../src/FlightPlayback.js';
+
+const TIMESTEP = 1 / 60;
+
+function recordFlight(ticks) {
+  const glider = new Glider();
+  const recorder = new FlightRecorder({ timestep: TIMESTEP, snapshotInterval: 3 });
+  recorder.start(glider);
+
+  for (let i = 0; i < ticks; i++) {
+    const input = { pitch: 0.1, roll: i < ticks / 2 ? 0.5 : -0.5 };
+    glider.tick(input, TIMESTEP);
+    recorder.record(input, glider);
+  }
+
+  return { glider, flight: recorder.stop() };
+}
+
+describe('FlightRecorder', () => {
+  it('records one input per tick and a snapshot every interval', () => {
+    const { flight } = recordFlight(60);
+
+    assert.equal(flight.inputs.length, 60);
+    assert.deepEqual(flight.inputs[0], [0.1, 0.5, 0, 0, 0]);  // pitch, roll, yaw, airbrake, flaps
+    assert.equal(flight.snapshots.length, 1 + 60 / 3); // Plus the starting snapshot
+    assert.equal(flight.outcome, 'stopped');
+    assert.ok(Math.abs(flight.duration - 1) < 1e-9);
+  });
+
+  it('stops recording when the glider crashes', () => {
+    const glider = new Glider();
+    const recorder = new FlightRecorder();
+    recorder.start(glider);
+
+    glider.crash();
+    recorder.record({ pitch: 0, roll: 0 }, glider);
+    recorder.record({ pitch: 0, roll: 0 }, glider);
+
+    assert.equal(recorder.recording, false);
+    assert.equal(recorder.getFlight().outcome, 'crashed');
+    assert.equal(recorder.getFlight().inputs.length, 1);
+  });
+
+  it('stops recording with the touchdown once the glider has landed', () => {
+    const glider = new Glider();
+    const recorder = new FlightRecorder();
+    recorder.start(glider);
+
+    glider.touchdown = { safe: true, score: 90 };
+    glider.land();
+    recorder.record({ pitch: 0, roll: 0 }, glider);
+
+    assert.equal(recorder.recording, false);
+    assert.equal(recorder.getFlight().outcome, 'landed');
+    assert.equal(recorder.getFlight().touchdown.score, 90);
+  });
+});
+
+describe('FlightPlayback', () => {
+  it('reproduces the recorded end state', () => {
+    const { glider, flight } = recordFlight(120);
+    const playback = new FlightPlayback(flight);
+
+    playback.seek(playback.getDuration());
+
+    assert.ok(playback.position.distanceTo(glider.position) < 0.01);
+    assert.ok(Math.abs(playback.getSpeed() - glider.getSpeed()) < 0.01);
+  });
+
+  it('interpolates between snapshots', () => {
+    const { flight } = recordFlight(60);
+    const playback = new FlightPlayback(flight);
+    const [a, b] = flight.snapshots;
+
+    playback.seek((a[0] + b[0]) / 2);
+
+    assert.ok(Math.abs(playback.position.z - (a[3] + b[3]) / 2) < 1e-6);
+  });
+
+  it('plays at the chosen speed and pauses at the end', () => {
+    const { flight } = recordFlight(120);
+    const playback = new FlightPlayback(flight);
+
+    playback.setSpeed(2);
+    playback.update(0.5);
+    assert.ok(Math.abs(playback.time - 1) < 1e-9);
+
+    playback.update(5);
+    assert.equal(playback.time, playback.getDuration());
+    assert.equal(playback.playing, false);
+
+    // Playing again from the end restarts
+    playback.play();
+    assert.equal(playback.time, 0);
+  });
+
+  it('holds still while paused and clamps seeks', () => {
+    const { flight } = recordFlight(60);
+    const playback = new FlightPlayback(flight);
+
+    playback.pause();
+    playback.update(1);
+    assert.equal(playback.time, 0);
+
+    playback.seek(-5);
+    assert.equal(playback.time, 0);
+    playback.seek(1000);
+    assert.equal(playback.time, playback.getDuration());
+  });
+});
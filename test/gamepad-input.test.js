@@ -0,0 +1,135 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { GamepadInput, shapeAxis } from '../src/GamepadInput.js';
+import { normalizeBindings } from '../src/ControlBindings.js';
+
+function fakeGamepad({ index = 0, mapping = 'standard', axes = [0, 0, 0, 0], buttons = [] } = {}) {
+  return {
+    index,
+    id: `Test pad ${index}`,
+    mapping,
+    connected: true,
+    axes,
+    buttons: Array.from({ length: 16 }, (_, i) => ({ value: buttons[i] ?? 0 }))
+  };
+}
+
+describe('shapeAxis', () => {
+  it('zeroes the deadzone and still reaches full deflection', () => {
+    const settings = { deadzone: 0.1, expo: 0 };
+
+    assert.equal(shapeAxis(0.05, settings), 0);
+    assert.equal(shapeAxis(-0.1, settings), 0);
+    assert.ok(Math.abs(shapeAxis(0.55, settings) - 0.5) < 1e-9);
+    assert.equal(shapeAxis(1, settings), 1);
+    assert.equal(shapeAxis(-1, settings), -1);
+  });
+
+  it('softens the center with expo without changing the end points', () => {
+    const linear = shapeAxis(0.5, { deadzone: 0, expo: 0 });
+    const curved = shapeAxis(0.5, { deadzone: 0, expo: 0.5 });
+
+    assert.ok(curved < linear);
+    assert.equal(shapeAxis(1, { deadzone: 0, expo: 0.5 }), 1);
+  });
+
+  it('inverts and clamps', () => {
+    assert.equal(shapeAxis(1, { invert: true }), -1);
+    assert.equal(shapeAxis(1.3, {}), 1);
+  });
+});
+
+describe('GamepadInput', () => {
+  it('reads a standard pad: left stick flies, right stick yaws, trigger brakes', () => {
+    const input = new GamepadInput({ pitch: { expo: 0, deadzone: 0 }, roll: { expo: 0, deadzone: 0 } });
+    const state = input.read(fakeGamepad({ axes: [0.25, 0.5, -1, 0], buttons: { 6: 0.5 } }));
+
+    assert.equal(state.roll, 0.25);
+    assert.equal(state.pitch, 0.5); // Pulled back: nose up
+    assert.ok(state.yaw < -0.99);
+    assert.ok(state.airbrake > 0.4 && state.airbrake < 0.5);
+  });
+
+  it('reads joysticks with the throttle lever as airbrake', () => {
+    const input = new GamepadInput();
+    const stick = fakeGamepad({ mapping: '', axes: [0, 0, -1, 0, 0, 0] });
+
+    assert.equal(input.read(stick).airbrake, 0);
+    stick.axes[2] = 1;
+    assert.equal(input.read(stick).airbrake, 1);
+
+    const inverted = new GamepadInput({ airbrake: { invert: true } });
+    assert.equal(inverted.read(stick).airbrake, 0);
+  });
+
+  it('leaves controls a device lacks at zero', () => {
+    const input = new GamepadInput();
+    const state = input.read(fakeGamepad({ mapping: '', axes: [0, 0] }));
+
+    assert.equal(state.yaw, 0);
+    assert.equal(state.airbrake, 0);
+  });
+
+  it('follows custom bindings, with per-axis inversion', () => {
+    const bindings = normalizeBindings({
+      standard: {
+        pitchUp: [{ axis: 3, direction: 1 }],
+        pitchDown: [{ axis: 3, direction: -1 }],
+        rollLeft: [{ button: 14 }],
+        rollRight: [{ button: 15 }],
+        yawLeft: [],
+        yawRight: []
+      }
+    });
+    const input = new GamepadInput({ bindings, pitch: { invert: true, deadzone: 0, expo: 0 } });
+    const state = input.read(fakeGamepad({ axes: [1, 1, 1, 0.5], buttons: { 14: 1 } }));
+
+    assert.equal(state.pitch, -0.5);
+    assert.equal(state.roll, -1);
+    assert.equal(state.yaw, 0);
+  });
+
+  it('reports trigger actions whose buttons are down', () => {
+    const input = new GamepadInput();
+    const state = input.read(fakeGamepad({ buttons: { 9: 1, 3: 0.2 } }));
+
+    assert.deepEqual([...state.pressed], ['pause']);
+  });
+
+  describe('hot-plugging', () => {
+    let pads;
+    let originalNavigator;
+
+    beforeEach(() => {
+      pads = [];
+      originalNavigator = Object.getOwnPropertyDescriptor(globalThis, 'navigator');
+      Object.defineProperty(globalThis, 'navigator', {
+        value: { getGamepads: () => pads },
+        configurable: true
+      });
+    });
+
+    afterEach(() => {
+      if (originalNavigator) {
+        Object.defineProperty(globalThis, 'navigator', originalNavigator);
+      } else {
+        delete globalThis.navigator;
+      }
+    });
+
+    it('picks up a pad once one appears and falls back when it goes', () => {
+      const input = new GamepadInput();
+      assert.equal(input.poll(), null);
+      assert.equal(input.isConnected(), false);
+
+      pads = [null, fakeGamepad({ index: 1, axes: [1, 0, 0, 0] })];
+      assert.equal(input.poll().roll, 1);
+      assert.equal(input.gamepadIndex, 1);
+
+      pads = [fakeGamepad({ index: 0 }), null];
+      assert.equal(input.poll(), null);  // Selected pad vanished this tick
+      assert.equal(input.gamepadIndex, 0);
+      assert.equal(input.poll().roll, 0);
+    });
+  });
+});
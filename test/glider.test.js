@@ -0,0 +1,428 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import { Glider } from '../src/Glider.js';
+import { HeightArrayTerrainProvider } from '../src/HeightArrayTerrainProvider.js';
+import { loadShippedAircraft } from './helpers/aircraft.js';
+
+const TIMESTEP = 1 / 60;
+const NEUTRAL = { pitch: 0, roll: 0 };
+
+// Flat terrain at a fixed height, 4km x 4km
+async function createFlatTerrain(height) {
+  const terrain = new HeightArrayTerrainProvider({
+    heights: new Array(16).fill(height),
+    dataWidth: 4,
+    dataHeight: 4,
+    width: 4000,
+    depth: 4000
+  });
+  await terrain.init();
+  return terrain;
+}
+
+function fly(glider, seconds, input = NEUTRAL) {
+  const ticks = Math.round(seconds / TIMESTEP);
+  for (let i = 0; i < ticks && !glider.crashed; i++) {
+    glider.tick(input, TIMESTEP);
+  }
+}
+
+describe('HeightArrayTerrainProvider', () => {
+  it('interpolates heights and reports bounds', async () => {
+    const terrain = new HeightArrayTerrainProvider({
+      heights: [0, 100, 0, 100],
+      dataWidth: 2,
+      dataHeight: 2,
+      width: 1000,
+      depth: 500
+    });
+    await terrain.init();
+
+    assert.equal(terrain.getHeightAt(-500, 0), 0);
+    assert.equal(terrain.getHeightAt(500, 0), 100);
+    assert.equal(terrain.getHeightAt(0, 0), 50);
+    assert.equal(terrain.getHeightAt(2000, 0), 0); // Outside the map
+    assert.deepEqual(terrain.getBounds(), {
+      minX: -500, maxX: 500, minZ: -250, maxZ: 250, width: 1000, depth: 500
+    });
+    assert.equal(terrain.getMesh(), null);
+  });
+
+  it('derives surface normals from the height slope', async () => {
+    const terrain = new HeightArrayTerrainProvider({
+      heights: [0, 500, 0, 500],
+      dataWidth: 2,
+      dataHeight: 2,
+      width: 1000,
+      depth: 1000
+    });
+    await terrain.init();
+
+    const normal = terrain.getSurfaceNormal(0, 0, new THREE.Vector3());
+    const expected = new THREE.Vector3(-0.5, 1, 0).normalize();
+    assert.ok(normal.distanceTo(expected) < 1e-9);
+  });
+
+  it('rejects height arrays that do not match the declared size', async () => {
+    const terrain = new HeightArrayTerrainProvider({ heights: [0, 1, 2], dataWidth: 2, dataHeight: 2 });
+    await assert.rejects(() => terrain.init());
+  });
+});
+
+describe('Glider flight model', () => {
+  it('spawns above the terrain at the map center', async () => {
+    const terrain = await createFlatTerrain(300);
+    const glider = new Glider(terrain);
+
+    assert.equal(glider.getAltitude(), 300 + glider.spawnAltitudeAboveGround);
+    assert.equal(glider.crashed, false);
+  });
+
+  it('spawns at the configured point and heading', async () => {
+    const terrain = await createFlatTerrain(100);
+    const glider = new Glider(terrain, null, {
+      spawn: { x: 500, z: -300, altitudeAboveGround: 400, heading: Math.PI / 2 }
+    });
+
+    assert.deepEqual(glider.position.toArray(), [500, 500, -300]);
+    // Heading east: flying toward +X
+    assert.ok(glider.velocity.x > 0.99 * glider.getSpeed());
+    assert.ok(glider.getForwardDirection().x > 0.99);
+  });
+
+  it('starts in a steady glide at best-glide speed', () => {
+    const glider = new Glider();
+    const bestGlide = glider.getBestGlide();
+
+    assert.ok(Math.abs(glider.getSpeed() - bestGlide.speed) < 1e-9);
+    fly(glider, 1);
+    assert.ok(Math.abs(glider.getSpeed() - bestGlide.speed) < 0.05);
+    assert.ok(Math.abs(-glider.velocity.y - bestGlide.sinkRate) < 0.02);
+  });
+
+  it('settles on the glide polar at a held attitude', () => {
+    const glider = new Glider();
+    glider.position.y = 10000;
+    glider.pitch -= 0.03; // Nose down: faster than best glide
+
+    fly(glider, 60);
+
+    const [point] = glider.getGlidePolar([glider.getSpeed()]);
+    assert.ok(glider.getSpeed() > glider.getBestGlide().speed + 2);
+    assert.ok(Math.abs(-glider.velocity.y - point.sinkRate) < 0.02, `sink ${-glider.velocity.y} vs ${point.sinkRate}`);
+  });
+
+  it('gains lift with angle of attack up to the stall, then loses it', () => {
+    const glider = new Glider();
+    const { zeroLiftAngle, maxLift, liftSlope } = glider.aerodynamics;
+    const stallAngle = zeroLiftAngle + maxLift / liftSlope;
+
+    const low = glider.getAeroCoefficients(0.02);
+    const high = glider.getAeroCoefficients(stallAngle - 0.01);
+    const stalled = glider.getAeroCoefficients(stallAngle + 0.15);
+
+    assert.ok(high.lift > low.lift);
+    assert.equal(high.stalled, false);
+    assert.equal(stalled.stalled, true);
+    assert.ok(stalled.lift < high.lift * 0.7);
+    assert.ok(stalled.drag > high.drag * 3);
+  });
+
+  it('drops the nose and sinks when stalled', () => {
+    const glider = new Glider();
+    glider.pitch = 0.5;
+    glider.velocity.set(0, 0, -(glider.getStallSpeed() - 3));
+
+    fly(glider, 0.1);
+    assert.equal(glider.stalled, true);
+    fly(glider, 0.4);
+
+    assert.ok(glider.pitch < 0.2);
+    assert.ok(glider.velocity.y < -2);
+  });
+
+  it('clamps airspeed to maxSpeed', () => {
+    const glider = new Glider();
+    glider.pitch = -Math.PI / 3;
+    glider.velocity.set(0, -150, -150);
+
+    glider.tick({ pitch: -1, roll: 0 }, TIMESTEP);
+
+    assert.ok(Math.abs(glider.getSpeed() - glider.maxSpeed) < 1e-9, `speed ${glider.getSpeed()}`);
+  });
+
+  it('never exceeds maxSpeed in a sustained dive', () => {
+    const glider = new Glider();
+    glider.position.y = 100000; // Plenty of room to dive
+
+    for (let i = 0; i < 60 / TIMESTEP; i++) {
+      glider.tick({ pitch: -1, roll: 0 }, TIMESTEP);
+      assert.ok(glider.getSpeed() <= glider.maxSpeed + 1e-9);
+    }
+  });
+
+  it('crashes when it descends below getHeightAt', async () => {
+    const terrain = await createFlatTerrain(500);
+    const glider = new Glider(terrain);
+    glider.position.set(0, 510, 0);
+    glider.pitch = -Math.PI / 4;
+
+    fly(glider, 10);
+
+    assert.equal(glider.crashed, true);
+    assert.equal(glider.getSpeed(), 0);
+    assert.ok(glider.getAltitude() < 500);
+
+    // A crashed glider stays put
+    const crashPosition = glider.position.clone();
+    glider.tick({ pitch: 1, roll: 1 }, TIMESTEP);
+    assert.deepEqual(glider.position, crashPosition);
+  });
+
+  it('stays airborne over low terrain', async () => {
+    const terrain = await createFlatTerrain(0);
+    const glider = new Glider(terrain);
+
+    glider.tick(NEUTRAL, TIMESTEP);
+
+    assert.equal(glider.crashed, false);
+  });
+
+  it('reset clears a crash and respawns above the terrain', async () => {
+    const terrain = await createFlatTerrain(200);
+    const glider = new Glider(terrain);
+    glider.crash();
+
+    glider.reset();
+
+    assert.equal(glider.crashed, false);
+    assert.equal(glider.getAltitude(), 200 + glider.spawnAltitudeAboveGround);
+    assert.equal(glider.flightTime, 0);
+  });
+
+  it('is deterministic for the same input sequence', () => {
+    const inputs = Array.from({ length: 600 }, (_, i) => ({
+      pitch: Math.sin(i / 40) * 0.5,
+      roll: Math.cos(i / 70) * 0.8
+    }));
+
+    const run = () => {
+      const glider = new Glider();
+      inputs.forEach(input => glider.tick(input, TIMESTEP));
+      return [glider.position.toArray(), glider.velocity.toArray(), glider.yaw];
+    };
+
+    assert.deepEqual(run(), run());
+  });
+
+  it('interpolates the render transform between ticks', () => {
+    const glider = new Glider();
+    glider.tick(NEUTRAL, TIMESTEP);
+
+    glider.interpolate(0.5);
+
+    const expected = new THREE.Vector3().lerpVectors(glider.previousPosition, glider.position, 0.5);
+    assert.ok(glider.renderPosition.distanceTo(expected) < 1e-9);
+  });
+});
+
+describe('Glider control surfaces', () => {
+  it('banks and turns right on right roll input', () => {
+    const glider = new Glider();
+
+    fly(glider, 0.5, { pitch: 0, roll: 1 });
+    fly(glider, 1.5);
+
+    assert.ok(glider.roll < 0, 'right wing down');
+    assert.ok(glider.position.x > 0, `x ${glider.position.x}`);
+  });
+
+  it('yaws away from the roll at first (adverse yaw)', () => {
+    const glider = new Glider();
+
+    glider.tick({ pitch: 0, roll: 1 }, TIMESTEP);
+
+    assert.ok(glider.yaw > 0, 'nose swings left while rolling right');
+  });
+
+  it('yaws with the rudder, slipping and bending the path', () => {
+    const glider = new Glider();
+
+    fly(glider, 1, { pitch: 0, roll: 0, yaw: 1 });
+
+    assert.ok(glider.yaw < 0, 'nose right');
+    assert.ok(glider.sideslip > 0, 'moving left of the nose');
+    assert.ok(glider.position.x > 0, 'path bends right');
+  });
+
+  it('weathercocks back into the airflow without rudder', () => {
+    const glider = new Glider();
+    fly(glider, 1, { pitch: 0, roll: 0, yaw: 1 });
+    const slip = Math.abs(glider.sideslip);
+
+    fly(glider, 2);
+
+    assert.ok(Math.abs(glider.sideslip) < slip / 4);
+  });
+
+  it('adds drag with airbrakes and sideslip', () => {
+    const energy = glider => glider.getSpeed() ** 2 / 2 + glider.gravity * glider.getAltitude();
+    const clean = new Glider();
+    const braked = new Glider();
+    const slipping = new Glider();
+
+    fly(clean, 2);
+    fly(braked, 2, { pitch: 0, roll: 0, airbrake: 1 });
+    fly(slipping, 2, { pitch: 0, roll: 0, yaw: 1 });
+
+    assert.equal(braked.airbrake, 1);
+    assert.ok(energy(braked) < energy(clean));
+    assert.ok(energy(slipping) < energy(clean));
+  });
+
+  it('steepens the glide with airbrakes out', () => {
+    const glider = new Glider();
+    const clean = glider.getBestGlide();
+
+    fly(glider, 30, { pitch: 0, roll: 0, airbrake: 1 });
+
+    assert.ok(-glider.velocity.y > clean.sinkRate * 2);
+    assert.ok(glider.getBestGlide(glider.neutralFlapSetting, 1).glideRatio < clean.glideRatio / 2);
+  });
+
+  it('steps through the flap settings and stops at the ends', () => {
+    const glider = new Glider(null, null, { aircraft: loadShippedAircraft('sailplane') });
+    assert.equal(glider.getFlapName(), 'Neutral');
+
+    for (let i = 0; i < 5; i++) glider.tick({ pitch: 0, roll: 0, flaps: 1 }, TIMESTEP);
+    assert.equal(glider.getFlapName(), 'Landing');
+
+    for (let i = 0; i < 5; i++) glider.tick({ pitch: 0, roll: 0, flaps: -1 }, TIMESTEP);
+    assert.equal(glider.getFlapName(), 'Reflex');
+
+    glider.reset();
+    assert.equal(glider.getFlapName(), 'Neutral');
+  });
+
+  it('flies slower with landing flaps and faster with reflex', () => {
+    const glider = new Glider(null, null, { aircraft: loadShippedAircraft('sailplane') });
+    const landing = glider.flapSettings.length - 1;
+    const speeds = [35, 50];
+
+    assert.ok(glider.getStallSpeed(landing) < glider.getStallSpeed() * 0.9);
+
+    // Reflex has the better glide at high speed
+    const [neutralFast] = glider.getGlidePolar(speeds.slice(1));
+    const [reflexFast] = glider.getGlidePolar(speeds.slice(1), 0);
+    assert.ok(reflexFast.glideRatio > neutralFast.glideRatio);
+  });
+
+  it('stalls at a higher speed with spoilers out', () => {
+    const glider = new Glider();
+    const speed = glider.getStallSpeed() + 1;
+
+    assert.ok(glider.getStallSpeed(glider.neutralFlapSetting, 1) > speed);
+    assert.equal(glider.getGlidePolar([speed], glider.neutralFlapSetting, 1).length, 0);
+    assert.equal(glider.getGlidePolar([speed]).length, 1);
+  });
+
+  it('ignores airbrake input on aircraft without airbrakes', () => {
+    const glider = new Glider(null, null, { aircraft: loadShippedAircraft('hang_glider') });
+
+    glider.tick({ pitch: 0, roll: 0, airbrake: 1 }, TIMESTEP);
+
+    assert.equal(glider.airbrake, 0);
+  });
+});
+
+describe('Glider landing', () => {
+  // Glide in from low over flat ground, wings level
+  async function landOnFlatGround(input = NEUTRAL) {
+    const terrain = await createFlatTerrain(100);
+    const glider = new Glider(terrain, null, { spawn: { altitudeAboveGround: 20 } });
+    let touchdownPosition = null;
+
+    for (let i = 0; i < 120 / TIMESTEP && !glider.crashed && !glider.landed; i++) {
+      glider.tick(input, TIMESTEP);
+      if (glider.onGround && !touchdownPosition) {
+        touchdownPosition = glider.position.clone();
+      }
+    }
+
+    return { glider, rollOut: touchdownPosition.distanceTo(glider.position) };
+  }
+
+  it('touches down, rolls out and stops', async () => {
+    const { glider, rollOut } = await landOnFlatGround();
+
+    assert.equal(glider.crashed, false);
+    assert.equal(glider.landed, true);
+    assert.equal(glider.getAltitude(), 100);
+    assert.equal(glider.touchdown.safe, true);
+    assert.ok(glider.touchdown.score > 80, `score ${glider.touchdown.score}`);
+    assert.ok(rollOut > 20);
+
+    // A landed glider stays put
+    const position = glider.position.clone();
+    glider.tick({ pitch: 1, roll: 0 }, TIMESTEP);
+    assert.deepEqual(glider.position, position);
+  });
+
+  it('stops shorter with the wheel brake', async () => {
+    const free = await landOnFlatGround();
+    const braked = await landOnFlatGround({ pitch: 0, roll: 0, airbrake: 1 });
+
+    assert.equal(braked.glider.landed, true);
+    assert.ok(braked.rollOut < free.rollOut / 2);
+  });
+
+  it('crashes into terrain too steep to land on', async () => {
+    // Rises 1900 m over 4 km toward the east (~25°)
+    const terrain = new HeightArrayTerrainProvider({
+      heights: [100, 2000, 100, 2000],
+      dataWidth: 2,
+      dataHeight: 2,
+      width: 4000,
+      depth: 4000
+    });
+    await terrain.init();
+    const glider = new Glider(terrain, null, { spawn: { altitudeAboveGround: 50, heading: Math.PI / 2 } });
+
+    fly(glider, 30);
+
+    assert.equal(glider.crashed, true);
+    assert.match(glider.touchdown.reason, /steep/);
+  });
+
+  it('lifts off again when pulled up during the roll', async () => {
+    const terrain = await createFlatTerrain(100);
+    const glider = new Glider(terrain, null, { spawn: { altitudeAboveGround: 20 } });
+    while (!glider.onGround) glider.tick(NEUTRAL, TIMESTEP);
+
+    fly(glider, 1, { pitch: 0.5, roll: 0 });
+
+    assert.equal(glider.onGround, false);
+    assert.ok(glider.getAltitude() > 100.3);
+  });
+
+  it('lines up for a ground launch at the landing spot', async () => {
+    const { glider } = await landOnFlatGround();
+    const spot = glider.position.clone();
+    const yaw = glider.yaw;
+
+    glider.relaunch();
+
+    assert.equal(glider.landed, false);
+    assert.equal(glider.touchdown, null);
+    assert.equal(glider.onGround, true);
+    assert.equal(glider.position.x, spot.x);
+    assert.equal(glider.position.z, spot.z);
+    assert.equal(glider.getAltitude(), 100);
+    assert.equal(glider.getSpeed(), 0);
+    assert.equal(glider.yaw, yaw);
+
+    glider.reset();
+    assert.equal(glider.position.x, glider.spawnX);
+  });
+});
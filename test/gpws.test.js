@@ -0,0 +1,170 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import { HeightArrayTerrainProvider } from '../src/HeightArrayTerrainProvider.js';
+import {
+  predictTerrainImpact, getTerrainAlert, GroundProximityWarning, TERRAIN_TIME
+} from '../src/GroundProximity.js';
+import { analyzeCrash, describeCrash } from '../src/CrashReport.js';
+
+// Flat at 0 m north of z = -1333, rising 0.75 m per m to 2000 m at z = 1333
+async function createRidge() {
+  const terrain = new HeightArrayTerrainProvider({
+    heights: [0, 0, 0, 0, 0, 0, 0, 0, 2000, 2000, 2000, 2000, 2000, 2000, 2000, 2000],
+    dataWidth: 4,
+    dataHeight: 4,
+    width: 8000,
+    depth: 8000
+  });
+  await terrain.init();
+  return terrain;
+}
+
+// Just what the look-ahead reads: position and velocity over the ground
+function createGlider(position, velocity) {
+  return {
+    position: new THREE.Vector3(...position),
+    velocity: new THREE.Vector3(...velocity),
+    airVelocity: new THREE.Vector3()
+  };
+}
+
+describe('predictTerrainImpact', () => {
+  it('finds rising terrain along the flight path', async () => {
+    const terrain = await createRidge();
+    // Heading south at 25 m/s, sinking 1 m/s, 125 m above the slope
+    const impact = predictTerrainImpact(createGlider([0, 1050, -100], [0, -1, 25]), terrain);
+
+    assert.ok(impact.time > 5 && impact.time < 8, `impact in ${impact.time.toFixed(1)} s`);
+    assert.ok(Math.abs(impact.y - terrain.getHeightAt(impact.x, impact.z)) < 1e-9);
+    assert.ok(Math.abs(impact.slope - Math.atan(0.75)) < 0.01);
+    assert.equal(impact.verticalSpeed, 1);
+    assert.equal(impact.speed, 25);
+  });
+
+  it('includes the wind in the path', async () => {
+    const terrain = await createRidge();
+    const glider = createGlider([0, 1050, -100], [0, -1, 0]);
+    assert.equal(predictTerrainImpact(glider, terrain), null);
+
+    glider.airVelocity.set(0, 0, 25);
+    assert.ok(predictTerrainImpact(glider, terrain));
+  });
+
+  it('stays clear flying away from the slope', async () => {
+    const terrain = await createRidge();
+    assert.equal(predictTerrainImpact(createGlider([0, 1050, -100], [0, -1, -25]), terrain), null);
+  });
+});
+
+describe('getTerrainAlert', () => {
+  const impact = { time: 10, x: 0, y: 0, z: 0, slope: 0, verticalSpeed: 1, speed: 20 };
+
+  it('stays quiet for an approach that would make a safe landing', () => {
+    assert.equal(getTerrainAlert(impact), null);
+  });
+
+  it('cautions, then warns, as an unsafe impact gets closer', () => {
+    const steep = { ...impact, slope: 0.6 };
+    assert.equal(getTerrainAlert(steep), 'terrain');
+    assert.equal(getTerrainAlert({ ...steep, time: 4 }), 'pullUp');
+    assert.equal(getTerrainAlert({ ...impact, verticalSpeed: 8, time: 4 }), 'pullUp');
+    assert.equal(getTerrainAlert({ ...steep, time: TERRAIN_TIME + 1 }), null);
+    assert.equal(getTerrainAlert(null), null);
+  });
+});
+
+describe('GroundProximityWarning', () => {
+  before(() => {
+    globalThis.window = { addEventListener() {}, removeEventListener() {} };
+    globalThis.document = { getElementById: () => null };
+  });
+
+  after(() => {
+    delete globalThis.window;
+    delete globalThis.document;
+  });
+
+  it('warns on the way into a slope and records how much warning it gave', async () => {
+    const terrain = await createRidge();
+    const warning = new GroundProximityWarning();
+    const glider = {
+      ...createGlider([0, 1050, -100], [0, -1, 25]),
+      onGround: false,
+      towed: false,
+      landed: false,
+      crashed: false,
+      flightTime: 100
+    };
+
+    warning.update(glider, terrain, 0.1);
+    assert.equal(warning.alert, 'terrain');
+
+    glider.position.z += 75;
+    glider.flightTime = 103;
+    warning.update(glider, terrain, 0.1);
+    assert.equal(warning.alert, 'pullUp');
+
+    assert.deepEqual(warning.getWarningBefore(106), { alert: 'pullUp', warning: 6 });
+    assert.equal(warning.getWarningBefore(99), null);
+
+    // Clear of the slope, the spell ends
+    glider.velocity.set(0, 0, -25);
+    glider.flightTime = 104;
+    warning.update(glider, terrain, 0.1);
+    assert.equal(warning.alert, null);
+    assert.equal(warning.getWarningBefore(110), null);
+
+    warning.reset();
+    assert.deepEqual(warning.history, []);
+  });
+});
+
+describe('analyzeCrash', () => {
+  // South at 25 m/s, level at 900 m, into the slope
+  function createFlight() {
+    const snapshots = [];
+    for (let time = 0; time <= 10.5; time += 0.5) {
+      snapshots.push([time, 0, 900, -400 + time * 25, 0, 0, 0, 1, 0, 0, 25]);
+    }
+    return { duration: 10.5, snapshots };
+  }
+
+  it('describes the impact, the ground and the warning', async () => {
+    const terrain = await createRidge();
+    const flight = createFlight();
+    const glider = {
+      stalled: false,
+      touchdown: { verticalSpeed: 2, speed: 25, slope: 0.64, bank: -0.1, reason: 'Terrain too steep' }
+    };
+
+    const report = analyzeCrash(flight, glider, terrain, { alert: 'pullUp', warning: 3 });
+
+    assert.equal(report.reason, 'Terrain too steep');
+    assert.equal(report.path.length, 21);
+    assert.equal(report.path[0].time, -10);
+    assert.equal(report.path[20].time, 0);
+    assert.equal(report.path[0].ground, terrain.getHeightAt(0, -387.5));
+    assert.ok(report.terrainRise > 100);
+    assert.ok(Math.abs(report.surfaceAngle - Math.atan(0.75)) < 0.01, 'flew level into the slope');
+    assert.equal(report.bank, 0.1);
+    assert.match(report.advice, /rose into your path/);
+
+    const lines = describeCrash(report);
+    assert.match(lines[0], /^Impact at 90 km\/h/);
+    assert.match(lines[1], /37° slope, rose \d+ m/);
+    assert.equal(lines[2], 'Warning: PULL UP 3.0 s before impact');
+    assert.equal(lines[3], report.advice);
+  });
+
+  it('blames a stall first, and says when there was no warning', async () => {
+    const terrain = await createRidge();
+    const report = analyzeCrash(createFlight(), {
+      stalled: true,
+      touchdown: { verticalSpeed: 6, speed: 15, slope: 0, bank: 0, reason: 'Hit the ground too hard' }
+    }, terrain);
+
+    assert.match(report.advice, /stalled/);
+    assert.equal(describeCrash(report)[2], 'No terrain warning before impact');
+  });
+});
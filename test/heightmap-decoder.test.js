@@ -0,0 +1,140 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  decodePNG,
+  grayscaleToHeights,
+  terrainRGBToHeights,
+  decodeRawHeightmap
+} from '../src/HeightmapDecoder.js';
+import { LocalTerrainProvider } from '../src/LocalTerrainProvider.js';
+import { encodePNG } from './helpers/png.js';
+
+function encodeRaw(header, samples) {
+  const json = Buffer.from(JSON.stringify(header));
+  const sampleSize = header.type === 'float32' ? 4 : 2;
+  const buffer = Buffer.alloc(4 + json.length + samples.length * sampleSize);
+  buffer.writeUInt32LE(json.length, 0);
+  json.copy(buffer, 4);
+  samples.forEach((sample, i) => {
+    const offset = 4 + json.length + i * sampleSize;
+    if (header.type === 'float32') {
+      buffer.writeFloatLE(sample, offset);
+    } else {
+      buffer.writeInt16LE(sample, offset);
+    }
+  });
+  return buffer.buffer.slice(buffer.byteOffset, buffer.byteOffset + buffer.byteLength);
+}
+
+// Serves a prepared buffer instead of fetching the heightmap
+class BufferTerrainProvider extends LocalTerrainProvider {
+  constructor(buffer, options) {
+    super(options);
+    this.buffer = buffer;
+  }
+
+  async fetchHeightmap() {
+    return this.buffer;
+  }
+}
+
+describe('decodePNG', () => {
+  it('decodes 16-bit grayscale through every filter type', async () => {
+    const samples = Array.from({ length: 7 * 6 }, (_, i) => (i * 1543) % 65536);
+    const image = await decodePNG(encodePNG(7, 6, 1, 16, samples));
+
+    assert.equal(image.width, 7);
+    assert.equal(image.height, 6);
+    assert.equal(image.bitDepth, 16);
+    assert.deepEqual([...image.samples], samples);
+  });
+
+  it('decodes 8-bit RGBA', async () => {
+    const samples = Array.from({ length: 5 * 5 * 4 }, (_, i) => (i * 37) % 256);
+    const image = await decodePNG(encodePNG(5, 5, 4, 8, samples));
+
+    assert.equal(image.channels, 4);
+    assert.deepEqual([...image.samples], samples);
+  });
+
+  it('rejects files that are not PNGs', async () => {
+    await assert.rejects(() => decodePNG(new ArrayBuffer(16)), /Not a PNG/);
+  });
+});
+
+describe('height conversion', () => {
+  it('maps 16-bit grayscale onto the elevation range', async () => {
+    const image = await decodePNG(encodePNG(3, 1, 1, 16, [0, 32768, 65535]));
+    const heights = grayscaleToHeights(image, 100, 2100);
+
+    assert.equal(heights[0], 100);
+    assert.ok(Math.abs(heights[1] - 1100.015) < 0.01);
+    assert.equal(heights[2], 2100);
+  });
+
+  it('decodes Terrain-RGB to meters', async () => {
+    // 1000m encodes as (1000 + 10000) / 0.1 = 110000 = 0x01ADB0; 0m as 100000 = 0x0186A0
+    const image = await decodePNG(encodePNG(2, 1, 3, 8, [0x01, 0xAD, 0xB0, 0x01, 0x86, 0xA0]));
+    const heights = terrainRGBToHeights(image);
+
+    assert.ok(Math.abs(heights[0] - 1000) < 1e-3);
+    assert.ok(Math.abs(heights[1] - 0) < 1e-3);
+  });
+
+  it('decodes raw float32 and int16 grids with scale and offset', () => {
+    const float = decodeRawHeightmap(encodeRaw({ width: 2, height: 2, type: 'float32' }, [0.5, 1, 1234.25, -3]));
+    assert.deepEqual([...float.heights], [0.5, 1, 1234.25, -3]);
+
+    const int = decodeRawHeightmap(encodeRaw(
+      { width: 3, height: 1, type: 'int16', scale: 0.5, offset: 100 },
+      [-200, 0, 3000]
+    ));
+    assert.deepEqual([...int.heights], [0, 100, 1600]);
+  });
+
+  it('rejects truncated raw grids', () => {
+    const buffer = encodeRaw({ width: 4, height: 4, type: 'int16' }, [1, 2, 3]);
+    assert.throws(() => decodeRawHeightmap(buffer), /truncated/);
+  });
+});
+
+describe('LocalTerrainProvider heightmap encodings', () => {
+  it('loads a 16-bit PNG without 8-bit terracing', async () => {
+    const samples = [0, 1, 2, 3];
+    const terrain = new BufferTerrainProvider(encodePNG(4, 1, 1, 16, samples), {
+      heightmapEncoding: 'png16',
+      maxHeight: 65535,
+      width: 300,
+      depth: 100
+    });
+    await terrain.loadHeightmap();
+
+    assert.deepEqual([...terrain.heightData], [0, 1, 2, 3]);
+    assert.equal(terrain.getHeightAt(-50, 0), 1); // Second of four samples across 300m
+  });
+
+  it('loads Terrain-RGB as absolute meters', async () => {
+    const terrain = new BufferTerrainProvider(encodePNG(1, 1, 3, 8, [0x01, 0xAD, 0xB0]), {
+      heightmapEncoding: 'terrain-rgb'
+    });
+    await terrain.loadHeightmap();
+
+    assert.ok(Math.abs(terrain.heightData[0] - 1000) < 1e-3);
+  });
+
+  it('loads raw grids and checks the declared type', async () => {
+    const buffer = encodeRaw({ width: 2, height: 1, type: 'float32' }, [12.5, 99]);
+
+    const terrain = new BufferTerrainProvider(buffer, { heightmapEncoding: 'float32' });
+    await terrain.loadHeightmap();
+    assert.deepEqual([...terrain.heightData], [12.5, 99]);
+    assert.equal(terrain.heightDataWidth, 2);
+
+    const mismatched = new BufferTerrainProvider(buffer, { heightmapEncoding: 'int16' });
+    await assert.rejects(() => mismatched.loadHeightmap(), /expected int16/);
+  });
+
+  it('rejects unknown encodings', () => {
+    assert.throws(() => new LocalTerrainProvider({ heightmapEncoding: 'jpeg' }), /Unknown heightmap encoding/);
+  });
+});
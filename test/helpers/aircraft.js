@@ -0,0 +1,8 @@
+import { readFileSync } from 'node:fs';
+import { normalizeAircraftProfile } from '../../src/AircraftProfile.js';
+
+// Normalized profile of one of the aircraft shipped in public/aircraft
+export function loadShippedAircraft(id) {
+  const url = new URL(`../../public/aircraft/${id}.json`, import.meta.url);
+  return normalizeAircraftProfile(JSON.parse(readFileSync(url, 'utf8')), id);
+}
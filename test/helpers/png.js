@@ -0,0 +1,68 @@
+import { deflateSync } from 'node:zlib';
+
+// Minimal PNG encoder; cycles through all five filter types row by row
+export function encodePNG(width, height, channels, bitDepth, samples) {
+  const colorType = { 1: 0, 2: 4, 3: 2, 4: 6 }[channels];
+  const bytesPerPixel = channels * bitDepth / 8;
+  const stride = width * bytesPerPixel;
+
+  const pixels = new Uint8Array(stride * height);
+  samples.forEach((sample, i) => {
+    if (bitDepth === 16) {
+      pixels[i * 2] = sample >> 8;
+      pixels[i * 2 + 1] = sample & 0xFF;
+    } else {
+      pixels[i] = sample;
+    }
+  });
+
+  const filtered = new Uint8Array((stride + 1) * height);
+  for (let y = 0; y < height; y++) {
+    const filter = y % 5;
+    filtered[y * (stride + 1)] = filter;
+    for (let x = 0; x < stride; x++) {
+      const value = pixels[y * stride + x];
+      const left = x >= bytesPerPixel ? pixels[y * stride + x - bytesPerPixel] : 0;
+      const up = y > 0 ? pixels[(y - 1) * stride + x] : 0;
+      const upLeft = y > 0 && x >= bytesPerPixel ? pixels[(y - 1) * stride + x - bytesPerPixel] : 0;
+      const predictor = [
+        0,
+        left,
+        up,
+        (left + up) >> 1,
+        paeth(left, up, upLeft)
+      ][filter];
+      filtered[y * (stride + 1) + 1 + x] = (value - predictor) & 0xFF;
+    }
+  }
+
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(height, 4);
+  header[8] = bitDepth;
+  header[9] = colorType;
+
+  const buffer = Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]),
+    chunk('IHDR', header),
+    chunk('IDAT', deflateSync(filtered)),
+    chunk('IEND', Buffer.alloc(0))
+  ]);
+  return buffer.buffer.slice(buffer.byteOffset, buffer.byteOffset + buffer.byteLength);
+}
+
+function chunk(type, data) {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  return Buffer.concat([length, Buffer.from(type, 'ascii'), data, Buffer.alloc(4)]); // CRC unchecked
+}
+
+function paeth(a, b, c) {
+  const p = a + b - c;
+  const pa = Math.abs(p - a);
+  const pb = Math.abs(p - b);
+  const pc = Math.abs(p - c);
+  if (pa <= pb && pa <= pc) return a;
+  if (pb <= pc) return b;
+  return c;
+}
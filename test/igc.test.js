@@ -0,0 +1,103 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { GeoReference } from '../src/GeoReference.js';
+import { exportIGC, parseIGC, fixesToLocal } from '../src/IGC.js';
+
+const geoReference = new GeoReference({ latitude: 36.0544, longitude: -112.1401, altitudeOffset: 600 });
+
+// Minimal recorded flight: [time, px, py, pz, qx, qy, qz, qw, vx, vy, vz]
+const flight = {
+  startedAt: '2026-07-04T23:59:58.000Z',
+  snapshots: [
+    [0, 0, 1000, 0, 0, 0, 0, 1, 0, 0, -20],
+    [1, 0, 999, -20, 0, 0, 0, 1, 0, 0, -20],
+    [2, 10, 998, -40, 0, 0, 0, 1, 0, 0, -20],
+    [3, 20, 997, -60, 0, 0, 0, 1, 0, 0, -20]
+  ]
+};
+
+describe('GeoReference', () => {
+  it('round-trips local coordinates through lat/lon', () => {
+    const { lat, lon } = geoReference.toLatLon(1234, -567);
+    const { x, z } = geoReference.toLocal(lat, lon);
+
+    assert.ok(Math.abs(x - 1234) < 1e-6);
+    assert.ok(Math.abs(z + 567) < 1e-6);
+  });
+
+  it('puts north at -Z and east at +X', () => {
+    const north = geoReference.toLatLon(0, -1000);
+    const east = geoReference.toLatLon(1000, 0);
+
+    assert.ok(north.lat > geoReference.latitude);
+    assert.ok(east.lon > geoReference.longitude);
+  });
+});
+
+describe('IGC export', () => {
+  it('writes headers and one B-record per second', () => {
+    const igc = exportIGC(flight, geoReference, { pilot: 'Test Pilot' });
+    const lines = igc.trim().split('\r\n');
+
+    assert.ok(lines[0].startsWith('A'));
+    assert.ok(lines.includes('HFDTEDATE:040726,01'));
+    assert.ok(lines.includes('HFPLTPILOTINCHARGE:Test Pilot'));
+
+    const bRecords = lines.filter(line => line.startsWith('B'));
+    assert.equal(bRecords.length, 4);
+    assert.equal(bRecords[0].length, 35);
+    assert.equal(bRecords[0], 'B2359583603264N11208406WA0160001600');
+  });
+
+  it('round-trips through the parser', () => {
+    const { date, fixes } = parseIGC(exportIGC(flight, geoReference));
+    const points = fixesToLocal(fixes, geoReference);
+
+    assert.equal(date.toISOString().slice(0, 10), '2026-07-04');
+    assert.equal(points.length, 4);
+    points.forEach((point, i) => {
+      const [, x, y, z] = flight.snapshots[i];
+      // IGC stores thousandths of a minute (~2m) and whole meters of altitude
+      assert.ok(Math.abs(point.x - x) < 2, `x ${point.x} vs ${x}`);
+      assert.ok(Math.abs(point.z - z) < 2, `z ${point.z} vs ${z}`);
+      assert.ok(Math.abs(point.y - y) <= 0.5);
+    });
+  });
+
+  it('keeps time increasing across midnight', () => {
+    const { fixes } = parseIGC(exportIGC(flight, geoReference));
+    const times = fixes.map(fix => fix.time);
+
+    assert.deepEqual(times, [86398, 86399, 86400, 86401]);
+  });
+});
+
+describe('IGC import', () => {
+  it('parses southern/western coordinates and the short date header', () => {
+    const text = [
+      'AXXX001',
+      'HFDTE150325',
+      'B1200003330000S07030500WA0120001250',
+      'LXXX comment line',
+      'B1200013330100S07030600WV-001000000'
+    ].join('\n');
+
+    const { date, fixes } = parseIGC(text);
+
+    assert.equal(date.toISOString().slice(0, 10), '2025-03-15');
+    assert.equal(fixes.length, 2);
+    assert.ok(Math.abs(fixes[0].lat - -33.5) < 1e-9);
+    assert.ok(Math.abs(fixes[0].lon - -70.508333333) < 1e-6);
+    assert.equal(fixes[0].pressureAltitude, 1200);
+    assert.equal(fixes[0].gpsAltitude, 1250);
+    assert.equal(fixes[1].valid, false);
+    assert.equal(fixes[1].pressureAltitude, -10);
+  });
+
+  it('falls back to pressure altitude when GNSS altitude is missing', () => {
+    const { fixes } = parseIGC('B1200013330100S07030600WA0150000000');
+    const [point] = fixesToLocal(fixes, geoReference);
+
+    assert.equal(point.y, 1500 - 600);
+  });
+});
@@ -0,0 +1,123 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import { getFlightReadings } from '../src/InstrumentPanel.js';
+import { getVarioTone } from '../src/VarioAudio.js';
+import { GlideComputer } from '../src/GlideComputer.js';
+
+const TIMESTEP = 1 / 60;
+const FLAT = { getHeightAt: () => 100 };
+
+// Gliding north at 30 m/s through the air, sinking 1 m/s
+function createGlider(options = {}) {
+  return {
+    position: new THREE.Vector3(0, options.altitude ?? 1100, 0),
+    velocity: new THREE.Vector3(0, -1, -30),
+    airVelocity: options.wind || new THREE.Vector3(),
+    onGround: false,
+    towed: false,
+    getVerticalSpeed() {
+      return this.velocity.y + this.airVelocity.y;
+    },
+    getBestGlide: () => ({ glideRatio: 35 })
+  };
+}
+
+function fly(computer, glider, seconds) {
+  for (let i = 0; i < seconds / TIMESTEP; i++) computer.update(glider, TIMESTEP);
+}
+
+describe('getFlightReadings', () => {
+  it('reads attitude and heading off the rotation', () => {
+    const rotation = new THREE.Quaternion().setFromEuler(new THREE.Euler(0.1, -Math.PI / 2, -0.3, 'YXZ'));
+    const glider = {
+      renderPosition: new THREE.Vector3(0, 400, 0),
+      renderRotation: rotation,
+      getVerticalSpeed: () => 1.5
+    };
+    const readings = getFlightReadings(glider, FLAT);
+
+    assert.ok(Math.abs(readings.pitch - 0.1) < 1e-9);
+    assert.ok(Math.abs(readings.bank - 0.3) < 1e-9, 'right wing down reads as a right bank');
+    assert.ok(Math.abs(readings.heading - Math.PI / 2) < 1e-9, 'facing east');
+    assert.equal(readings.verticalSpeed, 1.5);
+    assert.equal(readings.heightAboveGround, 300);
+  });
+});
+
+describe('getVarioTone', () => {
+  it('beeps faster and higher the stronger the climb', () => {
+    const weak = getVarioTone(0.5);
+    const strong = getVarioTone(4);
+    assert.ok(strong.frequency > weak.frequency);
+    assert.ok(strong.period < weak.period && strong.period > 0);
+  });
+
+  it('drones in strong sink and keeps quiet in between', () => {
+    assert.equal(getVarioTone(-0.8), null);
+    const sink = getVarioTone(-4);
+    assert.equal(sink.period, 0);
+    assert.ok(sink.frequency < getVarioTone(-2).frequency);
+  });
+});
+
+describe('GlideComputer', () => {
+  it('averages the glide ratio flown over the ground', () => {
+    const computer = new GlideComputer();
+    fly(computer, createGlider(), 30);
+    assert.ok(Math.abs(computer.getGlideRatio() - 30) < 0.01);
+
+    const tailwind = new GlideComputer();
+    fly(tailwind, createGlider({ wind: new THREE.Vector3(0, 0, -10) }), 30);
+    assert.ok(Math.abs(tailwind.getGlideRatio() - 40) < 0.01);
+  });
+
+  it('falls back on the best glide while climbing', () => {
+    const computer = new GlideComputer();
+    computer.setTargets([{ name: 'Home', x: 0, z: 10000 }]);
+    const glider = createGlider({ wind: new THREE.Vector3(0, 3, 0) });
+    fly(computer, glider, 10);
+
+    assert.equal(computer.getGlideRatio(), null);
+    const estimate = computer.estimate(glider, FLAT);
+    assert.equal(estimate.glideRatio, 35);
+    assert.equal(estimate.averaged, false);
+  });
+
+  it('works out the height to spare at the target', () => {
+    const computer = new GlideComputer();
+    computer.setTargets([{ name: 'Home', x: 0, z: 15000 }]);
+    const glider = createGlider();
+    fly(computer, glider, 30);
+
+    // 1000m above the target's ground, 15km at 30:1 takes 500m
+    const estimate = computer.estimate(glider, FLAT);
+    assert.equal(estimate.distance, 15000);
+    assert.ok(Math.abs(estimate.bearing - Math.PI) < 1e-9);
+    assert.ok(Math.abs(estimate.arrivalHeight - 500) < 1);
+    assert.ok(Math.abs(estimate.requiredGlideRatio - 15000 / 900) < 0.01);
+    assert.equal(estimate.reachable, true);
+
+    glider.position.y = 650;
+    const low = computer.estimate(glider, FLAT);
+    assert.ok(low.arrivalHeight < 100);
+    assert.equal(low.reachable, false);
+
+    glider.position.y = 150;
+    assert.equal(computer.estimate(glider, FLAT).requiredGlideRatio, Infinity);
+  });
+
+  it('cycles targets and keeps the selection when they change', () => {
+    const computer = new GlideComputer();
+    assert.equal(computer.estimate(createGlider(), FLAT), null);
+
+    computer.setTargets([{ name: 'Home', x: 0, z: 0 }, { name: 'TP1', x: 0, z: 0 }]);
+    computer.cycleTarget();
+    assert.equal(computer.getTarget().name, 'TP1');
+
+    computer.setTargets([{ name: 'Home', x: 0, z: 0 }, { name: 'Start', x: 0, z: 0 }, { name: 'TP1', x: 0, z: 0 }]);
+    assert.equal(computer.getTarget().name, 'TP1');
+    computer.cycleTarget();
+    assert.equal(computer.getTarget().name, 'Home');
+  });
+});
@@ -0,0 +1,44 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { evaluateTouchdown, LANDING_LIMITS } from '../src/Landing.js';
+
+const GREASER = { verticalSpeed: 0.4, bank: 0, pitch: 0.05, slope: 0, speed: 20 };
+
+describe('evaluateTouchdown', () => {
+  it('gives a gentle, level touchdown on flat ground full marks', () => {
+    const result = evaluateTouchdown(GREASER);
+
+    assert.equal(result.safe, true);
+    assert.equal(result.reason, null);
+    assert.equal(result.score, 100);
+    assert.equal(result.speed, 20);
+  });
+
+  it('takes points off on the way to each limit', () => {
+    const firm = evaluateTouchdown({ ...GREASER, verticalSpeed: 2 });
+    const banked = evaluateTouchdown({ ...GREASER, bank: -0.13 });
+    const sloped = evaluateTouchdown({ ...GREASER, slope: 0.175 });
+
+    assert.equal(firm.safe, true);
+    assert.equal(firm.score, 76);
+    assert.equal(banked.score, 90);
+    assert.equal(sloped.score, 90);
+  });
+
+  it('turns a touchdown past any limit into a crash', () => {
+    const cases = [
+      [{ slope: LANDING_LIMITS.maxSlope + 0.1 }, /steep/],
+      [{ verticalSpeed: LANDING_LIMITS.maxVerticalSpeed + 0.5 }, /hard/],
+      [{ bank: -(LANDING_LIMITS.maxBank + 0.1) }, /Wingtip/],
+      [{ pitch: -(LANDING_LIMITS.maxNoseDown + 0.05) }, /Nose/],
+      [{ pitch: LANDING_LIMITS.maxNoseUp + 0.05 }, /Tail/]
+    ];
+
+    for (const [change, reason] of cases) {
+      const result = evaluateTouchdown({ ...GREASER, ...change });
+      assert.equal(result.safe, false);
+      assert.equal(result.score, 0);
+      assert.match(result.reason, reason);
+    }
+  });
+});
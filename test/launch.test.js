@@ -0,0 +1,205 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { Glider } from '../src/Glider.js';
+import { TowPlane } from '../src/TowPlane.js';
+import { Aerotow } from '../src/Aerotow.js';
+import { WinchLaunch } from '../src/WinchLaunch.js';
+import { HeightArrayTerrainProvider } from '../src/HeightArrayTerrainProvider.js';
+
+const TIMESTEP = 1 / 60;
+const SITE = { x: 0, z: 3000, heading: 0 };
+
+// Flat terrain 100m up, 8km x 8km
+async function createFlatTerrain() {
+  const terrain = new HeightArrayTerrainProvider({
+    heights: new Array(16).fill(100),
+    dataWidth: 4,
+    dataHeight: 4,
+    width: 8000,
+    depth: 8000
+  });
+  await terrain.init();
+  return terrain;
+}
+
+async function lineUp() {
+  const terrain = await createFlatTerrain();
+  const glider = new Glider(terrain);
+  glider.reset({ ...SITE, onGround: true });
+  return { terrain, glider };
+}
+
+// Holds the nose at a pitch once flying speed is reached, wings level
+function pilot(glider, climbPitch) {
+  const target = glider.getSpeed() > 25 ? climbPitch : 0;
+  return {
+    pitch: Math.max(-1, Math.min(1, (target - glider.pitch) * 4)),
+    roll: Math.max(-1, Math.min(1, glider.roll * 3))
+  };
+}
+
+function fly(glider, launch, seconds, climbPitch) {
+  for (let i = 0; i < seconds / TIMESTEP && !glider.crashed && !glider.landed; i++) {
+    launch.update(glider, TIMESTEP);
+    glider.tick(pilot(glider, climbPitch), TIMESTEP);
+  }
+}
+
+describe('Ground start', () => {
+  it('waits at rest on the ground while the launch is attached', async () => {
+    const { terrain, glider } = await lineUp();
+    const winch = new WinchLaunch(terrain, SITE, { rampTime: 1e9 });
+
+    fly(glider, winch, 0.5, 0);
+
+    assert.equal(glider.onGround, true);
+    assert.equal(glider.landed, false);
+    assert.equal(glider.getAltitude(), 100);
+  });
+
+  it('counts as landed without a launch to pull it', async () => {
+    const { glider } = await lineUp();
+    glider.tick({ pitch: 0, roll: 0 }, TIMESTEP);
+    assert.equal(glider.landed, true);
+  });
+});
+
+describe('TowPlane', () => {
+  it('takes off along the launch heading and climbs', async () => {
+    const terrain = await createFlatTerrain();
+    const towPlane = new TowPlane(terrain, SITE);
+
+    for (let i = 0; i < 10 / TIMESTEP; i++) towPlane.update(TIMESTEP);
+    assert.equal(towPlane.onGround, true);
+    assert.equal(towPlane.position.y, 100);
+    assert.ok(towPlane.position.z < SITE.z - 100);
+    assert.ok(Math.abs(towPlane.position.x) < 1e-6);
+
+    for (let i = 0; i < 20 / TIMESTEP; i++) towPlane.update(TIMESTEP);
+    assert.equal(towPlane.onGround, false);
+    assert.ok(towPlane.position.y > 140);
+  });
+
+  it('climbs harder to clear terrain ahead', async () => {
+    const terrain = new HeightArrayTerrainProvider({
+      heights: [500, 500, 0, 0],
+      dataWidth: 2,
+      dataHeight: 2,
+      width: 8000,
+      depth: 8000
+    });
+    await terrain.init();
+    const towPlane = new TowPlane(terrain, { x: 0, z: 0, heading: 0 }, { straightTime: Infinity });
+    towPlane.onGround = false;
+    towPlane.speed = towPlane.climbSpeed;
+    towPlane.position.y = terrain.getHeightAt(0, 0) + 20;
+
+    towPlane.update(TIMESTEP);
+    assert.equal(towPlane.velocity.y, towPlane.maxClimbRate);
+  });
+
+  it('turns back before the map edge', async () => {
+    const terrain = await createFlatTerrain();
+    const towPlane = new TowPlane(terrain, { x: 0, z: -3300, heading: 0 });
+    towPlane.onGround = false;
+    towPlane.speed = towPlane.climbSpeed;
+
+    for (let i = 0; i < 60 / TIMESTEP; i++) towPlane.update(TIMESTEP);
+    assert.ok(towPlane.position.z > -4000);
+  });
+});
+
+describe('Aerotow', () => {
+  it('pulls the glider off the ground and up behind the tow plane', async () => {
+    const { terrain, glider } = await lineUp();
+    const aerotow = new Aerotow(terrain, SITE);
+
+    fly(glider, aerotow, 60, 0.12);
+
+    assert.equal(glider.crashed, false);
+    assert.equal(aerotow.isAttached(), true);
+    assert.equal(glider.onGround, false);
+    assert.equal(glider.towed, true);
+    assert.ok(glider.getAltitude() > 200, `altitude ${glider.getAltitude()}`);
+    assert.ok(glider.position.distanceTo(aerotow.towPlane.position) < aerotow.ropeLength + 10);
+    assert.match(aerotow.getStatus(glider), /On tow/);
+  });
+
+  it('lets the glider go on release', async () => {
+    const { terrain, glider } = await lineUp();
+    const aerotow = new Aerotow(terrain, SITE);
+    fly(glider, aerotow, 90, 0.12);
+
+    aerotow.release(glider);
+    const velocity = glider.velocity.clone();
+    aerotow.update(glider, TIMESTEP);
+
+    assert.equal(aerotow.isAttached(), false);
+    assert.equal(glider.towed, false);
+    assert.equal(aerotow.towPlane.released, true);
+    assert.deepEqual(glider.velocity, velocity);
+    assert.equal(aerotow.getCable(), null);
+    assert.equal(aerotow.getStatus(glider), null);
+
+    // The tow plane peels off and descends
+    const height = aerotow.towPlane.position.y;
+    for (let i = 0; i < 10 / TIMESTEP; i++) aerotow.update(glider, TIMESTEP);
+    assert.ok(aerotow.towPlane.position.y < height);
+  });
+
+  it('breaks the weak link when the glider falls far out of position', async () => {
+    const { terrain, glider } = await lineUp();
+    const aerotow = new Aerotow(terrain, SITE);
+    fly(glider, aerotow, 60, 0.12);
+
+    glider.position.y -= 30;
+    aerotow.update(glider, TIMESTEP);
+
+    assert.equal(aerotow.broken, true);
+    assert.equal(aerotow.isAttached(), false);
+    assert.equal(aerotow.getStatus(glider), 'Rope broke!');
+  });
+});
+
+describe('WinchLaunch', () => {
+  it('climbs steeply and releases at the top', async () => {
+    const { terrain, glider } = await lineUp();
+    const winch = new WinchLaunch(terrain, SITE);
+    let maxTension = 0;
+    let released = null;
+
+    for (let i = 0; i < 60 / TIMESTEP && !glider.crashed && !released; i++) {
+      winch.update(glider, TIMESTEP);
+      glider.tick(pilot(glider, 0.6), TIMESTEP);
+      maxTension = Math.max(maxTension, winch.tension);
+      if (!winch.isAttached()) released = glider.getAltitude() - 100;
+    }
+
+    assert.equal(glider.crashed, false);
+    assert.ok(released > winch.cableLength * 0.3, `released at ${released}`);
+    assert.ok(released <= winch.releaseAltitude + 1);
+    assert.ok(maxTension <= winch.maxTension * glider.mass * glider.gravity + 1e-6);
+    assert.equal(glider.towed, false);
+    assert.equal(winch.getCable(), null);
+  });
+
+  it('releases at the release altitude', async () => {
+    const { terrain, glider } = await lineUp();
+    const winch = new WinchLaunch(terrain, SITE, { releaseAltitude: 50 });
+
+    glider.position.y = 151;
+    winch.update(glider, TIMESTEP);
+
+    assert.equal(winch.isAttached(), false);
+  });
+
+  it('eases off above the target speed', async () => {
+    const { terrain, glider } = await lineUp();
+    const winch = new WinchLaunch(terrain, SITE, { rampTime: 0 });
+    glider.velocity.set(0, 0, -glider.getStallSpeed() * winch.speedMargin - winch.easeOff - 1);
+
+    winch.update(glider, TIMESTEP);
+
+    assert.equal(winch.tension, 0);
+  });
+});
@@ -0,0 +1,91 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { normalizeManifest } from '../src/MapManifest.js';
+
+describe('normalizeManifest', () => {
+  it('resolves asset paths relative to the map directory', () => {
+    const map = normalizeManifest({
+      heightmap: 'height.png',
+      colorMap: '/shared/color.png',
+      width: 1000,
+      depth: 800,
+      maxHeight: 500
+    }, 'test_map');
+
+    assert.equal(map.id, 'test_map');
+    assert.equal(map.name, 'test_map');
+    assert.equal(map.heightmapPath, '/maps/test_map/height.png');
+    assert.equal(map.colorMapPath, '/shared/color.png');
+  });
+
+  it('fills in defaults and merges partial spawn and lighting', () => {
+    const map = normalizeManifest({
+      heightmap: 'height.png',
+      width: 1000,
+      depth: 800,
+      maxHeight: 500,
+      spawn: { heading: 1 },
+      lighting: { fogFar: 9000 }
+    }, 'test_map');
+
+    assert.equal(map.minHeight, 0);
+    assert.equal(map.segments, 256);
+    assert.equal(map.colorMapPath, null);
+    assert.deepEqual(map.spawn, { x: 0, z: 0, altitudeAboveGround: 1000, heading: 1 });
+    assert.equal(map.lighting.fogFar, 9000);
+    assert.equal(map.lighting.fogNear, 500);
+  });
+
+  it('launches from the spawn point unless the map has a launch site', () => {
+    const base = { heightmap: 'height.png', width: 1000, depth: 800, maxHeight: 500 };
+
+    const atSpawn = normalizeManifest({ ...base, spawn: { x: 10, z: -20, heading: 2 } }, 'test_map');
+    assert.deepEqual(atSpawn.launch, { x: 10, z: -20, heading: 2 });
+
+    const airfield = normalizeManifest({ ...base, launch: { x: 300, z: 400 } }, 'test_map');
+    assert.deepEqual(airfield.launch, { x: 300, z: 400, heading: 0 });
+  });
+
+  it('normalizes an optional competition task', () => {
+    const base = { heightmap: 'height.png', width: 1000, depth: 800, maxHeight: 500 };
+    assert.equal(normalizeManifest(base, 'test_map').task, null);
+
+    const map = normalizeManifest({
+      ...base,
+      task: { start: { x: 0, z: 0 }, turnpoints: [{ x: 0, z: -300 }], finish: { x: 0, z: 0 } }
+    }, 'test_map');
+    assert.equal(map.task.distance, 600);
+    assert.throws(() => normalizeManifest({ ...base, task: { turnpoints: [] } }, 'broken'), /broken/);
+  });
+
+  it('normalizes an optional boundary', () => {
+    const base = { heightmap: 'height.png', width: 1000, depth: 800, maxHeight: 500 };
+    assert.equal(normalizeManifest(base, 'test_map').boundary, null);
+
+    const map = normalizeManifest({
+      ...base,
+      boundary: { policy: 'wrap', points: [[-400, -300], [400, -300], { x: 0, z: 300 }] }
+    }, 'test_map');
+    assert.equal(map.boundary.policy, 'wrap');
+    assert.deepEqual(map.boundary.points[2], { x: 0, z: 300 });
+    assert.equal(map.boundary.warningDistance, 300);
+    assert.throws(() => normalizeManifest({ ...base, boundary: { points: [[0, 0], [1, 1]] } }, 'broken'), /broken/);
+    assert.throws(() => normalizeManifest({
+      ...base,
+      boundary: { policy: 'bounce', points: [[0, 0], [100, 0], [0, 100]] }
+    }, 'broken'), /policy/);
+  });
+
+  it('rejects manifests without required fields', () => {
+    assert.throws(() => normalizeManifest({ heightmap: 'h.png', width: 1, depth: 1 }, 'broken'), /maxHeight/);
+  });
+
+  it('accepts every bundled map', () => {
+    const index = JSON.parse(readFileSync(new URL('../public/maps/index.json', import.meta.url)));
+    for (const id of index.maps) {
+      const json = JSON.parse(readFileSync(new URL(`../public/maps/${id}/map.json`, import.meta.url)));
+      assert.doesNotThrow(() => normalizeManifest(json, id));
+    }
+  });
+});
@@ -0,0 +1,184 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { MapboxTerrainProvider, lonToTileX, latToTileY } from '../src/MapboxTerrainProvider.js';
+import { TileCache } from '../src/TileCache.js';
+import { getBoundingBoxSize } from '../src/GeoReference.js';
+import { normalizeManifest } from '../src/MapManifest.js';
+import { encodePNG } from './helpers/png.js';
+
+const ZOOM = 2;
+const TILE_SIZE = 8;
+
+function tileToLon(x) {
+  return x / Math.pow(2, ZOOM) * 360 - 180;
+}
+
+function tileToLat(y) {
+  const n = Math.PI - 2 * Math.PI * y / Math.pow(2, ZOOM);
+  return 180 / Math.PI * Math.atan(Math.sinh(n));
+}
+
+// Planar in global Mercator pixels, so bilinear resampling is exact
+function expectedHeight(globalX, globalY) {
+  return 1000 + globalX * 2 + globalY * 10;
+}
+
+function terrainTile(tileX, tileY) {
+  const samples = [];
+  for (let py = 0; py < TILE_SIZE; py++) {
+    for (let px = 0; px < TILE_SIZE; px++) {
+      const height = expectedHeight(tileX * TILE_SIZE + px, tileY * TILE_SIZE + py);
+      const value = Math.round((height + 10000) / 0.1);
+      samples.push((value >> 16) & 0xFF, (value >> 8) & 0xFF, value & 0xFF);
+    }
+  }
+  return encodePNG(TILE_SIZE, TILE_SIZE, 3, 8, samples);
+}
+
+// Spans parts of a 2x2 block of tiles (x 1-2, y 1-2)
+const BBOX = {
+  west: tileToLon(1.25),
+  east: tileToLon(2.5),
+  north: tileToLat(1.5),
+  south: tileToLat(2.75)
+};
+
+describe('tile math', () => {
+  it('maps lon/lat onto Web Mercator tile coordinates', () => {
+    assert.equal(lonToTileX(-180, 3), 0);
+    assert.equal(lonToTileX(0, 3), 4);
+    assert.ok(Math.abs(latToTileY(0, 3) - 4) < 1e-9);
+    assert.ok(Math.abs(latToTileY(tileToLat(1.5), ZOOM) - 1.5) < 1e-9);
+  });
+
+  it('sizes bounding boxes like GeoReference', () => {
+    const size = getBoundingBoxSize({ west: 10, east: 10.01, south: 59.995, north: 60.005 });
+    assert.ok(Math.abs(size.depth - 1113.2) < 1e-6);
+    assert.ok(Math.abs(size.width - 556.6) < 1e-6); // cos(60°) = 0.5
+  });
+});
+
+describe('MapboxTerrainProvider', () => {
+  let requested;
+  let originalFetch;
+
+  beforeEach(() => {
+    requested = [];
+    originalFetch = globalThis.fetch;
+    globalThis.fetch = async (url) => {
+      requested.push(url);
+      const match = url.match(/\/(\d+)\/(\d+)\/(\d+)\.png/);
+      const [x, y] = [Number(match[2]), Number(match[3])];
+      if (x === 3) {
+        return new Response(null, { status: 404 });
+      }
+      return new Response(terrainTile(x, y));
+    };
+  });
+
+  afterEach(() => {
+    globalThis.fetch = originalFetch;
+  });
+
+  function createTerrain(options = {}) {
+    return new MapboxTerrainProvider({
+      bbox: BBOX,
+      zoom: ZOOM,
+      terrainUrl: '/tiles/{z}/{x}/{y}.png?access_token={token}',
+      imageryUrl: null,
+      accessToken: 'secret',
+      cache: new TileCache(),
+      segments: 16,
+      ...options
+    });
+  }
+
+  it('fetches every tile covering the bounding box', async () => {
+    const terrain = createTerrain();
+    await terrain.init();
+
+    assert.deepEqual(terrain.getTileRange(), { minX: 1, maxX: 2, minY: 1, maxY: 2 });
+    assert.equal(requested.length, 4);
+    assert.ok(requested.includes('/tiles/2/2/1.png?access_token=secret'));
+    assert.ok(terrain.isReady());
+  });
+
+  it('stitches tiles into a lat/lon grid over the bounding box', async () => {
+    const terrain = createTerrain();
+    await terrain.init();
+
+    const size = getBoundingBoxSize(BBOX);
+    assert.equal(terrain.getBounds().width, size.width);
+    assert.equal(terrain.getBounds().depth, size.depth);
+
+    // Grid corners land on the bbox corners, half a pixel off the pixel centers
+    const { heightData, heightDataWidth, heightDataHeight } = terrain;
+    const north = 1.5 * TILE_SIZE - 0.5;
+    const south = 2.75 * TILE_SIZE - 0.5;
+    const west = 1.25 * TILE_SIZE - 0.5;
+    const east = 2.5 * TILE_SIZE - 0.5;
+    const last = heightDataWidth * heightDataHeight - 1;
+
+    assert.ok(Math.abs(heightData[0] - expectedHeight(west, north)) < 0.1);
+    assert.ok(Math.abs(heightData[heightDataWidth - 1] - expectedHeight(east, north)) < 0.1);
+    assert.ok(Math.abs(heightData[last] - expectedHeight(east, south)) < 0.1);
+
+    // Across the seam between tile columns 1 and 2, at the box's center row
+    const lat = tileToLat(2);
+    const lon = tileToLon(2);
+    const x = (lon - (BBOX.west + BBOX.east) / 2) / (BBOX.east - BBOX.west) * size.width;
+    const z = -(lat - (BBOX.north + BBOX.south) / 2) / (BBOX.north - BBOX.south) * size.depth;
+    const expected = expectedHeight(2 * TILE_SIZE - 0.5, 2 * TILE_SIZE - 0.5);
+    assert.ok(Math.abs(terrain.getHeightAt(x, z) - expected) < 1);
+  });
+
+  it('serves repeat loads from the tile cache', async () => {
+    const cache = new TileCache();
+    await createTerrain({ cache }).init();
+    assert.equal(requested.length, 4);
+
+    await createTerrain({ cache }).init();
+    assert.equal(requested.length, 4);
+  });
+
+  it('refetches tiles older than the cache max age', async () => {
+    const cache = new TileCache({ maxAge: -1 });
+    await createTerrain({ cache }).init();
+    await createTerrain({ cache }).init();
+
+    assert.equal(requested.length, 8);
+  });
+
+  it('fails when a terrain tile is missing', async () => {
+    const terrain = createTerrain({ bbox: { ...BBOX, east: tileToLon(3.5) } });
+
+    await assert.rejects(() => terrain.init(), /Failed to load tile/);
+  });
+
+  it('needs a bounding box', () => {
+    assert.throws(() => new MapboxTerrainProvider({}), /bbox/);
+  });
+});
+
+describe('tile map manifests', () => {
+  it('derives extent and geo-reference from the bounding box', () => {
+    const bbox = { west: 7.958, south: 46.562, east: 8.038, north: 46.616 };
+    const map = normalizeManifest({ provider: 'xyz', tiles: { bbox, zoom: 13 } }, 'tiles');
+
+    assert.equal(map.provider, 'xyz');
+    assert.deepEqual(map.tiles, { bbox, zoom: 13 });
+    assert.equal(map.width, getBoundingBoxSize(bbox).width);
+    assert.equal(map.depth, getBoundingBoxSize(bbox).depth);
+    assert.ok(Math.abs(map.geoReference.latitude - 46.589) < 1e-9);
+    assert.ok(Math.abs(map.geoReference.longitude - 7.998) < 1e-9);
+    assert.equal(map.geoReference.altitudeOffset, 0);
+  });
+
+  it('rejects tile maps without a usable bounding box', () => {
+    assert.throws(() => normalizeManifest({ provider: 'xyz' }, 'broken'), /tiles.bbox/);
+    assert.throws(() => normalizeManifest({
+      provider: 'xyz',
+      tiles: { bbox: { west: 1, east: 0, south: 0, north: 1 } }
+    }, 'broken'), /empty/);
+  });
+});
@@ -0,0 +1,98 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { computeHillshade, computeContours, getElevationTint } from '../src/MapImage.js';
+import { MapView } from '../src/MapView.js';
+
+const SIZE = 8;
+
+// Heights from a function of the sample's column and row
+function grid(heightAt) {
+  const heights = new Float32Array(SIZE * SIZE);
+  for (let y = 0; y < SIZE; y++) {
+    for (let x = 0; x < SIZE; x++) heights[y * SIZE + x] = heightAt(x, y);
+  }
+  return heights;
+}
+
+function createView(view) {
+  const canvas = { clientWidth: 400, clientHeight: 300, getContext: () => null };
+  const mapView = new MapView(canvas);
+  Object.assign(mapView.view, view);
+  return mapView;
+}
+
+describe('computeHillshade', () => {
+  it('lights slopes facing the north-west more than slopes facing the south-east', () => {
+    // Rising to the south-east, so the slope faces north-west, and the reverse
+    const facingNorthWest = computeHillshade(grid((x, y) => (x + y) * 10), SIZE, SIZE, 10);
+    const facingSouthEast = computeHillshade(grid((x, y) => -(x + y) * 10), SIZE, SIZE, 10);
+    const center = 4 * SIZE + 4;
+
+    assert.ok(facingNorthWest[center] > 200);
+    assert.ok(facingSouthEast[center] < 100);
+  });
+
+  it('shades flat ground evenly', () => {
+    const shade = computeHillshade(grid(() => 500), SIZE, SIZE, 10);
+
+    assert.ok(shade.every(value => value === shade[0]));
+    assert.ok(Math.abs(shade[0] - 255 * Math.SQRT1_2) <= 1);
+  });
+});
+
+describe('computeContours', () => {
+  it('marks the samples where the height crosses an interval', () => {
+    // 0, 40, 80, ... 280 m along each row
+    const contours = computeContours(grid(x => x * 40), SIZE, SIZE, 100);
+    const row = Array.from(contours.slice(0, SIZE));
+
+    assert.deepEqual(row, [0, 0, 1, 0, 1, 0, 0, 0]);
+  });
+
+  it('draws nothing on flat ground', () => {
+    const contours = computeContours(grid(() => 150), SIZE, SIZE, 100);
+
+    assert.ok(contours.every(value => value === 0));
+  });
+});
+
+describe('getElevationTint', () => {
+  it('runs from green lowlands to pale summits', () => {
+    const [lowR, lowG] = getElevationTint(0);
+    const high = getElevationTint(1);
+
+    assert.ok(lowG > lowR);
+    assert.ok(high.every(c => c > 200));
+    assert.deepEqual(getElevationTint(-1), getElevationTint(0));
+    assert.deepEqual(getElevationTint(2), high);
+  });
+});
+
+describe('MapView', () => {
+  it('puts the view center in the middle with north up', () => {
+    const mapView = createView({ x: 1000, z: -500, scale: 0.5, rotation: 0 });
+
+    assert.deepEqual(mapView.worldToScreen({ x: 1000, z: -500 }), { x: 200, y: 150 });
+    // 100 m north is 50 px up
+    const north = mapView.worldToScreen({ x: 1000, z: -600 });
+    assert.ok(Math.abs(north.x - 200) < 1e-9 && Math.abs(north.y - 100) < 1e-9);
+  });
+
+  it('turns the map so the heading points up', () => {
+    // Heading east: a point east of the glider is straight ahead
+    const mapView = createView({ x: 0, z: 0, scale: 1, rotation: Math.PI / 2 });
+    const ahead = mapView.worldToScreen({ x: 100, z: 0 });
+
+    assert.ok(Math.abs(ahead.x - 200) < 1e-9);
+    assert.ok(Math.abs(ahead.y - 50) < 1e-9);
+  });
+
+  it('maps screen positions back to the same world points', () => {
+    const mapView = createView({ x: 250, z: 750, scale: 0.08, rotation: 2.2 });
+    const point = { x: -1234, z: 4321 };
+    const back = mapView.screenToWorld(mapView.worldToScreen(point));
+
+    assert.ok(Math.abs(back.x - point.x) < 1e-6);
+    assert.ok(Math.abs(back.z - point.z) < 1e-6);
+  });
+});
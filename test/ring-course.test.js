@@ -0,0 +1,203 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import {
+  normalizeCourse,
+  getRingCenter,
+  getRingCrossing,
+  loadCourse,
+  saveCourse,
+  loadLeaderboard,
+  addToLeaderboard,
+  MISSED_RING_PENALTY
+} from '../src/RingCourse.js';
+import { TimeTrial } from '../src/TimeTrial.js';
+
+const TIMESTEP = 1;
+
+// Three rings 500m apart heading north, 100m up, over flat ground at 0
+const COURSE = normalizeCourse({
+  rings: [
+    { x: 0, z: 0 },
+    { x: 0, z: -500 },
+    { x: 0, z: -1000 }
+  ]
+});
+
+function createGlider(x, y, z) {
+  return {
+    position: new THREE.Vector3(x, y, z),
+    previousPosition: new THREE.Vector3(x, y, z),
+    flightTime: 0,
+    crashed: false
+  };
+}
+
+// Fly straight to a point, one tick per 10 m
+function flyTo(glider, trial, x, y, z) {
+  const start = glider.position.clone();
+  const target = new THREE.Vector3(x, y, z);
+  const steps = Math.ceil(start.distanceTo(target) / 10);
+  for (let i = 1; i <= steps; i++) {
+    glider.previousPosition.copy(glider.position);
+    glider.position.lerpVectors(start, target, i / steps);
+    glider.flightTime += TIMESTEP;
+    trial.update(glider, TIMESTEP);
+  }
+}
+
+describe('normalizeCourse', () => {
+  it('fills in ring defaults and drops rings without a position', () => {
+    const course = normalizeCourse({ rings: [{ x: 1, z: 2, radius: 20 }, { x: 5 }] });
+
+    assert.equal(course.version, 1);
+    assert.equal(course.rings.length, 1);
+    assert.deepEqual(course.rings[0], { x: 1, z: 2, heightAboveGround: 100, heading: 0, radius: 20 });
+    assert.deepEqual(normalizeCourse().rings, []);
+  });
+
+  it('stands rings at their height above the ground', () => {
+    const terrain = { getHeightAt: (x, z) => x + z };
+    assert.deepEqual(getRingCenter({ x: 10, z: 20, heightAboveGround: 50 }, terrain), { x: 10, y: 80, z: 20 });
+  });
+});
+
+describe('getRingCrossing', () => {
+  const ring = COURSE.rings[0];
+  const center = getRingCenter(ring, null);
+
+  it('counts a pass through the ring in either direction', () => {
+    const forward = getRingCrossing(ring, center, { x: 5, y: 100, z: 10 }, { x: 5, y: 100, z: -30 });
+    assert.deepEqual(forward, { t: 0.25, through: true, near: true });
+
+    const back = getRingCrossing(ring, center, { x: 0, y: 100, z: -10 }, { x: 0, y: 100, z: 10 });
+    assert.equal(back.through, true);
+  });
+
+  it('tells a near miss from flying by far away', () => {
+    const near = getRingCrossing(ring, center, { x: 40, y: 100, z: 10 }, { x: 40, y: 100, z: -10 });
+    assert.deepEqual({ through: near.through, near: near.near }, { through: false, near: true });
+
+    const far = getRingCrossing(ring, center, { x: 0, y: 300, z: 10 }, { x: 0, y: 300, z: -10 });
+    assert.equal(far.near, false);
+  });
+
+  it('ignores moves that stay on one side', () => {
+    assert.equal(getRingCrossing(ring, center, { x: 0, y: 100, z: 10 }, { x: 0, y: 100, z: 5 }), null);
+  });
+});
+
+describe('TimeTrial', () => {
+  it('times the course with splits from the first ring to the last', () => {
+    const trial = new TimeTrial(COURSE);
+    const glider = createGlider(0, 100, 95);
+
+    flyTo(glider, trial, 0, 100, -1095);
+
+    const result = trial.getResult();
+    assert.equal(result.finished, true);
+    assert.equal(trial.startTime, 9.5);
+    assert.equal(result.time, 100);
+    assert.deepEqual(result.splits, [0, 50, 100]);
+    assert.equal(result.missed, 0);
+    assert.equal(result.total, 100);
+  });
+
+  it('does not start the clock at a later ring', () => {
+    const trial = new TimeTrial(COURSE);
+    const glider = createGlider(0, 100, -400);
+
+    flyTo(glider, trial, 0, 100, -600);
+    assert.equal(trial.started, false);
+    assert.equal(trial.nextRing, 0);
+  });
+
+  it('penalizes a ring passed beside', () => {
+    const trial = new TimeTrial(COURSE);
+    const glider = createGlider(0, 100, 100);
+
+    flyTo(glider, trial, 0, 100, -400);
+    flyTo(glider, trial, 40, 100, -600);  // 40m off the middle ring
+    flyTo(glider, trial, 0, 100, -1100);
+
+    const result = trial.getResult();
+    assert.equal(result.finished, true);
+    assert.equal(result.missed, 1);
+    assert.equal(result.splits[1], null);
+    assert.equal(result.total, result.time + MISSED_RING_PENALTY);
+  });
+
+  it('penalizes rings skipped for a later one', () => {
+    const trial = new TimeTrial(COURSE);
+    const glider = createGlider(0, 100, 100);
+
+    flyTo(glider, trial, 0, 100, -100);
+    flyTo(glider, trial, 0, 400, -500);   // Far above the middle ring
+    flyTo(glider, trial, 0, 100, -900);
+    flyTo(glider, trial, 0, 100, -1100);
+
+    assert.equal(trial.finished, true);
+    assert.deepEqual(trial.getResult().splits.map(split => split === null), [false, true, false]);
+  });
+
+  it('must fly through the last ring to finish', () => {
+    const trial = new TimeTrial(COURSE);
+    const glider = createGlider(0, 100, 100);
+
+    flyTo(glider, trial, 0, 100, -900);
+    flyTo(glider, trial, 40, 100, -1100);
+
+    assert.equal(trial.finished, false);
+    assert.equal(trial.getResult().total, null);
+  });
+});
+
+describe('Course storage', () => {
+  let store;
+
+  beforeEach(() => {
+    store = {};
+    globalThis.localStorage = {
+      getItem: key => store[key] ?? null,
+      setItem: (key, value) => { store[key] = String(value); }
+    };
+  });
+
+  afterEach(() => {
+    delete globalThis.localStorage;
+  });
+
+  it('round-trips a course per map', () => {
+    assert.deepEqual(loadCourse('map_a').rings, []);
+
+    assert.equal(saveCourse('map_a', COURSE), true);
+    assert.deepEqual(loadCourse('map_a'), COURSE);
+    assert.deepEqual(loadCourse('map_b').rings, []);
+  });
+
+  it('keeps the fastest times first and ranks a new one', () => {
+    addToLeaderboard('map_a', { total: 120, splits: [] });
+    addToLeaderboard('map_a', { total: 90, splits: [] });
+    const { leaderboard, rank } = addToLeaderboard('map_a', { total: 100, splits: [] });
+
+    assert.equal(rank, 2);
+    assert.deepEqual(leaderboard.map(entry => entry.total), [90, 100, 120]);
+    assert.deepEqual(loadLeaderboard('map_a'), leaderboard);
+  });
+
+  it('leaves a time off a full board it does not beat', () => {
+    for (let i = 0; i < 10; i++) addToLeaderboard('map_a', { total: 50 + i, splits: [] });
+    assert.equal(addToLeaderboard('map_a', { total: 200, splits: [] }).rank, null);
+  });
+
+  it('clears the leaderboard when the rings change', () => {
+    saveCourse('map_a', COURSE);
+    addToLeaderboard('map_a', { total: 90, splits: [] });
+
+    saveCourse('map_a', { ...COURSE, name: 'Renamed' });
+    assert.equal(loadLeaderboard('map_a').length, 1);
+
+    saveCourse('map_a', normalizeCourse({ rings: COURSE.rings.slice(1) }));
+    assert.deepEqual(loadLeaderboard('map_a'), []);
+  });
+});
@@ -0,0 +1,67 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import { normalizeManifest } from '../src/MapManifest.js';
+import { getSunPosition, getSunDirection, getSkyLighting, formatTimeOfDay } from '../src/Sky.js';
+
+const DEG = Math.PI / 180;
+const { lighting } = normalizeManifest({ heightmap: 'height.png', width: 1000, depth: 800, maxHeight: 500 }, 'test_map');
+
+describe('getSunPosition', () => {
+  it('stands due south at solar noon in the northern summer', () => {
+    const sun = getSunPosition(12, 36, 172);
+    assert.ok(Math.abs(sun.elevation - (90 - 36 + 23.44) * DEG) < 0.01);
+    assert.ok(Math.abs(sun.azimuth - Math.PI) < 1e-6);
+  });
+
+  it('rises in the east and sets in the west', () => {
+    const morning = getSunPosition(7, 45);
+    const evening = getSunPosition(17, 45);
+    assert.ok(morning.azimuth > 0 && morning.azimuth < Math.PI);
+    assert.ok(evening.azimuth > Math.PI && evening.azimuth < Math.PI * 2);
+    assert.ok(Math.abs(morning.elevation - evening.elevation) < 1e-9);
+  });
+
+  it('is below the horizon at midnight and stands north at southern noon', () => {
+    assert.ok(getSunPosition(0, 45).elevation < 0);
+    const south = getSunPosition(12, -35, 172);
+    assert.ok(south.azimuth < 1e-6 || south.azimuth > Math.PI * 2 - 1e-6);
+  });
+
+  it('points the light along the scene axes (+X east, -Z north)', () => {
+    const east = getSunDirection({ elevation: 0, azimuth: Math.PI / 2 }, new THREE.Vector3());
+    assert.ok(Math.abs(east.x - 1) < 1e-9 && Math.abs(east.z) < 1e-9);
+    const south = getSunDirection({ elevation: Math.PI / 4, azimuth: Math.PI }, new THREE.Vector3());
+    assert.ok(south.z > 0 && Math.abs(south.y - Math.SQRT1_2) < 1e-9);
+    assert.ok(Math.abs(south.length() - 1) < 1e-9);
+  });
+});
+
+describe('getSkyLighting', () => {
+  it("uses the map's own lighting with the sun high", () => {
+    const noon = getSkyLighting(1, lighting);
+    assert.equal(noon.horizonColor.getHexString(), new THREE.Color(lighting.skyColor).getHexString());
+    assert.equal(noon.sunIntensity, lighting.sunIntensity);
+    assert.equal(noon.ambientIntensity, lighting.ambientIntensity);
+  });
+
+  it('warms and dims the light at golden hour', () => {
+    const golden = getSkyLighting(5 * DEG, lighting);
+    assert.ok(golden.sunColor.b < golden.sunColor.r);
+    assert.ok(golden.sunIntensity > 0 && golden.sunIntensity < lighting.sunIntensity);
+  });
+
+  it('puts out the sun and darkens the fog at night', () => {
+    const night = getSkyLighting(-20 * DEG, lighting);
+    assert.equal(night.sunIntensity, 0);
+    assert.ok(night.horizonColor.getHSL({}).l < 0.15);
+    assert.ok(night.ambientIntensity < lighting.ambientIntensity);
+  });
+});
+
+describe('formatTimeOfDay', () => {
+  it('shows hours and minutes', () => {
+    assert.equal(formatTimeOfDay(6.5), '06:30');
+    assert.equal(formatTimeOfDay(18.25), '18:15');
+  });
+});
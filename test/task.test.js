@@ -0,0 +1,213 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import {
+  normalizeTask,
+  isInTurnpoint,
+  getLineCrossing,
+  getBearing,
+  isBetterResult
+} from '../src/Task.js';
+import { TaskTracker } from '../src/TaskTracker.js';
+
+const TIMESTEP = 1;
+
+// North 3km to a cylinder, east 4km to a sector, back to the start line
+const TASK = {
+  name: 'Triangle',
+  start: { x: 0, z: 0 },
+  turnpoints: [
+    { name: 'North', x: 0, z: -3000, radius: 500 },
+    { name: 'East', x: 4000, z: -3000, type: 'sector' }
+  ],
+  finish: { x: 0, z: 0 }
+};
+
+// Just what TaskTracker reads from a glider
+function createGlider(x, z) {
+  return {
+    position: new THREE.Vector3(x, 1000, z),
+    previousPosition: new THREE.Vector3(x, 1000, z),
+    flightTime: 0,
+    yaw: 0,
+    crashed: false
+  };
+}
+
+// Fly straight to a point, one tick per 10 m
+function flyTo(glider, tracker, x, z) {
+  const target = new THREE.Vector3(x, glider.position.y, z);
+  const steps = Math.ceil(glider.position.distanceTo(target) / 10);
+  const start = glider.position.clone();
+  for (let i = 1; i <= steps; i++) {
+    glider.previousPosition.copy(glider.position);
+    glider.position.lerpVectors(start, target, i / steps);
+    glider.flightTime += TIMESTEP;
+    tracker.update(glider, TIMESTEP);
+  }
+}
+
+describe('normalizeTask', () => {
+  it('fills in defaults and measures the legs', () => {
+    const task = normalizeTask(TASK, 'test_map');
+
+    assert.equal(task.scoring, 'time');
+    assert.equal(task.start.length, 2000);
+    assert.equal(task.start.maxAltitude, null);
+    assert.equal(task.finish.length, 1000);
+    assert.equal(task.turnpoints[0].type, 'cylinder');
+    assert.equal(task.turnpoints[1].radius, 1000);
+    assert.deepEqual(task.legs, [3000, 4000, 5000]);
+    assert.equal(task.distance, 12000);
+  });
+
+  it('points each sector away from the course', () => {
+    const task = normalizeTask(TASK, 'test_map');
+    const { bisector } = task.turnpoints[1];
+
+    // Inbound heading east, outbound south-west: the sector faces north-east
+    assert.ok(bisector.x > 0);
+    assert.ok(bisector.z < 0);
+    assert.ok(Math.abs(Math.hypot(bisector.x, bisector.z) - 1) < 1e-9);
+  });
+
+  it('rejects incomplete tasks', () => {
+    assert.throws(() => normalizeTask({ ...TASK, start: undefined }, 'broken'), /start/);
+    assert.throws(() => normalizeTask({ ...TASK, turnpoints: [] }, 'broken'), /turnpoint/);
+    assert.throws(() => normalizeTask({ ...TASK, turnpoints: [{ x: 0, z: 0, type: 'line' }] }, 'broken'), /type/);
+    assert.throws(() => normalizeTask({ ...TASK, scoring: 'points' }, 'broken'), /scoring/);
+  });
+});
+
+describe('Task geometry', () => {
+  const task = normalizeTask(TASK, 'test_map');
+
+  it('reaches a cylinder anywhere within its radius', () => {
+    const cylinder = task.turnpoints[0];
+    assert.equal(isInTurnpoint(cylinder, { x: 400, z: -3200 }), true);
+    assert.equal(isInTurnpoint(cylinder, { x: 0, z: -3600 }), false);
+  });
+
+  it('reaches a sector only within its quadrant', () => {
+    const sector = task.turnpoints[1];
+    assert.equal(isInTurnpoint(sector, { x: 4500, z: -3500 }), true);
+    assert.equal(isInTurnpoint(sector, { x: 3500, z: -2500 }), false);
+    assert.equal(isInTurnpoint(sector, { x: 5000, z: -4500 }), false);
+  });
+
+  it('crosses a line only along the leg and within its length', () => {
+    const north = { x: 0, z: -1 };
+    assert.equal(getLineCrossing(task.start, north, { x: 0, z: 10 }, { x: 0, z: -30 }), 0.25);
+    assert.equal(getLineCrossing(task.start, north, { x: 0, z: -30 }, { x: 0, z: 10 }), null);
+    assert.equal(getLineCrossing(task.start, north, { x: 1500, z: 10 }, { x: 1500, z: -30 }), null);
+  });
+
+  it('measures bearings clockwise from north', () => {
+    const origin = { x: 0, z: 0 };
+    assert.equal(getBearing(origin, { x: 0, z: -100 }), 0);
+    assert.equal(getBearing(origin, { x: 100, z: 0 }), Math.PI / 2);
+    assert.equal(getBearing(origin, { x: -100, z: 0 }), Math.PI * 1.5);
+  });
+});
+
+describe('TaskTracker', () => {
+  it('times a task from the start crossing to the finish crossing', () => {
+    const tracker = new TaskTracker(normalizeTask(TASK, 'test_map'));
+    const glider = createGlider(0, 95);
+
+    flyTo(glider, tracker, 0, -3005);
+    assert.equal(tracker.started, true);
+    assert.ok(Math.abs(tracker.startTime - 9.5) < 1e-9);
+    assert.equal(tracker.nextPoint, 2);
+
+    flyTo(glider, tracker, 4500, -3500);
+    assert.equal(tracker.nextPoint, 3);
+    flyTo(glider, tracker, 0, 100);
+
+    const result = tracker.getResult();
+    assert.equal(result.completed, true);
+    assert.equal(result.distance, 12000);
+    assert.ok(tracker.finishTime < glider.flightTime);
+    assert.ok(Math.abs(result.time - (tracker.finishTime - tracker.startTime)) < 1e-9);
+    assert.equal(result.speed, 12000 / result.time);
+    assert.equal(tracker.getNavigation(glider), null);
+  });
+
+  it('does not count turnpoints out of order or before the start', () => {
+    const tracker = new TaskTracker(normalizeTask(TASK, 'test_map'));
+    const glider = createGlider(4500, -3500);
+
+    flyTo(glider, tracker, 4400, -3600);
+    assert.equal(tracker.started, false);
+    assert.equal(tracker.nextPoint, 0);
+
+    flyTo(glider, tracker, 0, 100);
+    flyTo(glider, tracker, 0, -100);
+    flyTo(glider, tracker, 4500, -3500);
+    assert.equal(tracker.nextPoint, 1);
+  });
+
+  it('ignores a start crossing above the start altitude', () => {
+    const tracker = new TaskTracker(normalizeTask({ ...TASK, start: { x: 0, z: 0, maxAltitude: 800 } }, 'test_map'));
+    const glider = createGlider(0, 100);
+
+    flyTo(glider, tracker, 0, -100);
+    assert.equal(tracker.started, false);
+  });
+
+  it('restarts on a later start crossing until the first turnpoint', () => {
+    const tracker = new TaskTracker(normalizeTask(TASK, 'test_map'));
+    const glider = createGlider(0, 100);
+
+    flyTo(glider, tracker, 0, -500);
+    flyTo(glider, tracker, 0, 100);
+    const firstStart = tracker.startTime;
+    flyTo(glider, tracker, 0, -500);
+
+    assert.ok(tracker.startTime > firstStart);
+    assert.equal(tracker.distance, 1000);
+  });
+
+  it('scores an unfinished task by distance along the course', () => {
+    const tracker = new TaskTracker(normalizeTask(TASK, 'test_map'));
+    const glider = createGlider(0, 100);
+
+    flyTo(glider, tracker, 0, -2600);  // Into the cylinder
+    flyTo(glider, tracker, 2000, -3000);
+
+    const result = tracker.getResult();
+    assert.equal(result.completed, false);
+    assert.equal(result.time, null);
+    assert.equal(result.distance, 5000);
+
+    const navigation = tracker.getNavigation(glider);
+    assert.equal(navigation.name, 'East');
+    assert.equal(navigation.distance, 2000);
+    assert.equal(navigation.bearing, Math.PI / 2);
+    assert.equal(navigation.relativeBearing, Math.PI / 2);
+  });
+});
+
+describe('isBetterResult', () => {
+  const finished = { started: true, completed: true, time: 600, distance: 12000 };
+  const slower = { ...finished, time: 700 };
+  const landout = { started: true, completed: false, time: null, distance: 11000 };
+  const notStarted = { started: false, completed: false, time: null, distance: 0 };
+
+  it('ranks completed tasks by time for time scoring', () => {
+    assert.equal(isBetterResult(finished, slower, 'time'), true);
+    assert.equal(isBetterResult(slower, finished, 'time'), false);
+    assert.equal(isBetterResult(slower, landout, 'time'), true);
+    assert.equal(isBetterResult(landout, slower, 'time'), false);
+  });
+
+  it('ranks by distance for distance scoring', () => {
+    assert.equal(isBetterResult(landout, { ...landout, distance: 9000 }, 'distance'), true);
+    assert.equal(isBetterResult(finished, slower, 'distance'), true);
+  });
+
+  it('needs a start to count at all', () => {
+    assert.equal(isBetterResult(notStarted, null, 'time'), false);
+    assert.equal(isBetterResult(landout, null, 'time'), true);
+  });
+});